@@ -42,7 +42,7 @@ async function loadBookmarks() {
           return null;
         }
       })
-      .filter(item => item !== null);
+      .filter(item => item !== null && !item.deleted_at);
 
     console.log(`📚 Loaded ${state.bookmarks.length} bookmarks`);
   } catch (error) {
@@ -17,7 +17,7 @@ const state = {
 };
 
 // Valid values for URL params
-const validFilters = ['all', 'unread', 'favorites'];
+const validFilters = ['all', 'unread', 'favorites', 'later'];
 const validTypes = ['', 'article', 'video', 'code', 'image', 'tweet', 'pdf', 'other'];
 const validSorts = ['newest', 'oldest', 'title'];
 
@@ -82,6 +82,8 @@ const typeIcons = {
 async function init() {
   console.log('🚀 Initializing Hipervínculos...');
 
+  registerServiceWorker();
+
   // Restore state from URL query params
   const urlState = getQueryParams();
   Object.assign(state, urlState);
@@ -133,7 +135,9 @@ async function loadBookmarks() {
           return null;
         }
       })
-      .filter(item => item !== null);
+      .filter(item => item !== null)
+      // Skip bookmarks moved to the trash (deleted_at set by the bot)
+      .filter(item => !item.deleted_at);
 
     state.filteredBookmarks = [...state.bookmarks];
     state.loading = false;
@@ -220,6 +224,8 @@ function applyFilters() {
     filtered = filtered.filter(b => b.read_status === 'unread' || !b.read_status);
   } else if (state.currentFilter === 'favorites') {
     filtered = filtered.filter(b => b.is_favorite);
+  } else if (state.currentFilter === 'later') {
+    filtered = filtered.filter(b => b.remind_at);
   }
 
   // Apply type filter
@@ -288,6 +294,8 @@ function renderBookmarks(append = false) {
       message.textContent = 'No favorite bookmarks yet';
     } else if (state.currentFilter === 'unread') {
       message.textContent = 'No unread bookmarks';
+    } else if (state.currentFilter === 'later') {
+      message.textContent = 'Nothing saved for later. Use /remind in Telegram to get a bookmark back';
     } else {
       message.textContent = 'Start by sending a link to your Telegram bot';
     }
@@ -388,6 +396,8 @@ function createBookmarkCard(bookmark) {
         <span class="type-icon">${typeIcons[bookmark.content_type || 'other']}</span>
         <span class="domain">${domain}</span>
         <span class="date">${relativeDate}</span>
+        ${bookmark.remind_at ? `<span class="remind-at" title="Reminder on ${new Date(bookmark.remind_at).toLocaleString()}">⏰ ${new Date(bookmark.remind_at).toLocaleDateString()}</span>` : ''}
+        ${bookmark.added_by ? `<span class="added-by" title="Saved by ${escapeHtml(bookmark.added_by.name)}">👤 ${escapeHtml(bookmark.added_by.name)}</span>` : ''}
         ${bookmark.tags && bookmark.tags.length > 0 ? `
           <div class="bookmark-tags">
             ${bookmark.tags.map(tag => `<span class="tag">${escapeHtml(tag)}</span>`).join('')}
@@ -506,6 +516,14 @@ function showError(message) {
   `;
 }
 
+// Makes the site installable as an app, with "Hipervínculos" in the share sheet
+function registerServiceWorker() {
+  if (!('serviceWorker' in navigator)) return;
+  navigator.serviceWorker.register('sw.js').catch(error => {
+    console.error('Service worker registration failed:', error);
+  });
+}
+
 // Initialize when DOM is ready
 if (document.readyState === 'loading') {
   document.addEventListener('DOMContentLoaded', init);
@@ -0,0 +1,179 @@
+/**
+ * Hipervínculos - Capture Page
+ * Save a link through the worker API. Opened by the Android share sheet
+ * (manifest share_target) or from the Save link in the header.
+ */
+
+const SETTINGS_KEY = 'hipervinculos.worker';
+const TITLE_MAX_LENGTH = 200;
+const URL_PATTERN = /https?:\/\/\S+/i;
+
+const state = {
+  settings: null, // { workerUrl, token }
+  pending: null   // bookmark body of the last save, for "Save anyway"
+};
+
+function init() {
+  if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.register('sw.js').catch(error => {
+      console.error('Service worker registration failed:', error);
+    });
+  }
+
+  state.settings = loadSettings();
+  fillFromShare();
+
+  document.getElementById('settings-form').addEventListener('submit', saveSettings);
+  document.getElementById('capture-form').addEventListener('submit', submitCapture);
+  document.getElementById('change-settings').addEventListener('click', () => showSettings());
+  document.getElementById('save-anyway').addEventListener('click', () => save(state.pending, true));
+
+  if (state.settings) {
+    showCapture();
+  } else {
+    showSettings();
+  }
+}
+
+function loadSettings() {
+  try {
+    const settings = JSON.parse(localStorage.getItem(SETTINGS_KEY));
+    return settings && settings.workerUrl && settings.token ? settings : null;
+  } catch {
+    return null;
+  }
+}
+
+function saveSettings(event) {
+  event.preventDefault();
+  state.settings = {
+    workerUrl: document.getElementById('worker-url').value.trim().replace(/\/+$/, ''),
+    token: document.getElementById('api-token').value.trim()
+  };
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(state.settings));
+  showCapture();
+}
+
+/**
+ * Fill the form from what was shared. Apps differ: some send the link as
+ * `url`, many put it inside `text` next to a headline, which becomes the note.
+ */
+function fillFromShare() {
+  const params = new URLSearchParams(window.location.search);
+  const text = params.get('text') || '';
+  const match = text.match(URL_PATTERN);
+  const url = params.get('url') || (match ? match[0] : '');
+  const notes = match ? text.replace(match[0], '').trim() : text.trim();
+
+  document.getElementById('capture-url').value = url;
+  document.getElementById('capture-title').value = (params.get('title') || '').slice(0, TITLE_MAX_LENGTH);
+  document.getElementById('capture-notes').value = notes;
+}
+
+function showSettings(message) {
+  if (state.settings) {
+    document.getElementById('worker-url').value = state.settings.workerUrl;
+  }
+  if (message) {
+    document.querySelector('#settings-form .capture-hint').textContent = message;
+  }
+  show('settings-form');
+}
+
+function showCapture() {
+  show('capture-form');
+  const url = document.getElementById('capture-url');
+  (url.value ? document.getElementById('capture-tags') : url).focus();
+}
+
+function show(id) {
+  for (const section of ['settings-form', 'capture-form', 'capture-status']) {
+    document.getElementById(section).classList.toggle('hidden', section !== id);
+  }
+}
+
+function submitCapture(event) {
+  event.preventDefault();
+
+  const title = document.getElementById('capture-title').value.trim();
+  const notes = document.getElementById('capture-notes').value.trim();
+  const tags = document.getElementById('capture-tags').value
+    .split(/[\s,]+/)
+    .filter(Boolean);
+
+  save({
+    url: document.getElementById('capture-url').value.trim(),
+    tags,
+    ...(title ? { title } : {}),
+    ...(notes ? { notes } : {})
+  }, false);
+}
+
+/**
+ * POST the bookmark to the worker API and show how it went
+ * @param {object} body - Bookmark fields for POST /api/bookmarks
+ * @param {boolean} allowDuplicate - Save even if the URL is already bookmarked
+ */
+async function save(body, allowDuplicate) {
+  state.pending = body;
+  const submit = document.getElementById('capture-submit');
+  submit.disabled = true;
+
+  let response;
+  let result = {};
+  try {
+    const query = allowDuplicate ? '?allow_duplicate=true' : '';
+    response = await fetch(`${state.settings.workerUrl}/api/bookmarks${query}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${state.settings.token}`
+      },
+      body: JSON.stringify(body)
+    });
+    result = await response.json().catch(() => ({}));
+  } catch (error) {
+    console.error('Error saving bookmark:', error);
+  } finally {
+    submit.disabled = false;
+  }
+
+  if (!response) {
+    showStatus('❌ Could not reach the worker. Check your connection and try again.', { retry: true });
+  } else if (response.status === 201) {
+    showStatus(`✅ Saved: ${result.bookmark.title || result.bookmark.url}`);
+  } else if (response.status === 409) {
+    showStatus(`Already saved as “${result.bookmark.title || result.bookmark.url}”.`, { duplicate: true });
+  } else if (response.status === 401) {
+    showSettings('The worker did not accept the token. Check it and try again.');
+  } else if (response.status === 400) {
+    showStatus(`❌ ${(result.details || [result.error]).join('. ')}`, { retry: true });
+  } else {
+    showStatus(`❌ ${result.error || 'Something went wrong'}. Please try again.`, { retry: true });
+  }
+}
+
+/**
+ * @param {string} message
+ * @param {{duplicate?: boolean, retry?: boolean}} [options] - duplicate: offer
+ *   "Save anyway"; retry: go back to the form instead of the bookmarks
+ */
+function showStatus(message, { duplicate = false, retry = false } = {}) {
+  document.getElementById('status-message').textContent = message;
+  document.getElementById('save-anyway').classList.toggle('hidden', !duplicate);
+
+  const done = document.getElementById('status-done');
+  done.textContent = retry ? 'Back' : 'Done';
+  done.onclick = retry
+    ? (event) => { event.preventDefault(); showCapture(); }
+    : null;
+
+  show('capture-status');
+}
+
+// Initialize when DOM is ready
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', init);
+} else {
+  init();
+}
@@ -35,7 +35,7 @@ async function loadBookmarks() {
           return null;
         }
       })
-      .filter(item => item !== null);
+      .filter(item => item !== null && !item.deleted_at);
 
     state.loading = false;
     console.log(`📚 Loaded ${state.bookmarks.length} bookmarks`);
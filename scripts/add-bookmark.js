@@ -9,7 +9,7 @@
  */
 
 const { loadData, saveData } = require('./data-utils');
-const crypto = require('crypto');
+const { createBookmark, normalizeUrl } = require('./bookmark-schema');
 
 const url = process.argv[2];
 const title = process.argv[3];
@@ -30,11 +30,10 @@ try {
 const bookmarks = loadData('bookmarks.jsonl');
 
 // Check for duplicates
-const normalized = url.replace(/\/$/, '').toLowerCase();
-const existing = bookmarks.find(b => 
-  b.url === url || 
-  b.url_normalized === normalized ||
-  b.url.replace(/\/$/, '').toLowerCase() === normalized
+const normalized = normalizeUrl(url);
+const existing = bookmarks.find(b =>
+  b.url === url ||
+  normalizeUrl(b.url) === normalized
 );
 
 if (existing) {
@@ -47,23 +46,10 @@ if (existing) {
 
 // Create bookmark
 const hostname = new URL(url).hostname.replace('www.', '');
-const bookmark = {
-  id: crypto.randomUUID(),
-  url: url,
-  url_normalized: normalized,
-  url_hash: crypto.createHash('sha256').update(url).digest('hex').slice(0, 16),
+const bookmark = createBookmark(url, {
   title: title || hostname,
-  description: '',
-  content_type: 'article',
-  site_name: hostname,
-  timestamp: new Date().toISOString(),
-  tags: [],
-  is_private: false,
-  is_archived: false,
-  is_favorite: false,
-  read_status: 'unread',
   source: 'cli'
-};
+});
 
 bookmarks.push(bookmark);
 saveData('bookmarks.jsonl', bookmarks);
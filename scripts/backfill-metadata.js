@@ -19,6 +19,7 @@
 const fs = require('fs');
 const path = require('path');
 const { loadData, saveData } = require('./data-utils');
+const { detectContentType } = require('./bookmark-schema');
 
 const TIMEOUT_MS = 10000;
 const DEFAULT_DELAY_MS = 1000;
@@ -53,44 +54,6 @@ function needsUpdate(bookmark) {
   return titleIsUrl || descriptionIsUrl;
 }
 
-/**
- * Detect content type from URL
- */
-function detectContentType(url) {
-  const urlLower = url.toLowerCase();
-
-  // Video platforms
-  if (urlLower.includes('youtube.com') || urlLower.includes('youtu.be') ||
-      urlLower.includes('vimeo.com') || urlLower.includes('twitch.tv')) {
-    return 'video';
-  }
-
-  // Code platforms
-  if (urlLower.includes('github.com') || urlLower.includes('gitlab.com') ||
-      urlLower.includes('bitbucket.org') || urlLower.includes('codeberg.org')) {
-    return 'code';
-  }
-
-  // Social/tweets
-  if (urlLower.includes('twitter.com') || urlLower.includes('x.com') ||
-      urlLower.includes('bsky.app') || urlLower.includes('mastodon')) {
-    return 'tweet';
-  }
-
-  // Images
-  if (urlLower.includes('imgur.com') || urlLower.includes('flickr.com') ||
-      urlLower.includes('unsplash.com') || urlLower.includes('pinterest.com')) {
-    return 'image';
-  }
-
-  // PDFs
-  if (urlLower.endsWith('.pdf')) {
-    return 'pdf';
-  }
-
-  return 'article';
-}
-
 /**
  * Extract site name from URL
  */
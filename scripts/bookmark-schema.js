@@ -0,0 +1,16 @@
+const crypto = require('crypto');
+const { schema, normalizeUrl, detectContentType, withCrypto, validateBookmark } = require('../shared/bookmark');
+
+/**
+ * The bookmark rules of shared/bookmark.js, which the worker uses too, bound
+ * to Node's crypto. Scripts build bookmarks with createBookmark and check them
+ * with validateBookmark, so every bookmark has the same fields wherever it was made.
+ */
+
+module.exports = {
+  schema,
+  normalizeUrl,
+  detectContentType,
+  validateBookmark,
+  ...withCrypto(crypto)
+};
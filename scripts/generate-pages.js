@@ -3,7 +3,7 @@
  * Generate HTML Pages for Pagefind
  *
  * Creates individual HTML pages for each bookmark to be indexed by Pagefind.
- * Private bookmarks are excluded from generation.
+ * Private and trashed bookmarks are excluded from generation.
  */
 
 const fs = require('fs');
@@ -91,8 +91,15 @@ try {
   // Generate new pages
   let generated = 0;
   let skipped = 0;
+  let trashed = 0;
 
   for (const bookmark of bookmarks) {
+    // Skip bookmarks in the trash (soft-deleted, restorable from the bot)
+    if (bookmark.deleted_at) {
+      trashed++;
+      continue;
+    }
+
     // Skip private bookmarks
     if (bookmark.is_private) {
       skipped++;
@@ -109,6 +116,9 @@ try {
   if (skipped > 0) {
     console.log(`🔒 Skipped ${skipped} private bookmarks`);
   }
+  if (trashed > 0) {
+    console.log(`🗑️  Skipped ${trashed} trashed bookmarks`);
+  }
 
 } catch (err) {
   console.error('❌ Error generating pages:', err.message);
@@ -1,7 +1,7 @@
 const fs = require('fs');
 const path = require('path');
-const crypto = require('crypto');
 const { loadData, saveData } = require('./data-utils');
+const { createBookmark, normalizeUrl, validateBookmark } = require('./bookmark-schema');
 
 // Parse CLI args
 const args = process.argv.slice(2);
@@ -75,7 +75,7 @@ async function importKeep() {
   // 2. Load Existing Bookmarks (for deduplication)
   // Note: data-utils looks for file relative to __dirname/../data/
   const existingBookmarks = loadData('bookmarks.jsonl');
-  const existingUrls = new Set(existingBookmarks.map(b => b.url));
+  const existingUrls = new Set(existingBookmarks.map(b => normalizeUrl(b.url)));
   
   // 3. Process
   const newBookmarks = [];
@@ -83,6 +83,7 @@ async function importKeep() {
     total: keepData.length,
     skipped_no_url: 0,
     skipped_duplicate: 0,
+    skipped_invalid: 0,
     imported: 0
   };
 
@@ -108,7 +109,7 @@ async function importKeep() {
     const url = matches[0];
 
     // Check Duplicate
-    if (existingUrls.has(url)) {
+    if (existingUrls.has(normalizeUrl(url))) {
       stats.skipped_duplicate++;
       if (dryRun) console.log(`  Duplicate (Skipped): ${url}`);
       continue;
@@ -136,28 +137,25 @@ async function importKeep() {
       ? new Date(note.createdTimestampUsec / 1000).toISOString() 
       : BOOT_TIME;
 
-    // Generate Hash
-    const hash = crypto.createHash('sha256').update(url).digest('hex').substring(0, 16);
-
-    const bookmark = {
-      id: crypto.randomUUID(),
-      url: url,
-      url_normalized: url, // Basic normalization same as url for now
-      url_hash: hash,
+    const bookmark = createBookmark(url, {
       title: title,
       description: description,
-      content_type: 'article', // default assumption
       source: 'import-google-keep',
       tags: [...new Set(tags)], // unique
       timestamp: timestamp,
-      is_private: false,
-      is_archived: note.isArchived || false,
-      is_favorite: note.isPinned || false,
-      read_status: 'unread'
-    };
+      is_archived: note.isArchived || undefined,
+      is_favorite: note.isPinned || undefined
+    });
+
+    const { errors } = validateBookmark(bookmark);
+    if (errors.length > 0) {
+      stats.skipped_invalid++;
+      console.log(`  Invalid (Skipped): ${url} (${errors.join('; ')})`);
+      continue;
+    }
 
     newBookmarks.push(bookmark);
-    existingUrls.add(url); // prevent duplicates within the same import file
+    existingUrls.add(bookmark.url_normalized); // prevent duplicates within the same import file
     stats.imported++;
     
     if (dryRun) {
@@ -172,6 +170,7 @@ async function importKeep() {
   console.log(`  Total Notes: ${stats.total}`);
   console.log(`  Skipped (No URL): ${stats.skipped_no_url}`);
   console.log(`  Skipped (Duplicate): ${stats.skipped_duplicate}`);
+  console.log(`  Skipped (Invalid): ${stats.skipped_invalid}`);
   console.log(`  To Import: ${stats.imported}`);
 
   if (stats.imported > 0 && !dryRun) {
@@ -10,7 +10,7 @@
  */
 
 const { loadData, saveData } = require('./data-utils');
-const crypto = require('crypto');
+const { createBookmark, normalizeUrl } = require('./bookmark-schema');
 
 const URL_REGEX = /https?:\/\/[^\s"<>\)]+/g;
 const IMAGE_EXTS = /\.(png|jpg|jpeg|gif|svg|ico|webp|bmp)$/i;
@@ -42,7 +42,7 @@ function findExtraUrls(bookmark) {
   });
 }
 
-function createBookmark(url, parent) {
+function splitBookmark(url, parent) {
   let hostname = '';
   try {
     hostname = new URL(url).hostname.replace('www.', '');
@@ -50,24 +50,16 @@ function createBookmark(url, parent) {
     return null;
   }
 
-  return {
-    id: crypto.randomUUID(),
-    url: url,
-    url_normalized: url.replace(/\/$/, '').toLowerCase(),
-    url_hash: crypto.createHash('sha256').update(url).digest('hex').slice(0, 16),
+  return createBookmark(url, {
     title: hostname,
     description: `Split from: ${parent.title || parent.url}`,
-    content_type: 'article',
-    site_name: hostname,
     timestamp: parent.timestamp,
     tags: [...(parent.tags || [])],
-    is_private: parent.is_private || false,
-    is_archived: parent.is_archived || false,
-    is_favorite: false,
-    read_status: 'unread',
+    is_private: parent.is_private || undefined,
+    is_archived: parent.is_archived || undefined,
     source: 'split',
     split_from: parent.id
-  };
+  });
 }
 
 // Parse args
@@ -77,7 +69,7 @@ const idIndex = args.indexOf('--id');
 const targetId = idIndex !== -1 ? args[idIndex + 1] : null;
 
 const bookmarks = loadData('bookmarks.jsonl');
-const existingUrls = new Set(bookmarks.map(b => b.url.replace(/\/$/, '').toLowerCase()));
+const existingUrls = new Set(bookmarks.map(b => normalizeUrl(b.url)));
 
 const toSplit = [];
 const newBookmarks = [];
@@ -88,10 +80,7 @@ for (const bookmark of bookmarks) {
   const extraUrls = findExtraUrls(bookmark);
   if (extraUrls.length === 0) continue;
 
-  const uniqueExtras = extraUrls.filter(u => {
-    const norm = u.replace(/\/$/, '').toLowerCase();
-    return !existingUrls.has(norm);
-  });
+  const uniqueExtras = extraUrls.filter(u => !existingUrls.has(normalizeUrl(u)));
 
   if (uniqueExtras.length === 0) continue;
 
@@ -103,7 +92,7 @@ for (const bookmark of bookmarks) {
   });
 
   for (const url of uniqueExtras) {
-    const newBm = createBookmark(url, bookmark);
+    const newBm = splitBookmark(url, bookmark);
     if (newBm) {
       newBookmarks.push(newBm);
       existingUrls.add(newBm.url_normalized);
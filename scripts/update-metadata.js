@@ -14,9 +14,10 @@ const metadataPath = path.join(__dirname, '../data/metadata.json');
 try {
   console.log('📊 Updating metadata statistics...');
 
-  // Load bookmarks
-  const bookmarks = loadData('bookmarks.jsonl');
-  console.log(`📚 Loaded ${bookmarks.length} bookmarks`);
+  // Load bookmarks, leaving out the ones in the trash
+  const allBookmarks = loadData('bookmarks.jsonl');
+  const bookmarks = allBookmarks.filter(b => !b.deleted_at);
+  console.log(`📚 Loaded ${allBookmarks.length} bookmarks (${allBookmarks.length - bookmarks.length} in trash)`);
 
   // Load existing metadata
   const metadata = JSON.parse(fs.readFileSync(metadataPath, 'utf8'));
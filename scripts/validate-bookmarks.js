@@ -5,7 +5,8 @@
  * Checks bookmark data integrity:
  * - All bookmark IDs are unique
  * - No future timestamps
- * - All required fields present
+ * - Bookmarks match specs/bookmark.schema.json (required fields,
+ *   types and enums are errors; lengths and formats are warnings)
  * - Valid URL formats
  * - Tags exist in tags.json
  * - Valid JSON structure
@@ -14,6 +15,7 @@
 const fs = require('fs');
 const path = require('path');
 const { loadData } = require('./data-utils');
+const { validateBookmark } = require('./bookmark-schema');
 
 // ANSI color codes
 const colors = {
@@ -152,33 +154,34 @@ class Validator {
     }
   }
 
-  validateRequiredFields() {
-    const required = ['id', 'url', 'title', 'timestamp'];
-    const missing = [];
+  validateSchema() {
+    const invalid = [];
+    const doubtful = [];
 
     for (const bookmark of this.bookmarks) {
-      const bookmarkMissing = [];
-      for (const field of required) {
-        if (!bookmark[field]) {
-          bookmarkMissing.push(field);
-        }
+      const { errors, warnings } = validateBookmark(bookmark);
+      if (errors.length > 0) {
+        invalid.push({ id: bookmark.id || 'unknown', problems: errors });
       }
-
-      if (bookmarkMissing.length > 0) {
-        missing.push({
-          id: bookmark.id || 'unknown',
-          fields: bookmarkMissing
-        });
+      if (warnings.length > 0) {
+        doubtful.push({ id: bookmark.id || 'unknown', problems: warnings });
       }
     }
 
-    if (missing.length > 0) {
-      this.error(`Found ${missing.length} bookmarks with missing required fields`);
-      missing.forEach(b => {
-        console.log(`  ${b.id}: missing ${b.fields.join(', ')}`);
+    if (doubtful.length > 0) {
+      this.warn(`Found ${doubtful.length} bookmarks outside the schema's limits`);
+      doubtful.forEach(b => {
+        console.log(`  ${b.id}: ${b.problems.join('; ')}`);
+      });
+    }
+
+    if (invalid.length > 0) {
+      this.error(`Found ${invalid.length} bookmarks that do not match the schema`);
+      invalid.forEach(b => {
+        console.log(`  ${b.id}: ${b.problems.join('; ')}`);
       });
     } else {
-      this.success('All bookmarks have required fields');
+      this.success('All bookmarks match the schema');
     }
   }
 
@@ -275,32 +278,12 @@ class Validator {
     }
   }
 
-  validateContentTypes() {
-    const validTypes = ['article', 'video', 'image', 'pdf', 'code', 'tweet', 'other'];
-    const invalid = [];
-
-    for (const bookmark of this.bookmarks) {
-      if (bookmark.content_type && !validTypes.includes(bookmark.content_type)) {
-        invalid.push({
-          id: bookmark.id,
-          type: bookmark.content_type
-        });
-      }
-    }
-
-    if (invalid.length > 0) {
-      this.error(`Found ${invalid.length} bookmarks with invalid content_type`);
-      invalid.forEach(b => {
-        console.log(`  ${b.id}: ${b.type}`);
-      });
-    } else {
-      this.success('All content types are valid');
-    }
-  }
-
   validateMetadata() {
-    if (this.metadata.total_bookmarks !== this.bookmarks.length) {
-      this.warn(`Metadata total_bookmarks (${this.metadata.total_bookmarks}) doesn't match actual count (${this.bookmarks.length})`);
+    // Metadata statistics leave out bookmarks in the trash
+    const activeBookmarks = this.bookmarks.filter(b => !b.deleted_at);
+
+    if (this.metadata.total_bookmarks !== activeBookmarks.length) {
+      this.warn(`Metadata total_bookmarks (${this.metadata.total_bookmarks}) doesn't match actual count (${activeBookmarks.length})`);
     }
 
     // Validate statistics match actual counts
@@ -320,14 +303,14 @@ class Validator {
       archived_count: 0
     };
 
-    for (const bookmark of this.bookmarks) {
+    for (const bookmark of activeBookmarks) {
       // Count by type
       const type = bookmark.content_type || 'other';
       if (actualStats.by_type[type] !== undefined) {
          actualStats.by_type[type]++;
       } else {
          // Handle unexpected types if necessary, or just count them?
-         // For strictness, they should be validated by validateContentTypes already.
+         // For strictness, they should be validated by validateSchema already.
          // We can stick to the known keys.
          actualStats.by_type[type] = (actualStats.by_type[type] || 0) + 1;
       }
@@ -363,10 +346,9 @@ class Validator {
     console.log('');
     this.validateUniqueIds();
     this.validateTimestamps();
-    this.validateRequiredFields();
+    this.validateSchema();
     this.validateUrls();
     this.validateTags();
-    this.validateContentTypes();
     this.validateMetadata();
 
     console.log('\n📊 Validation Summary\n');
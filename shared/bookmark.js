@@ -0,0 +1,244 @@
+/**
+ * Bookmark rules shared by the worker (worker/src/url.js, worker/src/schema.js)
+ * and the scripts (scripts/bookmark-schema.js): URL normalization, the
+ * bookmark builder and validation against specs/bookmark.schema.json.
+ *
+ * CommonJS without dependencies so both can load it. Hashing and IDs come
+ * from the caller through withCrypto, because the worker bundle cannot
+ * require() node:crypto.
+ */
+
+const schema = require('../specs/bookmark.schema.json');
+
+// Query parameters that only track where a click came from
+const TRACKING_PARAMS = [
+  'fbclid',
+  'gclid',
+  'msclkid',
+  'ref',
+  'source',
+  'campaign',
+  'mc_cid',
+  'mc_eid',
+];
+
+// URL patterns for guessing content_type
+const CONTENT_TYPE_PATTERNS = [
+  ['video', ['youtube.com', 'youtu.be', 'vimeo.com', 'twitch.tv']],
+  ['code', ['github.com', 'gitlab.com', 'bitbucket.org', 'codeberg.org']],
+  ['tweet', ['twitter.com', 'x.com', 'bsky.app', 'mastodon']],
+  ['image', ['imgur.com', 'flickr.com', 'unsplash.com', 'pinterest.com']],
+];
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Normalize a URL for duplicate detection (spec section 4.2): lowercase host,
+ * no tracking parameters, no fragment, sorted query, no trailing slash.
+ * Returns the input unchanged when it cannot be parsed.
+ * @param {string} url
+ * @returns {string}
+ */
+function normalizeUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return url;
+  }
+
+  parsed.hash = '';
+  parsed.hostname = parsed.hostname.toLowerCase();
+
+  const params = [...parsed.searchParams.entries()]
+    .filter(([key]) => !key.toLowerCase().startsWith('utm_') && !TRACKING_PARAMS.includes(key.toLowerCase()))
+    .sort(([a], [b]) => a.localeCompare(b));
+  parsed.search = new URLSearchParams(params).toString();
+
+  let normalized = parsed.toString();
+  try {
+    normalized = decodeURI(normalized);
+  } catch {
+    // Keep percent-encoding when it does not decode cleanly
+  }
+  return normalized.replace(/\/+$/, '');
+}
+
+/**
+ * Guess a bookmark's content_type from its URL
+ * @param {string} url
+ * @returns {string} One of the content types in spec section 2.1
+ */
+function detectContentType(url) {
+  const lower = url.toLowerCase();
+
+  for (const [type, patterns] of CONTENT_TYPE_PATTERNS) {
+    if (patterns.some(p => lower.includes(p))) return type;
+  }
+  if (lower.split(/[?#]/)[0].endsWith('.pdf')) return 'pdf';
+  return 'article';
+}
+
+/**
+ * @param {any} value
+ * @returns {boolean} Whether the value is an http(s) URL
+ */
+function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Bind the functions that need hashing or random IDs to the caller's crypto
+ * @param {{createHash: Function, randomUUID: Function}} crypto - node:crypto, or
+ *   an object with the same two functions
+ * @returns {{hashUrl: (url: string) => string, createBookmark: (url: string, fields: object) => object}}
+ */
+function withCrypto(crypto) {
+  /**
+   * Short SHA-256 hash of a URL, as stored in `url_hash`
+   * @param {string} url
+   * @returns {string} First 16 hex characters
+   */
+  function hashUrl(url) {
+    return crypto.createHash('sha256').update(url).digest('hex').slice(0, 16);
+  }
+
+  /**
+   * Build a new bookmark for a URL. Every bookmark, saved by the worker or
+   * made by a script, starts here, so they all have the same fields.
+   * @param {string} url
+   * @param {object} fields - Fields to set, `source` at least; undefined
+   *   values are left out
+   * @returns {object}
+   */
+  function createBookmark(url, fields) {
+    const normalized = normalizeUrl(url);
+    let siteName;
+    try {
+      siteName = new URL(url).hostname.replace('www.', '');
+    } catch {
+      // Left out
+    }
+
+    return {
+      id: crypto.randomUUID(),
+      url,
+      url_normalized: normalized,
+      url_hash: hashUrl(normalized),
+      site_name: siteName || undefined,
+      content_type: detectContentType(url),
+      tags: [],
+      timestamp: new Date().toISOString(),
+      ...Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined)),
+    };
+  }
+
+  return { hashUrl, createBookmark };
+}
+
+/**
+ * Check one value against its property in the schema. Problems of kind
+ * `type` (wrong type, unknown enum value) make a bookmark unusable; those of
+ * kind `limit` (too long, too many, a malformed URL or date) are what older
+ * imports stored, so only new input is refused for them.
+ * @param {string} name - Field name, used in the message
+ * @param {any} value
+ * @param {object} property - The field's schema
+ * @returns {{message: string, kind: 'type'|'limit'|'unknown'}[]} unknown: a
+ *   field of a nested object that the schema does not list
+ */
+function checkValue(name, value, property) {
+  const problem = (kind, message) => [{ kind, message: `${name} ${message}` }];
+
+  if (property.enum) {
+    return property.enum.includes(value) ? [] : problem('type', `must be one of: ${property.enum.join(', ')}`);
+  }
+
+  switch (property.type) {
+    case 'string':
+      if (property.format === 'uri') {
+        if (typeof value !== 'string') return problem('type', 'must be an http(s) URL');
+        return isHttpUrl(value) ? [] : problem('limit', 'must be an http(s) URL');
+      }
+      if (property.format === 'date-time') {
+        if (typeof value !== 'string') return problem('type', 'must be an ISO 8601 date');
+        return Number.isNaN(Date.parse(value)) ? problem('limit', 'must be an ISO 8601 date') : [];
+      }
+      if (typeof value !== 'string') return problem('type', 'must be a string');
+      if (property.format === 'uuid' && !UUID_PATTERN.test(value)) return problem('limit', 'must be a UUID');
+      if (property.pattern && !new RegExp(property.pattern).test(value)) {
+        return problem('limit', `must match ${property.pattern}`);
+      }
+      if (value.length > property.maxLength) {
+        return problem('limit', `must be at most ${property.maxLength} characters`);
+      }
+      return [];
+    case 'boolean':
+      return typeof value === 'boolean' ? [] : problem('type', 'must be true or false');
+    case 'integer':
+      return Number.isInteger(value) ? [] : problem('type', 'must be a whole number');
+    case 'array':
+      if (!Array.isArray(value) || !value.every(item => typeof item === 'string')) {
+        return problem('type', 'must be an array of strings');
+      }
+      if (value.length > property.maxItems) return problem('limit', `may have at most ${property.maxItems} entries`);
+      return [];
+    case 'object':
+      if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+        return problem('type', 'must be an object');
+      }
+      return checkObject(value, property, `${name}.`);
+    default:
+      return [];
+  }
+}
+
+function checkObject(object, definition, prefix = '') {
+  const problems = [];
+
+  for (const name of definition.required || []) {
+    if (object[name] === undefined || object[name] === null || object[name] === '') {
+      problems.push({ kind: 'type', message: `${prefix}${name} is required` });
+    }
+  }
+
+  for (const [name, value] of Object.entries(object)) {
+    const property = definition.properties[name];
+    if (!property) {
+      problems.push({ kind: 'unknown', message: `Unknown field: ${prefix}${name}` });
+    } else if (value !== undefined && value !== null) {
+      problems.push(...checkValue(`${prefix}${name}`, value, property));
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Check a stored bookmark against the schema. Missing fields, wrong types and
+ * unknown enum values are errors; limits, formats and unknown fields are only
+ * warnings, since older imports stored what the pages gave them.
+ * @param {object} bookmark
+ * @returns {{errors: string[], warnings: string[]}}
+ */
+function validateBookmark(bookmark) {
+  const problems = checkObject(bookmark, schema);
+  return {
+    errors: problems.filter(p => p.kind === 'type').map(p => p.message),
+    warnings: problems.filter(p => p.kind !== 'type').map(p => p.message),
+  };
+}
+
+module.exports = {
+  schema,
+  normalizeUrl,
+  detectContentType,
+  isHttpUrl,
+  withCrypto,
+  checkValue,
+  validateBookmark,
+};
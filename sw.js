@@ -0,0 +1,55 @@
+/**
+ * Hipervínculos - Service Worker
+ * Keeps the app shell available offline so the installed app (and the share
+ * target) always opens. Pages and bookmarks come from the network first and
+ * fall back to the last copy seen.
+ */
+
+const CACHE = 'hipervinculos-v1';
+
+const APP_SHELL = [
+  './',
+  'index.html',
+  'capture.html',
+  'manifest.webmanifest',
+  'assets/styles.css',
+  'assets/capture.css',
+  'assets/app.js',
+  'assets/capture.js',
+  'assets/icons/icon.svg',
+  'assets/icons/icon-192.png'
+];
+
+self.addEventListener('install', event => {
+  event.waitUntil(
+    caches.open(CACHE).then(cache => cache.addAll(APP_SHELL))
+  );
+  self.skipWaiting();
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil(
+    caches.keys().then(keys => Promise.all(
+      keys.filter(key => key !== CACHE).map(key => caches.delete(key))
+    ))
+  );
+  self.clients.claim();
+});
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  // Saves go to the worker, on another origin; leave them alone
+  if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+  event.respondWith(
+    fetch(request)
+      .then(response => {
+        if (response.ok) {
+          const copy = response.clone();
+          caches.open(CACHE).then(cache => cache.put(request, copy));
+        }
+        return response;
+      })
+      .catch(() => caches.match(request, { ignoreSearch: true }))
+  );
+});
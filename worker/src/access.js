@@ -0,0 +1,68 @@
+/**
+ * Parse the ALLOWED_USERS setting: Telegram user or chat IDs separated by
+ * commas or whitespace. Group chats have negative IDs.
+ * @param {string|undefined} value
+ * @returns {Set<string>}
+ */
+export function parseAllowlist(value) {
+  return new Set((value || '').split(/[\s,]+/).filter(Boolean));
+}
+
+// Whether this isolate has already warned about an empty ALLOWED_USERS
+let warnedEmptyAllowlist = false;
+
+/**
+ * Check whether a Telegram user may use the bot, either because their user ID
+ * or the chat they write from is on the allowlist. An empty allowlist lets
+ * no one in, like EMAIL_ALLOWED_SENDERS: the rejection tells the owner their
+ * ID to add.
+ * @param {object} env
+ * @param {{userId?: number, chatId?: number}} sender
+ * @returns {boolean}
+ */
+export function isAllowed(env, { userId, chatId }) {
+  const allowlist = parseAllowlist(env.ALLOWED_USERS);
+  if (allowlist.size === 0) {
+    if (!warnedEmptyAllowlist) {
+      console.warn('ALLOWED_USERS is not set; refusing every Telegram user until it is');
+      warnedEmptyAllowlist = true;
+    }
+    return false;
+  }
+
+  return [userId, chatId].some(id => id !== undefined && allowlist.has(String(id)));
+}
+
+/**
+ * Who saved a bookmark, as stored in its `added_by` field
+ * @param {object|undefined} from - Telegram User object
+ * @returns {{id: number, name: string, username?: string}|undefined}
+ */
+export function describeUser(from) {
+  if (!from) return undefined;
+
+  const name = [from.first_name, from.last_name].filter(Boolean).join(' ');
+  return {
+    id: from.id,
+    name: name || (from.username ? `@${from.username}` : String(from.id)),
+    ...(from.username ? { username: from.username } : {}),
+  };
+}
+
+/**
+ * Check a token given by a client (the API, the bookmarklet) against the
+ * API_TOKEN secret. Nothing matches while API_TOKEN is not set.
+ * @param {string|undefined} given
+ * @param {string|undefined} token - API_TOKEN
+ * @returns {boolean}
+ */
+export function tokenMatches(given, token) {
+  if (!token || !given || given.length !== token.length) return false;
+
+  // Compare every character so the time taken does not give the token away
+  let difference = 0;
+  for (let i = 0; i < token.length; i++) {
+    difference |= token.charCodeAt(i) ^ given.charCodeAt(i);
+  }
+  return difference === 0;
+}
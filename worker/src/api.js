@@ -0,0 +1,383 @@
+import { Hono } from 'hono';
+import { cors } from 'hono/cors';
+import { InvalidUrlError } from './metadata.js';
+import { GitHubAdapter } from './github.js';
+import { prepareBookmark } from './save.js';
+import {
+  findBookmark,
+  findDuplicate,
+  normalizeTags,
+  isUnread,
+  isTrashed,
+  SORTS,
+  parseSearchQuery,
+  searchBookmarks,
+  BookmarkNotFoundError,
+  AmbiguousIdError,
+} from './bookmarks.js';
+import { tokenMatches } from './access.js';
+import {
+  CONTENT_TYPES,
+  READ_STATUSES,
+  WRITABLE_FIELDS,
+  IMPORT_FIELDS,
+  createBookmark,
+  validateFields,
+  validateUrl,
+} from './schema.js';
+import { openApiDocument } from './openapi.js';
+import { WEBHOOK_EVENTS, getWebhooks, addWebhook, removeWebhook, describeWebhook } from './webhooks.js';
+
+const MAX_IMPORT = 500;
+const LIST_LIMIT_DEFAULT = 50;
+const LIST_LIMIT_MAX = 200;
+
+export const api = new Hono();
+
+// Bearer tokens, not cookies, so any origin may call the API (dashboards, editor plugins)
+api.use('*', cors());
+
+// Anyone may read public bookmarks; private ones and every change need the
+// token. A wrong token is refused rather than read as anonymous.
+api.use('*', async (c, next) => {
+  const header = c.req.header('Authorization');
+  const authenticated = isAuthorized(header, c.env.API_TOKEN);
+  if (!authenticated && (header || c.req.method !== 'GET')) {
+    return c.json({ error: 'Unauthorized' }, 401);
+  }
+  c.set('authenticated', authenticated);
+  await next();
+});
+
+// This API as an OpenAPI document, for client generators and API explorers
+api.get('/openapi.json', (c) => c.json(openApiDocument(new URL(c.req.url).origin)));
+
+// List bookmarks (not the trash), filtered and sorted, a page at a time
+api.get('/bookmarks', async (c) => {
+  const { query, errors } = parseListQuery(c.req);
+  if (errors.length) return c.json({ error: 'Invalid query', details: errors }, 400);
+
+  const { bookmarks } = await new GitHubAdapter(c.env).getBookmarkFile();
+  const visible = bookmarks.filter(b => c.get('authenticated') || !b.is_private);
+  const matches = query.q
+    ? searchBookmarks(visible, parseSearchQuery(query.q))
+    : visible.filter(b => !isTrashed(b));
+
+  const sorted = SORTS[query.sort](matches.filter(b => matchesFilters(b, query)));
+
+  let start = 0;
+  if (query.cursor) {
+    start = sorted.findIndex(b => b.id === query.cursor) + 1;
+    if (start === 0) return c.json({ error: 'Invalid query', details: ['cursor is invalid or has expired'] }, 400);
+  }
+  const page = sorted.slice(start, start + query.limit);
+  const more = start + query.limit < sorted.length;
+
+  return c.json({
+    bookmarks: page,
+    total: sorted.length,
+    next_cursor: more ? encodeCursor(page[page.length - 1].id) : null,
+  });
+});
+
+// One bookmark by full ID or unique prefix
+api.get('/bookmarks/:id', async (c) => {
+  const { bookmarks } = await new GitHubAdapter(c.env).getBookmarkFile();
+  // Callers without the token cannot tell private or trashed bookmarks from
+  // missing ones; with it, trashed bookmarks are returned with their deleted_at
+  const visible = c.get('authenticated')
+    ? bookmarks
+    : bookmarks.filter(b => !b.is_private && !isTrashed(b));
+
+  return c.json({ bookmark: findBookmark(visible, c.req.param('id')) });
+});
+
+// Create a bookmark, fetching the page's metadata like the bot does.
+// Fields in the body win over the fetched ones.
+api.post('/bookmarks', async (c) => {
+  const body = await readJson(c);
+  if (!isObject(body)) return c.json({ error: 'Body must be a JSON object' }, 400);
+
+  const { url, ...fields } = body;
+  const errors = [...validateUrl(url), ...validateFields(fields, WRITABLE_FIELDS)];
+  if (errors.length) return c.json({ error: 'Invalid bookmark', details: errors }, 400);
+
+  const github = new GitHubAdapter(c.env);
+  const allowDuplicate = c.req.query('allow_duplicate') === 'true';
+  const { bookmarks } = allowDuplicate ? { bookmarks: [] } : await github.getBookmarkFile();
+
+  let result;
+  try {
+    result = await prepareBookmark(url, bookmarks, { source: 'api', ...cleanFields(fields) });
+  } catch (error) {
+    if (error instanceof InvalidUrlError) {
+      return c.json({ error: 'Invalid bookmark', details: [error.message] }, 400);
+    }
+    throw error;
+  }
+
+  const { bookmark, duplicate } = result;
+  if (duplicate) return c.json({ error: 'Already bookmarked', bookmark: duplicate }, 409);
+
+  await github.saveBookmark(bookmark);
+
+  return c.json({ bookmark }, 201);
+});
+
+// Change some fields of a bookmark; null clears a text field
+api.patch('/bookmarks/:id', async (c) => {
+  const body = await readJson(c);
+  if (!isObject(body)) return c.json({ error: 'Body must be a JSON object' }, 400);
+
+  const errors = 'url' in body
+    ? ['url cannot be changed; save the new URL as another bookmark']
+    : validateFields(body, WRITABLE_FIELDS, { nullable: true });
+  if (!errors.length && Object.keys(body).length === 0) errors.push('Nothing to update');
+  if (errors.length) return c.json({ error: 'Invalid changes', details: errors }, 400);
+
+  const bookmark = await new GitHubAdapter(c.env).updateBookmark(c.req.param('id'), cleanFields(body), 'API');
+  return c.json({ bookmark });
+});
+
+// Move a bookmark to the trash, as /delete does in chat
+api.delete('/bookmarks/:id', async (c) => {
+  const bookmark = await new GitHubAdapter(c.env).trashBookmark(c.req.param('id'));
+  return c.json({ ok: true, bookmark });
+});
+
+// Save many bookmarks in one commit. Pages are not fetched, so bring titles
+// along; invalid entries and URLs already saved are skipped and reported.
+api.post('/import', async (c) => {
+  const body = await readJson(c);
+  const items = Array.isArray(body) ? body : body?.bookmarks;
+  if (!Array.isArray(items)) {
+    return c.json({ error: 'Body must be a JSON array of bookmarks' }, 400);
+  }
+  if (items.length > MAX_IMPORT) {
+    return c.json({ error: `Import at most ${MAX_IMPORT} bookmarks per request` }, 400);
+  }
+
+  const github = new GitHubAdapter(c.env);
+  const { bookmarks: existing } = await github.getBookmarkFile();
+
+  const imported = [];
+  const results = items.map((item, index) => {
+    if (!isObject(item)) return { index, status: 'invalid', errors: ['Bookmark must be an object'] };
+
+    const { url, ...fields } = item;
+    const errors = [...validateUrl(url), ...validateFields(fields, IMPORT_FIELDS)];
+    if (errors.length) return { index, status: 'invalid', errors };
+
+    // Repeats within the same import count as duplicates too
+    const duplicate = findDuplicate([...existing, ...imported], url);
+    if (duplicate) return { index, status: 'duplicate', id: duplicate.id };
+
+    const bookmark = createBookmark(url, { source: 'import', ...cleanFields(fields) });
+    imported.push(bookmark);
+    return { index, status: 'imported', id: bookmark.id };
+  });
+
+  if (imported.length) await github.saveBookmarks(imported);
+
+  const count = status => results.filter(r => r.status === status).length;
+  return c.json({
+    imported: imported.length,
+    duplicates: count('duplicate'),
+    invalid: count('invalid'),
+    results,
+  });
+});
+
+// Outgoing webhooks. Even listing them needs the token: they say where
+// bookmarks are sent.
+api.use('/webhooks/*', async (c, next) => {
+  if (!c.get('authenticated')) return c.json({ error: 'Unauthorized' }, 401);
+  await next();
+});
+
+api.get('/webhooks', async (c) => {
+  const webhooks = await getWebhooks(c.env);
+  return c.json({ webhooks: webhooks.map(describeWebhook) });
+});
+
+// Register a webhook. The answer holds its signing secret, which is not shown again.
+api.post('/webhooks', async (c) => {
+  const body = await readJson(c);
+  if (!isObject(body)) return c.json({ error: 'Body must be a JSON object' }, 400);
+
+  const errors = validateUrl(body.url);
+  if (body.events !== undefined &&
+      (!Array.isArray(body.events) || !body.events.length || body.events.some(e => !WEBHOOK_EVENTS.includes(e)))) {
+    errors.push(`events must be a list of: ${WEBHOOK_EVENTS.join(', ')}`);
+  }
+  if (body.include_private !== undefined && typeof body.include_private !== 'boolean') {
+    errors.push('include_private must be true or false');
+  }
+  if (errors.length) return c.json({ error: 'Invalid webhook', details: errors }, 400);
+
+  const webhook = await addWebhook(c.env, {
+    url: body.url,
+    ...(body.events ? { events: [...new Set(body.events)] } : {}),
+    ...(body.include_private !== undefined ? { include_private: body.include_private } : {}),
+  });
+  return c.json({ webhook }, 201);
+});
+
+api.delete('/webhooks/:id', async (c) => {
+  const id = c.req.param('id');
+  if (!await removeWebhook(c.env, id)) return c.json({ error: 'Webhook not found', id }, 404);
+  return c.json({ ok: true });
+});
+
+api.notFound((c) => c.json({ error: 'Not found' }, 404));
+
+api.onError((error, c) => {
+  if (error instanceof BookmarkNotFoundError) {
+    return c.json({ error: 'Bookmark not found', id: error.bookmarkId }, 404);
+  }
+  if (error instanceof AmbiguousIdError) {
+    return c.json({ error: `ID ${error.bookmarkId} matches ${error.matches} bookmarks; use more of it` }, 400);
+  }
+  if (error.status) {
+    // Octokit request errors: GitHub is down, or the token lacks access
+    console.error('GitHub error:', error);
+    return c.json({ error: 'Could not reach GitHub; try again later' }, 502);
+  }
+  console.error('API error:', error);
+  return c.json({ error: 'Internal server error' }, 500);
+});
+
+/**
+ * Check an `Authorization: Bearer <token>` header against API_TOKEN. Without
+ * an API_TOKEN the API stays closed.
+ * @param {string|undefined} header
+ * @param {string|undefined} token
+ * @returns {boolean}
+ */
+export function isAuthorized(header, token) {
+  const [scheme, given] = (header || '').split(' ');
+  return scheme === 'Bearer' && tokenMatches(given, token);
+}
+
+/**
+ * Read and check the query string of GET /bookmarks
+ * @param {import('hono').HonoRequest} req
+ * @returns {{query: object, errors: string[]}}
+ */
+function parseListQuery(req) {
+  const errors = [];
+  const flag = (name) => {
+    const value = req.query(name);
+    if (value === undefined) return undefined;
+    if (value === 'true' || value === 'false') return value === 'true';
+    errors.push(`${name} must be true or false`);
+  };
+  const date = (name) => {
+    const value = req.query(name);
+    if (value === undefined) return undefined;
+    if (!Number.isNaN(Date.parse(value))) return new Date(value);
+    errors.push(`${name} must be an ISO 8601 date`);
+  };
+
+  const query = {
+    q: (req.query('q') || '').trim(),
+    tags: normalizeTags((req.queries('tag') || []).flatMap(tag => tag.split(','))),
+    type: req.query('type'),
+    read_status: req.query('read_status'),
+    favorite: flag('favorite'),
+    archived: flag('archived'),
+    private: flag('private'),
+    since: date('since'),
+    until: date('until'),
+    limit: req.query('limit') === undefined ? LIST_LIMIT_DEFAULT : Number(req.query('limit')),
+  };
+  query.sort = req.query('sort') || (query.q ? 'relevance' : 'newest');
+
+  if (query.type !== undefined && !CONTENT_TYPES.includes(query.type)) {
+    errors.push(`type must be one of: ${CONTENT_TYPES.join(', ')}`);
+  }
+  if (query.read_status !== undefined && !READ_STATUSES.includes(query.read_status)) {
+    errors.push(`read_status must be one of: ${READ_STATUSES.join(', ')}`);
+  }
+  if (!SORTS[query.sort]) {
+    errors.push(`sort must be one of: ${Object.keys(SORTS).join(', ')}`);
+  } else if (query.sort === 'relevance' && !query.q) {
+    errors.push('sort=relevance needs a q');
+  }
+  if (!Number.isInteger(query.limit) || query.limit < 1 || query.limit > LIST_LIMIT_MAX) {
+    errors.push(`limit must be a whole number from 1 to ${LIST_LIMIT_MAX}`);
+  }
+  if (req.query('cursor') !== undefined) {
+    query.cursor = decodeCursor(req.query('cursor'));
+    if (!query.cursor) errors.push('cursor is invalid or has expired');
+  }
+
+  return { query, errors };
+}
+
+/**
+ * Check a bookmark against the filters of GET /bookmarks
+ * @param {object} bookmark
+ * @param {object} query - As returned by parseListQuery
+ * @returns {boolean}
+ */
+function matchesFilters(bookmark, query) {
+  const tags = (bookmark.tags || []).map(tag => tag.toLowerCase());
+  const savedAt = new Date(bookmark.timestamp);
+
+  return query.tags.every(tag => tags.includes(tag)) &&
+    (!query.type || (bookmark.content_type || 'other') === query.type) &&
+    (!query.read_status || (query.read_status === 'unread' ? isUnread(bookmark) : bookmark.read_status === query.read_status)) &&
+    (query.favorite === undefined || Boolean(bookmark.is_favorite) === query.favorite) &&
+    (query.archived === undefined || Boolean(bookmark.is_archived) === query.archived) &&
+    (query.private === undefined || Boolean(bookmark.is_private) === query.private) &&
+    (!query.since || savedAt >= query.since) &&
+    (!query.until || savedAt < query.until);
+}
+
+// Cursors name the last bookmark of the previous page, so pages stay put when
+// bookmarks are added in the meantime. They are opaque to callers.
+function encodeCursor(id) {
+  return btoa(id).replace(/=+$/, '');
+}
+
+function decodeCursor(cursor) {
+  try {
+    return atob(cursor);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Turn validated input into bookmark fields: tags normalized like in chat,
+ * nulls turned into undefined so the field is dropped, dates made ISO
+ * @param {object} fields
+ * @returns {object}
+ */
+function cleanFields(fields) {
+  const cleaned = {};
+  for (const [name, value] of Object.entries(fields)) {
+    if (value === null) cleaned[name] = undefined;
+    else if (name === 'tags') cleaned.tags = normalizeTags(value);
+    else if (name === 'timestamp') cleaned.timestamp = new Date(value).toISOString();
+    else cleaned[name] = value;
+  }
+  return cleaned;
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Parse the request body, or undefined when it is not JSON
+ * @param {import('hono').Context} c
+ */
+async function readJson(c) {
+  try {
+    return await c.req.json();
+  } catch {
+    return undefined;
+  }
+}
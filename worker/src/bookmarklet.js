@@ -0,0 +1,219 @@
+import { Hono } from 'hono';
+import { html } from 'hono/html';
+import { getCookie, setCookie } from 'hono/cookie';
+import { GitHubAdapter } from './github.js';
+import { InvalidUrlError } from './metadata.js';
+import { normalizeTags } from './bookmarks.js';
+import { tokenMatches } from './access.js';
+import { prepareBookmark, loadForDuplicateCheck, queueForRetry } from './save.js';
+
+const TOKEN_COOKIE = 'hv_token';
+const TOKEN_COOKIE_MAX_AGE = 365 * 24 * 60 * 60;
+// Saved pages close themselves after this long
+const CLOSE_DELAY_MS = 1500;
+// Fields the bookmarklet sends along with the page
+const PAGE_FIELDS = ['url', 'title', 'selection'];
+
+export const bookmarklet = new Hono();
+
+// The bookmarklet opens /save?url=&title=&selection= in a small window. The
+// first time, the API token comes in the query (or from the form below) and is
+// kept in a cookie, so it does not linger in the browser history.
+bookmarklet.get('/', async (c) => {
+  const page = Object.fromEntries(PAGE_FIELDS.map(name => [name, c.req.query(name) || '']));
+
+  const token = c.req.query('token');
+  if (token !== undefined) {
+    if (!tokenMatches(token, c.env.API_TOKEN)) {
+      return c.html(tokenPage(page, true), 401);
+    }
+    setCookie(c, TOKEN_COOKIE, token, {
+      path: '/save',
+      httpOnly: true,
+      secure: true,
+      sameSite: 'Lax',
+      maxAge: TOKEN_COOKIE_MAX_AGE,
+    });
+    return c.redirect(saveUrl(page));
+  }
+
+  if (!tokenMatches(getCookie(c, TOKEN_COOKIE), c.env.API_TOKEN)) {
+    return c.html(tokenPage(page, false), 401);
+  }
+  if (!page.url) {
+    return c.html(installPage(new URL(c.req.url).origin));
+  }
+  if (!isWebUrl(page.url)) {
+    return c.html(messagePage('Cannot save this page', 'Only http and https pages can be bookmarked.'), 400);
+  }
+  return c.html(confirmPage(page));
+});
+
+// The confirmation form posts here. Only the cookie is accepted, and only from
+// this origin, so other sites cannot save bookmarks through a logged-in browser.
+bookmarklet.post('/', async (c) => {
+  const origin = c.req.header('Origin');
+  if (!tokenMatches(getCookie(c, TOKEN_COOKIE), c.env.API_TOKEN) ||
+      (origin && origin !== new URL(c.req.url).origin)) {
+    return c.html(messagePage('Not allowed', 'Open the bookmarklet again to sign in.'), 403);
+  }
+
+  const form = await c.req.parseBody();
+  const url = String(form.url || '').trim();
+  const title = String(form.title || '').trim();
+  const notes = String(form.notes || '').trim();
+  const tags = normalizeTags(String(form.tags || '').split(/[\s,]+/));
+
+  const existing = form.allow_duplicate ? [] : await loadForDuplicateCheck(c.env);
+  let result;
+  try {
+    result = await prepareBookmark(url, existing, {
+      source: 'bookmarklet',
+      tags,
+      ...(title ? { title } : {}),
+      ...(notes ? { notes } : {}),
+    });
+  } catch (error) {
+    if (error instanceof InvalidUrlError) {
+      return c.html(messagePage('Cannot save this page', 'Only http and https pages can be bookmarked.'), 400);
+    }
+    throw error;
+  }
+
+  const { bookmark, duplicate } = result;
+  if (duplicate) {
+    return c.html(duplicatePage(duplicate, { url, title, notes, tags: tags.join(', ') }), 409);
+  }
+
+  try {
+    await new GitHubAdapter(c.env).saveBookmark(bookmark);
+  } catch (error) {
+    await queueForRetry(bookmark, error, c.env);
+    return c.html(messagePage('⏳ Queued', `GitHub is not answering; “${bookmark.title || bookmark.url}” will be saved within the hour.`), 202);
+  }
+
+  return c.html(savedPage(bookmark), 201);
+});
+
+bookmarklet.onError((error, c) => {
+  console.error('Bookmarklet error:', error);
+  return c.html(messagePage('Something went wrong', 'The bookmark was not saved. Please try again.'), 500);
+});
+
+function isWebUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
+
+function saveUrl(page) {
+  const params = new URLSearchParams(Object.entries(page).filter(([, value]) => value));
+  const query = params.toString();
+  return query ? `/save?${query}` : '/save';
+}
+
+/**
+ * The javascript: link users drag to their bookmarks bar
+ * @param {string} origin - This worker's origin
+ * @returns {string}
+ */
+export function bookmarkletCode(origin) {
+  // Long selections are cut so the URL stays within browser limits
+  return `javascript:(function(){window.open('${origin}/save?url='+encodeURIComponent(location.href)` +
+    "+'&title='+encodeURIComponent(document.title)" +
+    "+'&selection='+encodeURIComponent(String(getSelection()).slice(0,2000))" +
+    ",'hipervinculos','width=480,height=600')})()";
+}
+
+function layout(title, body) {
+  return html`<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <meta name="robots" content="noindex">
+  <title>${title} · Hipervínculos</title>
+  <style>
+    body { font: 15px/1.5 system-ui, sans-serif; max-width: 28rem; margin: 1.5rem auto; padding: 0 1rem; color: #222; }
+    h1 { font-size: 1.2rem; }
+    label { display: block; margin-top: 0.8rem; font-weight: 600; }
+    input, textarea { width: 100%; box-sizing: border-box; padding: 0.4rem; font: inherit; }
+    textarea { min-height: 5rem; }
+    button { margin-top: 1rem; padding: 0.5rem 1.2rem; font: inherit; cursor: pointer; }
+    .url { color: #666; word-break: break-all; font-size: 0.9rem; }
+    .error { color: #b00020; }
+  </style>
+</head>
+<body>
+${body}
+</body>
+</html>`;
+}
+
+function tokenPage(page, wrong) {
+  return layout('Sign in', html`
+  <h1>Sign in</h1>
+  <p>Paste the worker's API token once; this browser will remember it.</p>
+  ${wrong ? html`<p class="error">That token is not right.</p>` : ''}
+  <form method="get" action="/save">
+    ${PAGE_FIELDS.map(name => html`<input type="hidden" name="${name}" value="${page[name]}">`)}
+    <label for="token">API token</label>
+    <input id="token" name="token" type="password" autocomplete="current-password" required autofocus>
+    <button type="submit">Continue</button>
+  </form>`);
+}
+
+function installPage(origin) {
+  return layout('Bookmarklet', html`
+  <h1>Save pages from your browser</h1>
+  <p>Drag this link to your bookmarks bar, then click it on any page:</p>
+  <p><a href="${bookmarkletCode(origin)}">🔖 Save to Hipervínculos</a></p>
+  <p>Select some text first to keep it as a note.</p>`);
+}
+
+function confirmPage({ url, title, selection }) {
+  return layout('Save', html`
+  <h1>Save bookmark</h1>
+  <form method="post" action="/save">
+    <input type="hidden" name="url" value="${url}">
+    <p class="url">${url}</p>
+    <label for="title">Title</label>
+    <input id="title" name="title" value="${title}">
+    <label for="tags">Tags</label>
+    <input id="tags" name="tags" placeholder="rust, to-read" autofocus>
+    <label for="notes">Notes</label>
+    <textarea id="notes" name="notes">${selection}</textarea>
+    <button type="submit">Save</button>
+  </form>`);
+}
+
+function duplicatePage(existing, { url, title, notes, tags }) {
+  return layout('Already saved', html`
+  <h1>Already saved</h1>
+  <p>“${existing.title || existing.url}” is already in your bookmarks.</p>
+  <form method="post" action="/save">
+    <input type="hidden" name="url" value="${url}">
+    <input type="hidden" name="title" value="${title}">
+    <input type="hidden" name="tags" value="${tags}">
+    <input type="hidden" name="notes" value="${notes}">
+    <input type="hidden" name="allow_duplicate" value="1">
+    <button type="submit">Save anyway</button>
+    <button type="button" onclick="window.close()">Close</button>
+  </form>`);
+}
+
+function savedPage(bookmark) {
+  return layout('Saved', html`
+  <h1>✅ Saved</h1>
+  <p>${bookmark.title || bookmark.url}</p>
+  ${bookmark.tags.length ? html`<p>${bookmark.tags.map(tag => `#${tag}`).join(' ')}</p>` : ''}
+  <script>setTimeout(() => window.close(), ${CLOSE_DELAY_MS});</script>`);
+}
+
+function messagePage(title, message) {
+  return layout(title, html`
+  <h1>${title}</h1>
+  <p>${message}</p>`);
+}
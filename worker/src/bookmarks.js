@@ -0,0 +1,262 @@
+import { normalizeUrl, hashUrl } from './url.js';
+
+export class BookmarkNotFoundError extends Error {
+  constructor(id) {
+    super(`Bookmark not found: ${id}`);
+    this.name = 'BookmarkNotFoundError';
+    this.bookmarkId = id;
+  }
+}
+
+export class AmbiguousIdError extends Error {
+  constructor(id, matches) {
+    super(`ID ${id} matches ${matches} bookmarks`);
+    this.name = 'AmbiguousIdError';
+    this.bookmarkId = id;
+    this.matches = matches;
+  }
+}
+
+/**
+ * Find a bookmark by full UUID or by a unique ID prefix (as shown in chat)
+ * @param {object[]} bookmarks
+ * @param {string} id - Full ID or prefix
+ * @returns {object}
+ * @throws {BookmarkNotFoundError|AmbiguousIdError}
+ */
+export function findBookmark(bookmarks, id) {
+  const needle = (id || '').trim().toLowerCase();
+  if (!needle) throw new BookmarkNotFoundError(id);
+
+  const exact = bookmarks.find(b => b.id.toLowerCase() === needle);
+  if (exact) return exact;
+
+  const matches = bookmarks.filter(b => b.id.toLowerCase().startsWith(needle));
+  if (matches.length === 0) throw new BookmarkNotFoundError(id);
+  if (matches.length > 1) throw new AmbiguousIdError(id, matches.length);
+  return matches[0];
+}
+
+/**
+ * Find an existing (non-trashed) bookmark for the same URL, comparing the
+ * normalized URL and the stored url_normalized/url_hash fields
+ * @param {object[]} bookmarks
+ * @param {string} url
+ * @returns {object|undefined}
+ */
+export function findDuplicate(bookmarks, url) {
+  const normalized = normalizeUrl(url);
+  const hashes = new Set([hashUrl(url), hashUrl(normalized)]);
+
+  return bookmarks.find(b =>
+    !isTrashed(b) && (
+      (b.url_hash && hashes.has(b.url_hash)) ||
+      (b.url && normalizeUrl(b.url) === normalized) ||
+      (b.url_normalized && normalizeUrl(b.url_normalized) === normalized)
+    )
+  );
+}
+
+/**
+ * Normalize user-typed tags: lowercase, no leading #, no duplicates
+ * @param {string[]} tags
+ * @returns {string[]}
+ */
+export function normalizeTags(tags) {
+  const normalized = tags
+    .map(t => t.trim().replace(/^#+/, '').toLowerCase())
+    .filter(Boolean);
+  return [...new Set(normalized)];
+}
+
+// Inline flags accepted next to a shared link, and the fields they set
+const SHARE_FLAGS = {
+  '!fav': { is_favorite: true },
+  '!favorite': { is_favorite: true },
+  '!private': { is_private: true },
+  '!read': { read_status: 'read' },
+};
+
+const HASHTAG_REGEX = /(?:^|\s)#([\p{L}\p{N}_+-]+)/gu;
+
+/**
+ * Turn the text shared along with a link (URLs already removed) into bookmark
+ * fields: #hashtags become tags, !flags set favorite/private/read, and whatever
+ * is left is kept as the note.
+ * @param {string} text
+ * @returns {{tags?: string[], notes?: string, is_favorite?: boolean, is_private?: boolean, read_status?: string}}
+ */
+export function parseShareText(text) {
+  const fields = {};
+
+  const tags = [...(text || '').matchAll(HASHTAG_REGEX)].map(m => m[1]);
+  if (tags.length) fields.tags = normalizeTags(tags);
+
+  const notes = (text || '')
+    .replace(HASHTAG_REGEX, ' ')
+    .split('\n')
+    .map(line => line
+      .split(/\s+/)
+      .filter(word => {
+        const flag = SHARE_FLAGS[word.toLowerCase()];
+        if (flag) Object.assign(fields, flag);
+        return word && !flag;
+      })
+      .join(' '))
+    .filter(Boolean)
+    .join('\n');
+  // Leftover punctuation ("#rust." or "- ") is not a note
+  if (/[\p{L}\p{N}]/u.test(notes)) fields.notes = notes;
+
+  return fields;
+}
+
+/**
+ * Check whether a bookmark still needs reading
+ * @param {object} bookmark
+ * @returns {boolean}
+ */
+export function isUnread(bookmark) {
+  return bookmark.read_status === 'unread' || !bookmark.read_status;
+}
+
+/**
+ * Check whether a bookmark has been moved to the trash
+ * @param {object} bookmark
+ * @returns {boolean}
+ */
+export function isTrashed(bookmark) {
+  return Boolean(bookmark.deleted_at);
+}
+
+/**
+ * Sort bookmarks newest first (does not mutate the input)
+ * @param {object[]} bookmarks
+ * @returns {object[]}
+ */
+export function sortNewest(bookmarks) {
+  return [...bookmarks].sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+}
+
+// Orders for the API's GET /bookmarks (and its OpenAPI document); relevance
+// keeps the order of searchBookmarks and is the default with a q
+export const SORTS = {
+  newest: sortNewest,
+  oldest: bookmarks => sortNewest(bookmarks).reverse(),
+  updated: bookmarks => [...bookmarks].sort((a, b) => updatedAt(b) - updatedAt(a)),
+  title: bookmarks => [...bookmarks].sort((a, b) => (a.title || a.url).localeCompare(b.title || b.url)),
+  relevance: bookmarks => bookmarks,
+};
+
+function updatedAt(bookmark) {
+  return new Date(bookmark.modified_timestamp || bookmark.timestamp);
+}
+
+/**
+ * Slice a list into a 1-based page, clamping out-of-range page numbers
+ * @param {object[]} items
+ * @param {number} page
+ * @param {number} pageSize
+ * @returns {{items: object[], page: number, totalPages: number, total: number, pageSize: number}}
+ */
+export function paginate(items, page, pageSize) {
+  const totalPages = Math.max(1, Math.ceil(items.length / pageSize));
+  const current = Math.min(Math.max(1, page || 1), totalPages);
+  const start = (current - 1) * pageSize;
+
+  return {
+    items: items.slice(start, start + pageSize),
+    page: current,
+    totalPages,
+    total: items.length,
+    pageSize,
+  };
+}
+
+// Searchable fields and their weight in the ranking
+const SEARCH_FIELDS = [
+  ['title', 5],
+  ['tags', 4],
+  ['site_name', 3],
+  ['description', 2],
+  ['notes', 2],
+];
+
+const CONTENT_TYPES = ['article', 'video', 'image', 'pdf', 'code', 'tweet', 'other'];
+
+/**
+ * Split a search query into free-text terms and filters.
+ * Supported filters: type:<content_type>, is:unread, is:favorite (is:fav)
+ * @param {string} query
+ * @returns {{terms: string[], filters: {type?: string, unread?: boolean, favorite?: boolean}}}
+ */
+export function parseSearchQuery(query) {
+  const terms = [];
+  const filters = {};
+
+  for (const token of (query || '').toLowerCase().split(/\s+/).filter(Boolean)) {
+    const [key, value] = token.split(':');
+    if (key === 'type' && CONTENT_TYPES.includes(value)) {
+      filters.type = value;
+    } else if (key === 'is' && value === 'unread') {
+      filters.unread = true;
+    } else if (key === 'is' && (value === 'favorite' || value === 'fav')) {
+      filters.favorite = true;
+    } else {
+      terms.push(token);
+    }
+  }
+
+  return { terms, filters };
+}
+
+/**
+ * Score how well a bookmark matches the search terms.
+ * Every term must match at least one field; returns 0 when any term is missing.
+ * @param {object} bookmark
+ * @param {string[]} terms - Lowercased search terms
+ * @returns {number}
+ */
+function scoreBookmark(bookmark, terms) {
+  let total = 0;
+
+  for (const term of terms) {
+    let termScore = 0;
+    for (const [field, weight] of SEARCH_FIELDS) {
+      const value = bookmark[field];
+      if (Array.isArray(value)) {
+        const tags = value.map(v => String(v).toLowerCase());
+        if (tags.includes(term)) termScore += weight * 2;
+        else if (tags.some(t => t.includes(term))) termScore += weight;
+      } else if (typeof value === 'string' && value.toLowerCase().includes(term)) {
+        termScore += weight;
+      }
+    }
+    if (termScore === 0) return 0;
+    total += termScore;
+  }
+
+  return total;
+}
+
+/**
+ * Search bookmarks by text and filters, best matches first (newest first on ties).
+ * Trashed bookmarks never match.
+ * @param {object[]} bookmarks
+ * @param {{terms: string[], filters: object}} query - As returned by parseSearchQuery
+ * @returns {object[]}
+ */
+export function searchBookmarks(bookmarks, { terms, filters }) {
+  const filtered = bookmarks.filter(b =>
+    !isTrashed(b) &&
+    (!filters.type || (b.content_type || 'other') === filters.type) &&
+    (!filters.unread || isUnread(b)) &&
+    (!filters.favorite || b.is_favorite)
+  );
+
+  return sortNewest(filtered)
+    .map(bookmark => ({ bookmark, score: terms.length ? scoreBookmark(bookmark, terms) : 1 }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score)
+    .map(({ bookmark }) => bookmark);
+}
@@ -0,0 +1,107 @@
+import { isUnread, isTrashed } from './bookmarks.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Hours between digests for each frequency
+const PERIOD_HOURS = {
+  daily: 24,
+  weekly: 24 * 7,
+};
+
+export const DIGEST_FREQUENCIES = ['off', ...Object.keys(PERIOD_HOURS)];
+export const DIGEST_MODES = ['unread', 'rediscover'];
+export const DIGEST_MAX_SIZE = 10;
+export const SNOOZE_DAYS = 7;
+
+// Digest settings for a chat that has not configured one (stored under settings.digest)
+export const DEFAULT_DIGEST = {
+  frequency: 'off',
+  // Hour of the day (UTC) at which the digest is sent
+  hour: 8,
+  size: 5,
+  mode: 'unread',
+};
+
+/**
+ * Check whether a chat's digest should go out on this cron run. The cron runs
+ * hourly, so a digest is due in its configured hour once a full period has
+ * passed since the last one (with an hour of slack for cron drift).
+ * @param {object} digest - Chat digest settings
+ * @param {Date} now
+ * @returns {boolean}
+ */
+export function isDigestDue(digest, now) {
+  const period = PERIOD_HOURS[digest.frequency];
+  if (!period || now.getUTCHours() !== digest.hour) return false;
+  if (!digest.last_sent) return true;
+
+  return now - new Date(digest.last_sent) >= (period - 1) * HOUR_MS;
+}
+
+/**
+ * Choose the bookmarks for a digest: the oldest unread ones, or a random
+ * "rediscover" pick from the archive. Trashed and snoozed bookmarks are skipped.
+ * @param {object[]} bookmarks
+ * @param {object} digest - Chat digest settings
+ * @param {Object<string, string>} snoozed - Bookmark ID to ISO date it is snoozed until
+ * @param {Date} now
+ * @param {() => number} [random] - Random number source, for tests
+ * @returns {object[]}
+ */
+export function pickDigestItems(bookmarks, digest, snoozed, now, random = Math.random) {
+  const available = bookmarks.filter(b =>
+    !isTrashed(b) && !(snoozed[b.id] && new Date(snoozed[b.id]) > now)
+  );
+
+  if (digest.mode === 'rediscover') {
+    const archived = available.filter(b => b.is_archived);
+    // Partial Fisher-Yates shuffle: only the first `size` picks are needed
+    for (let i = 0; i < Math.min(digest.size, archived.length); i++) {
+      const j = i + Math.floor(random() * (archived.length - i));
+      [archived[i], archived[j]] = [archived[j], archived[i]];
+    }
+    return archived.slice(0, digest.size);
+  }
+
+  return available
+    .filter(b => isUnread(b) && !b.is_archived)
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+    .slice(0, digest.size);
+}
+
+function snoozedKey(chatId) {
+  return `snoozed:${chatId}`;
+}
+
+/**
+ * Load the bookmarks a chat has snoozed, as bookmark ID to ISO date
+ * @param {object} env
+ * @param {number|string} chatId
+ * @returns {Promise<Object<string, string>>}
+ */
+export async function getSnoozed(env, chatId) {
+  const raw = await env.RETRY_QUEUE.get(snoozedKey(chatId));
+  return raw ? JSON.parse(raw) : {};
+}
+
+/**
+ * Keep a bookmark out of a chat's digests for SNOOZE_DAYS. Expired snoozes
+ * are dropped at the same time so the list does not grow forever.
+ * @param {object} env
+ * @param {number|string} chatId
+ * @param {string} id - Bookmark ID
+ * @param {Date} [now]
+ * @returns {Promise<string>} ISO date the snooze ends
+ */
+export async function snoozeBookmark(env, chatId, id, now = new Date()) {
+  const until = new Date(now.getTime() + SNOOZE_DAYS * DAY_MS).toISOString();
+  const active = Object.entries(await getSnoozed(env, chatId))
+    .filter(([, date]) => new Date(date) > now);
+
+  await env.RETRY_QUEUE.put(
+    snoozedKey(chatId),
+    JSON.stringify({ ...Object.fromEntries(active), [id]: until })
+  );
+  return until;
+}
@@ -0,0 +1,316 @@
+import * as cheerio from 'cheerio';
+import { GitHubAdapter } from './github.js';
+import { InvalidUrlError } from './metadata.js';
+import { parseShareText } from './bookmarks.js';
+import { normalizeUrl, extractUrls } from './url.js';
+import { prepareBookmark, loadForDuplicateCheck, queueForRetry } from './save.js';
+
+// Newsletters carry dozens of links; +all saves at most this many
+const MAX_LINKS = 20;
+const NOTES_MAX_LENGTH = 2000;
+const SUBJECT_PREFIX = /^(\s*(re|fwd?|rv|reenv)\s*:\s*)+/i;
+// Links that come with every newsletter and are never worth saving
+const NOISE_LINK = /unsubscribe|optout|opt-out|email-preferences|manage[-_ ]?subscription|view[-_ ]?in[-_ ]?browser|\.(png|jpe?g|gif|webp)(\?|$)/i;
+const NOISE_TEXT = /unsubscribe|preferences|view (it |this )?in (your )?browser|darse de baja/i;
+
+/**
+ * Parse the EMAIL_ALLOWED_SENDERS setting: addresses, or `@domain` for a
+ * whole domain, separated by commas or whitespace
+ * @param {string|undefined} value
+ * @returns {string[]}
+ */
+export function parseSenderAllowlist(value) {
+  return (value || '').split(/[\s,]+/).filter(Boolean).map(entry => entry.toLowerCase());
+}
+
+/**
+ * Check whether mail from this address may save bookmarks. Unlike the
+ * Telegram allowlist, an empty list lets no one in: anyone can send email.
+ * @param {object} env
+ * @param {string} address - Envelope sender
+ * @returns {boolean}
+ */
+export function isAllowedSender(env, address) {
+  const sender = (address || '').toLowerCase();
+  const domain = sender.slice(sender.lastIndexOf('@'));
+
+  return parseSenderAllowlist(env.EMAIL_ALLOWED_SENDERS)
+    .some(entry => entry === sender || (entry.startsWith('@') && entry === domain));
+}
+
+/**
+ * Handle a message from Cloudflare Email Routing. Mail to the plain address
+ * saves the email's main link, with the subject as title and the body as
+ * notes; mail to the +all subaddress saves every link, each with its page
+ * title and the subject as note. Rejected mail bounces with the reason.
+ * @param {{from: string, to: string, raw: ReadableStream, setReject: (reason: string) => void}} message
+ * @param {object} env
+ */
+export async function handleEmail(message, env) {
+  if (!isAllowedSender(env, message.from)) {
+    console.warn('Rejected email: sender not on the allowlist');
+    message.setReject('This address does not accept mail from you');
+    return;
+  }
+
+  const email = parseEmail(new Uint8Array(await new Response(message.raw).arrayBuffer()));
+  const links = extractLinks(email);
+  if (!links.length) {
+    message.setReject('No links found in the message');
+    return;
+  }
+
+  const saveAll = /\+all@/i.test(message.to || '');
+  const subject = email.subject.replace(SUBJECT_PREFIX, '').trim();
+  // added_by is public (the data file, the read API, the site), so no part of the address is kept
+  const addedBy = { name: email.from.name || 'email' };
+
+  let fields;
+  if (saveAll) {
+    fields = subject ? { notes: subject } : {};
+  } else {
+    // The body works like the text sent along with a link in chat: #tags and !flags apply
+    const { notes, ...rest } = parseShareText(removeUrls(bodyText(email), links));
+    fields = {
+      ...rest,
+      ...(subject ? { title: subject } : {}),
+      ...(notes ? { notes: truncate(notes, NOTES_MAX_LENGTH) } : {}),
+    };
+  }
+
+  const existing = await loadForDuplicateCheck(env);
+  const bookmarks = [];
+  for (const url of saveAll ? links.slice(0, MAX_LINKS) : links.slice(0, 1)) {
+    try {
+      const { bookmark, duplicate } = await prepareBookmark(url, existing, {
+        source: 'email',
+        ...fields,
+        added_by: addedBy,
+      });
+      if (duplicate) {
+        console.log(`Email link already bookmarked: ${url} (${duplicate.id})`);
+        continue;
+      }
+      existing.push(bookmark);
+      bookmarks.push(bookmark);
+    } catch (error) {
+      if (!(error instanceof InvalidUrlError)) throw error;
+    }
+  }
+  if (!bookmarks.length) return;
+
+  try {
+    await new GitHubAdapter(env).saveBookmarks(bookmarks);
+    console.log(`Saved ${bookmarks.length} bookmark(s) from email`);
+  } catch (error) {
+    for (const bookmark of bookmarks) {
+      await queueForRetry(bookmark, error, env);
+    }
+  }
+}
+
+/**
+ * Links worth saving from an email, main link first. The plain-text part is
+ * what a person wrote, so its links win; HTML-only mail (most newsletters)
+ * falls back to its anchors. Unsubscribe links and images are dropped.
+ * @param {{text: string, html: string}} email - As returned by parseEmail
+ * @returns {string[]}
+ */
+export function extractLinks(email) {
+  let links = extractUrls(email.text).map(url => ({ url, text: '' }));
+
+  if (!links.length && email.html) {
+    const $ = cheerio.load(email.html);
+    links = $('a[href]').toArray().map(a => ({ url: $(a).attr('href').trim(), text: $(a).text() }));
+  }
+
+  const seen = new Set();
+  return links
+    .filter(({ url, text }) => /^https?:\/\//i.test(url) && !NOISE_LINK.test(url) && !NOISE_TEXT.test(text))
+    .map(({ url }) => url)
+    .filter(url => {
+      const key = normalizeUrl(url);
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+/**
+ * Parse a raw RFC 5322 message into the parts the handler needs. Multipart
+ * messages are searched for the first text/plain and text/html parts,
+ * including inside forwarded messages; attachments are skipped.
+ * @param {Uint8Array|string} raw - The message bytes, or its text
+ * @returns {{subject: string, from: {name: string, address: string}, text: string, html: string}}
+ */
+export function parseEmail(raw) {
+  // Work on bytes (one char per byte) so each part can be decoded in its own charset
+  const binary = toBinaryString(raw);
+  const { headers } = splitMessage(binary);
+  const content = { text: '', html: '' };
+  collectContent(binary, content);
+
+  return {
+    subject: decodeHeader(headers.subject || ''),
+    from: parseAddress(decodeHeader(headers.from || '')),
+    text: content.text,
+    html: content.html,
+  };
+}
+
+function collectContent(binary, content) {
+  const { headers, body } = splitMessage(binary);
+  const { value: type, params } = parseHeaderValue(headers['content-type'] || 'text/plain');
+  const disposition = parseHeaderValue(headers['content-disposition'] || '').value;
+
+  if (type.startsWith('multipart/') && params.boundary) {
+    for (const part of splitMultipart(body, params.boundary)) {
+      collectContent(part, content);
+    }
+  } else if (type === 'message/rfc822') {
+    collectContent(body, content);
+  } else if (disposition !== 'attachment' && (type === 'text/plain' || type === 'text/html')) {
+    const key = type === 'text/plain' ? 'text' : 'html';
+    if (!content[key]) {
+      content[key] = decodeBody(body, headers['content-transfer-encoding'], params.charset);
+    }
+  }
+}
+
+function splitMessage(binary) {
+  const match = /\r?\n\r?\n/.exec(binary);
+  const head = match ? binary.slice(0, match.index) : binary;
+  const body = match ? binary.slice(match.index + match[0].length) : '';
+
+  const headers = {};
+  for (const line of head.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/)) {
+    const colon = line.indexOf(':');
+    if (colon <= 0) continue;
+    const name = line.slice(0, colon).trim().toLowerCase();
+    if (!(name in headers)) headers[name] = line.slice(colon + 1).trim();
+  }
+  return { headers, body };
+}
+
+function splitMultipart(body, boundary) {
+  const parts = [];
+  const lines = body.split(/\r?\n/);
+  let current = null;
+
+  for (const line of lines) {
+    if (line.startsWith(`--${boundary}--`)) break;
+    if (line.startsWith(`--${boundary}`)) {
+      if (current) parts.push(current.join('\n'));
+      current = [];
+    } else if (current) {
+      current.push(line);
+    }
+  }
+  if (current) parts.push(current.join('\n'));
+  return parts;
+}
+
+/**
+ * Split `type/subtype; key=value; key="value"` into its value and parameters
+ * @param {string} header
+ * @returns {{value: string, params: object}}
+ */
+function parseHeaderValue(header) {
+  const [value, ...rest] = header.split(';');
+  const params = {};
+  for (const param of rest) {
+    const equals = param.indexOf('=');
+    if (equals <= 0) continue;
+    params[param.slice(0, equals).trim().toLowerCase()] = param.slice(equals + 1).trim().replace(/^"(.*)"$/, '$1');
+  }
+  return { value: value.trim().toLowerCase(), params };
+}
+
+function decodeBody(body, encoding, charset) {
+  switch ((encoding || '').toLowerCase()) {
+    case 'base64':
+      return decodeBytes(atob(body.replace(/[^A-Za-z0-9+/=]/g, '')), charset);
+    case 'quoted-printable':
+      return decodeBytes(decodeQuotedPrintable(body), charset);
+    default:
+      return decodeBytes(body, charset);
+  }
+}
+
+function decodeQuotedPrintable(text) {
+  return text
+    .replace(/=\r?\n/g, '')
+    .replace(/=([0-9A-F]{2})/gi, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+}
+
+/**
+ * Decode RFC 2047 encoded words (`=?UTF-8?Q?Caf=C3=A9?=`) and raw UTF-8 in a header
+ * @param {string} value
+ * @returns {string}
+ */
+function decodeHeader(value) {
+  return value
+    .replace(/(=\?[^?]+\?[BQ]\?[^?]*\?=)\s+(?==\?)/gi, '$1')
+    .split(/(=\?[^?]+\?[BQ]\?[^?]*\?=)/i)
+    .map(chunk => {
+      const word = /^=\?([^?*]+)(?:\*[^?]*)?\?([BQ])\?([^?]*)\?=$/i.exec(chunk);
+      if (!word) return decodeBytes(chunk, 'utf-8');
+      const [, charset, encoding, text] = word;
+      const bytes = encoding.toUpperCase() === 'B'
+        ? atob(text)
+        : decodeQuotedPrintable(text.replace(/_/g, ' '));
+      return decodeBytes(bytes, charset);
+    })
+    .join('');
+}
+
+/**
+ * Split `"Name" <address>` (or a bare address)
+ * @param {string} value
+ * @returns {{name: string, address: string}}
+ */
+function parseAddress(value) {
+  const match = /^\s*"?([^"<]*?)"?\s*<([^>]+)>/.exec(value);
+  if (match) return { name: match[1].trim(), address: match[2].trim().toLowerCase() };
+  return { name: '', address: value.trim().toLowerCase() };
+}
+
+/**
+ * The text of an email for its note: the plain part, or the HTML part's text,
+ * without quoted replies and the signature
+ * @param {{text: string, html: string}} email
+ * @returns {string}
+ */
+function bodyText(email) {
+  const text = email.text || (email.html ? cheerio.load(email.html)('body').text() : '');
+  const lines = [];
+  for (const line of text.split(/\r?\n/)) {
+    if (line === '-- ') break;
+    if (!line.startsWith('>')) lines.push(line.trimEnd());
+  }
+  return lines.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+function removeUrls(text, links) {
+  return extractUrls(text).concat(links).reduce((rest, url) => rest.split(url).join(' '), text);
+}
+
+function truncate(text, max) {
+  return text.length > max ? `${text.slice(0, max - 1)}…` : text;
+}
+
+function toBinaryString(raw) {
+  const bytes = typeof raw === 'string' ? new TextEncoder().encode(raw) : raw;
+  let binary = '';
+  for (const byte of bytes) binary += String.fromCharCode(byte);
+  return binary;
+}
+
+function decodeBytes(binary, charset = 'utf-8') {
+  const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+  try {
+    return new TextDecoder(charset).decode(bytes);
+  } catch {
+    return new TextDecoder().decode(bytes);
+  }
+}
@@ -0,0 +1,403 @@
+import { translator } from './i18n.js';
+import { isHttpUrl } from './url.js';
+
+// Content type icons (same set as the web UI)
+const TYPE_ICONS = {
+  article: '📄',
+  video: '📹',
+  code: '💻',
+  image: '🖼️',
+  tweet: '📱',
+  pdf: '📕',
+  other: '📄',
+};
+
+const SHORT_ID_LENGTH = 8;
+// Telegram limits photo captions to 1024 characters
+const CAPTION_MAX_LENGTH = 1024;
+const PREVIEW_DESCRIPTION_LENGTH = 300;
+
+/**
+ * Shorten a bookmark UUID for display in chat
+ * @param {string} id
+ * @returns {string}
+ */
+export function shortId(id) {
+  return (id || '').slice(0, SHORT_ID_LENGTH);
+}
+
+/**
+ * Extract a display domain from a URL
+ * @param {string} url
+ * @returns {string}
+ */
+export function getDomain(url) {
+  try {
+    return new URL(url).hostname.replace('www.', '');
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * Format a date relative to now ("3d ago"), falling back to the date after a month
+ * @param {string|Date} date
+ * @param {Date} [now]
+ * @param {Function} [t] - Translator from i18n.js
+ * @returns {string}
+ */
+export function formatRelativeDate(date, now = new Date(), t = translator()) {
+  const then = new Date(date);
+  if (Number.isNaN(then.getTime())) return '';
+
+  const diffMin = Math.floor((now - then) / 60000);
+  const diffHour = Math.floor(diffMin / 60);
+  const diffDay = Math.floor(diffHour / 24);
+
+  if (diffDay > 30) {
+    return then.toISOString().slice(0, 10);
+  } else if (diffDay > 0) {
+    return t('date.daysAgo', { count: diffDay });
+  } else if (diffHour > 0) {
+    return t('date.hoursAgo', { count: diffHour });
+  } else if (diffMin > 0) {
+    return t('date.minutesAgo', { count: diffMin });
+  }
+  return t('date.justNow');
+}
+
+/**
+ * Format a single bookmark as a two-line list entry
+ * @param {object} bookmark
+ * @param {number} position - 1-based position in the list
+ * @param {Date} [now]
+ * @param {Function} [t] - Translator from i18n.js
+ * @returns {string}
+ */
+export function formatBookmarkLine(bookmark, position, now = new Date(), t = translator()) {
+  const icon = TYPE_ICONS[bookmark.content_type] || TYPE_ICONS.other;
+  const flags = [
+    bookmark.is_favorite ? '⭐' : '',
+    bookmark.is_private ? '🔒' : '',
+  ].join('');
+  const title = bookmark.title || bookmark.url;
+
+  const details = [
+    getDomain(bookmark.url) || bookmark.site_name,
+    formatRelativeDate(bookmark.timestamp, now, t),
+    `🆔 ${shortId(bookmark.id)}`,
+  ].filter(Boolean);
+
+  return `${position}. ${icon} ${title}${flags ? ` ${flags}` : ''}\n   ${details.join(' · ')}`;
+}
+
+/**
+ * Format one page of bookmarks as a chat message
+ * @param {string} heading - First line of the message
+ * @param {{items: object[], page: number, totalPages: number, total: number, pageSize: number}} page
+ * @param {Function} [t] - Translator from i18n.js
+ * @returns {string}
+ */
+export function formatBookmarkList(heading, page, t = translator()) {
+  const offset = (page.page - 1) * page.pageSize;
+  const now = new Date();
+  const lines = page.items.map((b, i) => formatBookmarkLine(b, offset + i + 1, now, t));
+
+  let text = `${heading}\n\n${lines.join('\n\n')}`;
+  if (page.totalPages > 1) {
+    text += `\n\n${t('list.page', page)}`;
+  }
+  return text;
+}
+
+/**
+ * Multi-line summary of a bookmark's editable state
+ * @param {object} bookmark
+ * @param {Function} [t] - Translator from i18n.js
+ * @returns {string}
+ */
+export function formatBookmarkSummary(bookmark, t = translator()) {
+  const tags = bookmark.tags && bookmark.tags.length
+    ? bookmark.tags.map(tag => `#${tag}`).join(' ')
+    : t('bookmark.noTags');
+  const flags = [
+    bookmark.read_status === 'read' ? t('bookmark.read') : t('bookmark.unread'),
+    bookmark.is_favorite ? t('bookmark.favorite') : '',
+    bookmark.is_private ? t('bookmark.private') : '',
+  ].filter(Boolean).join(' · ');
+
+  const lines = [
+    `📄 ${bookmark.title || bookmark.url}`,
+    `🆔 ${shortId(bookmark.id)}`,
+    `🏷️ ${tags}`,
+    flags,
+  ];
+  if (bookmark.notes) lines.push(`📝 ${bookmark.notes}`);
+  if (bookmark.remind_at) lines.push(t('bookmark.remindAt', { date: formatRemindAt(bookmark.remind_at) }));
+  if (bookmark.added_by) lines.push(t('bookmark.savedBy', { name: bookmark.added_by.name }));
+  return lines.join('\n');
+}
+
+/**
+ * Inline keyboard with the quick actions for one bookmark.
+ * Labels reflect the current state so the buttons flip after each tap.
+ * @param {object} bookmark
+ * @param {Function} [t] - Translator from i18n.js
+ * @returns {{inline_keyboard: object[][]}}
+ */
+export function bookmarkKeyboard(bookmark, t = translator()) {
+  const action = (name) => `bm:${name}:${bookmark.id}`;
+
+  return {
+    inline_keyboard: [
+      [
+        { text: t('action.addTags'), callback_data: action('tags') },
+        { text: t(bookmark.is_favorite ? 'action.unfavorite' : 'action.favorite'), callback_data: action('favorite') },
+      ],
+      [
+        { text: t(bookmark.is_private ? 'action.public' : 'action.private'), callback_data: action('private') },
+        { text: t(bookmark.read_status === 'read' ? 'action.markUnread' : 'action.markRead'), callback_data: action('read') },
+      ],
+      [
+        { text: t('action.remind'), callback_data: action('remind') },
+      ],
+    ],
+  };
+}
+
+/**
+ * Previous/next buttons for a paged list, or null when everything fits on one page
+ * @param {string} prefix - Callback data prefix; the page number is appended
+ * @param {{page: number, totalPages: number}} page
+ * @param {Function} [t] - Translator from i18n.js
+ * @returns {{inline_keyboard: object[][]}|null}
+ */
+export function pagingKeyboard(prefix, { page, totalPages }, t = translator()) {
+  const buttons = [];
+  if (page > 1) {
+    buttons.push({ text: t('list.previous'), callback_data: `${prefix}:${page - 1}` });
+  }
+  if (page < totalPages) {
+    buttons.push({ text: t('list.next'), callback_data: `${prefix}:${page + 1}` });
+  }
+  return buttons.length ? { inline_keyboard: [buttons] } : null;
+}
+
+/**
+ * Preview card for a link that has not been saved yet. Kept under the photo
+ * caption limit so it can be sent along with the page image.
+ * @param {object} bookmark
+ * @param {Function} [t] - Translator from i18n.js
+ * @returns {string}
+ */
+export function formatPreview(bookmark, t = translator()) {
+  const type = bookmark.content_type || 'other';
+  const tags = bookmark.tags && bookmark.tags.length
+    ? bookmark.tags.map(tag => `#${tag}`).join(' ')
+    : t('bookmark.noTags');
+  let description = bookmark.description || '';
+  if (description.length > PREVIEW_DESCRIPTION_LENGTH) {
+    description = `${description.slice(0, PREVIEW_DESCRIPTION_LENGTH - 1).trimEnd()}…`;
+  }
+
+  const lines = [
+    t('preview.heading'),
+    '',
+    `${TYPE_ICONS[type] || TYPE_ICONS.other} ${t(`type.${type}`)} · ${bookmark.site_name || getDomain(bookmark.url)}`,
+    `📄 ${bookmark.title || bookmark.url}`,
+  ];
+  if (description) lines.push('', description);
+  lines.push('', `🏷️ ${tags}`);
+  if (bookmark.notes) lines.push(`📝 ${bookmark.notes}`);
+  lines.push(`🔗 ${bookmark.url}`);
+
+  return lines.join('\n').slice(0, CAPTION_MAX_LENGTH);
+}
+
+/**
+ * Buttons under a preview card
+ * @param {string} token - Key of the pending preview
+ * @param {boolean} [editing] - Show the title/tags editor instead of save/discard
+ * @param {Function} [t] - Translator from i18n.js
+ * @returns {{inline_keyboard: object[][]}}
+ */
+export function previewKeyboard(token, editing = false, t = translator()) {
+  const action = (name) => `preview:${name}:${token}`;
+
+  if (editing) {
+    return {
+      inline_keyboard: [
+        [
+          { text: t('preview.title'), callback_data: action('title') },
+          { text: t('preview.tags'), callback_data: action('tags') },
+        ],
+        [{ text: t('preview.back'), callback_data: action('back') }],
+      ],
+    };
+  }
+
+  return {
+    inline_keyboard: [
+      [
+        { text: t('preview.save'), callback_data: action('save') },
+        { text: t('preview.edit'), callback_data: action('edit') },
+      ],
+      [{ text: t('preview.discard'), callback_data: action('discard') }],
+    ],
+  };
+}
+
+/**
+ * Collection statistics as shown by /stats
+ * @param {{total_bookmarks: number, statistics: object, tags_usage: object, last_updated: string, computed: boolean}} stats
+ * @param {Date} [now]
+ * @param {Function} [t] - Translator from i18n.js
+ * @returns {string}
+ */
+export function formatStats({ total_bookmarks, statistics, tags_usage, last_updated, computed }, now = new Date(), t = translator()) {
+  const { by_type, by_read_status } = statistics;
+
+  const types = Object.entries(by_type)
+    .filter(([, count]) => count > 0)
+    .sort((a, b) => b[1] - a[1])
+    .map(([type, count]) => `${TYPE_ICONS[type] || TYPE_ICONS.other} ${t(`type.${type}`)}: ${count}`);
+
+  const lines = [
+    t('stats.heading'),
+    '',
+    t('stats.total', { total: total_bookmarks }),
+    t('stats.byStatus', by_read_status),
+    t('stats.flags', {
+      favorites: statistics.favorites_count,
+      private: statistics.private_count,
+      archived: statistics.archived_count,
+    }),
+  ];
+  if (types.length) lines.push('', t('stats.byType'), ...types);
+  lines.push('', t('stats.tags', { count: Object.keys(tags_usage).length }));
+  lines.push(computed
+    ? t('stats.computed')
+    : t('stats.updated', { when: formatRelativeDate(last_updated, now, t) }));
+
+  return lines.join('\n');
+}
+
+/**
+ * Most used tags with their counts, as shown by /tags
+ * @param {Object<string, number>} tagsUsage - Tag to number of bookmarks
+ * @param {number} limit
+ * @param {Function} [t] - Translator from i18n.js
+ * @returns {string}
+ */
+export function formatTopTags(tagsUsage, limit, t = translator()) {
+  const tags = Object.entries(tagsUsage).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+  if (tags.length === 0) return t('tags.none');
+
+  const shown = tags.slice(0, limit);
+  const heading = shown.length < tags.length
+    ? t('tags.top', { shown: shown.length, total: tags.length })
+    : t('tags.all', { total: tags.length });
+
+  return `${heading}\n\n${shown.map(([tag, count]) => `#${tag} · ${count}`).join('\n')}`;
+}
+
+/**
+ * Inline query result for sharing a bookmark into another chat.
+ * Sending it posts the title and link.
+ * @param {object} bookmark
+ * @returns {object} InlineQueryResultArticle
+ */
+export function inlineResult(bookmark) {
+  const title = bookmark.title || bookmark.url;
+  const details = [
+    getDomain(bookmark.url) || bookmark.site_name,
+    ...(bookmark.tags || []).map(t => `#${t}`),
+  ].filter(Boolean);
+
+  return {
+    type: 'article',
+    id: bookmark.id,
+    title,
+    description: details.join(' · '),
+    url: bookmark.url,
+    // Older imports stored relative image paths, which Telegram cannot fetch
+    ...(isHttpUrl(bookmark.image) ? { thumbnail_url: bookmark.image } : {}),
+    input_message_content: {
+      message_text: `${title}\n${bookmark.url}`,
+    },
+  };
+}
+
+/**
+ * One bookmark in a scheduled digest
+ * @param {object} bookmark
+ * @param {Date} [now]
+ * @param {Function} [t] - Translator from i18n.js
+ * @returns {string}
+ */
+export function formatDigestItem(bookmark, now = new Date(), t = translator()) {
+  const icon = TYPE_ICONS[bookmark.content_type] || TYPE_ICONS.other;
+  const details = [
+    `🆔 ${shortId(bookmark.id)}`,
+    t('digest.savedAgo', { when: formatRelativeDate(bookmark.timestamp, now, t) }),
+    ...(bookmark.tags || []).map(t => `#${t}`),
+  ];
+
+  return `${icon} ${bookmark.title || bookmark.url}\n🔗 ${bookmark.url}\n${details.join(' · ')}`;
+}
+
+/**
+ * Buttons under a digest item
+ * @param {string} id - Bookmark ID
+ * @param {Function} [t] - Translator from i18n.js
+ * @returns {{inline_keyboard: object[][]}}
+ */
+export function digestKeyboard(id, t = translator()) {
+  return {
+    inline_keyboard: [[
+      { text: t('digest.markRead'), callback_data: `digest:read:${id}` },
+      { text: t('digest.snooze'), callback_data: `digest:snooze:${id}` },
+    ]],
+  };
+}
+
+/**
+ * One-line description of a chat's digest settings
+ * @param {{frequency: string, hour: number, size: number, mode: string}} digest
+ * @param {Function} [t] - Translator from i18n.js
+ * @returns {string}
+ */
+export function formatDigestSettings({ frequency, hour, size, mode }, t = translator()) {
+  if (frequency === 'off') return t('digest.off');
+
+  const when = t(frequency === 'weekly' ? 'digest.weekly' : 'digest.daily', { hour: String(hour).padStart(2, '0') });
+  const what = t(mode === 'rediscover' ? 'digest.rediscoverSize' : 'digest.unreadSize', { size });
+  return t('digest.settings', { when, what });
+}
+
+/**
+ * Reminder time as shown in chat
+ * @param {string|Date} date
+ * @returns {string} e.g. "2025-02-10 08:00 UTC"
+ */
+export function formatRemindAt(date) {
+  return `${new Date(date).toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+}
+
+/**
+ * Preset choices for "⏰ Remind me"
+ * @param {string} id - Bookmark ID
+ * @param {string[]} presets - Durations understood by parseRemindAt, e.g. '3d'
+ * @param {Function} [t] - Translator from i18n.js
+ * @returns {{inline_keyboard: object[][]}}
+ */
+export function remindKeyboard(id, presets, t = translator()) {
+  const buttons = presets.map(value => ({ text: t(`remind.preset.${value}`), callback_data: `remind:${value}:${id}` }));
+  return {
+    inline_keyboard: [
+      buttons.slice(0, 2),
+      buttons.slice(2),
+      [{ text: t('action.cancel'), callback_data: `remind:cancel:${id}` }],
+    ].filter(row => row.length),
+  };
+}
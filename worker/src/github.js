@@ -1,14 +1,21 @@
 import { Octokit } from '@octokit/rest';
 import { Buffer } from 'node:buffer';
+import { findBookmark } from './bookmarks.js';
+import { notifyWebhooks } from './webhooks.js';
+
+const MAX_RETRIES = 3;
 
 export class GitHubAdapter {
   constructor(env) {
+    this.env = env;
     this.owner = env.GITHUB_OWNER;
     this.repo = env.GITHUB_REPO;
     this.octokit = new Octokit({
       auth: env.GITHUB_TOKEN,
     });
     this.path = 'data/bookmarks.jsonl';
+    this.metadataPath = 'data/metadata.json';
+    this.filesPath = 'data/files';
   }
 
   async getBookmarkFile() {
@@ -35,33 +42,220 @@ export class GitHubAdapter {
     }
   }
 
+  /**
+   * Read the statistics the build writes to data/metadata.json
+   * @returns {Promise<object|null>} Parsed metadata, or null when the file does not exist
+   */
+  async getMetadataFile() {
+    try {
+      const { data } = await this.octokit.repos.getContent({
+        owner: this.owner,
+        repo: this.repo,
+        path: this.metadataPath,
+      });
+      return JSON.parse(Buffer.from(data.content, 'base64').toString('utf8'));
+    } catch (error) {
+      if (error.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * The most recent commit touching a file
+   * @param {string} [path] - Defaults to bookmarks.jsonl
+   * @returns {Promise<{sha: string, date: string, message: string}|null>} null when the file has no commits
+   */
+  async getLastCommit(path = this.path) {
+    const { data } = await this.octokit.repos.listCommits({
+      owner: this.owner,
+      repo: this.repo,
+      path,
+      per_page: 1,
+    });
+    if (!data.length) return null;
+
+    const { sha, commit } = data[0];
+    return { sha, date: commit.committer.date, message: commit.message };
+  }
+
+  /**
+   * Date of the most recent commit touching a file
+   * @param {string} [path] - Defaults to bookmarks.jsonl
+   * @returns {Promise<string|null>} ISO date, or null when the file has no commits
+   */
+  async getLastCommitDate(path = this.path) {
+    const commit = await this.getLastCommit(path);
+    return commit ? commit.date : null;
+  }
+
+  /**
+   * Commit a binary file (a PDF or image sent to the bot) under data/files/
+   * @param {string} name - File name, unique within data/files/
+   * @param {ArrayBuffer|Uint8Array} bytes
+   * @param {string} message - Commit message
+   * @returns {Promise<{path: string, url: string}>} Repository path and GitHub page of the file
+   */
+  async saveFile(name, bytes, message) {
+    const path = `${this.filesPath}/${name}`;
+    const { data } = await this.octokit.repos.createOrUpdateFileContents({
+      owner: this.owner,
+      repo: this.repo,
+      path,
+      message,
+      content: Buffer.from(bytes).toString('base64'),
+    });
+    return { path, url: data.content.html_url };
+  }
+
   async saveBookmark(bookmark) {
-    const maxRetries = 3;
+    await this.modifyBookmarks((bookmarks) => {
+      bookmarks.push(bookmark);
+      return { message: `Add: ${bookmark.title || 'Untitled'}` };
+    });
+    await this.notify('bookmark.created', [bookmark]);
+  }
+
+  /**
+   * Append several bookmarks in a single commit
+   * @param {object[]} newBookmarks
+   */
+  async saveBookmarks(newBookmarks) {
+    if (newBookmarks.length === 1) {
+      await this.saveBookmark(newBookmarks[0]);
+      return;
+    }
+
+    await this.modifyBookmarks((bookmarks) => {
+      bookmarks.push(...newBookmarks);
+      return { message: `Add ${newBookmarks.length} bookmarks` };
+    });
+    await this.notify('bookmark.created', newBookmarks);
+  }
+
+  /**
+   * Update a single bookmark in place and commit it.
+   * @param {string} id - Full bookmark ID or a unique prefix
+   * @param {object|Function} changes - Fields to set, or a function receiving the
+   *   current bookmark and returning the fields to set
+   * @param {string} [verb] - Commit message prefix
+   * @param {string} [event] - Webhook event to send
+   * @returns {Promise<object>} The updated bookmark
+   */
+  async updateBookmark(id, changes, verb = 'Update', event = 'bookmark.updated') {
+    const bookmark = await this.modifyBookmarks((bookmarks) => {
+      const current = findBookmark(bookmarks, id);
+      const fields = typeof changes === 'function' ? changes(current) : changes;
+
+      const updated = {
+        ...current,
+        ...fields,
+        modified_timestamp: new Date().toISOString(),
+      };
+      bookmarks[bookmarks.indexOf(current)] = updated;
+
+      return { message: `${verb}: ${updated.title || 'Untitled'}`, result: updated };
+    });
+    await this.notify(event, [bookmark]);
+    return bookmark;
+  }
+
+  /**
+   * Move a bookmark to the trash. It stays in bookmarks.jsonl with `deleted_at`
+   * set so it can be restored.
+   * @param {string} id - Full bookmark ID or a unique prefix
+   * @returns {Promise<object>} The trashed bookmark
+   */
+  async trashBookmark(id) {
+    return this.updateBookmark(id, { deleted_at: new Date().toISOString() }, 'Delete', 'bookmark.deleted');
+  }
+
+  /**
+   * Take a bookmark back out of the trash
+   * @param {string} id - Full bookmark ID or a unique prefix
+   * @returns {Promise<object>} The restored bookmark
+   */
+  async restoreBookmark(id) {
+    return this.updateBookmark(id, { deleted_at: undefined }, 'Restore');
+  }
+
+  /**
+   * Clear the reminders of bookmarks that have been sent back to their chat,
+   * in a single commit
+   * @param {string[]} ids - Full bookmark IDs
+   */
+  async clearReminders(ids) {
+    const cleared = await this.modifyBookmarks((bookmarks) => {
+      const now = new Date().toISOString();
+      const updated = [];
+      bookmarks.forEach((bookmark, index) => {
+        if (ids.includes(bookmark.id)) {
+          bookmarks[index] = {
+            ...bookmark,
+            remind_at: undefined,
+            remind_chat_id: undefined,
+            remind_user_id: undefined,
+            modified_timestamp: now,
+          };
+          updated.push(bookmarks[index]);
+        }
+      });
+      return { message: `Remind: ${ids.length} bookmark${ids.length === 1 ? '' : 's'}`, result: updated };
+    });
+    await this.notify('bookmark.updated', cleared);
+  }
+
+  /**
+   * Tell the webhooks about a change. When the request can outlive its
+   * response (env.waitUntil, set by the fetch handler), deliveries run after
+   * it so a slow subscriber does not hold up the reply; otherwise, as in the
+   * cron job, they are awaited.
+   * @param {string} event
+   * @param {object[]} bookmarks
+   */
+  async notify(event, bookmarks) {
+    if (!bookmarks.length) return;
+
+    const delivery = notifyWebhooks(this.env, event, bookmarks);
+    if (this.env.waitUntil) {
+      this.env.waitUntil(delivery);
+    } else {
+      await delivery;
+    }
+  }
+
+  /**
+   * Read-modify-write bookmarks.jsonl, retrying on 409 conflicts.
+   * The mutator receives freshly read bookmarks on every attempt and changes
+   * them in place; errors it throws are not retried.
+   * @param {(bookmarks: object[]) => {message: string, result?: any}} mutate
+   * @returns {Promise<any>} The mutator's result
+   */
+  async modifyBookmarks(mutate) {
     let attempt = 0;
 
-    while (attempt < maxRetries) {
+    while (attempt < MAX_RETRIES) {
       try {
         const { bookmarks, sha } = await this.getBookmarkFile();
-        
-        // Append new bookmark
-        bookmarks.push(bookmark);
-        
+        const { message, result } = mutate(bookmarks);
+
         const newContent = bookmarks
           .map(b => JSON.stringify(b))
           .join('\n') + '\n';
-        
+
         const encodedContent = Buffer.from(newContent).toString('base64');
 
         await this.octokit.repos.createOrUpdateFileContents({
           owner: this.owner,
           repo: this.repo,
           path: this.path,
-          message: `Add: ${bookmark.title || 'Untitled'}`,
+          message,
           content: encodedContent,
           sha: sha || undefined, // undefined for new file
         });
 
-        return; // Success
+        return result; // Success
       } catch (error) {
         if (error.status === 409) {
           console.log(`Conflict detected (attempt ${attempt + 1}), retrying...`);
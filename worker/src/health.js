@@ -0,0 +1,167 @@
+import { GitHubAdapter } from './github.js';
+import { getRejectedCount, getRateLimits } from './ratelimit.js';
+
+const CRON_KEY = 'cron:last_run';
+const REPORT_KEY = 'health:report';
+// /health needs no token, so its report is reused for this long (KV's minimum TTL)
+const REPORT_TTL_SECONDS = 60;
+const GITHUB_TIMEOUT_MS = 5000;
+// The cron runs hourly; two missed runs mean it has stopped
+const CRON_STALE_MS = 2 * 60 * 60 * 1000;
+// Failed saves are retried on each of the next three runs, so anything older is stuck
+const RETRY_STALE_MS = 4 * 60 * 60 * 1000;
+
+/**
+ * Remember when the cron job last finished, for /health
+ * @param {object} env
+ * @param {Date} startedAt
+ * @param {Date} [now]
+ */
+export async function recordCronRun(env, startedAt, now = new Date()) {
+  await env.RETRY_QUEUE.put(CRON_KEY, JSON.stringify({
+    started_at: startedAt.toISOString(),
+    finished_at: now.toISOString(),
+  }));
+}
+
+/**
+ * The health report for /health, checked at most once a minute so that
+ * callers cannot run up GitHub API calls and KV reads. The report's timestamp
+ * says when it was checked.
+ * @param {object} env
+ * @param {Date} [now]
+ * @returns {Promise<{healthy: boolean, report: object}>} As from checkHealth
+ */
+export async function getHealth(env, now = new Date()) {
+  try {
+    const cached = await env.RETRY_QUEUE.get(REPORT_KEY);
+    if (cached) return JSON.parse(cached);
+  } catch (error) {
+    // KV down: checkHealth reports it
+  }
+
+  const health = await checkHealth(env, now);
+  try {
+    await env.RETRY_QUEUE.put(REPORT_KEY, JSON.stringify(health), { expirationTtl: REPORT_TTL_SECONDS });
+  } catch (error) {
+    console.error('Error caching the health report:', error);
+  }
+  return health;
+}
+
+/**
+ * Check the worker's dependencies: GitHub, the retry queue, the cron job and
+ * the rate limiter. Each check reports its own error instead of failing the
+ * whole report.
+ * @param {object} env
+ * @param {Date} [now]
+ * @returns {Promise<{healthy: boolean, report: object}>} healthy is false when
+ *   GitHub or KV is unreachable, the cron job has stopped or saves are stuck
+ */
+export async function checkHealth(env, now = new Date()) {
+  const [github, retryQueue, cron, rateLimit] = await Promise.all([
+    settle(() => checkGitHub(env)),
+    settle(() => checkRetryQueue(env, now)),
+    settle(() => checkCron(env, now)),
+    settle(async () => ({ ...getRateLimits(env), rejected_today: await getRejectedCount(env, now) })),
+  ]);
+
+  const healthy = github.ok && retryQueue.ok && !retryQueue.stale && cron.ok && !cron.stale;
+
+  return {
+    healthy,
+    report: {
+      status: healthy ? 'ok' : 'degraded',
+      timestamp: now.toISOString(),
+      version: describeVersion(env),
+      github,
+      retry_queue: retryQueue,
+      cron,
+      rate_limit: rateLimit,
+    },
+  };
+}
+
+/**
+ * Reach GitHub and read the latest commit to bookmarks.jsonl
+ * @param {object} env
+ */
+async function checkGitHub(env) {
+  const commit = await withTimeout(new GitHubAdapter(env).getLastCommit(), GITHUB_TIMEOUT_MS);
+  return { last_data_commit: commit };
+}
+
+/**
+ * Size of the retry queue and the age of its oldest entry. Entries carry their
+ * creation time as KV metadata; older ones without it are read.
+ * @param {object} env
+ * @param {Date} now
+ */
+async function checkRetryQueue(env, now) {
+  const { keys } = await env.RETRY_QUEUE.list({ prefix: 'retry:' });
+
+  const createdAt = await Promise.all(keys.map(async ({ name, metadata }) => {
+    if (metadata?.createdAt) return Date.parse(metadata.createdAt);
+    const data = JSON.parse(await env.RETRY_QUEUE.get(name) || '{}');
+    return Date.parse(data.createdAt);
+  }));
+  const oldest = Math.min(...createdAt.filter(date => !Number.isNaN(date)));
+
+  const ageSeconds = Number.isFinite(oldest) ? Math.round((now.getTime() - oldest) / 1000) : null;
+  return {
+    depth: keys.length,
+    oldest_age_seconds: ageSeconds,
+    stale: ageSeconds !== null && ageSeconds * 1000 > RETRY_STALE_MS,
+  };
+}
+
+/**
+ * When the cron job last finished. A worker whose cron has never run is not
+ * degraded: it may just have been deployed.
+ * @param {object} env
+ * @param {Date} now
+ */
+async function checkCron(env, now) {
+  const lastRun = JSON.parse(await env.RETRY_QUEUE.get(CRON_KEY) || 'null');
+  return {
+    last_run: lastRun?.finished_at || null,
+    stale: Boolean(lastRun) && now.getTime() - Date.parse(lastRun.finished_at) > CRON_STALE_MS,
+  };
+}
+
+/**
+ * The deployed version, from the CF_VERSION_METADATA binding
+ * @param {object} env
+ * @returns {{id: string, tag?: string, timestamp?: string}|null}
+ */
+function describeVersion(env) {
+  const metadata = env.CF_VERSION_METADATA;
+  if (!metadata?.id) return null;
+  return {
+    id: metadata.id,
+    ...(metadata.tag ? { tag: metadata.tag } : {}),
+    ...(metadata.timestamp ? { timestamp: metadata.timestamp } : {}),
+  };
+}
+
+/**
+ * Run one check, turning a thrown error into `{ok: false, error}`
+ * @param {() => Promise<object>} check
+ * @returns {Promise<object>}
+ */
+async function settle(check) {
+  try {
+    return { ok: true, ...(await check()) };
+  } catch (error) {
+    console.error('Health check failed:', error);
+    return { ok: false, error: error.message };
+  }
+}
+
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${ms} ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
@@ -0,0 +1,40 @@
+import en from './locales/en.js';
+import es from './locales/es.js';
+
+// Message catalogs by language code. To add a language, add a catalog under
+// locales/ with the same keys as en.js; missing keys fall back to English.
+const CATALOGS = { en, es };
+
+export const LANGUAGES = Object.keys(CATALOGS);
+export const DEFAULT_LANGUAGE = 'en';
+
+/**
+ * Pick the reply language: the chat's /lang choice, else the user's Telegram
+ * language (matched on the base code, so es-AR → es), else English
+ * @param {string|undefined} override - Language chosen with /lang
+ * @param {string|undefined} languageCode - Telegram's from.language_code
+ * @returns {string}
+ */
+export function pickLanguage(override, languageCode) {
+  if (CATALOGS[override]) return override;
+
+  const base = (languageCode || '').toLowerCase().split('-')[0];
+  return CATALOGS[base] ? base : DEFAULT_LANGUAGE;
+}
+
+/**
+ * Build the lookup function for one language. Catalog entries are strings or
+ * functions of the params; unknown keys are returned as-is so a typo shows up
+ * in the reply instead of an empty message.
+ * @param {string} [lang]
+ * @returns {(key: string, params?: object) => string}
+ */
+export function translator(lang = DEFAULT_LANGUAGE) {
+  const catalog = CATALOGS[lang] || CATALOGS[DEFAULT_LANGUAGE];
+
+  return (key, params = {}) => {
+    const entry = catalog[key] ?? CATALOGS[DEFAULT_LANGUAGE][key];
+    if (entry === undefined) return key;
+    return typeof entry === 'function' ? entry(params) : entry;
+  };
+}
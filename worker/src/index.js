@@ -1,15 +1,19 @@
 import { Hono } from 'hono';
-import { verifyWebhookSignature, handleUpdate } from './telegram.js';
+import { verifyWebhookSignature, handleUpdate, senderOf, replyRateLimited } from './telegram.js';
 import { handleScheduled } from './scheduled.js';
+import { api } from './api.js';
+import { bookmarklet } from './bookmarklet.js';
+import { checkRateLimit, recordRejected } from './ratelimit.js';
+import { isAllowed } from './access.js';
+import { getHealth } from './health.js';
+import { handleEmail } from './email.js';
 
 const app = new Hono();
 
-// Health check endpoint
-app.get('/health', (c) => {
-  return c.json({
-    status: 'ok',
-    timestamp: new Date().toISOString(),
-  });
+// Health check endpoint: 503 when a dependency is down, so uptime checks notice
+app.get('/health', async (c) => {
+  const { healthy, report } = await getHealth(c.env);
+  return c.json(report, healthy ? 200 : 503);
 });
 
 // Telegram webhook endpoint
@@ -24,6 +28,12 @@ app.post('/webhook', async (c) => {
 
   try {
     const update = await c.req.json();
+
+    if (await isRateLimited(update, env)) {
+      // Still 200, or Telegram would keep redelivering the update
+      return c.json({ ok: true, rate_limited: true });
+    }
+
     await handleUpdate(update, env);
     return c.json({ ok: true });
   } catch (error) {
@@ -32,6 +42,45 @@ app.post('/webhook', async (c) => {
   }
 });
 
+/**
+ * Count an update against its chat's rate limit and answer it if it is over.
+ * Senders not on the allowlist are left to handleUpdate to refuse, without
+ * spending KV reads and writes on them. Fails open: if the counts cannot be
+ * read or written the update is handled as usual.
+ * @param {object} update - Telegram update object
+ * @param {object} env
+ * @returns {Promise<boolean>} Whether the update was rejected
+ */
+async function isRateLimited(update, env) {
+  const sender = senderOf(update);
+  if (!sender || !isAllowed(env, sender)) return false;
+
+  const id = sender.chatId ?? sender.userId;
+  let limit;
+  try {
+    limit = await checkRateLimit(env, id);
+  } catch (error) {
+    console.error('Rate limit check failed:', error);
+    return false;
+  }
+  if (limit.allowed) return false;
+
+  console.warn(`Rate limited chat ${id}: over ${limit.limit} per ${limit.window}`);
+  try {
+    await recordRejected(env);
+  } catch (error) {
+    console.error('Error counting rate-limited update:', error);
+  }
+  await replyRateLimited(update, sender, limit, env);
+  return true;
+}
+
+// REST API for scripts and other tools (bearer token in API_TOKEN)
+app.route('/api', api);
+
+// Quick-save page opened by the browser bookmarklet
+app.route('/save', bookmarklet);
+
 // Error handling middleware
 app.onError((err, c) => {
   console.error('Unhandled error:', err);
@@ -40,11 +89,19 @@ app.onError((err, c) => {
 
 // Export handlers for Cloudflare Workers
 export default {
-  // HTTP handler
-  fetch: app.fetch,
+  // HTTP handler. waitUntil lets work such as webhook deliveries finish after
+  // the response has been sent.
+  fetch(request, env, ctx) {
+    return app.fetch(request, { ...env, waitUntil: promise => ctx.waitUntil(promise) }, ctx);
+  },
 
   // Scheduled handler (cron)
   async scheduled(event, env, ctx) {
     ctx.waitUntil(handleScheduled(env));
   },
+
+  // Email handler (Email Routing), awaited so a rejection bounces the mail
+  async email(message, env, ctx) {
+    await handleEmail(message, env);
+  },
 };
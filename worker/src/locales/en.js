@@ -0,0 +1,242 @@
+// English bot replies. Keys missing from another catalog fall back to these.
+const plural = (count, one, many) => (count === 1 ? one : many);
+
+export default {
+  'language.name': 'English',
+
+  // Commands and help
+  'start': 'Welcome to Hipervínculos! 🔗\n\nSend me a URL and I\'ll save it to your bookmarks.\n\n'
+    + 'Add #tags, a note, !fav or !private next to the link to set them right away.',
+  'help': ({ recentDefault, tagsDefault }) => `Commands:
+/start - Show welcome message
+/recent [n] - Show the last n bookmarks (default ${recentDefault})
+/unread [page] - Show unread bookmarks
+/favorites [page] - Show favorite bookmarks
+/search query - Search bookmarks (filters: type:video, is:unread, is:favorite)
+/stats - Show collection statistics
+/tags [n] - Show the n most used tags (default ${tagsDefault})
+/tag id tag1 tag2 - Add tags
+/untag id tag1 - Remove tags
+/note id text - Set a personal note
+/read id - Mark as read
+/favorite id - Toggle favorite
+/private id - Toggle private
+/edit id - Edit title, description, tags or note
+/remind id 3d|2w|YYYY-MM-DD|off - Send a bookmark back to you later
+/edit id title|description|tags value - Edit a field directly
+/delete id - Move a bookmark to the trash
+/trash [page] - Show bookmarks in the trash
+/restore id - Take a bookmark out of the trash
+/preview on|off - Review links before they are saved
+/digest daily|weekly|off - Get unread bookmarks on a schedule (also: size n, hour h, unread|rediscover)
+/lang es|en|auto - Choose the bot's language
+/help - Show this command reference
+
+To share a bookmark in another chat, type the bot's @username followed by a search there.
+
+Text sent with a link is saved too: #hashtags become tags, !fav and !private set flags, and anything else becomes the note.`,
+  'unknownCommand': 'Unknown command. Just send me a URL to save it as a bookmark.',
+
+  // Access
+  'access.deniedToast': '🔒 Sorry, you can\'t use this bot.',
+  'access.denied': ({ id }) => '🔒 Sorry, this is a private bookmark bot and you\'re not on its list of users.\n\n'
+    + `If you should have access, ask the owner to add your user ID: ${id}`,
+
+  // Rate limiting
+  'ratelimit.minute': ({ limit, seconds }) =>
+    `⚠️ Slow down a little\n\nI can take ${limit} messages a minute from this chat. Wait ${seconds} seconds and try again.`,
+  'ratelimit.day': ({ limit }) =>
+    `⚠️ That's a lot for one day\n\nI can take ${limit} messages a day from this chat. Try again tomorrow.`,
+  'ratelimit.toast': '⚠️ Too many requests. Wait a moment and try again.',
+
+  // Saving
+  'save.saved': '✅ Saved!',
+  'save.updated': '✅ Updated!',
+  'save.restored': '♻️ Restored!',
+  'save.queued': ({ title }) => `⏳ Queued for retry: ${title}`,
+  'save.invalid': ({ url }) => `❌ That isn't a link I can save: ${url}`,
+  'save.many.saved': ({ saved, total }) => `✅ Saved ${saved} of ${total} links`,
+  'save.many.queued': ({ saved, total }) => `⏳ Queued ${saved} of ${total} links for retry`,
+  'save.many.previewed': ({ total }) => `👀 Found ${total} links`,
+  'save.many.lineSaved': ({ title, id }) => `✅ ${title} (🆔 ${id})`,
+  'save.many.lineQueued': ({ title }) => `⏳ Queued for retry: ${title}`,
+  'save.many.linePreview': ({ title }) => `👀 Preview below: ${title}`,
+  'save.many.lineDuplicate': ({ title, id }) => `⚠️ Already bookmarked: ${title} (🆔 ${id})`,
+  'save.many.lineInvalid': ({ url }) => `❌ Not a link I can save: ${url}`,
+  'file.unsupported': '📎 I can only save PDFs and images. For anything else, send me a link.',
+  'file.tooBig': '📎 That file is too big. Telegram only lets bots download files up to 20 MB.',
+  'file.failed': '❌ Couldn\'t store the file right now. Try sending it again later.',
+
+  // Duplicates
+  'duplicate.heading': '⚠️ Already bookmarked',
+  'duplicate.savedOn': ({ date }) => `📅 Saved on ${date}`,
+  'duplicate.question': 'Save anyway? This will create a duplicate.',
+  'duplicate.saveAnyway': '✅ Save Anyway',
+  'duplicate.viewExisting': '👁️ View Existing',
+  'duplicate.saving': 'Saving anyway…',
+  'duplicate.expired': 'This request expired. Send the link again.',
+
+  // Preview mode
+  'preview.heading': '👀 Preview',
+  'preview.save': '✅ Save',
+  'preview.edit': '✏️ Edit before save',
+  'preview.discard': '❌ Discard',
+  'preview.title': '✏️ Title',
+  'preview.tags': '🏷️ Tags',
+  'preview.back': '◀️ Back',
+  'preview.discarded': '❌ Discarded',
+  'preview.expired': 'This preview expired. Send the link again.',
+  'preview.expiredMessage': '⌛ This preview expired. Send the link again.',
+  'preview.usage': 'Usage: /preview on|off',
+  'preview.on': '👀 Preview mode is on. I\'ll show each link first and only save it when you tap ✅ Save.',
+  'preview.off': '⚡ Preview mode is off. Links are saved as soon as you send them.',
+
+  // Lists and search
+  'list.recent.heading': '🕒 Recent bookmarks',
+  'list.recent.empty': '📭 No bookmarks yet. Send me a URL to save one.',
+  'list.unread.heading': '📬 Unread bookmarks',
+  'list.unread.empty': '🎉 You\'re all caught up! No unread bookmarks.',
+  'list.favorites.heading': '⭐ Favorite bookmarks',
+  'list.favorites.empty': 'No favorite bookmarks yet.',
+  'list.trash.heading': '🗑️ Trash',
+  'list.trash.empty': '🗑️ The trash is empty.',
+  'list.page': ({ page, totalPages }) => `Page ${page}/${totalPages}`,
+  'list.previous': '◀️ Previous',
+  'list.next': 'Next page ▶️',
+  'list.failed': '❌ Couldn\'t load bookmarks right now. Try again later.',
+  'search.usage': 'Usage: /search query\n\nExample: /search react hooks type:video is:unread',
+  'search.expired': 'This search expired. Run /search again.',
+  'search.failed': '❌ Couldn\'t search bookmarks right now. Try again later.',
+  'search.none': ({ query }) => `🔍 No results for "${query}"`,
+  'search.found': ({ total, query }) => `🔍 Found ${total} ${plural(total, 'result', 'results')} for "${query}"`,
+
+  // Bookmark summary and actions
+  'bookmark.noTags': 'No tags yet',
+  'bookmark.read': '✅ Read',
+  'bookmark.unread': '📬 Unread',
+  'bookmark.favorite': '⭐ Favorite',
+  'bookmark.private': '🔒 Private',
+  'bookmark.remindAt': ({ date }) => `⏰ Remind ${date}`,
+  'bookmark.savedBy': ({ name }) => `👤 Saved by ${name}`,
+  'action.addTags': '🏷️ Add Tags',
+  'action.favorite': '⭐ Favorite',
+  'action.unfavorite': '☆ Unfavorite',
+  'action.private': '🔒 Private',
+  'action.public': '🔓 Make Public',
+  'action.markRead': '✅ Mark read',
+  'action.markUnread': '📬 Mark unread',
+  'action.remind': '⏰ Remind me',
+  'action.done': '✅ Done',
+  'action.cancel': '❌ Cancel',
+
+  // Editing
+  'usage.tag': 'Usage: /tag id tag1 tag2',
+  'usage.untag': 'Usage: /untag id tag1',
+  'usage.note': 'Usage: /note id text',
+  'usage.read': 'Usage: /read id',
+  'usage.favorite': 'Usage: /favorite id',
+  'usage.private': 'Usage: /private id',
+  'usage.delete': 'Usage: /delete id',
+  'usage.restore': 'Usage: /restore id',
+  'usage.edit': 'Usage: /edit id field value\n\nFields: title, description, tags\nExample: /edit abc12345 title A better title',
+  'edit.menu': ({ title }) => `✏️ Edit Bookmark\n\nCurrent title:\n${title}`,
+  'edit.title': '✏️ Edit Title',
+  'edit.description': '✏️ Edit Description',
+  'edit.tags': '🏷️ Edit Tags',
+  'edit.note': '📝 Add Note',
+  'edit.cancelled': '❌ Edit cancelled.',
+  'prompt.addtags': '🏷️ Send the tags to add, separated by spaces.',
+  'prompt.tags': '🏷️ Send the new tags, separated by spaces. They replace the current ones.',
+  'prompt.title': '✏️ Send the new title.',
+  'prompt.description': '✏️ Send the new description.',
+  'prompt.note': '📝 Send the note.',
+
+  // Trash
+  'delete.alreadyTrashed': ({ id }) => `🗑️ Already in the trash. Use /restore ${id} to bring it back.`,
+  'delete.heading': '🗑️ Delete Bookmark?',
+  'delete.savedOn': ({ date }) => `📅 Saved ${date}`,
+  'delete.explanation': 'It will be moved to the trash. You can restore it later with /restore.',
+  'delete.confirm': '🗑️ Confirm Delete',
+  'delete.cancelled': '❌ Delete cancelled.',
+  'delete.done': ({ title, id }) => `🗑️ Moved to trash: ${title}\n\nUse /restore ${id} to undo.`,
+
+  // Reminders
+  'remind.usage': 'Usage: /remind id 3d\n\nUse h, d or w (12h, 3d, 2w), a date (2025-03-01) or "off" to cancel.',
+  'remind.invalid': ({ value }) => `❌ "${value}" isn't a time I understand. Try 12h, 3d, 2w or a future date like 2025-03-01.`,
+  'remind.cancelled': ({ title }) => `🔕 Reminder cancelled: ${title}`,
+  'remind.ask': '⏰ When should I send this bookmark back to you?',
+  'remind.set': ({ title, date }) => `⏰ I'll remind you about "${title}" on ${date}.`,
+  'remind.setToast': '⏰ Reminder set',
+  'remind.none': '❌ No reminder set.',
+  'remind.due': '⏰ Reminder',
+  'remind.preset.1d': 'Tomorrow',
+  'remind.preset.3d': 'In 3 days',
+  'remind.preset.1w': 'Next week',
+  'remind.preset.4w': 'In a month',
+
+  // Statistics
+  'stats.failed': '❌ Couldn\'t load your statistics right now. Try again later.',
+  'stats.heading': '📊 Bookmark Stats',
+  'stats.total': ({ total }) => `📚 Total: ${total}`,
+  'stats.byStatus': ({ unread, reading, read }) => `📬 Unread: ${unread} · 📖 Reading: ${reading} · ✅ Read: ${read}`,
+  'stats.flags': ({ favorites, private: hidden, archived }) =>
+    `⭐ Favorites: ${favorites} · 🔒 Private: ${hidden} · 🗄️ Archived: ${archived}`,
+  'stats.byType': 'By type:',
+  'stats.tags': ({ count }) => `🏷️ ${count} tags · see /tags`,
+  'stats.computed': '🔄 Counted from bookmarks.jsonl (metadata.json is out of date)',
+  'stats.updated': ({ when }) => `🕒 Updated ${when}`,
+  'tags.failed': '❌ Couldn\'t load your tags right now. Try again later.',
+  'tags.none': '🏷️ No tags yet.',
+  'tags.top': ({ shown, total }) => `🏷️ Top ${shown} of ${total} tags`,
+  'tags.all': ({ total }) => `🏷️ ${total} tags`,
+  'type.article': 'article',
+  'type.video': 'video',
+  'type.code': 'code',
+  'type.image': 'image',
+  'type.tweet': 'tweet',
+  'type.pdf': 'pdf',
+  'type.other': 'other',
+
+  // Dates
+  'date.justNow': 'Just now',
+  'date.minutesAgo': ({ count }) => `${count}m ago`,
+  'date.hoursAgo': ({ count }) => `${count}h ago`,
+  'date.daysAgo': ({ count }) => `${count}d ago`,
+
+  // Digest
+  'digest.usage': ({ maxSize }) => `Usage:
+/digest daily|weekly|off [hour] - How often (hour of the day in UTC)
+/digest size 1-${maxSize} - How many bookmarks
+/digest hour 0-23 - When to send it (UTC)
+/digest unread - Send the oldest unread bookmarks
+/digest rediscover - Send random picks from the archive`,
+  'digest.updated': '✅ Digest updated',
+  'digest.off': '📰 The digest is off.',
+  'digest.daily': ({ hour }) => `Daily at ${hour}:00 UTC`,
+  'digest.weekly': ({ hour }) => `Weekly at ${hour}:00 UTC`,
+  'digest.rediscoverSize': ({ size }) => `${size} random ${plural(size, 'pick', 'picks')} from the archive`,
+  'digest.unreadSize': ({ size }) => `the ${size} oldest unread ${plural(size, 'bookmark', 'bookmarks')}`,
+  'digest.settings': ({ when, what }) => `📰 ${when}: ${what}.`,
+  'digest.heading.unread': ({ weekly, count }) => `📬 Your ${weekly ? 'weekly' : 'daily'} digest: ${count} oldest unread`,
+  'digest.heading.rediscover': ({ weekly, count }) =>
+    `🔮 Your ${weekly ? 'weekly' : 'daily'} digest: ${count} to rediscover from the archive`,
+  'digest.savedAgo': ({ when }) => `saved ${when}`,
+  'digest.markRead': '✅ Mark read',
+  'digest.snooze': '💤 Snooze',
+  'digest.markedRead': '✅ Marked as read',
+  'digest.snoozed': ({ days }) => `💤 Snoozed for ${days} days`,
+
+  // Language
+  'lang.current': ({ name, auto }) => (auto
+    ? `🌐 I'm replying in ${name}, following your Telegram language.`
+    : `🌐 I'm replying in ${name}.`),
+  'lang.usage': ({ languages }) => `Usage: /lang ${languages}|auto\n\n"auto" follows your Telegram language. Scheduled digests and reminders use the language chosen here.`,
+  'lang.set': ({ name }) => `✅ From now on I'll reply in ${name}.`,
+  'lang.auto': '✅ I\'ll follow your Telegram language again.',
+
+  // Errors
+  'error.notFound': ({ id }) =>
+    `❌ Bookmark not found\n\nID: ${id}\n\nThis bookmark may have been deleted.\nUse /recent to see your latest bookmarks.`,
+  'error.ambiguous': ({ id, matches }) => `⚠️ ID ${id} matches ${matches} bookmarks. Use more characters of the ID.`,
+  'error.unavailable': '❌ Couldn\'t reach your bookmarks right now. Try again later.',
+};
@@ -0,0 +1,243 @@
+// Spanish bot replies
+const plural = (count, one, many) => (count === 1 ? one : many);
+
+export default {
+  'language.name': 'Español',
+
+  // Commands and help
+  'start': '¡Bienvenido a Hipervínculos! 🔗\n\nMándame una URL y la guardaré en tus marcadores.\n\n'
+    + 'Añade #etiquetas, una nota, !fav o !private junto al enlace para aplicarlos directamente.',
+  'help': ({ recentDefault, tagsDefault }) => `Comandos:
+/start - Mostrar el mensaje de bienvenida
+/recent [n] - Ver los últimos n marcadores (por defecto ${recentDefault})
+/unread [página] - Ver los marcadores sin leer
+/favorites [página] - Ver los marcadores favoritos
+/search consulta - Buscar marcadores (filtros: type:video, is:unread, is:favorite)
+/stats - Ver estadísticas de la colección
+/tags [n] - Ver las n etiquetas más usadas (por defecto ${tagsDefault})
+/tag id etiqueta1 etiqueta2 - Añadir etiquetas
+/untag id etiqueta1 - Quitar etiquetas
+/note id texto - Añadir una nota personal
+/read id - Marcar como leído
+/favorite id - Marcar o desmarcar como favorito
+/private id - Hacer privado o público
+/edit id - Editar título, descripción, etiquetas o nota
+/remind id 3d|2w|AAAA-MM-DD|off - Volver a recibir un marcador más adelante
+/edit id title|description|tags valor - Editar un campo directamente
+/delete id - Mover un marcador a la papelera
+/trash [página] - Ver la papelera
+/restore id - Sacar un marcador de la papelera
+/preview on|off - Revisar los enlaces antes de guardarlos
+/digest daily|weekly|off - Recibir marcadores sin leer periódicamente (también: size n, hour h, unread|rediscover)
+/lang es|en|auto - Elegir el idioma del bot
+/help - Ver esta lista de comandos
+
+Para compartir un marcador en otro chat, escribe allí el @usuario del bot seguido de una búsqueda.
+
+El texto que acompaña a un enlace también se guarda: los #hashtags se convierten en etiquetas, !fav y !private activan esas opciones y el resto queda como nota.`,
+  'unknownCommand': 'Comando desconocido. Mándame una URL para guardarla como marcador.',
+
+  // Access
+  'access.deniedToast': '🔒 Lo siento, no puedes usar este bot.',
+  'access.denied': ({ id }) => '🔒 Lo siento, este es un bot de marcadores privado y no estás en su lista de usuarios.\n\n'
+    + `Si deberías tener acceso, pide al propietario que añada tu ID de usuario: ${id}`,
+
+  // Rate limiting
+  'ratelimit.minute': ({ limit, seconds }) =>
+    `⚠️ Más despacio\n\nPuedo atender ${limit} mensajes por minuto de este chat. Espera ${seconds} segundos y vuelve a intentarlo.`,
+  'ratelimit.day': ({ limit }) =>
+    `⚠️ Demasiado por hoy\n\nPuedo atender ${limit} mensajes al día de este chat. Vuelve a intentarlo mañana.`,
+  'ratelimit.toast': '⚠️ Demasiadas peticiones. Espera un momento y vuelve a intentarlo.',
+
+  // Saving
+  'save.saved': '✅ ¡Guardado!',
+  'save.updated': '✅ ¡Actualizado!',
+  'save.restored': '♻️ ¡Restaurado!',
+  'save.queued': ({ title }) => `⏳ En cola para reintentar: ${title}`,
+  'save.invalid': ({ url }) => `❌ Ese enlace no se puede guardar: ${url}`,
+  'save.many.saved': ({ saved, total }) => `✅ Guardados ${saved} de ${total} enlaces`,
+  'save.many.queued': ({ saved, total }) => `⏳ ${saved} de ${total} enlaces en cola para reintentar`,
+  'save.many.previewed': ({ total }) => `👀 He encontrado ${total} enlaces`,
+  'save.many.lineSaved': ({ title, id }) => `✅ ${title} (🆔 ${id})`,
+  'save.many.lineQueued': ({ title }) => `⏳ En cola para reintentar: ${title}`,
+  'save.many.linePreview': ({ title }) => `👀 Vista previa abajo: ${title}`,
+  'save.many.lineDuplicate': ({ title, id }) => `⚠️ Ya guardado: ${title} (🆔 ${id})`,
+  'save.many.lineInvalid': ({ url }) => `❌ No se puede guardar: ${url}`,
+  'file.unsupported': '📎 Solo puedo guardar PDF e imágenes. Para todo lo demás, mándame un enlace.',
+  'file.tooBig': '📎 El archivo es demasiado grande. Telegram solo deja a los bots descargar archivos de hasta 20 MB.',
+  'file.failed': '❌ No he podido guardar el archivo. Vuelve a enviarlo más tarde.',
+
+  // Duplicates
+  'duplicate.heading': '⚠️ Ya está guardado',
+  'duplicate.savedOn': ({ date }) => `📅 Guardado el ${date}`,
+  'duplicate.question': '¿Guardarlo de todos modos? Se creará un duplicado.',
+  'duplicate.saveAnyway': '✅ Guardar igualmente',
+  'duplicate.viewExisting': '👁️ Ver el existente',
+  'duplicate.saving': 'Guardando de todos modos…',
+  'duplicate.expired': 'Esta petición ha caducado. Vuelve a enviar el enlace.',
+
+  // Preview mode
+  'preview.heading': '👀 Vista previa',
+  'preview.save': '✅ Guardar',
+  'preview.edit': '✏️ Editar antes de guardar',
+  'preview.discard': '❌ Descartar',
+  'preview.title': '✏️ Título',
+  'preview.tags': '🏷️ Etiquetas',
+  'preview.back': '◀️ Volver',
+  'preview.discarded': '❌ Descartado',
+  'preview.expired': 'Esta vista previa ha caducado. Vuelve a enviar el enlace.',
+  'preview.expiredMessage': '⌛ Esta vista previa ha caducado. Vuelve a enviar el enlace.',
+  'preview.usage': 'Uso: /preview on|off',
+  'preview.on': '👀 Vista previa activada. Te enseñaré cada enlace y solo lo guardaré cuando pulses ✅ Guardar.',
+  'preview.off': '⚡ Vista previa desactivada. Los enlaces se guardan en cuanto los envías.',
+
+  // Lists and search
+  'list.recent.heading': '🕒 Marcadores recientes',
+  'list.recent.empty': '📭 Aún no hay marcadores. Mándame una URL para guardar uno.',
+  'list.unread.heading': '📬 Marcadores sin leer',
+  'list.unread.empty': '🎉 ¡Estás al día! No hay marcadores sin leer.',
+  'list.favorites.heading': '⭐ Marcadores favoritos',
+  'list.favorites.empty': 'Aún no hay marcadores favoritos.',
+  'list.trash.heading': '🗑️ Papelera',
+  'list.trash.empty': '🗑️ La papelera está vacía.',
+  'list.page': ({ page, totalPages }) => `Página ${page}/${totalPages}`,
+  'list.previous': '◀️ Anterior',
+  'list.next': 'Siguiente ▶️',
+  'list.failed': '❌ No he podido cargar los marcadores. Inténtalo más tarde.',
+  'search.usage': 'Uso: /search consulta\n\nEjemplo: /search react hooks type:video is:unread',
+  'search.expired': 'Esta búsqueda ha caducado. Vuelve a usar /search.',
+  'search.failed': '❌ No he podido buscar en los marcadores. Inténtalo más tarde.',
+  'search.none': ({ query }) => `🔍 Sin resultados para "${query}"`,
+  'search.found': ({ total, query }) => `🔍 ${total} ${plural(total, 'resultado', 'resultados')} para "${query}"`,
+
+  // Bookmark summary and actions
+  'bookmark.noTags': 'Sin etiquetas',
+  'bookmark.read': '✅ Leído',
+  'bookmark.unread': '📬 Sin leer',
+  'bookmark.favorite': '⭐ Favorito',
+  'bookmark.private': '🔒 Privado',
+  'bookmark.remindAt': ({ date }) => `⏰ Recordatorio ${date}`,
+  'bookmark.savedBy': ({ name }) => `👤 Guardado por ${name}`,
+  'action.addTags': '🏷️ Añadir etiquetas',
+  'action.favorite': '⭐ Favorito',
+  'action.unfavorite': '☆ Quitar favorito',
+  'action.private': '🔒 Privado',
+  'action.public': '🔓 Hacer público',
+  'action.markRead': '✅ Marcar leído',
+  'action.markUnread': '📬 Marcar sin leer',
+  'action.remind': '⏰ Recuérdamelo',
+  'action.done': '✅ Hecho',
+  'action.cancel': '❌ Cancelar',
+
+  // Editing
+  'usage.tag': 'Uso: /tag id etiqueta1 etiqueta2',
+  'usage.untag': 'Uso: /untag id etiqueta1',
+  'usage.note': 'Uso: /note id texto',
+  'usage.read': 'Uso: /read id',
+  'usage.favorite': 'Uso: /favorite id',
+  'usage.private': 'Uso: /private id',
+  'usage.delete': 'Uso: /delete id',
+  'usage.restore': 'Uso: /restore id',
+  'usage.edit': 'Uso: /edit id campo valor\n\nCampos: title, description, tags\nEjemplo: /edit abc12345 title Un título mejor',
+  'edit.menu': ({ title }) => `✏️ Editar marcador\n\nTítulo actual:\n${title}`,
+  'edit.title': '✏️ Editar título',
+  'edit.description': '✏️ Editar descripción',
+  'edit.tags': '🏷️ Editar etiquetas',
+  'edit.note': '📝 Añadir nota',
+  'edit.cancelled': '❌ Edición cancelada.',
+  'prompt.addtags': '🏷️ Envía las etiquetas que quieras añadir, separadas por espacios.',
+  'prompt.tags': '🏷️ Envía las nuevas etiquetas, separadas por espacios. Sustituyen a las actuales.',
+  'prompt.title': '✏️ Envía el nuevo título.',
+  'prompt.description': '✏️ Envía la nueva descripción.',
+  'prompt.note': '📝 Envía la nota.',
+
+  // Trash
+  'delete.alreadyTrashed': ({ id }) => `🗑️ Ya está en la papelera. Usa /restore ${id} para recuperarlo.`,
+  'delete.heading': '🗑️ ¿Eliminar marcador?',
+  'delete.savedOn': ({ date }) => `📅 Guardado el ${date}`,
+  'delete.explanation': 'Se moverá a la papelera. Puedes recuperarlo más tarde con /restore.',
+  'delete.confirm': '🗑️ Confirmar',
+  'delete.cancelled': '❌ Eliminación cancelada.',
+  'delete.done': ({ title, id }) => `🗑️ Movido a la papelera: ${title}\n\nUsa /restore ${id} para deshacerlo.`,
+
+  // Reminders
+  'remind.usage': 'Uso: /remind id 3d\n\nUsa h, d o w (12h, 3d, 2w), una fecha (2025-03-01) u "off" para cancelar.',
+  'remind.invalid': ({ value }) => `❌ No entiendo "${value}". Prueba con 12h, 3d, 2w o una fecha futura como 2025-03-01.`,
+  'remind.cancelled': ({ title }) => `🔕 Recordatorio cancelado: ${title}`,
+  'remind.ask': '⏰ ¿Cuándo quieres que te lo recuerde?',
+  'remind.set': ({ title, date }) => `⏰ Te recordaré "${title}" el ${date}.`,
+  'remind.setToast': '⏰ Recordatorio guardado',
+  'remind.none': '❌ Sin recordatorio.',
+  'remind.due': '⏰ Recordatorio',
+  'remind.preset.1d': 'Mañana',
+  'remind.preset.3d': 'En 3 días',
+  'remind.preset.1w': 'La semana que viene',
+  'remind.preset.4w': 'En un mes',
+
+  // Statistics
+  'stats.failed': '❌ No he podido cargar tus estadísticas. Inténtalo más tarde.',
+  'stats.heading': '📊 Estadísticas',
+  'stats.total': ({ total }) => `📚 Total: ${total}`,
+  'stats.byStatus': ({ unread, reading, read }) => `📬 Sin leer: ${unread} · 📖 Leyendo: ${reading} · ✅ Leídos: ${read}`,
+  'stats.flags': ({ favorites, private: hidden, archived }) =>
+    `⭐ Favoritos: ${favorites} · 🔒 Privados: ${hidden} · 🗄️ Archivados: ${archived}`,
+  'stats.byType': 'Por tipo:',
+  'stats.tags': ({ count }) => `🏷️ ${count} etiquetas · ver /tags`,
+  'stats.computed': '🔄 Contado a partir de bookmarks.jsonl (metadata.json no está al día)',
+  'stats.updated': ({ when }) => `🕒 Actualizado ${when}`,
+  'tags.failed': '❌ No he podido cargar tus etiquetas. Inténtalo más tarde.',
+  'tags.none': '🏷️ Aún no hay etiquetas.',
+  'tags.top': ({ shown, total }) => `🏷️ Las ${shown} más usadas de ${total} etiquetas`,
+  'tags.all': ({ total }) => `🏷️ ${total} etiquetas`,
+  'type.article': 'artículo',
+  'type.video': 'vídeo',
+  'type.code': 'código',
+  'type.image': 'imagen',
+  'type.tweet': 'tuit',
+  'type.pdf': 'pdf',
+  'type.other': 'otro',
+
+  // Dates
+  'date.justNow': 'Ahora mismo',
+  'date.minutesAgo': ({ count }) => `hace ${count} min`,
+  'date.hoursAgo': ({ count }) => `hace ${count} h`,
+  'date.daysAgo': ({ count }) => `hace ${count} d`,
+
+  // Digest
+  'digest.usage': ({ maxSize }) => `Uso:
+/digest daily|weekly|off [hora] - Cada cuánto (hora del día en UTC)
+/digest size 1-${maxSize} - Cuántos marcadores
+/digest hour 0-23 - A qué hora enviarlo (UTC)
+/digest unread - Enviar los marcadores sin leer más antiguos
+/digest rediscover - Enviar marcadores al azar del archivo`,
+  'digest.updated': '✅ Resumen actualizado',
+  'digest.off': '📰 El resumen está desactivado.',
+  'digest.daily': ({ hour }) => `Cada día a las ${hour}:00 UTC`,
+  'digest.weekly': ({ hour }) => `Cada semana a las ${hour}:00 UTC`,
+  'digest.rediscoverSize': ({ size }) => `${size} ${plural(size, 'marcador', 'marcadores')} al azar del archivo`,
+  'digest.unreadSize': ({ size }) => `${plural(size, 'el marcador sin leer más antiguo', `los ${size} marcadores sin leer más antiguos`)}`,
+  'digest.settings': ({ when, what }) => `📰 ${when}: ${what}.`,
+  'digest.heading.unread': ({ weekly, count }) =>
+    `📬 Tu resumen ${weekly ? 'semanal' : 'diario'}: ${count} sin leer de los más antiguos`,
+  'digest.heading.rediscover': ({ weekly, count }) =>
+    `🔮 Tu resumen ${weekly ? 'semanal' : 'diario'}: ${count} para redescubrir del archivo`,
+  'digest.savedAgo': ({ when }) => `guardado ${when}`,
+  'digest.markRead': '✅ Marcar leído',
+  'digest.snooze': '💤 Posponer',
+  'digest.markedRead': '✅ Marcado como leído',
+  'digest.snoozed': ({ days }) => `💤 Pospuesto ${days} días`,
+
+  // Language
+  'lang.current': ({ name, auto }) => (auto
+    ? `🌐 Te respondo en ${name}, según el idioma de tu Telegram.`
+    : `🌐 Te respondo en ${name}.`),
+  'lang.usage': ({ languages }) => `Uso: /lang ${languages}|auto\n\n"auto" sigue el idioma de tu Telegram. Los resúmenes y recordatorios programados usan el idioma que elijas aquí.`,
+  'lang.set': ({ name }) => `✅ A partir de ahora te responderé en ${name}.`,
+  'lang.auto': '✅ Volveré a seguir el idioma de tu Telegram.',
+
+  // Errors
+  'error.notFound': ({ id }) =>
+    `❌ Marcador no encontrado\n\nID: ${id}\n\nPuede que se haya eliminado.\nUsa /recent para ver tus últimos marcadores.`,
+  'error.ambiguous': ({ id, matches }) => `⚠️ El ID ${id} coincide con ${matches} marcadores. Usa más caracteres del ID.`,
+  'error.unavailable': '❌ No he podido acceder a tus marcadores. Inténtalo más tarde.',
+};
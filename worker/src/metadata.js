@@ -12,7 +12,7 @@ export class InvalidUrlError extends Error {
 /**
  * Fetch and extract metadata from a URL
  * @param {string} url - The URL to fetch metadata from
- * @returns {Promise<{title?: string, description?: string, image?: string, url: string, partial?: boolean}>}
+ * @returns {Promise<{title?: string, description?: string, image?: string, site_name?: string, url: string, partial?: boolean}>}
  */
 export async function fetchMetadata(url) {
   // Validate URL
@@ -68,10 +68,13 @@ export async function fetchMetadata(url) {
       $('meta[name="twitter:image"]').attr('content') ||
       undefined;
 
+    const siteName = $('meta[property="og:site_name"]').attr('content');
+
     return {
       title: title || undefined,
       description: description || undefined,
       image: image || undefined,
+      site_name: siteName || undefined,
       url: finalUrl,
     };
   } catch (error) {
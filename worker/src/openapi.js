@@ -0,0 +1,301 @@
+import { bookmarkSchema, WRITABLE_FIELDS, IMPORT_FIELDS, CONTENT_TYPES, READ_STATUSES } from './schema.js';
+import { WEBHOOK_EVENTS } from './webhooks.js';
+import { SORTS } from './bookmarks.js';
+
+// OpenAPI 3.1 description of the REST API, served at /api/openapi.json. The
+// bookmark schemas come from specs/bookmark.schema.json, like the validation.
+
+const { $schema, ...bookmark } = bookmarkSchema;
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const json = (schema, description) => ({ description, content: { 'application/json': { schema } } });
+const pick = names => Object.fromEntries(names.map(name => [name, bookmarkSchema.properties[name]]));
+
+// Text fields that PATCH may clear with null
+const nullable = (properties) => Object.fromEntries(Object.entries(properties).map(([name, property]) => [
+  name,
+  property.type === 'string' && !property.enum && !property.format
+    ? { ...property, type: ['string', 'null'] }
+    : property,
+]));
+
+const errors = {
+  400: { $ref: '#/components/responses/Invalid' },
+  401: { $ref: '#/components/responses/Unauthorized' },
+  404: { $ref: '#/components/responses/NotFound' },
+  502: { $ref: '#/components/responses/GitHubDown' },
+};
+
+const idParameter = {
+  name: 'id',
+  in: 'path',
+  required: true,
+  description: 'Full ID or a unique prefix',
+  schema: { type: 'string' },
+};
+
+const bookmarkResponse = json({ type: 'object', properties: { bookmark: ref('Bookmark') } }, 'The bookmark');
+
+/**
+ * Build the OpenAPI document for this worker
+ * @param {string} origin - The worker's origin, for the server URL
+ * @returns {object}
+ */
+export function openApiDocument(origin) {
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'Hipervínculos API',
+      version: '1.0.0',
+      description: 'Save, edit and read bookmarks. Reads work without a token but leave out private and trashed bookmarks; changes need the API_TOKEN.',
+    },
+    servers: [{ url: `${origin}/api` }],
+    security: [{}, { bearerAuth: [] }],
+    paths: {
+      '/bookmarks': {
+        get: {
+          summary: 'List bookmarks (not the trash), filtered and sorted, a page at a time',
+          parameters: [
+            query('q', 'Search, with the same syntax as /search in chat'),
+            { ...query('tag', 'Only bookmarks with all these tags; repeat or separate with commas'), explode: true, schema: { type: 'array', items: { type: 'string' } } },
+            query('type', 'Content type', { type: 'string', enum: CONTENT_TYPES }),
+            query('read_status', 'Read status', { type: 'string', enum: READ_STATUSES }),
+            query('favorite', 'Only favorites, or only the rest', { type: 'boolean' }),
+            query('archived', 'Only archived bookmarks, or only the rest', { type: 'boolean' }),
+            query('private', 'Only private bookmarks, or only the rest (needs the token)', { type: 'boolean' }),
+            query('since', 'Saved at or after', { type: 'string', format: 'date-time' }),
+            query('until', 'Saved before', { type: 'string', format: 'date-time' }),
+            query('sort', 'Order; relevance needs q and is the default with it', { type: 'string', enum: Object.keys(SORTS) }),
+            query('limit', 'Page size', { type: 'integer', minimum: 1, maximum: 200, default: 50 }),
+            query('cursor', 'next_cursor of the previous page'),
+          ],
+          responses: {
+            200: json(ref('BookmarkPage'), 'A page of bookmarks'),
+            400: errors[400],
+            401: errors[401],
+          },
+        },
+        post: {
+          summary: "Save a URL, fetching the page's metadata. Fields in the body win over the fetched ones.",
+          security: [{ bearerAuth: [] }],
+          parameters: [query('allow_duplicate', 'Save even if the URL is already bookmarked', { type: 'boolean' })],
+          requestBody: { required: true, content: { 'application/json': { schema: ref('NewBookmark') } } },
+          responses: {
+            201: bookmarkResponse,
+            400: errors[400],
+            401: errors[401],
+            409: json(
+              { type: 'object', properties: { error: { type: 'string' }, bookmark: ref('Bookmark') } },
+              'Already bookmarked; bookmark is the existing one',
+            ),
+            502: errors[502],
+          },
+        },
+      },
+      '/bookmarks/{id}': {
+        parameters: [idParameter],
+        get: {
+          summary: 'One bookmark',
+          responses: { 200: bookmarkResponse, 400: errors[400], 401: errors[401], 404: errors[404] },
+        },
+        patch: {
+          summary: 'Change some fields; null clears a text field. The URL cannot be changed.',
+          security: [{ bearerAuth: [] }],
+          requestBody: { required: true, content: { 'application/json': { schema: ref('BookmarkChanges') } } },
+          responses: { 200: bookmarkResponse, ...errors },
+        },
+        delete: {
+          summary: 'Move a bookmark to the trash',
+          security: [{ bearerAuth: [] }],
+          responses: {
+            200: json({ type: 'object', properties: { ok: { const: true }, bookmark: ref('Bookmark') } }, 'The trashed bookmark'),
+            ...errors,
+          },
+        },
+      },
+      '/import': {
+        post: {
+          summary: 'Save up to 500 bookmarks in one commit, without fetching pages',
+          security: [{ bearerAuth: [] }],
+          requestBody: {
+            required: true,
+            content: {
+              'application/json': {
+                schema: {
+                  oneOf: [
+                    { type: 'array', items: ref('ImportBookmark'), maxItems: 500 },
+                    { type: 'object', properties: { bookmarks: { type: 'array', items: ref('ImportBookmark'), maxItems: 500 } } },
+                  ],
+                },
+              },
+            },
+          },
+          responses: {
+            200: json(ref('ImportResult'), 'What happened to each entry'),
+            400: errors[400],
+            401: errors[401],
+            502: errors[502],
+          },
+        },
+      },
+      '/webhooks': {
+        get: {
+          summary: 'List outgoing webhooks, without their secrets',
+          security: [{ bearerAuth: [] }],
+          responses: {
+            200: json({ type: 'object', properties: { webhooks: { type: 'array', items: ref('Webhook') } } }, 'The webhooks'),
+            401: errors[401],
+          },
+        },
+        post: {
+          summary: 'Register an outgoing webhook. The answer holds its secret, which is not shown again.',
+          security: [{ bearerAuth: [] }],
+          requestBody: { required: true, content: { 'application/json': { schema: ref('NewWebhook') } } },
+          responses: {
+            201: json({ type: 'object', properties: { webhook: ref('WebhookWithSecret') } }, 'The new webhook'),
+            400: errors[400],
+            401: errors[401],
+          },
+        },
+      },
+      '/webhooks/{id}': {
+        delete: {
+          summary: 'Stop sending to a webhook',
+          security: [{ bearerAuth: [] }],
+          parameters: [{ ...idParameter, description: 'Webhook ID' }],
+          responses: {
+            200: json({ type: 'object', properties: { ok: { const: true } } }, 'Removed'),
+            401: errors[401],
+            404: errors[404],
+          },
+        },
+      },
+      '/openapi.json': {
+        get: {
+          summary: 'This document',
+          security: [{}],
+          responses: { 200: { description: 'OpenAPI 3.1 document', content: { 'application/json': {} } } },
+        },
+      },
+    },
+    webhooks: Object.fromEntries(WEBHOOK_EVENTS.map(event => [event, {
+      post: {
+        summary: `Sent to registered webhooks on ${event}`,
+        parameters: [
+          header('X-Hipervinculos-Event', 'The event'),
+          header('X-Hipervinculos-Delivery', 'Delivery ID, the same on retries'),
+          header('X-Hipervinculos-Signature-256', 'sha256= and the hex HMAC-SHA256 of the body, keyed with the webhook secret'),
+        ],
+        requestBody: { content: { 'application/json': { schema: ref('WebhookDelivery') } } },
+        responses: { '2XX': { description: 'Received; anything else is retried by the hourly cron job' } },
+      },
+    }])),
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', description: "The worker's API_TOKEN" },
+      },
+      schemas: {
+        Bookmark: bookmark,
+        NewBookmark: {
+          type: 'object',
+          required: ['url'],
+          properties: { url: bookmarkSchema.properties.url, ...pick(WRITABLE_FIELDS) },
+          additionalProperties: false,
+        },
+        BookmarkChanges: {
+          type: 'object',
+          minProperties: 1,
+          properties: nullable(pick(WRITABLE_FIELDS)),
+          additionalProperties: false,
+        },
+        ImportBookmark: {
+          type: 'object',
+          required: ['url'],
+          properties: { url: bookmarkSchema.properties.url, ...pick(IMPORT_FIELDS) },
+          additionalProperties: false,
+        },
+        BookmarkPage: {
+          type: 'object',
+          properties: {
+            bookmarks: { type: 'array', items: ref('Bookmark') },
+            total: { type: 'integer' },
+            next_cursor: { type: ['string', 'null'] },
+          },
+        },
+        ImportResult: {
+          type: 'object',
+          properties: {
+            imported: { type: 'integer' },
+            duplicates: { type: 'integer' },
+            invalid: { type: 'integer' },
+            results: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  index: { type: 'integer' },
+                  status: { type: 'string', enum: ['imported', 'duplicate', 'invalid'] },
+                  id: { type: 'string' },
+                  errors: { type: 'array', items: { type: 'string' } },
+                },
+              },
+            },
+          },
+        },
+        NewWebhook: {
+          type: 'object',
+          required: ['url'],
+          properties: {
+            url: { type: 'string', format: 'uri' },
+            events: { type: 'array', items: { type: 'string', enum: WEBHOOK_EVENTS }, minItems: 1, default: WEBHOOK_EVENTS },
+            include_private: { type: 'boolean', default: false },
+          },
+        },
+        Webhook: {
+          type: 'object',
+          properties: {
+            id: { type: 'string' },
+            url: { type: 'string', format: 'uri' },
+            events: { type: 'array', items: { type: 'string', enum: WEBHOOK_EVENTS } },
+            include_private: { type: 'boolean' },
+            created_at: { type: 'string', format: 'date-time' },
+          },
+        },
+        WebhookWithSecret: {
+          allOf: [ref('Webhook'), { type: 'object', properties: { secret: { type: 'string' } } }],
+        },
+        WebhookDelivery: {
+          type: 'object',
+          properties: {
+            id: { type: 'string' },
+            event: { type: 'string', enum: WEBHOOK_EVENTS },
+            timestamp: { type: 'string', format: 'date-time' },
+            bookmarks: { type: 'array', items: ref('Bookmark') },
+          },
+        },
+        Error: {
+          type: 'object',
+          required: ['error'],
+          properties: {
+            error: { type: 'string' },
+            details: { type: 'array', items: { type: 'string' } },
+          },
+        },
+      },
+      responses: {
+        Invalid: json(ref('Error'), 'Invalid body or query, or an ID prefix that matches several bookmarks'),
+        Unauthorized: json(ref('Error'), 'Missing or wrong token'),
+        NotFound: json(ref('Error'), 'No such bookmark or webhook'),
+        GitHubDown: json(ref('Error'), 'GitHub could not be reached; try again later'),
+      },
+    },
+  };
+}
+
+function query(name, description, schema = { type: 'string' }) {
+  return { name, in: 'query', description, schema };
+}
+
+function header(name, description) {
+  return { name, in: 'header', required: true, description, schema: { type: 'string' } };
+}
@@ -0,0 +1,110 @@
+// Defaults when RATE_LIMIT_PER_MINUTE / RATE_LIMIT_PER_DAY are not set.
+// Every update counts (messages, button taps, inline queries), so these sit
+// above the spec's 10 bookmarks per minute / 100 per day.
+const DEFAULT_PER_MINUTE = 20;
+const DEFAULT_PER_DAY = 300;
+
+// KV expirations must be at least 60 seconds
+const MINUTE_TTL_SECONDS = 2 * 60;
+const DAY_TTL_SECONDS = 2 * 24 * 60 * 60;
+// Rejected counts are kept for a week for /health
+const REJECTED_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+function parseLimit(value, fallback) {
+  const limit = parseInt(value, 10);
+  return Number.isNaN(limit) || limit < 0 ? fallback : limit;
+}
+
+/**
+ * Configured limits for one chat; 0 turns a limit off
+ * @param {object} env
+ * @returns {{perMinute: number, perDay: number}}
+ */
+export function getRateLimits(env) {
+  return {
+    perMinute: parseLimit(env.RATE_LIMIT_PER_MINUTE, DEFAULT_PER_MINUTE),
+    perDay: parseLimit(env.RATE_LIMIT_PER_DAY, DEFAULT_PER_DAY),
+  };
+}
+
+/**
+ * Count an update against a chat's per-minute and per-day limits (spec 8.4,
+ * keys `ratelimit:{id}:{minute}` and `ratelimit:{id}:{YYYY-MM-DD}`).
+ * Rejected updates are not counted, so a flood costs no more KV writes than
+ * the limit itself. KV is not atomic: parallel updates may slip a few over
+ * the limit, which is fine for abuse protection. An update whose count cannot
+ * be written, as happens in a burst, is allowed uncounted.
+ * @param {object} env
+ * @param {number|string} id - Chat ID (user ID for inline queries)
+ * @param {Date} [now]
+ * @returns {Promise<{allowed: boolean, window?: string, limit?: number, retryAfter?: number, firstRejection?: boolean}>}
+ *   retryAfter in seconds; firstRejection is set for the first update over the limit in a window
+ */
+export async function checkRateLimit(env, id, now = new Date()) {
+  const { perMinute, perDay } = getRateLimits(env);
+  const minute = Math.floor(now.getTime() / 60000);
+  const day = now.toISOString().slice(0, 10);
+  const midnight = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+
+  const windows = [
+    {
+      window: 'minute',
+      limit: perMinute,
+      key: `ratelimit:${id}:${minute}`,
+      ttl: MINUTE_TTL_SECONDS,
+      retryAfter: (minute + 1) * 60 - Math.floor(now.getTime() / 1000),
+    },
+    {
+      window: 'day',
+      limit: perDay,
+      key: `ratelimit:${id}:${day}`,
+      ttl: DAY_TTL_SECONDS,
+      retryAfter: Math.ceil((midnight - now.getTime()) / 1000),
+    },
+  ].filter(w => w.limit > 0);
+
+  const counts = await Promise.all(windows.map(async w => parseInt(await env.RETRY_QUEUE.get(w.key), 10) || 0));
+
+  const exceeded = windows.findIndex((w, i) => counts[i] >= w.limit);
+  if (exceeded === -1) {
+    try {
+      await Promise.all(windows.map((w, i) =>
+        env.RETRY_QUEUE.put(w.key, String(counts[i] + 1), { expirationTtl: w.ttl })));
+    } catch (error) {
+      // KV takes about one write a second per key, so a burst from one chat
+      // fails here. Refusing it would drop ordinary messages sent together;
+      // the counts already written still stop a sustained flood.
+      console.warn(`Rate limit counter for ${id} not written:`, error.message);
+    }
+    return { allowed: true };
+  }
+
+  const { window, limit, key, ttl, retryAfter } = windows[exceeded];
+  const firstRejection = counts[exceeded] === limit;
+  if (firstRejection) {
+    // Mark the window so only the first rejected update gets a reply
+    await env.RETRY_QUEUE.put(key, String(limit + 1), { expirationTtl: ttl });
+  }
+  return { allowed: false, window, limit, retryAfter, firstRejection };
+}
+
+/**
+ * Add one to today's count of rate-limited updates
+ * @param {object} env
+ * @param {Date} [now]
+ */
+export async function recordRejected(env, now = new Date()) {
+  const key = `ratelimit:rejected:${now.toISOString().slice(0, 10)}`;
+  const count = parseInt(await env.RETRY_QUEUE.get(key), 10) || 0;
+  await env.RETRY_QUEUE.put(key, String(count + 1), { expirationTtl: REJECTED_TTL_SECONDS });
+}
+
+/**
+ * Number of updates rejected by the rate limiter today (UTC)
+ * @param {object} env
+ * @param {Date} [now]
+ * @returns {Promise<number>}
+ */
+export async function getRejectedCount(env, now = new Date()) {
+  return parseInt(await env.RETRY_QUEUE.get(`ratelimit:rejected:${now.toISOString().slice(0, 10)}`), 10) || 0;
+}
@@ -0,0 +1,49 @@
+import { isTrashed } from './bookmarks.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const UNIT_MS = {
+  h: HOUR_MS,
+  d: DAY_MS,
+  w: 7 * DAY_MS,
+};
+
+// Quick choices offered by the "⏰ Remind me" button (labels are in the catalogs)
+export const REMIND_PRESETS = ['1d', '3d', '1w', '4w'];
+
+/**
+ * Turn "3d", "12h", "2w" or a YYYY-MM-DD date into the time a reminder is due.
+ * Dates are due at 08:00 UTC, the default digest hour.
+ * @param {string} value
+ * @param {Date} [now]
+ * @returns {Date|null} null when the value is not understood or not in the future
+ */
+export function parseRemindAt(value, now = new Date()) {
+  const text = (value || '').trim().toLowerCase();
+
+  const relative = text.match(/^(\d+)\s*([hdw])$/);
+  if (relative) {
+    const amount = parseInt(relative[1], 10);
+    return amount > 0 ? new Date(now.getTime() + amount * UNIT_MS[relative[2]]) : null;
+  }
+
+  if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+    const date = new Date(`${text}T08:00:00Z`);
+    return !Number.isNaN(date.getTime()) && date > now ? date : null;
+  }
+
+  return null;
+}
+
+/**
+ * Bookmarks whose reminder has come due, oldest reminder first
+ * @param {object[]} bookmarks
+ * @param {Date} now
+ * @returns {object[]}
+ */
+export function dueReminders(bookmarks, now) {
+  return bookmarks
+    .filter(b => b.remind_at && !isTrashed(b) && new Date(b.remind_at) <= now)
+    .sort((a, b) => new Date(a.remind_at) - new Date(b.remind_at));
+}
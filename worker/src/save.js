@@ -0,0 +1,78 @@
+import { fetchMetadata } from './metadata.js';
+import { GitHubAdapter } from './github.js';
+import { findDuplicate } from './bookmarks.js';
+import { createBookmark } from './schema.js';
+
+// Saving a link, shared by the bot, the API and the bookmarklet
+
+/**
+ * Load existing bookmarks for the duplicate check. If GitHub is down the check
+ * is skipped; the save that follows will fail and be queued for retry anyway.
+ * @param {object} env
+ * @returns {Promise<object[]>}
+ */
+export async function loadForDuplicateCheck(env) {
+  try {
+    const { bookmarks } = await new GitHubAdapter(env).getBookmarkFile();
+    return bookmarks;
+  } catch (error) {
+    console.error('Duplicate check skipped:', error);
+    return [];
+  }
+}
+
+/**
+ * Fetch metadata and build the bookmark for a URL, unless it duplicates one in
+ * `existing` (before or after following redirects)
+ * @param {string} url
+ * @param {object[]} existing - Bookmarks to check for duplicates; empty to skip
+ * @param {object} fields - Fields added to the bookmark, `source` at least;
+ *   they win over the fetched metadata
+ * @returns {Promise<{bookmark?: object, duplicate?: object}>}
+ * @throws {InvalidUrlError} When the URL is not http(s)
+ */
+export async function prepareBookmark(url, existing, fields) {
+  let duplicate = findDuplicate(existing, url);
+  if (duplicate) return { duplicate };
+
+  // Fetch metadata
+  const metadata = await fetchMetadata(url);
+  const finalUrl = metadata.url || url;
+
+  // The URL may redirect to one that is already bookmarked
+  if (finalUrl !== url) {
+    duplicate = findDuplicate(existing, finalUrl);
+    if (duplicate) return { duplicate };
+  }
+
+  return {
+    bookmark: createBookmark(finalUrl, {
+      title: metadata.title || undefined,
+      description: metadata.description || undefined,
+      image: metadata.image || undefined,
+      site_name: metadata.site_name || undefined,
+      ...fields,
+    }),
+  };
+}
+
+/**
+ * Put a bookmark that could not be saved on the retry queue for the cron job
+ * @param {object} bookmark
+ * @param {Error} error
+ * @param {object} env
+ */
+export async function queueForRetry(bookmark, error, env) {
+  const retryKey = `retry:${bookmark.id}`;
+  const retryData = {
+    bookmark,
+    attempts: 1,
+    lastError: error.message,
+    createdAt: new Date().toISOString(),
+  };
+
+  // createdAt is repeated as metadata so /health can age the queue without reading it
+  await env.RETRY_QUEUE.put(retryKey, JSON.stringify(retryData), {
+    metadata: { createdAt: retryData.createdAt },
+  });
+}
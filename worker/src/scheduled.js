@@ -1,12 +1,55 @@
 import { GitHubAdapter } from './github.js';
+import { sendMessage } from './telegram.js';
+import { dueReminders } from './reminders.js';
+import { translator } from './i18n.js';
+import { getChatSettings, updateChatSettings } from './settings.js';
+import { isDigestDue, pickDigestItems, getSnoozed } from './digest.js';
+import { isAllowed } from './access.js';
+import { recordCronRun } from './health.js';
+import { retryDelivery } from './webhooks.js';
+import {
+  formatDigestItem,
+  digestKeyboard,
+  formatBookmarkSummary,
+  bookmarkKeyboard,
+} from './format.js';
 
 const MAX_ATTEMPTS = 3;
 
 /**
- * Handle scheduled cron job to process retry queue
+ * Handle scheduled cron job: process the retry queue, then send any reminders
+ * and digests that are due
  * @param {object} env - Environment bindings
  */
 export async function handleScheduled(env) {
+  const startedAt = new Date();
+  await processRetryQueue(env);
+
+  try {
+    await sendReminders(env);
+  } catch (error) {
+    console.error('Error sending reminders:', error);
+  }
+
+  try {
+    await sendDigests(env);
+  } catch (error) {
+    console.error('Error sending digests:', error);
+  }
+
+  try {
+    await recordCronRun(env, startedAt);
+  } catch (error) {
+    console.error('Error recording cron run:', error);
+  }
+}
+
+/**
+ * Retry saving bookmarks that failed to reach GitHub, and webhook deliveries
+ * that failed
+ * @param {object} env - Environment bindings
+ */
+async function processRetryQueue(env) {
   const github = new GitHubAdapter(env);
 
   // List all retry keys
@@ -21,7 +64,11 @@ export async function handleScheduled(env) {
       const { bookmark, attempts } = retryData;
 
       try {
-        await github.saveBookmark(bookmark);
+        if (retryData.delivery) {
+          await retryDelivery(env, retryData);
+        } else {
+          await github.saveBookmark(bookmark);
+        }
 
         // Success - delete the retry key
         await env.RETRY_QUEUE.delete(key);
@@ -40,7 +87,9 @@ export async function handleScheduled(env) {
             lastError: error.message,
             lastAttempt: new Date().toISOString(),
           };
-          await env.RETRY_QUEUE.put(key, JSON.stringify(updatedData));
+          await env.RETRY_QUEUE.put(key, JSON.stringify(updatedData), {
+            metadata: { createdAt: retryData.createdAt },
+          });
           console.log(`Retry failed for ${key}, attempt ${attempts + 1}`);
         }
       }
@@ -50,3 +99,94 @@ export async function handleScheduled(env) {
     }
   }
 }
+
+/**
+ * Send the digest to every chat whose schedule is due on this run. Chats opt
+ * in with /digest; the digest is skipped unless the chat or the user who set
+ * it up is still on the allowlist.
+ * @param {object} env - Environment bindings
+ * @param {Date} [now]
+ */
+export async function sendDigests(env, now = new Date()) {
+  const { keys } = await env.RETRY_QUEUE.list({ prefix: 'settings:' });
+
+  // Loaded once, and only if some chat is due
+  let bookmarks;
+
+  for (const { name: key } of keys) {
+    if (!key.startsWith('settings:')) continue;
+    const chatId = Number(key.slice('settings:'.length));
+
+    try {
+      const { digest, lang } = await getChatSettings(env, chatId);
+      if (!isDigestDue(digest, now) || !isAllowed(env, { userId: digest.user_id, chatId })) continue;
+
+      if (!bookmarks) {
+        ({ bookmarks } = await new GitHubAdapter(env).getBookmarkFile());
+      }
+
+      const items = pickDigestItems(bookmarks, digest, await getSnoozed(env, chatId), now);
+      if (items.length) {
+        await sendDigest(chatId, digest, items, env, now, translator(lang));
+      }
+
+      await updateChatSettings(env, chatId, { digest: { ...digest, last_sent: now.toISOString() } });
+    } catch (error) {
+      // Error sending to this chat, continue with others
+      console.error(`Error sending digest to chat ${chatId}:`, error);
+    }
+  }
+}
+
+async function sendDigest(chatId, digest, items, env, now, t) {
+  const heading = t(digest.mode === 'rediscover' ? 'digest.heading.rediscover' : 'digest.heading.unread', {
+    weekly: digest.frequency === 'weekly',
+    count: items.length,
+  });
+
+  await sendMessage(chatId, heading, env);
+  for (const bookmark of items) {
+    await sendMessage(chatId, formatDigestItem(bookmark, now, t), env, {
+      reply_markup: digestKeyboard(bookmark.id, t),
+    });
+  }
+}
+
+/**
+ * Send bookmarks whose remind_at has passed back to the chat that asked, then
+ * clear those Telegram accepted in one commit. The rest stay: one that could
+ * not be sent, or whose chat and user are off the allowlist, is tried again on
+ * the next run, and one that could not be cleared is sent again rather than lost.
+ * @param {object} env - Environment bindings
+ * @param {Date} [now]
+ */
+export async function sendReminders(env, now = new Date()) {
+  const github = new GitHubAdapter(env);
+  const { bookmarks } = await github.getBookmarkFile();
+
+  const sent = [];
+  for (const bookmark of dueReminders(bookmarks, now)) {
+    const chatId = bookmark.remind_chat_id ?? bookmark.chat_id;
+    // Nobody to send it to (e.g. set from the web)
+    if (chatId === undefined || !isAllowed(env, { userId: bookmark.remind_user_id, chatId })) continue;
+
+    try {
+      // No Telegram language to go by here; use the chat's /lang choice
+      const t = translator((await getChatSettings(env, chatId)).lang);
+      const response = await sendMessage(chatId, `${t('remind.due')}\n\n🔗 ${bookmark.url}\n\n${formatBookmarkSummary(bookmark, t)}`, env, {
+        reply_markup: bookmarkKeyboard(bookmark, t),
+      });
+      if (response.ok) {
+        sent.push(bookmark.id);
+      } else {
+        console.error(`Telegram refused the reminder for ${bookmark.id}: ${response.status}`);
+      }
+    } catch (error) {
+      console.error(`Error sending reminder for ${bookmark.id}:`, error);
+    }
+  }
+
+  if (sent.length) {
+    await github.clearReminders(sent);
+  }
+}
@@ -0,0 +1,64 @@
+import { createHash } from 'node:crypto';
+import { schema as bookmarkSchema, withCrypto, checkValue, isHttpUrl } from '../../shared/bookmark.js';
+
+// The bookmark schema (specs/bookmark.schema.json) and the rules for building
+// and checking bookmarks live in shared/bookmark.js, shared with the scripts;
+// this module applies them to what callers send
+
+export { bookmarkSchema };
+
+export const CONTENT_TYPES = bookmarkSchema.properties.content_type.enum;
+export const READ_STATUSES = bookmarkSchema.properties.read_status.enum;
+
+// Fields callers may set when creating or updating a bookmark
+export const WRITABLE_FIELDS = [
+  'title',
+  'description',
+  'notes',
+  'tags',
+  'content_type',
+  'read_status',
+  'is_favorite',
+  'is_private',
+  'is_archived',
+];
+
+// Imported bookmarks may also carry what another tool already knows about them
+export const IMPORT_FIELDS = [...WRITABLE_FIELDS, 'image', 'site_name', 'timestamp'];
+
+export const { createBookmark } = withCrypto({ createHash, randomUUID: () => crypto.randomUUID() });
+
+/**
+ * Check fields sent by a caller against the bookmark schema
+ * @param {object} fields
+ * @param {string[]} allowed - Names the caller may set
+ * @param {{nullable?: boolean}} [options] - nullable: allow null to clear text fields
+ * @returns {string[]} One message per problem; empty when the fields are valid
+ */
+export function validateFields(fields, allowed, { nullable = false } = {}) {
+  const errors = [];
+
+  for (const [name, value] of Object.entries(fields)) {
+    if (!allowed.includes(name)) {
+      errors.push(`Unknown field: ${name}`);
+      continue;
+    }
+    const property = bookmarkSchema.properties[name];
+    if (value === null && nullable && property.type === 'string' && !property.enum) continue;
+
+    // New input is held to every limit, not just to the types
+    errors.push(...checkValue(name, value, property).map(problem => problem.message));
+  }
+
+  return errors;
+}
+
+/**
+ * @param {any} value
+ * @param {string} [name]
+ * @returns {string[]} Why the value is not an http(s) URL, if it is not
+ */
+export function validateUrl(value, name = 'url') {
+  if (value === undefined) return [`${name} is required`];
+  return isHttpUrl(value) ? [] : [`${name} must be an http(s) URL`];
+}
@@ -0,0 +1,42 @@
+import { DEFAULT_DIGEST } from './digest.js';
+
+// Per-chat preferences, stored in KV without expiry (spec 4.6 key style)
+const DEFAULT_SETTINGS = {
+  // Show a preview card and wait for [✅ Save] before committing a link
+  preview: false,
+  // Scheduled digest, see digest.js
+  digest: DEFAULT_DIGEST,
+};
+
+function settingsKey(chatId) {
+  return `settings:${chatId}`;
+}
+
+/**
+ * Load a chat's settings, filling in defaults for anything not set
+ * @param {object} env
+ * @param {number} chatId
+ * @returns {Promise<object>}
+ */
+export async function getChatSettings(env, chatId) {
+  const raw = await env.RETRY_QUEUE.get(settingsKey(chatId));
+  const stored = raw ? JSON.parse(raw) : {};
+  return {
+    ...DEFAULT_SETTINGS,
+    ...stored,
+    digest: { ...DEFAULT_SETTINGS.digest, ...stored.digest },
+  };
+}
+
+/**
+ * Merge changes into a chat's settings and store them
+ * @param {object} env
+ * @param {number} chatId
+ * @param {object} changes
+ * @returns {Promise<object>} The updated settings
+ */
+export async function updateChatSettings(env, chatId, changes) {
+  const settings = { ...(await getChatSettings(env, chatId)), ...changes };
+  await env.RETRY_QUEUE.put(settingsKey(chatId), JSON.stringify(settings));
+  return settings;
+}
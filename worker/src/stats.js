@@ -0,0 +1,113 @@
+import { isTrashed } from './bookmarks.js';
+
+/**
+ * Compute collection statistics the same way scripts/update-metadata.js does,
+ * in the shape it writes to data/metadata.json. Trashed bookmarks are not counted.
+ * @param {object[]} allBookmarks
+ * @returns {{total_bookmarks: number, last_bookmark_id: string|null, statistics: object, tags_usage: object}}
+ */
+export function computeStatistics(allBookmarks) {
+  const bookmarks = allBookmarks.filter(b => !isTrashed(b));
+
+  const stats = {
+    by_type: {
+      article: 0,
+      video: 0,
+      image: 0,
+      pdf: 0,
+      code: 0,
+      tweet: 0,
+      other: 0,
+    },
+    by_read_status: {
+      unread: 0,
+      reading: 0,
+      read: 0,
+    },
+    favorites_count: 0,
+    private_count: 0,
+    archived_count: 0,
+  };
+
+  const tagsUsage = {};
+  let lastBookmarkId = null;
+  let lastTimestamp = null;
+
+  for (const bookmark of bookmarks) {
+    const type = bookmark.content_type || 'other';
+    if (stats.by_type[type] !== undefined) {
+      stats.by_type[type]++;
+    }
+
+    const status = bookmark.read_status || 'unread';
+    if (stats.by_read_status[status] !== undefined) {
+      stats.by_read_status[status]++;
+    }
+
+    if (bookmark.is_favorite) stats.favorites_count++;
+    if (bookmark.is_private) stats.private_count++;
+    if (bookmark.is_archived) stats.archived_count++;
+
+    if (Array.isArray(bookmark.tags)) {
+      for (const tag of bookmark.tags) {
+        tagsUsage[tag] = (tagsUsage[tag] || 0) + 1;
+      }
+    }
+
+    if (!lastTimestamp || new Date(bookmark.timestamp) > new Date(lastTimestamp)) {
+      lastTimestamp = bookmark.timestamp;
+      lastBookmarkId = bookmark.id;
+    }
+  }
+
+  return {
+    total_bookmarks: bookmarks.length,
+    last_bookmark_id: lastBookmarkId,
+    statistics: stats,
+    tags_usage: tagsUsage,
+  };
+}
+
+/**
+ * Check whether metadata.json predates the latest change to bookmarks.jsonl.
+ * The build rewrites metadata.json after every data commit, so a newer data
+ * commit means the build has not caught up (or failed).
+ * @param {object|null} metadata
+ * @param {string|null} lastDataCommit - ISO date of the latest bookmarks.jsonl commit
+ * @returns {boolean}
+ */
+export function isMetadataStale(metadata, lastDataCommit) {
+  if (!metadata || !metadata.statistics || !metadata.last_updated) return true;
+  if (!lastDataCommit) return false;
+  return new Date(lastDataCommit) > new Date(metadata.last_updated);
+}
+
+/**
+ * Load statistics, preferring the committed metadata.json and computing them
+ * from bookmarks.jsonl when it is missing or stale
+ * @param {import('./github.js').GitHubAdapter} github
+ * @returns {Promise<{total_bookmarks: number, statistics: object, tags_usage: object, last_updated: string, computed: boolean}>}
+ */
+export async function loadStatistics(github) {
+  const [metadata, lastDataCommit] = await Promise.all([
+    github.getMetadataFile(),
+    github.getLastCommitDate(),
+  ]);
+
+  if (!isMetadataStale(metadata, lastDataCommit)) {
+    return {
+      total_bookmarks: metadata.total_bookmarks,
+      statistics: metadata.statistics,
+      tags_usage: metadata.tags_usage || {},
+      last_updated: metadata.last_updated,
+      computed: false,
+    };
+  }
+
+  const { bookmarks } = await github.getBookmarkFile();
+  return {
+    ...computeStatistics(bookmarks),
+    last_updated: new Date().toISOString(),
+    computed: true,
+  };
+}
@@ -1,8 +1,134 @@
-import { fetchMetadata } from './metadata.js';
 import { GitHubAdapter } from './github.js';
+import {
+  isUnread,
+  sortNewest,
+  paginate,
+  parseSearchQuery,
+  searchBookmarks,
+  normalizeTags,
+  findBookmark,
+  findDuplicate,
+  parseShareText,
+  isTrashed,
+  BookmarkNotFoundError,
+  AmbiguousIdError,
+} from './bookmarks.js';
+import {
+  formatBookmarkList,
+  formatBookmarkSummary,
+  bookmarkKeyboard,
+  pagingKeyboard,
+  shortId,
+  getDomain,
+  formatPreview,
+  previewKeyboard,
+  formatStats,
+  formatTopTags,
+  inlineResult,
+  formatDigestSettings,
+  formatRemindAt,
+  remindKeyboard,
+} from './format.js';
+import { createBookmark } from './schema.js';
+import { URL_REGEX, extractUrl, extractUrls } from './url.js';
+import { prepareBookmark, loadForDuplicateCheck, queueForRetry } from './save.js';
+import { InvalidUrlError } from './metadata.js';
+import { getChatSettings, updateChatSettings } from './settings.js';
+import { isAllowed, describeUser } from './access.js';
+import { loadStatistics } from './stats.js';
+import { parseRemindAt, REMIND_PRESETS } from './reminders.js';
+import { translator, pickLanguage, LANGUAGES, DEFAULT_LANGUAGE } from './i18n.js';
+import {
+  DIGEST_FREQUENCIES,
+  DIGEST_MODES,
+  DIGEST_MAX_SIZE,
+  SNOOZE_DAYS,
+  snoozeBookmark,
+} from './digest.js';
 
-// URL regex pattern - matches http/https URLs
-const URL_REGEX = /https?:\/\/[^\s<>"{}|\\^`\[\]]+/i;
+const LIST_PAGE_SIZE = 10;
+const RECENT_DEFAULT = 5;
+const RECENT_MAX = 20;
+const SEARCH_PAGE_SIZE = 5;
+const TAGS_DEFAULT = 20;
+// Bot API bots cannot download files larger than this
+const MAX_FILE_BYTES = 20 * 1024 * 1024;
+// Inline results per answer; Telegram allows up to 50
+const INLINE_PAGE_SIZE = 20;
+// How long Telegram may reuse an inline answer for the same user and query
+const INLINE_CACHE_SECONDS = 30;
+const TAGS_MAX = 100;
+// Pending searches and duplicate prompts are kept this long so their buttons keep working
+const SEARCH_TTL_SECONDS = 24 * 60 * 60;
+// Links waiting for [✅ Save] in preview mode expire after this long
+const PREVIEW_TTL_SECONDS = 24 * 60 * 60;
+// How long the bot waits for the reply to an "Add tags"/"Edit title" prompt
+const PENDING_REPLY_TTL_SECONDS = 10 * 60;
+
+/**
+ * Command reference shown by /help and after unknown commands
+ * @param {Function} t - Translator from i18n.js
+ * @returns {string}
+ */
+function helpText(t) {
+  return t('help', { recentDefault: RECENT_DEFAULT, tagsDefault: TAGS_DEFAULT });
+}
+
+const COMMANDS = {
+  '/start': handleStart,
+  '/help': handleHelp,
+  '/recent': handleRecent,
+  '/unread': handleUnread,
+  '/favorites': handleFavorites,
+  '/search': handleSearch,
+  '/stats': handleStats,
+  '/tags': handleTags,
+  '/tag': handleTag,
+  '/untag': handleUntag,
+  '/note': handleNote,
+  '/read': handleRead,
+  '/favorite': handleFavorite,
+  '/private': handlePrivate,
+  '/edit': handleEdit,
+  '/remind': handleRemind,
+  '/delete': handleDelete,
+  '/trash': handleTrash,
+  '/restore': handleRestore,
+  '/preview': handlePreviewMode,
+  '/digest': handleDigest,
+  '/lang': handleLang,
+};
+
+const CALLBACKS = {
+  search: handleSearchPageCallback,
+  list: handleListPageCallback,
+  delete: handleDeleteCallback,
+  bm: handleBookmarkActionCallback,
+  edit: handleEditMenuCallback,
+  dup: handleDuplicateCallback,
+  preview: handlePreviewCallback,
+  digest: handleDigestCallback,
+  remind: handleRemindCallback,
+};
+
+// Paged lists, shared by the commands and their "next page" buttons.
+// Headings and empty messages are catalog keys (list.<name>.heading/empty).
+const LISTS = {
+  unread: {
+    filter: isUnread,
+  },
+  favorites: {
+    filter: b => b.is_favorite,
+  },
+  trash: {
+    trash: true,
+  },
+};
+
+const EDITABLE_FIELDS = ['title', 'description', 'tags'];
+
+// Follow-up replies the bot can wait for after a button tap (asked with prompt.<action>)
+const PENDING_PROMPTS = ['addtags', 'tags', 'title', 'description', 'note'];
 
 /**
  * Verify the webhook signature from Telegram
@@ -16,14 +142,43 @@ export function verifyWebhookSignature(request, secret) {
 }
 
 /**
- * Extract the first URL from text
- * @param {string|null|undefined} text
- * @returns {string|null}
+ * Call a Telegram Bot API method
+ * @param {string} method - API method name (e.g. sendMessage)
+ * @param {object} payload
+ * @param {object} env
+ * @returns {Promise<Response>}
+ */
+async function callTelegram(method, payload, env) {
+  return fetch(`https://api.telegram.org/bot${env.TELEGRAM_BOT_TOKEN}/${method}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload),
+  });
+}
+
+// Bot usernames from getMe, by token, fetched once per isolate
+const botUsernames = new Map();
+
+/**
+ * This bot's username, lowercase: BOT_USERNAME if set, otherwise asked of
+ * Telegram once
+ * @param {object} env
+ * @returns {Promise<string|undefined>} undefined when Telegram cannot say
  */
-export function extractUrl(text) {
-  if (!text) return null;
-  const match = text.match(URL_REGEX);
-  return match ? match[0] : null;
+async function ownUsername(env) {
+  if (env.BOT_USERNAME) return env.BOT_USERNAME.replace(/^@/, '').toLowerCase();
+
+  if (!botUsernames.has(env.TELEGRAM_BOT_TOKEN)) {
+    try {
+      const response = await callTelegram('getMe', {}, env);
+      const { result } = await response.json();
+      botUsernames.set(env.TELEGRAM_BOT_TOKEN, result.username.toLowerCase());
+    } catch (error) {
+      console.error('Error getting the bot username:', error);
+      return undefined;
+    }
+  }
+  return botUsernames.get(env.TELEGRAM_BOT_TOKEN);
 }
 
 /**
@@ -31,16 +186,66 @@ export function extractUrl(text) {
  * @param {number} chatId
  * @param {string} text
  * @param {object} env
+ * @param {object} [options] - Extra sendMessage fields (e.g. reply_markup)
+ * @returns {Promise<Response>}
  */
-export async function sendMessage(chatId, text, env) {
-  await fetch(`https://api.telegram.org/bot${env.TELEGRAM_BOT_TOKEN}/sendMessage`, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({
-      chat_id: chatId,
-      text,
-    }),
-  });
+export async function sendMessage(chatId, text, env, options = {}) {
+  return callTelegram('sendMessage', { chat_id: chatId, text, ...options }, env);
+}
+
+/**
+ * Replace the text (and buttons) of a message the bot sent earlier
+ * @param {number} chatId
+ * @param {number} messageId
+ * @param {string} text
+ * @param {object} env
+ * @param {object} [options] - Extra editMessageText fields (e.g. reply_markup)
+ */
+export async function editMessageText(chatId, messageId, text, env, options = {}) {
+  await callTelegram('editMessageText', { chat_id: chatId, message_id: messageId, text, ...options }, env);
+}
+
+/**
+ * Replace only the buttons of a message the bot sent earlier (works for photos too)
+ * @param {number} chatId
+ * @param {number} messageId
+ * @param {object|undefined} replyMarkup - New keyboard, or undefined to remove it
+ * @param {object} env
+ */
+export async function editMessageReplyMarkup(chatId, messageId, replyMarkup, env) {
+  await callTelegram('editMessageReplyMarkup', {
+    chat_id: chatId,
+    message_id: messageId,
+    reply_markup: replyMarkup,
+  }, env);
+}
+
+/**
+ * Send the results for an inline query (@bot query typed in any chat)
+ * @param {string} inlineQueryId
+ * @param {object[]} results - InlineQueryResult objects
+ * @param {object} env
+ * @param {object} [options] - Extra answerInlineQuery fields (e.g. next_offset)
+ */
+export async function answerInlineQuery(inlineQueryId, results, env, options = {}) {
+  await callTelegram('answerInlineQuery', {
+    inline_query_id: inlineQueryId,
+    results,
+    cache_time: INLINE_CACHE_SECONDS,
+    // Results depend on who is asking (allowlist), so don't share them between users
+    is_personal: true,
+    ...options,
+  }, env);
+}
+
+/**
+ * Acknowledge a button tap so the client stops showing a spinner
+ * @param {string} callbackQueryId
+ * @param {object} env
+ * @param {string} [text] - Optional toast shown to the user
+ */
+export async function answerCallbackQuery(callbackQueryId, env, text) {
+  await callTelegram('answerCallbackQuery', { callback_query_id: callbackQueryId, text }, env);
 }
 
 /**
@@ -49,6 +254,26 @@ export async function sendMessage(chatId, text, env) {
  * @param {object} env - Environment bindings
  */
 export async function handleUpdate(update, env) {
+  // The webhook secret proves the update came from Telegram; the allowlist decides who may use the bot
+  const sender = senderOf(update);
+  if (sender && !isAllowed(env, sender)) {
+    await rejectSender(update, sender, env);
+    return;
+  }
+
+  // Replies are localized; everything below reads the language from env.lang
+  env = { ...env, lang: await replyLanguage(sender, env) };
+
+  if (update.callback_query) {
+    await handleCallbackQuery(update.callback_query, env);
+    return;
+  }
+
+  if (update.inline_query) {
+    await handleInlineQuery(update.inline_query, env);
+    return;
+  }
+
   const message = update.message;
   if (!message) return;
 
@@ -57,76 +282,1377 @@ export async function handleUpdate(update, env) {
 
   // Handle commands
   if (text.startsWith('/')) {
-    const command = text.split(' ')[0].toLowerCase();
-
-    if (command === '/start') {
-      await sendMessage(
-        chatId,
-        'Welcome to Hipervínculos! 🔗\n\nSend me a URL and I\'ll save it to your bookmarks.',
-        env
-      );
+    const [rawCommand, ...args] = text.trim().split(/\s+/);
+    // Commands sent in groups may be suffixed with a bot name (/recent@MyBot);
+    // those addressed to another bot in the same group are not ours to answer
+    const [command, addressee] = rawCommand.toLowerCase().split('@');
+    if (addressee && addressee !== await ownUsername(env)) return;
+
+    const handler = COMMANDS[command];
+    if (handler) {
+      await handler(chatId, args, env, text, message);
       return;
     }
 
     // Unknown command
-    await sendMessage(
-      chatId,
-      'Unknown command. Just send me a URL to save it as a bookmark.\n\nCommands:\n/start - Show welcome message',
-      env
-    );
+    const t = translator(env.lang);
+    await sendMessage(chatId, `${t('unknownCommand')}\n\n${helpText(t)}`, env);
+    return;
+  }
+
+  // PDFs and images are stored in the repository; checked before prompts so a
+  // captioned file is never taken as the answer to one
+  const attachment = attachmentOf(message);
+  if (attachment) {
+    await saveAttachment(chatId, attachment, message, env);
     return;
   }
 
-  // Extract URL from message
-  const url = extractUrl(text);
-  if (!url) {
+  // A reply to an "Add tags"/"Edit title" prompt
+  if (await handlePendingReply(message, env)) {
+    return;
+  }
+
+  // Extract URLs from message
+  const urls = extractUrls(text);
+  if (urls.length === 0) {
     // No URL found, ignore silently
     return;
   }
 
-  // Fetch metadata
-  const metadata = await fetchMetadata(url);
+  // Hashtags, flags and any other text around the links apply to every bookmark
+  const extra = {
+    ...parseShareText(text.replace(URL_REGEX, ' ')),
+    added_by: describeUser(message.from),
+  };
+  if (urls.length === 1) {
+    await saveUrl(chatId, urls[0], env, { extra });
+  } else {
+    await saveUrls(chatId, urls, env, { extra });
+  }
+}
+
+/**
+ * Who sent an update, from which chat and in which Telegram language
+ * @param {object} update
+ * @returns {{userId?: number, chatId?: number, languageCode?: string}|null}
+ */
+export function senderOf(update) {
+  if (update.callback_query) {
+    const { from, message } = update.callback_query;
+    return { userId: from?.id, chatId: message?.chat.id, languageCode: from?.language_code };
+  }
+  if (update.message) {
+    const { from, chat } = update.message;
+    return { userId: from?.id, chatId: chat.id, languageCode: from?.language_code };
+  }
+  if (update.inline_query) {
+    const { from } = update.inline_query;
+    return { userId: from?.id, languageCode: from?.language_code };
+  }
+  return null;
+}
+
+/**
+ * Language to reply in: the chat's /lang choice, else the sender's Telegram
+ * language. Inline queries have no chat, so they follow the sender's private
+ * chat (whose ID is the user ID).
+ * @param {{userId?: number, chatId?: number, languageCode?: string}|null} sender
+ * @param {object} env
+ * @returns {Promise<string>}
+ */
+async function replyLanguage(sender, env) {
+  if (!sender) return DEFAULT_LANGUAGE;
+
+  let override;
+  try {
+    ({ lang: override } = await getChatSettings(env, sender.chatId ?? sender.userId));
+  } catch (error) {
+    // Not worth failing the reply over; fall back to the Telegram language
+    console.error('Error loading language setting:', error);
+  }
+  return pickLanguage(override, sender.languageCode);
+}
+
+/**
+ * Tell a chat it is over the rate limit. Only the first rejected message in a
+ * window gets a reply, so a flood does not turn into a flood of replies;
+ * button taps always get a toast so the spinner stops.
+ * @param {object} update
+ * @param {{userId?: number, chatId?: number, languageCode?: string}} sender - As returned by senderOf
+ * @param {{window: string, limit: number, retryAfter: number, firstRejection: boolean}} limit - From checkRateLimit
+ * @param {object} env
+ */
+export async function replyRateLimited(update, sender, { window, limit, retryAfter, firstRejection }, env) {
+  const t = translator(await replyLanguage(sender, env));
+
+  if (update.callback_query) {
+    await answerCallbackQuery(update.callback_query.id, env, t('ratelimit.toast'));
+    return;
+  }
+  if (update.inline_query) {
+    await answerInlineQuery(update.inline_query.id, [], env, { cache_time: 0 });
+    return;
+  }
+  if (!firstRejection || sender.chatId === undefined) return;
+
+  const text = window === 'day'
+    ? t('ratelimit.day', { limit })
+    : t('ratelimit.minute', { limit, seconds: retryAfter });
+  await sendMessage(sender.chatId, text, env);
+}
+
+/**
+ * Turn away a sender who is not on the allowlist. Strangers in a group chat
+ * get no reply, so someone who joins a group the bot is in cannot make it
+ * answer every message they send; button taps and inline queries are still
+ * answered, since only the sender sees those.
+ * @param {object} update
+ * @param {{userId?: number, chatId?: number, languageCode?: string}} sender - As returned by senderOf
+ * @param {object} env
+ */
+async function rejectSender(update, { userId, chatId, languageCode }, env) {
+  console.warn(`Rejected update from user ${userId} in chat ${chatId}: not on the allowlist`);
+  // Strangers don't get a settings lookup; their Telegram language is enough
+  const t = translator(pickLanguage(undefined, languageCode));
+
+  if (update.callback_query) {
+    await answerCallbackQuery(update.callback_query.id, env, t('access.deniedToast'));
+    return;
+  }
+  if (update.inline_query) {
+    await answerInlineQuery(update.inline_query.id, [], env);
+    return;
+  }
+  if (isGroupChat(update.message.chat)) return;
+
+  await sendMessage(chatId, t('access.denied', { id: userId ?? chatId }), env);
+}
+
+/**
+ * Fetch metadata for a URL and save it as a bookmark. Unless allowDuplicate is
+ * set, a URL that is already bookmarked is not saved and the user is asked what
+ * to do instead. Chats in preview mode get a preview card to confirm first.
+ * @param {number} chatId
+ * @param {string} url
+ * @param {object} env
+ * @param {{allowDuplicate?: boolean, extra?: object}} [options] - extra: fields added to the bookmark
+ */
+async function saveUrl(chatId, url, env, { allowDuplicate = false, extra = {} } = {}) {
+  const existing = allowDuplicate ? [] : await loadForDuplicateCheck(env);
+
+  let prepared;
+  try {
+    prepared = await prepareBookmark(url, existing, { source: 'telegram', chat_id: chatId, ...extra });
+  } catch (error) {
+    if (!(error instanceof InvalidUrlError)) throw error;
+    await sendMessage(chatId, translator(env.lang)('save.invalid', { url }), env);
+    return;
+  }
+
+  const { bookmark, duplicate } = prepared;
+  if (duplicate) {
+    await replyWithDuplicate(chatId, url, duplicate, env, extra);
+    return;
+  }
+
+  const settings = await getChatSettings(env, chatId);
+  if (settings.preview) {
+    await sendPreview(chatId, bookmark, env);
+    return;
+  }
+
+  await commitBookmark(chatId, bookmark, env);
+}
+
+/**
+ * Save several URLs from one message in a single commit, skipping duplicates,
+ * and reply with one line per URL
+ * @param {number} chatId
+ * @param {string[]} urls
+ * @param {object} env
+ * @param {{extra?: object}} [options] - extra: fields added to every bookmark
+ */
+async function saveUrls(chatId, urls, env, { extra = {} } = {}) {
+  const existing = await loadForDuplicateCheck(env);
+  const results = [];
+
+  for (const url of urls) {
+    let result;
+    try {
+      result = await prepareBookmark(url, existing, { source: 'telegram', chat_id: chatId, ...extra });
+    } catch (error) {
+      // A bad link gets its own line; the others are still saved
+      if (!(error instanceof InvalidUrlError)) throw error;
+      results.push({ url, invalid: true });
+      continue;
+    }
+    // Later URLs in the same message are checked against this one too
+    if (result.bookmark) existing.push(result.bookmark);
+    results.push({ url, ...result });
+  }
+
+  const bookmarks = results.filter(r => r.bookmark).map(r => r.bookmark);
+
+  const settings = await getChatSettings(env, chatId);
+  let queued = false;
+  if (settings.preview) {
+    for (const bookmark of bookmarks) {
+      await sendPreview(chatId, bookmark, env);
+    }
+  } else if (bookmarks.length) {
+    try {
+      await new GitHubAdapter(env).saveBookmarks(bookmarks);
+    } catch (error) {
+      for (const bookmark of bookmarks) {
+        await queueForRetry(bookmark, error, env);
+      }
+      queued = true;
+    }
+  }
+
+  const t = translator(env.lang);
+  const lines = results.map(({ url, bookmark, duplicate, invalid }, i) => {
+    if (invalid) return `${i + 1}. ${t('save.many.lineInvalid', { url })}`;
+    if (duplicate) {
+      return `${i + 1}. ${t('save.many.lineDuplicate', { title: duplicate.title || url, id: shortId(duplicate.id) })}`;
+    }
+    const title = bookmark.title || bookmark.url;
+    if (settings.preview) return `${i + 1}. ${t('save.many.linePreview', { title })}`;
+    if (queued) return `${i + 1}. ${t('save.many.lineQueued', { title })}`;
+    return `${i + 1}. ${t('save.many.lineSaved', { title, id: shortId(bookmark.id) })}`;
+  });
+
+  const counts = { saved: bookmarks.length, total: urls.length };
+  let heading = t('save.many.saved', counts);
+  if (settings.preview) {
+    heading = t('save.many.previewed', counts);
+  } else if (queued) {
+    heading = t('save.many.queued', counts);
+  }
+  await sendMessage(chatId, `${heading}\n\n${lines.join('\n')}`, env);
+}
+
+/**
+ * Describe the file attached to a message, if any
+ * @param {object} message - Telegram message
+ * @returns {{fileId: string, fileName: string, mimeType: string, size?: number, contentType?: string}|null}
+ *   contentType is missing for files the bot does not store
+ */
+function attachmentOf(message) {
+  // A photo captioned with a link is a link share (often with a screenshot), not a file to keep
+  if (message.photo && message.photo.length && !extractUrl(message.caption)) {
+    // Telegram sends several sizes; the last one is the largest
+    const photo = message.photo[message.photo.length - 1];
+    return {
+      fileId: photo.file_id,
+      fileName: 'photo.jpg',
+      mimeType: 'image/jpeg',
+      size: photo.file_size,
+      contentType: 'image',
+    };
+  }
+
+  if (message.document) {
+    const { file_id, file_name, mime_type = '', file_size } = message.document;
+    let contentType;
+    if (mime_type === 'application/pdf') contentType = 'pdf';
+    else if (mime_type.startsWith('image/')) contentType = 'image';
+
+    return {
+      fileId: file_id,
+      fileName: file_name || 'file',
+      mimeType: mime_type,
+      size: file_size,
+      contentType,
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Store an attached PDF or image in the repository and bookmark it. The caption
+ * works like text sent with a link, except that its first line becomes the title.
+ * Attachments skip preview mode: the file is stored as soon as it arrives.
+ * @param {number} chatId
+ * @param {object} attachment - As returned by attachmentOf
+ * @param {object} message - Telegram message
+ * @param {object} env
+ */
+async function saveAttachment(chatId, attachment, message, env) {
+  const t = translator(env.lang);
+  if (!attachment.contentType) {
+    await sendMessage(chatId, t('file.unsupported'), env);
+    return;
+  }
+  if (attachment.size > MAX_FILE_BYTES) {
+    await sendMessage(chatId, t('file.tooBig'), env);
+    return;
+  }
+
+  const { notes, ...fields } = parseShareText((message.caption || '').replace(URL_REGEX, ' '));
+  const [title, ...rest] = notes ? notes.split('\n') : [attachment.fileName];
+  const id = crypto.randomUUID();
+  const fileName = `${shortId(id)}-${attachment.fileName.toLowerCase().replace(/[^a-z0-9._-]+/g, '-')}`;
+
+  let stored;
+  try {
+    const bytes = await downloadTelegramFile(attachment.fileId, env);
+    stored = await new GitHubAdapter(env).saveFile(fileName, bytes, `Add file: ${attachment.fileName}`);
+  } catch (error) {
+    console.error('Error storing file:', error);
+    await sendMessage(chatId, t('file.failed'), env);
+    return;
+  }
 
-  // Create bookmark
-  const bookmark = {
-    id: crypto.randomUUID(),
-    url: metadata.url || url,
-    title: metadata.title || undefined,
-    description: metadata.description || undefined,
-    image: metadata.image || undefined,
-    tags: [],
+  const bookmark = createBookmark(stored.url, {
+    id,
+    title,
+    content_type: attachment.contentType,
+    file: {
+      path: stored.path,
+      name: attachment.fileName,
+      mime_type: attachment.mimeType,
+      size: attachment.size,
+    },
     source: 'telegram',
-    timestamp: new Date().toISOString(),
     chat_id: chatId,
-  };
+    ...fields,
+    ...(rest.length ? { notes: rest.join('\n') } : {}),
+    added_by: describeUser(message.from),
+  });
 
-  // Try to save to GitHub
+  await commitBookmark(chatId, bookmark, env);
+}
+
+/**
+ * Download a file a user sent to the bot
+ * @param {string} fileId
+ * @param {object} env
+ * @returns {Promise<ArrayBuffer>}
+ */
+async function downloadTelegramFile(fileId, env) {
+  const response = await callTelegram('getFile', { file_id: fileId }, env);
+  const { ok, result, description } = await response.json();
+  if (!ok) {
+    throw new Error(`getFile failed: ${description}`);
+  }
+
+  const file = await fetch(`https://api.telegram.org/file/bot${env.TELEGRAM_BOT_TOKEN}/${result.file_path}`);
+  if (!file.ok) {
+    throw new Error(`File download failed: ${file.status}`);
+  }
+  return file.arrayBuffer();
+}
+
+/**
+ * Save a bookmark to GitHub and confirm, queueing it for retry when GitHub is unavailable
+ * @param {number} chatId
+ * @param {object} bookmark
+ * @param {object} env
+ */
+async function commitBookmark(chatId, bookmark, env) {
   const github = new GitHubAdapter(env);
+  const t = translator(env.lang);
 
+  // Try to save to GitHub
   try {
     await github.saveBookmark(bookmark);
 
     await sendMessage(
       chatId,
-      `✅ Saved: ${bookmark.title || bookmark.url}`,
-      env
+      `${t('save.saved')}\n\n${formatBookmarkSummary(bookmark, t)}`,
+      env,
+      { reply_markup: bookmarkKeyboard(bookmark, t) }
     );
   } catch (error) {
-    // Queue for retry
-    const retryKey = `retry:${bookmark.id}`;
-    const retryData = {
-      bookmark,
-      attempts: 1,
-      lastError: error.message,
-      createdAt: new Date().toISOString(),
-    };
-
-    await env.RETRY_QUEUE.put(retryKey, JSON.stringify(retryData));
+    await queueForRetry(bookmark, error, env);
 
     await sendMessage(
       chatId,
-      `⏳ Queued for retry: ${bookmark.title || bookmark.url}`,
+      t('save.queued', { title: bookmark.title || bookmark.url }),
       env
     );
   }
 }
+
+/**
+ * Tell the user a URL is already bookmarked and offer to save it anyway
+ * @param {number} chatId
+ * @param {string} url - The URL the user sent
+ * @param {object} existing - The bookmark it duplicates
+ * @param {object} env
+ * @param {object} [extra] - Fields from the message (tags, notes) kept for "Save Anyway"
+ */
+async function replyWithDuplicate(chatId, url, existing, env, extra = {}) {
+  // The URL does not fit in callback data, so "Save Anyway" refers to it by token
+  const token = crypto.randomUUID().slice(0, 8);
+  await env.RETRY_QUEUE.put(
+    `duplicate:${chatId}:${token}`,
+    JSON.stringify({ url, duplicate_of: existing.id, extra }),
+    { expirationTtl: SEARCH_TTL_SECONDS }
+  );
+
+  const t = translator(env.lang);
+  const text = [
+    t('duplicate.heading'),
+    '',
+    `📄 ${existing.title || existing.url}`,
+    `🔗 ${existing.url}`,
+    t('duplicate.savedOn', { date: (existing.timestamp || '').slice(0, 10) }),
+    `🆔 ${shortId(existing.id)}`,
+    '',
+    t('duplicate.question'),
+  ].join('\n');
+
+  await sendMessage(chatId, text, env, {
+    reply_markup: {
+      inline_keyboard: [[
+        { text: t('duplicate.saveAnyway'), callback_data: `dup:save:${token}` },
+        { text: t('duplicate.viewExisting'), callback_data: `dup:view:${existing.id}` },
+      ]],
+    },
+  });
+}
+
+async function handleDuplicateCallback(callbackQuery, [choice, ref], env) {
+  const chatId = callbackQuery.message.chat.id;
+  const t = translator(env.lang);
+
+  if (choice === 'view') {
+    await answerCallbackQuery(callbackQuery.id, env);
+    let bookmark;
+    try {
+      const { bookmarks } = await new GitHubAdapter(env).getBookmarkFile();
+      bookmark = findBookmark(bookmarks, ref);
+    } catch (error) {
+      await sendMessage(chatId, describeLookupError(error, shortId(ref), env), env);
+      return;
+    }
+    await sendMessage(chatId, `🔗 ${bookmark.url}\n\n${formatBookmarkSummary(bookmark, t)}`, env, {
+      reply_markup: bookmarkKeyboard(bookmark, t),
+    });
+    return;
+  }
+
+  const raw = await env.RETRY_QUEUE.get(`duplicate:${chatId}:${ref}`);
+  if (!raw) {
+    await answerCallbackQuery(callbackQuery.id, env, t('duplicate.expired'));
+    return;
+  }
+
+  const { url, duplicate_of, extra } = JSON.parse(raw);
+  await env.RETRY_QUEUE.delete(`duplicate:${chatId}:${ref}`);
+  await answerCallbackQuery(callbackQuery.id, env);
+
+  // Drop the buttons so the duplicate cannot be saved twice
+  const warning = (callbackQuery.message.text || t('duplicate.heading')).split(`\n\n${t('duplicate.question')}`)[0];
+  await editMessageText(chatId, callbackQuery.message.message_id, `${warning}\n\n${t('duplicate.saving')}`, env);
+
+  await saveUrl(chatId, url, env, {
+    allowDuplicate: true,
+    extra: { ...extra, duplicate_of, added_by: describeUser(callbackQuery.from) },
+  });
+}
+
+/**
+ * Hold a bookmark in KV and show it as a preview card with Save/Edit buttons.
+ * The card is sent as a photo when the page has an image.
+ * @param {number} chatId
+ * @param {object} bookmark
+ * @param {object} env
+ */
+async function sendPreview(chatId, bookmark, env) {
+  const token = shortId(bookmark.id);
+  await env.RETRY_QUEUE.put(`preview:${chatId}:${token}`, JSON.stringify(bookmark), {
+    expirationTtl: PREVIEW_TTL_SECONDS,
+  });
+
+  const t = translator(env.lang);
+  const text = formatPreview(bookmark, t);
+  const reply_markup = previewKeyboard(token, false, t);
+
+  if (bookmark.image) {
+    const response = await callTelegram('sendPhoto', {
+      chat_id: chatId,
+      photo: bookmark.image,
+      caption: text,
+      reply_markup,
+    }, env);
+    // Telegram rejects images it cannot download; fall back to a text card
+    if (response && response.ok) return;
+  }
+
+  await sendMessage(chatId, text, env, { reply_markup });
+}
+
+async function handlePreviewCallback(callbackQuery, [action, token], env) {
+  const chatId = callbackQuery.message.chat.id;
+  const messageId = callbackQuery.message.message_id;
+  const key = `preview:${chatId}:${token}`;
+  const t = translator(env.lang);
+
+  const raw = await env.RETRY_QUEUE.get(key);
+  if (!raw) {
+    await editMessageReplyMarkup(chatId, messageId, undefined, env);
+    await answerCallbackQuery(callbackQuery.id, env, t('preview.expired'));
+    return;
+  }
+
+  if (action === 'save') {
+    await env.RETRY_QUEUE.delete(key);
+    await editMessageReplyMarkup(chatId, messageId, undefined, env);
+    await answerCallbackQuery(callbackQuery.id, env);
+    await commitBookmark(chatId, JSON.parse(raw), env);
+  } else if (action === 'discard') {
+    await env.RETRY_QUEUE.delete(key);
+    await editMessageReplyMarkup(chatId, messageId, undefined, env);
+    await answerCallbackQuery(callbackQuery.id, env, t('preview.discarded'));
+  } else if (action === 'edit' || action === 'back') {
+    await editMessageReplyMarkup(chatId, messageId, previewKeyboard(token, action === 'edit', t), env);
+    await answerCallbackQuery(callbackQuery.id, env);
+  } else if (action === 'title' || action === 'tags') {
+    await promptForReply(callbackQuery, action, token, env, { preview: true });
+    await answerCallbackQuery(callbackQuery.id, env);
+  } else {
+    await answerCallbackQuery(callbackQuery.id, env);
+  }
+}
+
+/**
+ * Apply an edit to a pending preview and show the updated card
+ * @param {number} chatId
+ * @param {string} token
+ * @param {Function} changes - Receives the bookmark, returns the fields to change
+ * @param {object} env
+ */
+async function updatePreview(chatId, token, changes, env) {
+  const key = `preview:${chatId}:${token}`;
+  const raw = await env.RETRY_QUEUE.get(key);
+  if (!raw) {
+    await sendMessage(chatId, translator(env.lang)('preview.expiredMessage'), env);
+    return;
+  }
+
+  const bookmark = JSON.parse(raw);
+  await sendPreview(chatId, { ...bookmark, ...changes(bookmark) }, env);
+}
+
+/**
+ * Route an inline keyboard button tap. Callback data is "<action>:<args...>".
+ * @param {object} query - Telegram callback_query object
+ * @param {object} env
+ */
+async function handleCallbackQuery(query, env) {
+  const [action, ...args] = (query.data || '').split(':');
+  const handler = CALLBACKS[action];
+
+  if (!handler || !query.message) {
+    await answerCallbackQuery(query.id, env);
+    return;
+  }
+
+  await handler(query, args, env);
+}
+
+async function handleStart(chatId, args, env) {
+  await sendMessage(chatId, translator(env.lang)('start'), env);
+}
+
+async function handleHelp(chatId, args, env) {
+  await sendMessage(chatId, helpText(translator(env.lang)), env);
+}
+
+async function handleRecent(chatId, args, env) {
+  const requested = parseInt(args[0], 10);
+  const count = Number.isNaN(requested)
+    ? RECENT_DEFAULT
+    : Math.min(Math.max(requested, 1), RECENT_MAX);
+
+  const reply = await buildListReply('recent', 1, false, env, count);
+  await sendMessage(chatId, reply.text, env, reply.options);
+}
+
+async function handleUnread(chatId, args, env) {
+  await replyWithList(chatId, 'unread', parseInt(args[0], 10) || 1, env);
+}
+
+async function handleFavorites(chatId, args, env) {
+  await replyWithList(chatId, 'favorites', parseInt(args[0], 10) || 1, env);
+}
+
+async function handleListPageCallback(callbackQuery, [name, page], env) {
+  if (!LISTS[name]) {
+    await answerCallbackQuery(callbackQuery.id, env);
+    return;
+  }
+
+  const reply = await buildListReply(name, parseInt(page, 10) || 1, true, env);
+  await editMessageText(
+    callbackQuery.message.chat.id,
+    callbackQuery.message.message_id,
+    reply.text,
+    env,
+    reply.options
+  );
+  await answerCallbackQuery(callbackQuery.id, env);
+}
+
+/**
+ * Reply with one page of a named list from LISTS
+ * @param {number} chatId
+ * @param {string} name - Key in LISTS
+ * @param {number} page
+ * @param {object} env
+ */
+async function replyWithList(chatId, name, page, env) {
+  const reply = await buildListReply(name, page, true, env);
+  await sendMessage(chatId, reply.text, env, reply.options);
+}
+
+/**
+ * Load bookmarks from GitHub and build one page of a (filtered) list.
+ * Trashed bookmarks are only listed when the list sets `trash`, most recently deleted first.
+ * @param {string} name - Key in LISTS, or 'recent' for all bookmarks
+ * @param {number} page
+ * @param {boolean} paging - Add previous/next buttons (callback data "list:<name>:<page>")
+ * @param {object} env
+ * @param {number} [pageSize]
+ * @returns {Promise<{text: string, options: object}>}
+ */
+async function buildListReply(name, page, paging, env, pageSize = LIST_PAGE_SIZE) {
+  const { filter, trash = false } = LISTS[name] || {};
+  const t = translator(env.lang);
+
+  let bookmarks;
+  try {
+    ({ bookmarks } = await new GitHubAdapter(env).getBookmarkFile());
+  } catch (error) {
+    console.error('Error loading bookmarks:', error);
+    return { text: t('list.failed'), options: {} };
+  }
+
+  const visible = bookmarks.filter(b => isTrashed(b) === trash && (!filter || filter(b)));
+  const matching = trash
+    ? visible.sort((a, b) => new Date(b.deleted_at) - new Date(a.deleted_at))
+    : sortNewest(visible);
+  if (matching.length === 0) {
+    return { text: t(`list.${name}.empty`), options: {} };
+  }
+
+  const result = paginate(matching, page, pageSize);
+  const keyboard = paging && pagingKeyboard(`list:${name}`, result, t);
+  return {
+    text: formatBookmarkList(`${t(`list.${name}.heading`)} (${result.total})`, result, t),
+    options: keyboard ? { reply_markup: keyboard } : {},
+  };
+}
+
+async function handleSearch(chatId, args, env) {
+  const query = args.join(' ');
+  const parsed = parseSearchQuery(query);
+
+  if (parsed.terms.length === 0 && Object.keys(parsed.filters).length === 0) {
+    await sendMessage(chatId, translator(env.lang)('search.usage'), env);
+    return;
+  }
+
+  const searchId = crypto.randomUUID().slice(0, 8);
+  await env.RETRY_QUEUE.put(`search:${chatId}:${searchId}`, query, {
+    expirationTtl: SEARCH_TTL_SECONDS,
+  });
+
+  const reply = await buildSearchReply(query, 1, searchId, env);
+  await sendMessage(chatId, reply.text, env, reply.options);
+}
+
+async function handleSearchPageCallback(callbackQuery, [searchId, page], env) {
+  const chatId = callbackQuery.message.chat.id;
+  const query = await env.RETRY_QUEUE.get(`search:${chatId}:${searchId}`);
+
+  if (query === null) {
+    await answerCallbackQuery(callbackQuery.id, env, translator(env.lang)('search.expired'));
+    return;
+  }
+
+  const reply = await buildSearchReply(query, parseInt(page, 10) || 1, searchId, env);
+  await editMessageText(chatId, callbackQuery.message.message_id, reply.text, env, reply.options);
+  await answerCallbackQuery(callbackQuery.id, env);
+}
+
+/**
+ * Run a search and build the reply for one page of results
+ * @param {string} query - Raw query as typed by the user
+ * @param {number} page
+ * @param {string} searchId - KV handle used by the paging buttons
+ * @param {object} env
+ * @returns {Promise<{text: string, options: object}>}
+ */
+async function buildSearchReply(query, page, searchId, env) {
+  const t = translator(env.lang);
+
+  let bookmarks;
+  try {
+    ({ bookmarks } = await new GitHubAdapter(env).getBookmarkFile());
+  } catch (error) {
+    console.error('Error loading bookmarks:', error);
+    return { text: t('search.failed'), options: {} };
+  }
+
+  const results = searchBookmarks(bookmarks, parseSearchQuery(query));
+  if (results.length === 0) {
+    return { text: t('search.none', { query }), options: {} };
+  }
+
+  const result = paginate(results, page, SEARCH_PAGE_SIZE);
+  const heading = t('search.found', { total: result.total, query });
+
+  const keyboard = pagingKeyboard(`search:${searchId}`, result, t);
+
+  return {
+    text: formatBookmarkList(heading, result, t),
+    options: keyboard ? { reply_markup: keyboard } : {},
+  };
+}
+
+/**
+ * Search the collection for "@bot query" typed in any chat. An empty query lists
+ * the newest bookmarks. Private bookmarks are never offered, since the result
+ * is posted where others can see it.
+ */
+async function handleInlineQuery(inlineQuery, env) {
+  let bookmarks;
+  try {
+    ({ bookmarks } = await new GitHubAdapter(env).getBookmarkFile());
+  } catch (error) {
+    console.error('Error loading bookmarks:', error);
+    await answerInlineQuery(inlineQuery.id, [], env, { cache_time: 0 });
+    return;
+  }
+
+  const shareable = bookmarks.filter(b => !b.is_private);
+  const query = (inlineQuery.query || '').trim();
+  const matches = query
+    ? searchBookmarks(shareable, parseSearchQuery(query))
+    : sortNewest(shareable.filter(b => !isTrashed(b)));
+
+  const offset = parseInt(inlineQuery.offset, 10) || 0;
+  const page = matches.slice(offset, offset + INLINE_PAGE_SIZE);
+  const nextOffset = offset + INLINE_PAGE_SIZE < matches.length ? String(offset + INLINE_PAGE_SIZE) : '';
+
+  await answerInlineQuery(inlineQuery.id, page.map(inlineResult), env, { next_offset: nextOffset });
+}
+
+async function handleStats(chatId, args, env) {
+  const t = translator(env.lang);
+
+  let stats;
+  try {
+    stats = await loadStatistics(new GitHubAdapter(env));
+  } catch (error) {
+    console.error('Error loading statistics:', error);
+    await sendMessage(chatId, t('stats.failed'), env);
+    return;
+  }
+
+  await sendMessage(chatId, formatStats(stats, new Date(), t), env);
+}
+
+async function handleTags(chatId, [count], env) {
+  const limit = Math.min(Math.max(1, parseInt(count, 10) || TAGS_DEFAULT), TAGS_MAX);
+  const t = translator(env.lang);
+
+  let stats;
+  try {
+    stats = await loadStatistics(new GitHubAdapter(env));
+  } catch (error) {
+    console.error('Error loading statistics:', error);
+    await sendMessage(chatId, t('tags.failed'), env);
+    return;
+  }
+
+  await sendMessage(chatId, formatTopTags(stats.tags_usage, limit, t), env);
+}
+
+async function handleTag(chatId, [id, ...tags], env) {
+  const newTags = normalizeTags(tags);
+  if (!id || newTags.length === 0) {
+    await sendMessage(chatId, translator(env.lang)('usage.tag'), env);
+    return;
+  }
+
+  await updateAndReply(chatId, id, env, b => ({
+    tags: normalizeTags([...(b.tags || []), ...newTags]),
+  }));
+}
+
+async function handleUntag(chatId, [id, ...tags], env) {
+  const removed = normalizeTags(tags);
+  if (!id || removed.length === 0) {
+    await sendMessage(chatId, translator(env.lang)('usage.untag'), env);
+    return;
+  }
+
+  await updateAndReply(chatId, id, env, b => ({
+    tags: (b.tags || []).filter(t => !removed.includes(t.toLowerCase())),
+  }));
+}
+
+async function handleNote(chatId, [id], env, text) {
+  const note = restAfterArgs(text, 2);
+  if (!id || !note) {
+    await sendMessage(chatId, translator(env.lang)('usage.note'), env);
+    return;
+  }
+
+  await updateAndReply(chatId, id, env, { notes: note });
+}
+
+async function handleRead(chatId, [id], env) {
+  if (!id) {
+    await sendMessage(chatId, translator(env.lang)('usage.read'), env);
+    return;
+  }
+
+  await updateAndReply(chatId, id, env, { read_status: 'read' });
+}
+
+async function handleFavorite(chatId, [id], env) {
+  if (!id) {
+    await sendMessage(chatId, translator(env.lang)('usage.favorite'), env);
+    return;
+  }
+
+  await updateAndReply(chatId, id, env, b => ({ is_favorite: !b.is_favorite }));
+}
+
+async function handlePrivate(chatId, [id], env) {
+  if (!id) {
+    await sendMessage(chatId, translator(env.lang)('usage.private'), env);
+    return;
+  }
+
+  await updateAndReply(chatId, id, env, b => ({ is_private: !b.is_private }));
+}
+
+async function handleEdit(chatId, [id, field], env, text) {
+  const value = restAfterArgs(text, 3);
+  const key = (field || '').toLowerCase();
+
+  if (id && !field) {
+    await sendEditMenu(chatId, id, env);
+    return;
+  }
+
+  if (!id || !EDITABLE_FIELDS.includes(key) || !value) {
+    await sendMessage(chatId, translator(env.lang)('usage.edit'), env);
+    return;
+  }
+
+  const changes = key === 'tags' ? { tags: normalizeTags(value.split(/[\s,]+/)) } : { [key]: value };
+  await updateAndReply(chatId, id, env, changes);
+}
+
+async function handleRemind(chatId, [id, when], env, text, message) {
+  const t = translator(env.lang);
+  if (!id || !when) {
+    await sendMessage(chatId, t('remind.usage'), env);
+    return;
+  }
+
+  if (when.toLowerCase() === 'off') {
+    let bookmark;
+    try {
+      bookmark = await new GitHubAdapter(env).updateBookmark(id, {
+        remind_at: undefined,
+        remind_chat_id: undefined,
+        remind_user_id: undefined,
+      });
+    } catch (error) {
+      await sendMessage(chatId, describeLookupError(error, id, env), env);
+      return;
+    }
+    await sendMessage(chatId, t('remind.cancelled', { title: bookmark.title || bookmark.url }), env);
+    return;
+  }
+
+  const remindAt = parseRemindAt(when);
+  if (!remindAt) {
+    await sendMessage(chatId, t('remind.invalid', { value: when }), env);
+    return;
+  }
+
+  try {
+    await sendMessage(chatId, await setReminder(chatId, message.from?.id, id, remindAt, env), env);
+  } catch (error) {
+    await sendMessage(chatId, describeLookupError(error, id, env), env);
+  }
+}
+
+async function handleRemindCallback(callbackQuery, [value, id], env) {
+  const chatId = callbackQuery.message.chat.id;
+  const messageId = callbackQuery.message.message_id;
+  const t = translator(env.lang);
+
+  const remindAt = value === 'cancel' ? null : parseRemindAt(value);
+  if (!remindAt) {
+    await editMessageText(chatId, messageId, t('remind.none'), env);
+    await answerCallbackQuery(callbackQuery.id, env);
+    return;
+  }
+
+  let text;
+  try {
+    text = await setReminder(chatId, callbackQuery.from?.id, id, remindAt, env);
+  } catch (error) {
+    await answerCallbackQuery(callbackQuery.id, env, describeLookupError(error, shortId(id), env).split('\n')[0]);
+    return;
+  }
+  await editMessageText(chatId, messageId, text, env);
+  await answerCallbackQuery(callbackQuery.id, env, t('remind.setToast'));
+}
+
+/**
+ * Store when to send a bookmark back, to which chat, and who asked (the
+ * reminder is only sent while one of them is on the allowlist)
+ * @param {number} chatId
+ * @param {number|undefined} userId
+ * @param {string} id - Full ID or short-ID prefix
+ * @param {Date} remindAt
+ * @param {object} env
+ * @returns {Promise<string>} Confirmation for the user
+ */
+async function setReminder(chatId, userId, id, remindAt, env) {
+  const bookmark = await new GitHubAdapter(env).updateBookmark(
+    id,
+    { remind_at: remindAt.toISOString(), remind_chat_id: chatId, remind_user_id: userId },
+    'Remind'
+  );
+  return translator(env.lang)('remind.set', { title: bookmark.title || bookmark.url, date: formatRemindAt(remindAt) });
+}
+
+async function handleDelete(chatId, [id], env) {
+  const t = translator(env.lang);
+  if (!id) {
+    await sendMessage(chatId, t('usage.delete'), env);
+    return;
+  }
+
+  let bookmark;
+  try {
+    const { bookmarks } = await new GitHubAdapter(env).getBookmarkFile();
+    bookmark = findBookmark(bookmarks, id);
+  } catch (error) {
+    await sendMessage(chatId, describeLookupError(error, id, env), env);
+    return;
+  }
+
+  if (isTrashed(bookmark)) {
+    await sendMessage(chatId, t('delete.alreadyTrashed', { id: shortId(bookmark.id) }), env);
+    return;
+  }
+
+  const text = [
+    t('delete.heading'),
+    '',
+    `📄 ${bookmark.title || bookmark.url}`,
+    `🔗 ${getDomain(bookmark.url)}`,
+    t('delete.savedOn', { date: (bookmark.timestamp || '').slice(0, 10) }),
+    '',
+    t('delete.explanation'),
+  ].join('\n');
+
+  await sendMessage(chatId, text, env, {
+    reply_markup: {
+      inline_keyboard: [[
+        { text: t('delete.confirm'), callback_data: `delete:confirm:${bookmark.id}` },
+        { text: t('action.cancel'), callback_data: `delete:cancel:${bookmark.id}` },
+      ]],
+    },
+  });
+}
+
+async function handleDeleteCallback(callbackQuery, [choice, id], env) {
+  const chatId = callbackQuery.message.chat.id;
+  const messageId = callbackQuery.message.message_id;
+  const t = translator(env.lang);
+
+  if (choice !== 'confirm') {
+    await editMessageText(chatId, messageId, t('delete.cancelled'), env);
+    await answerCallbackQuery(callbackQuery.id, env);
+    return;
+  }
+
+  let text;
+  try {
+    const bookmark = await new GitHubAdapter(env).trashBookmark(id);
+    text = t('delete.done', { title: bookmark.title || bookmark.url, id: shortId(bookmark.id) });
+  } catch (error) {
+    text = describeLookupError(error, shortId(id), env);
+  }
+
+  await editMessageText(chatId, messageId, text, env);
+  await answerCallbackQuery(callbackQuery.id, env);
+}
+
+async function handleTrash(chatId, args, env) {
+  await replyWithList(chatId, 'trash', parseInt(args[0], 10) || 1, env);
+}
+
+async function handleRestore(chatId, [id], env) {
+  const t = translator(env.lang);
+  if (!id) {
+    await sendMessage(chatId, t('usage.restore'), env);
+    return;
+  }
+
+  let bookmark;
+  try {
+    bookmark = await new GitHubAdapter(env).restoreBookmark(id);
+  } catch (error) {
+    await sendMessage(chatId, describeLookupError(error, id, env), env);
+    return;
+  }
+
+  await sendMessage(chatId, `${t('save.restored')}\n\n${formatBookmarkSummary(bookmark, t)}`, env, {
+    reply_markup: bookmarkKeyboard(bookmark, t),
+  });
+}
+
+async function handlePreviewMode(chatId, [value], env) {
+  const t = translator(env.lang);
+  const choice = (value || '').toLowerCase();
+  if (choice && choice !== 'on' && choice !== 'off') {
+    await sendMessage(chatId, t('preview.usage'), env);
+    return;
+  }
+
+  const current = await getChatSettings(env, chatId);
+  const preview = choice ? choice === 'on' : !current.preview;
+  await updateChatSettings(env, chatId, { preview });
+
+  await sendMessage(chatId, t(preview ? 'preview.on' : 'preview.off'), env);
+}
+
+async function handleDigest(chatId, [option, value], env, text, message) {
+  const { digest } = await getChatSettings(env, chatId);
+  const choice = (option || '').toLowerCase();
+  const number = parseInt(value, 10);
+  const t = translator(env.lang);
+  const usage = t('digest.usage', { maxSize: DIGEST_MAX_SIZE });
+
+  if (!choice) {
+    await sendMessage(chatId, `${formatDigestSettings(digest, t)}\n\n${usage}`, env);
+    return;
+  }
+
+  let changes;
+  if (DIGEST_FREQUENCIES.includes(choice) && (value === undefined || (number >= 0 && number <= 23))) {
+    changes = value === undefined ? { frequency: choice } : { frequency: choice, hour: number };
+  } else if (DIGEST_MODES.includes(choice)) {
+    changes = { mode: choice };
+  } else if (choice === 'size' && number >= 1 && number <= DIGEST_MAX_SIZE) {
+    changes = { size: number };
+  } else if (choice === 'hour' && number >= 0 && number <= 23) {
+    changes = { hour: number };
+  }
+
+  if (!changes) {
+    await sendMessage(chatId, usage, env);
+    return;
+  }
+
+  // Who set it up: the digest goes out while they or the chat are on the allowlist
+  if (message.from) changes.user_id = message.from.id;
+  const updated = await updateChatSettings(env, chatId, { digest: { ...digest, ...changes } });
+  await sendMessage(chatId, `${t('digest.updated')}\n\n${formatDigestSettings(updated.digest, t)}`, env);
+}
+
+/**
+ * Buttons under a digest item: mark the bookmark read, or keep it out of
+ * digests for a while. The message is edited so the buttons go away.
+ */
+async function handleDigestCallback(callbackQuery, [action, id], env) {
+  const chatId = callbackQuery.message.chat.id;
+  const text = callbackQuery.message.text || '';
+  const t = translator(env.lang);
+
+  let header;
+  if (action === 'read') {
+    try {
+      await new GitHubAdapter(env).updateBookmark(id, { read_status: 'read' });
+    } catch (error) {
+      await answerCallbackQuery(callbackQuery.id, env, describeLookupError(error, shortId(id), env).split('\n')[0]);
+      return;
+    }
+    header = t('digest.markedRead');
+  } else if (action === 'snooze') {
+    await snoozeBookmark(env, chatId, id);
+    header = t('digest.snoozed', { days: SNOOZE_DAYS });
+  } else {
+    await answerCallbackQuery(callbackQuery.id, env);
+    return;
+  }
+
+  await editMessageText(chatId, callbackQuery.message.message_id, `${header}\n\n${text}`, env);
+  await answerCallbackQuery(callbackQuery.id, env);
+}
+
+/**
+ * /lang shows the reply language, /lang es|en pins it for this chat and
+ * /lang auto goes back to following the Telegram app language
+ */
+async function handleLang(chatId, [value], env) {
+  const choice = (value || '').toLowerCase();
+  let t = translator(env.lang);
+
+  if (!choice || (choice !== 'auto' && !LANGUAGES.includes(choice))) {
+    const { lang } = await getChatSettings(env, chatId);
+    const current = t('lang.current', { name: t('language.name'), auto: !lang });
+    await sendMessage(chatId, `${current}\n\n${t('lang.usage', { languages: LANGUAGES.join('|') })}`, env);
+    return;
+  }
+
+  if (choice === 'auto') {
+    await updateChatSettings(env, chatId, { lang: undefined });
+    await sendMessage(chatId, t('lang.auto'), env);
+    return;
+  }
+
+  await updateChatSettings(env, chatId, { lang: choice });
+  // Confirm in the language just chosen
+  t = translator(choice);
+  await sendMessage(chatId, t('lang.set', { name: t('language.name') }), env);
+}
+
+async function sendEditMenu(chatId, id, env) {
+  let bookmark;
+  try {
+    const { bookmarks } = await new GitHubAdapter(env).getBookmarkFile();
+    bookmark = findBookmark(bookmarks, id);
+  } catch (error) {
+    await sendMessage(chatId, describeLookupError(error, id, env), env);
+    return;
+  }
+
+  const t = translator(env.lang);
+  const action = (name) => `edit:${name}:${bookmark.id}`;
+  await sendMessage(chatId, t('edit.menu', { title: bookmark.title || bookmark.url }), env, {
+    reply_markup: {
+      inline_keyboard: [
+        [
+          { text: t('edit.title'), callback_data: action('title') },
+          { text: t('edit.description'), callback_data: action('description') },
+        ],
+        [
+          { text: t('edit.tags'), callback_data: action('tags') },
+          { text: t('edit.note'), callback_data: action('note') },
+        ],
+        [{ text: t('action.cancel'), callback_data: action('cancel') }],
+      ],
+    },
+  });
+}
+
+async function handleEditMenuCallback(callbackQuery, [field, id], env) {
+  const chatId = callbackQuery.message.chat.id;
+
+  if (!PENDING_PROMPTS.includes(field)) {
+    await editMessageText(chatId, callbackQuery.message.message_id, translator(env.lang)('edit.cancelled'), env);
+    await answerCallbackQuery(callbackQuery.id, env);
+    return;
+  }
+
+  await promptForReply(callbackQuery, field, id, env);
+  await answerCallbackQuery(callbackQuery.id, env);
+}
+
+/**
+ * Quick actions under a saved bookmark. Toggles are applied right away and the
+ * message is edited in place; "Add Tags" asks for a follow-up reply.
+ */
+async function handleBookmarkActionCallback(callbackQuery, [action, id], env) {
+  const chatId = callbackQuery.message.chat.id;
+  const t = translator(env.lang);
+
+  if (action === 'tags') {
+    await promptForReply(callbackQuery, 'addtags', id, env);
+    await answerCallbackQuery(callbackQuery.id, env);
+    return;
+  }
+
+  if (action === 'remind') {
+    await sendMessage(chatId, t('remind.ask'), env, {
+      reply_markup: remindKeyboard(id, REMIND_PRESETS, t),
+    });
+    await answerCallbackQuery(callbackQuery.id, env);
+    return;
+  }
+
+  const toggles = {
+    favorite: b => ({ is_favorite: !b.is_favorite }),
+    private: b => ({ is_private: !b.is_private }),
+    read: b => ({ read_status: b.read_status === 'read' ? 'unread' : 'read' }),
+  };
+  if (!toggles[action]) {
+    await answerCallbackQuery(callbackQuery.id, env);
+    return;
+  }
+
+  let bookmark;
+  try {
+    bookmark = await new GitHubAdapter(env).updateBookmark(id, toggles[action]);
+  } catch (error) {
+    await answerCallbackQuery(callbackQuery.id, env, describeLookupError(error, shortId(id), env).split('\n')[0]);
+    return;
+  }
+
+  // Keep the message's first line ("✅ Saved!", "✅ Updated!") and refresh the rest
+  const header = (callbackQuery.message.text || t('save.updated')).split('\n')[0];
+  await editMessageText(
+    chatId,
+    callbackQuery.message.message_id,
+    `${header}\n\n${formatBookmarkSummary(bookmark, t)}`,
+    env,
+    { reply_markup: bookmarkKeyboard(bookmark, t) }
+  );
+  await answerCallbackQuery(callbackQuery.id, env, t('action.done'));
+}
+
+/**
+ * Ask the user who tapped a button for a follow-up value and remember what it
+ * is for. In groups the prompt's message ID is kept too, since only a reply
+ * to it is taken as the answer.
+ * @param {object} callbackQuery - The tap that asked for the prompt
+ * @param {string} action - One of PENDING_PROMPTS
+ * @param {string} id - Bookmark ID, or the preview token when preview is set
+ * @param {object} env
+ * @param {{preview?: boolean}} [options] - preview: the answer edits an unsaved preview
+ */
+async function promptForReply(callbackQuery, action, id, env, { preview = false } = {}) {
+  const { chat } = callbackQuery.message;
+  const response = await sendMessage(chat.id, translator(env.lang)(`prompt.${action}`), env, {
+    reply_markup: { force_reply: true, input_field_placeholder: shortId(id) },
+  });
+  if (!response || !response.ok) return;
+
+  const pending = preview ? { action, id, preview } : { action, id };
+  if (isGroupChat(chat)) {
+    const { result } = await response.json();
+    pending.prompt = result.message_id;
+  }
+  await env.RETRY_QUEUE.put(pendingKey(chat.id, callbackQuery.from.id), JSON.stringify(pending), {
+    expirationTtl: PENDING_REPLY_TTL_SECONDS,
+  });
+}
+
+/**
+ * KV key of a prompt waiting for one user's answer in one chat
+ * @param {number} chatId
+ * @param {number} userId
+ * @returns {string}
+ */
+function pendingKey(chatId, userId) {
+  return `pending:${chatId}:${userId}`;
+}
+
+/**
+ * @param {object} chat - Telegram chat
+ * @returns {boolean} Whether several people may be writing in the chat
+ */
+function isGroupChat(chat) {
+  return chat.type === 'group' || chat.type === 'supergroup';
+}
+
+/**
+ * Apply a message as the answer to an earlier prompt, if its sender has one
+ * pending in this chat. A message containing a URL is only taken as the answer
+ * when it explicitly replies to the prompt, so sharing a new link still saves
+ * it; in groups only a reply to the prompt counts, so other chatter does not.
+ * @param {object} message - Telegram message
+ * @param {object} env
+ * @returns {Promise<boolean>} Whether the message was consumed
+ */
+async function handlePendingReply(message, env) {
+  const chatId = message.chat.id;
+  const text = (message.text || message.caption || '').trim();
+  if (!text || !message.from || (extractUrl(text) && !message.reply_to_message)) return false;
+
+  const key = pendingKey(chatId, message.from.id);
+  const raw = await env.RETRY_QUEUE.get(key);
+  if (!raw) return false;
+
+  const { action, id, preview, prompt } = JSON.parse(raw);
+  if (isGroupChat(message.chat) && message.reply_to_message?.message_id !== prompt) return false;
+  await env.RETRY_QUEUE.delete(key);
+
+  const changes = {
+    addtags: b => ({ tags: normalizeTags([...(b.tags || []), ...text.split(/[\s,]+/)]) }),
+    tags: () => ({ tags: normalizeTags(text.split(/[\s,]+/)) }),
+    title: () => ({ title: text }),
+    description: () => ({ description: text }),
+    note: () => ({ notes: text }),
+  }[action];
+
+  if (changes && preview) {
+    await updatePreview(chatId, id, changes, env);
+  } else if (changes) {
+    await updateAndReply(chatId, id, env, changes);
+  }
+  return true;
+}
+
+/**
+ * Return the text following the command and its first (count - 1) arguments,
+ * keeping the user's original spacing and line breaks
+ * @param {string} text - Full message text
+ * @param {number} count - Number of leading words to skip (including the command)
+ * @returns {string}
+ */
+function restAfterArgs(text, count) {
+  const pattern = new RegExp(`^\\s*(?:\\S+\\s+){${count}}`);
+  const match = text.match(pattern);
+  return match ? text.slice(match[0].length).trim() : '';
+}
+
+/**
+ * Apply changes to one bookmark through GitHub and report the result
+ * @param {number} chatId
+ * @param {string} id - Full ID or short-ID prefix
+ * @param {object} env
+ * @param {object|Function} changes - See GitHubAdapter.updateBookmark
+ */
+async function updateAndReply(chatId, id, env, changes) {
+  let bookmark;
+  try {
+    bookmark = await new GitHubAdapter(env).updateBookmark(id, changes);
+  } catch (error) {
+    await sendMessage(chatId, describeLookupError(error, id, env), env);
+    return;
+  }
+
+  const t = translator(env.lang);
+  await sendMessage(chatId, `${t('save.updated')}\n\n${formatBookmarkSummary(bookmark, t)}`, env, {
+    reply_markup: bookmarkKeyboard(bookmark, t),
+  });
+}
+
+/**
+ * Turn a failed bookmark lookup/update into a user-facing message
+ * @param {Error} error
+ * @param {string} id
+ * @param {object} env
+ * @returns {string}
+ */
+function describeLookupError(error, id, env) {
+  const t = translator(env.lang);
+  if (error instanceof BookmarkNotFoundError) {
+    return t('error.notFound', { id });
+  }
+  if (error instanceof AmbiguousIdError) {
+    return t('error.ambiguous', { id, matches: error.matches });
+  }
+  console.error('Bookmark operation failed:', error);
+  return t('error.unavailable');
+}
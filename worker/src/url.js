@@ -0,0 +1,49 @@
+import { createHash } from 'node:crypto';
+import { normalizeUrl, detectContentType, isHttpUrl, withCrypto } from '../../shared/bookmark.js';
+
+// The rules live in shared/bookmark.js so the scripts apply the same ones
+
+export { normalizeUrl, detectContentType, isHttpUrl };
+
+export const { hashUrl } = withCrypto({ createHash, randomUUID: () => crypto.randomUUID() });
+
+// http(s) URLs in free text: messages, captions, email bodies
+export const URL_REGEX = /https?:\/\/[^\s<>"{}|\\^`\[\]]+/gi;
+// Punctuation that ends a sentence rather than the URL (same as scripts/split-bookmarks.js)
+const TRAILING_PUNCTUATION = /[.,;:!?\]]+$/;
+
+/**
+ * Extract every URL from text, without trailing punctuation or repeats
+ * @param {string|null|undefined} text
+ * @returns {string[]}
+ */
+export function extractUrls(text) {
+  if (!text) return [];
+  const urls = (text.match(URL_REGEX) || []).map(trimUrl);
+  return [...new Set(urls)];
+}
+
+/**
+ * Drop what the URL pattern caught from the surrounding sentence: trailing
+ * punctuation, and closing parentheses with no '(' to match inside the URL,
+ * as in "(see https://example.com/a)". Balanced ones stay, since URLs like
+ * https://en.wikipedia.org/wiki/Rust_(lenguaje) need them.
+ * @param {string} url
+ * @returns {string}
+ */
+function trimUrl(url) {
+  let trimmed = url.replace(TRAILING_PUNCTUATION, '');
+  while (trimmed.endsWith(')') && trimmed.split(')').length > trimmed.split('(').length) {
+    trimmed = trimmed.slice(0, -1).replace(TRAILING_PUNCTUATION, '');
+  }
+  return trimmed;
+}
+
+/**
+ * Extract the first URL from text
+ * @param {string|null|undefined} text
+ * @returns {string|null}
+ */
+export function extractUrl(text) {
+  return extractUrls(text)[0] || null;
+}
@@ -0,0 +1,192 @@
+// Outgoing webhooks: POST a signed JSON payload to registered URLs whenever a
+// bookmark is created, updated or deleted
+
+// All webhooks live under one key: a get per commit, where a list would count
+// against KV's much smaller list quota
+const WEBHOOKS_KEY = 'webhooks';
+const TIMEOUT_MS = 10000;
+
+export const WEBHOOK_EVENTS = ['bookmark.created', 'bookmark.updated', 'bookmark.deleted'];
+
+/**
+ * The registered webhooks, secrets included
+ * @param {object} env
+ * @returns {Promise<object[]>}
+ */
+export async function getWebhooks(env) {
+  return JSON.parse(await env.RETRY_QUEUE.get(WEBHOOKS_KEY) || '[]');
+}
+
+/**
+ * Register a webhook. Its secret is generated here and only shown once, in
+ * the returned webhook.
+ * @param {object} env
+ * @param {{url: string, events?: string[], include_private?: boolean}} options
+ * @returns {Promise<object>} The new webhook
+ */
+export async function addWebhook(env, { url, events = WEBHOOK_EVENTS, include_private = false }) {
+  const webhooks = await getWebhooks(env);
+  const webhook = {
+    id: crypto.randomUUID(),
+    url,
+    events,
+    include_private,
+    secret: crypto.randomUUID().replace(/-/g, ''),
+    created_at: new Date().toISOString(),
+  };
+
+  await env.RETRY_QUEUE.put(WEBHOOKS_KEY, JSON.stringify([...webhooks, webhook]));
+  return webhook;
+}
+
+/**
+ * Unregister a webhook. Deliveries of it still in the retry queue are dropped
+ * when their turn comes.
+ * @param {object} env
+ * @param {string} id
+ * @returns {Promise<boolean>} Whether there was such a webhook
+ */
+export async function removeWebhook(env, id) {
+  const webhooks = await getWebhooks(env);
+  const remaining = webhooks.filter(webhook => webhook.id !== id);
+  if (remaining.length === webhooks.length) return false;
+
+  await env.RETRY_QUEUE.put(WEBHOOKS_KEY, JSON.stringify(remaining));
+  return true;
+}
+
+/**
+ * A webhook as the API shows it, without its secret
+ * @param {object} webhook
+ * @returns {object}
+ */
+export function describeWebhook({ secret, ...webhook }) {
+  return webhook;
+}
+
+/**
+ * Tell every webhook subscribed to this event about the bookmarks. Private
+ * bookmarks only go to webhooks that asked for them. Failed deliveries are
+ * queued for the cron job; nothing here fails the change that was made.
+ * @param {object} env
+ * @param {string} event - One of WEBHOOK_EVENTS
+ * @param {object[]} bookmarks - The bookmarks as they were committed
+ */
+export async function notifyWebhooks(env, event, bookmarks) {
+  let webhooks;
+  try {
+    webhooks = (await getWebhooks(env)).filter(webhook => webhook.events.includes(event));
+  } catch (error) {
+    console.error('Could not load webhooks:', error);
+    return;
+  }
+
+  await Promise.all(webhooks.map(async (webhook) => {
+    const visible = bookmarks.filter(bookmark => webhook.include_private || !bookmark.is_private);
+    if (!visible.length) return;
+
+    const delivery = {
+      id: crypto.randomUUID(),
+      event,
+      timestamp: new Date().toISOString(),
+      bookmarks: visible,
+    };
+    try {
+      await deliver(webhook, delivery);
+    } catch (error) {
+      console.error(`Webhook delivery to ${webhook.url} failed:`, error.message);
+      try {
+        await queueDelivery(webhook, delivery, error, env);
+      } catch (queueError) {
+        console.error('Could not queue webhook delivery:', queueError);
+      }
+    }
+  }));
+}
+
+/**
+ * Send a queued delivery again, from the cron job. Deliveries of webhooks that
+ * have since been removed are dropped.
+ * @param {object} env
+ * @param {{webhookId: string, delivery: object}} retryData
+ * @throws {Error} When the webhook still does not accept it
+ */
+export async function retryDelivery(env, { webhookId, delivery }) {
+  const webhook = (await getWebhooks(env)).find(({ id }) => id === webhookId);
+  if (!webhook) {
+    console.log(`Dropping delivery ${delivery.id}: webhook ${webhookId} was removed`);
+    return;
+  }
+  await deliver(webhook, delivery);
+}
+
+/**
+ * POST a delivery, signed with the webhook's secret. Retries send the same
+ * delivery ID, so receivers can ignore repeats.
+ * @param {object} webhook
+ * @param {object} delivery
+ * @throws {Error} When the request fails or is not answered with a 2xx
+ */
+async function deliver(webhook, delivery) {
+  const body = JSON.stringify(delivery);
+
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), TIMEOUT_MS);
+  try {
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'Hipervinculos-Webhook/1.0',
+        'X-Hipervinculos-Event': delivery.event,
+        'X-Hipervinculos-Delivery': delivery.id,
+        'X-Hipervinculos-Signature-256': `sha256=${await signPayload(webhook.secret, body)}`,
+      },
+      body,
+      signal: controller.signal,
+    });
+    if (!response.ok) throw new Error(`Answered ${response.status}`);
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * Hex HMAC-SHA256 of the request body, for the X-Hipervinculos-Signature-256 header
+ * @param {string} secret
+ * @param {string} body
+ * @returns {Promise<string>}
+ */
+export async function signPayload(secret, body) {
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign'],
+  );
+  const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(body));
+  return Array.from(new Uint8Array(signature), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Put a failed delivery on the retry queue, next to failed saves
+ * @param {object} webhook
+ * @param {object} delivery
+ * @param {Error} error
+ * @param {object} env
+ */
+async function queueDelivery(webhook, delivery, error, env) {
+  const retryData = {
+    webhookId: webhook.id,
+    delivery,
+    attempts: 1,
+    lastError: error.message,
+    createdAt: new Date().toISOString(),
+  };
+
+  await env.RETRY_QUEUE.put(`retry:webhook:${delivery.id}`, JSON.stringify(retryData), {
+    metadata: { createdAt: retryData.createdAt },
+  });
+}
@@ -0,0 +1,63 @@
+import { describe, it, expect, vi } from 'vitest';
+import { parseAllowlist, isAllowed, describeUser, tokenMatches } from '../src/access.js';
+
+describe('parseAllowlist', () => {
+  it('should accept comma or whitespace separated IDs', () => {
+    expect([...parseAllowlist('123, 456\n-789')]).toEqual(['123', '456', '-789']);
+    expect(parseAllowlist(undefined).size).toBe(0);
+  });
+});
+
+describe('isAllowed', () => {
+  const env = { ALLOWED_USERS: '123,-100200' };
+
+  it('should allow listed users in any chat', () => {
+    expect(isAllowed(env, { userId: 123, chatId: 999 })).toBe(true);
+  });
+
+  it('should allow anyone in a listed group chat', () => {
+    expect(isAllowed(env, { userId: 555, chatId: -100200 })).toBe(true);
+  });
+
+  it('should reject everyone else', () => {
+    expect(isAllowed(env, { userId: 555, chatId: 555 })).toBe(false);
+    expect(isAllowed(env, {})).toBe(false);
+  });
+
+  it('should reject everyone, warning once, when no allowlist is configured', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    expect(isAllowed({ ALLOWED_USERS: '' }, { userId: 555, chatId: 555 })).toBe(false);
+    expect(isAllowed({}, { userId: 555 })).toBe(false);
+    expect(warn).toHaveBeenCalledTimes(1);
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('ALLOWED_USERS is not set'));
+    warn.mockRestore();
+  });
+});
+
+describe('describeUser', () => {
+  it('should use the full name and keep the username', () => {
+    expect(describeUser({ id: 1, first_name: 'Ana', last_name: 'Gómez', username: 'anag' }))
+      .toEqual({ id: 1, name: 'Ana Gómez', username: 'anag' });
+  });
+
+  it('should fall back to the username or ID', () => {
+    expect(describeUser({ id: 2, username: 'bot_fan' })).toEqual({ id: 2, name: '@bot_fan', username: 'bot_fan' });
+    expect(describeUser({ id: 3 })).toEqual({ id: 3, name: '3' });
+    expect(describeUser(undefined)).toBeUndefined();
+  });
+});
+
+describe('tokenMatches', () => {
+  it('should match only the exact token', () => {
+    expect(tokenMatches('s3cret', 's3cret')).toBe(true);
+    expect(tokenMatches('s3cres', 's3cret')).toBe(false);
+    expect(tokenMatches('s3cret-longer', 's3cret')).toBe(false);
+    expect(tokenMatches(undefined, 's3cret')).toBe(false);
+  });
+
+  it('should match nothing while no token is configured', () => {
+    expect(tokenMatches('', undefined)).toBe(false);
+    expect(tokenMatches('undefined', undefined)).toBe(false);
+  });
+});
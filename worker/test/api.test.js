@@ -0,0 +1,498 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { api, isAuthorized } from '../src/api.js';
+
+vi.mock('../src/metadata.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  fetchMetadata: vi.fn(),
+}));
+
+vi.mock('../src/github.js', () => ({
+  GitHubAdapter: vi.fn(),
+}));
+
+vi.stubGlobal('crypto', {
+  randomUUID: vi.fn(() => 'test-uuid-1234'),
+});
+
+import { fetchMetadata } from '../src/metadata.js';
+import { GitHubAdapter } from '../src/github.js';
+import { BookmarkNotFoundError, AmbiguousIdError } from '../src/bookmarks.js';
+
+describe('isAuthorized', () => {
+  it('should accept the configured bearer token', () => {
+    expect(isAuthorized('Bearer s3cret', 's3cret')).toBe(true);
+  });
+
+  it('should reject other tokens, schemes and missing headers', () => {
+    expect(isAuthorized('Bearer s3cres', 's3cret')).toBe(false);
+    expect(isAuthorized('Bearer s3', 's3cret')).toBe(false);
+    expect(isAuthorized('Basic s3cret', 's3cret')).toBe(false);
+    expect(isAuthorized(undefined, 's3cret')).toBe(false);
+  });
+
+  it('should keep the API closed when no token is configured', () => {
+    expect(isAuthorized('Bearer ', undefined)).toBe(false);
+    expect(isAuthorized('Bearer undefined', undefined)).toBe(false);
+  });
+});
+
+describe('api', () => {
+  let github;
+  const env = { API_TOKEN: 's3cret' };
+
+  const request = (method, path, body, token = 's3cret') => api.request(path, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+    },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  }, env);
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    github = {
+      getBookmarkFile: vi.fn().mockResolvedValue({ bookmarks: [], sha: 'abc' }),
+      saveBookmark: vi.fn(),
+      saveBookmarks: vi.fn(),
+      updateBookmark: vi.fn(),
+      trashBookmark: vi.fn(),
+    };
+    GitHubAdapter.mockImplementation(() => github);
+    fetchMetadata.mockResolvedValue({
+      url: 'https://example.com/page',
+      title: 'Example Page',
+      description: 'About the example',
+    });
+  });
+
+  it('should answer 401 with a JSON error without a valid token', async () => {
+    const response = await request('POST', '/bookmarks', { url: 'https://example.com/page' }, 'wrong');
+
+    expect(response.status).toBe(401);
+    expect(await response.json()).toEqual({ error: 'Unauthorized' });
+    expect(github.saveBookmark).not.toHaveBeenCalled();
+  });
+
+  describe('POST /bookmarks', () => {
+    it('should fetch metadata and save the bookmark', async () => {
+      const response = await request('POST', '/bookmarks', {
+        url: 'https://example.com/page',
+        tags: ['#Rust', 'rust'],
+        notes: 'Read later',
+        is_favorite: true,
+      });
+
+      expect(response.status).toBe(201);
+      const { bookmark } = await response.json();
+      expect(bookmark).toMatchObject({
+        id: 'test-uuid-1234',
+        url: 'https://example.com/page',
+        title: 'Example Page',
+        description: 'About the example',
+        site_name: 'example.com',
+        tags: ['rust'],
+        notes: 'Read later',
+        is_favorite: true,
+        source: 'api',
+      });
+      expect(bookmark.url_hash).toHaveLength(16);
+      expect(github.saveBookmark).toHaveBeenCalledWith(bookmark);
+    });
+
+    it('should let the caller override the fetched title', async () => {
+      const response = await request('POST', '/bookmarks', { url: 'https://example.com/page', title: 'Mine' });
+
+      expect((await response.json()).bookmark.title).toBe('Mine');
+    });
+
+    it('should list every validation problem', async () => {
+      const response = await request('POST', '/bookmarks', {
+        url: 'ftp://example.com/file',
+        title: 'x'.repeat(201),
+        tags: 'rust',
+        read_status: 'done',
+        colour: 'red',
+      });
+
+      expect(response.status).toBe(400);
+      const body = await response.json();
+      expect(body.error).toBe('Invalid bookmark');
+      expect(body.details).toEqual([
+        'url must be an http(s) URL',
+        'title must be at most 200 characters',
+        'tags must be an array of strings',
+        'read_status must be one of: unread, reading, read',
+        'Unknown field: colour',
+      ]);
+      expect(fetchMetadata).not.toHaveBeenCalled();
+    });
+
+    it('should reject a missing url and bodies that are not JSON objects', async () => {
+      expect((await (await request('POST', '/bookmarks', {})).json()).details).toEqual(['url is required']);
+
+      const response = await api.request('/bookmarks', {
+        method: 'POST',
+        headers: { Authorization: 'Bearer s3cret' },
+        body: 'not json',
+      }, env);
+      expect(response.status).toBe(400);
+      expect(await response.json()).toEqual({ error: 'Body must be a JSON object' });
+    });
+
+    it('should answer 409 with the existing bookmark for a duplicate URL', async () => {
+      const existing = { id: 'old-id', url: 'https://example.com/page', title: 'Saved before' };
+      github.getBookmarkFile.mockResolvedValue({ bookmarks: [existing], sha: 'abc' });
+
+      const response = await request('POST', '/bookmarks', { url: 'https://example.com/page?utm_source=x' });
+
+      expect(response.status).toBe(409);
+      expect(await response.json()).toEqual({ error: 'Already bookmarked', bookmark: existing });
+      expect(github.saveBookmark).not.toHaveBeenCalled();
+    });
+
+    it('should catch duplicates reached through a redirect', async () => {
+      const existing = { id: 'old-id', url: 'https://example.com/page' };
+      github.getBookmarkFile.mockResolvedValue({ bookmarks: [existing], sha: 'abc' });
+
+      const response = await request('POST', '/bookmarks', { url: 'https://short.link/abc' });
+
+      expect(response.status).toBe(409);
+    });
+
+    it('should save duplicates when asked to', async () => {
+      github.getBookmarkFile.mockResolvedValue({ bookmarks: [{ id: 'old-id', url: 'https://example.com/page' }], sha: 'abc' });
+
+      const response = await request('POST', '/bookmarks?allow_duplicate=true', { url: 'https://example.com/page' });
+
+      expect(response.status).toBe(201);
+      expect(github.getBookmarkFile).not.toHaveBeenCalled();
+    });
+
+    it('should answer 502 when GitHub fails', async () => {
+      github.saveBookmark.mockRejectedValue(Object.assign(new Error('Service Unavailable'), { status: 503 }));
+
+      const response = await request('POST', '/bookmarks', { url: 'https://example.com/page' });
+
+      expect(response.status).toBe(502);
+      expect(await response.json()).toEqual({ error: 'Could not reach GitHub; try again later' });
+    });
+  });
+
+  describe('PATCH /bookmarks/:id', () => {
+    it('should update the given fields', async () => {
+      github.updateBookmark.mockResolvedValue({ id: 'abc12345', title: 'New', tags: ['go'] });
+
+      const response = await request('PATCH', '/bookmarks/abc12345', { title: 'New', tags: ['Go'], notes: null });
+
+      expect(response.status).toBe(200);
+      expect(await response.json()).toEqual({ bookmark: { id: 'abc12345', title: 'New', tags: ['go'] } });
+      expect(github.updateBookmark).toHaveBeenCalledWith(
+        'abc12345',
+        { title: 'New', tags: ['go'], notes: undefined },
+        'API'
+      );
+    });
+
+    it('should refuse to change the URL or apply an empty update', async () => {
+      const moved = await request('PATCH', '/bookmarks/abc12345', { url: 'https://example.com/other' });
+      const empty = await request('PATCH', '/bookmarks/abc12345', {});
+
+      expect(moved.status).toBe(400);
+      expect((await empty.json()).details).toEqual(['Nothing to update']);
+      expect(github.updateBookmark).not.toHaveBeenCalled();
+    });
+
+    it('should not let null clear flags', async () => {
+      const response = await request('PATCH', '/bookmarks/abc12345', { is_favorite: null });
+
+      expect((await response.json()).details).toEqual(['is_favorite must be true or false']);
+    });
+
+    it('should answer 404 for unknown IDs and 400 for ambiguous ones', async () => {
+      github.updateBookmark.mockRejectedValueOnce(new BookmarkNotFoundError('nope'));
+      const missing = await request('PATCH', '/bookmarks/nope', { is_favorite: true });
+      expect(missing.status).toBe(404);
+      expect(await missing.json()).toEqual({ error: 'Bookmark not found', id: 'nope' });
+
+      github.updateBookmark.mockRejectedValueOnce(new AmbiguousIdError('a', 3));
+      const ambiguous = await request('PATCH', '/bookmarks/a', { is_favorite: true });
+      expect(ambiguous.status).toBe(400);
+      expect((await ambiguous.json()).error).toContain('matches 3 bookmarks');
+    });
+  });
+
+  describe('DELETE /bookmarks/:id', () => {
+    it('should move the bookmark to the trash', async () => {
+      github.trashBookmark.mockResolvedValue({ id: 'abc12345', deleted_at: '2025-03-01T10:00:00.000Z' });
+
+      const response = await request('DELETE', '/bookmarks/abc12345');
+
+      expect(response.status).toBe(200);
+      expect(await response.json()).toEqual({
+        ok: true,
+        bookmark: { id: 'abc12345', deleted_at: '2025-03-01T10:00:00.000Z' },
+      });
+      expect(github.trashBookmark).toHaveBeenCalledWith('abc12345');
+    });
+  });
+
+  describe('POST /import', () => {
+    it('should save valid bookmarks in one commit and report the rest', async () => {
+      github.getBookmarkFile.mockResolvedValue({ bookmarks: [{ id: 'old-id', url: 'https://saved.com/' }], sha: 'abc' });
+
+      const response = await request('POST', '/import', [
+        { url: 'https://one.com/post', title: 'One', timestamp: '2021-05-01T12:00:00Z', tags: ['Misc'] },
+        { url: 'https://saved.com' },
+        { title: 'No URL' },
+        { url: 'https://one.com/post' },
+        'https://two.com',
+      ]);
+
+      expect(response.status).toBe(200);
+      const body = await response.json();
+      expect(body).toMatchObject({ imported: 1, duplicates: 2, invalid: 2 });
+      expect(body.results).toEqual([
+        { index: 0, status: 'imported', id: 'test-uuid-1234' },
+        { index: 1, status: 'duplicate', id: 'old-id' },
+        { index: 2, status: 'invalid', errors: ['url is required'] },
+        { index: 3, status: 'duplicate', id: 'test-uuid-1234' },
+        { index: 4, status: 'invalid', errors: ['Bookmark must be an object'] },
+      ]);
+
+      expect(fetchMetadata).not.toHaveBeenCalled();
+      expect(github.saveBookmarks).toHaveBeenCalledWith([
+        expect.objectContaining({
+          url: 'https://one.com/post',
+          title: 'One',
+          site_name: 'one.com',
+          tags: ['misc'],
+          source: 'import',
+          timestamp: '2021-05-01T12:00:00.000Z',
+        }),
+      ]);
+    });
+
+    it('should accept {bookmarks: [...]} and skip the commit when nothing is new', async () => {
+      const response = await request('POST', '/import', { bookmarks: [{ url: 'nope' }] });
+
+      expect((await response.json()).invalid).toBe(1);
+      expect(github.saveBookmarks).not.toHaveBeenCalled();
+    });
+
+    it('should reject bodies that are not lists and oversized imports', async () => {
+      expect((await request('POST', '/import', { url: 'https://one.com' })).status).toBe(400);
+
+      const tooMany = Array.from({ length: 501 }, (_, i) => ({ url: `https://example.com/${i}` }));
+      const response = await request('POST', '/import', tooMany);
+      expect(response.status).toBe(400);
+      expect(github.getBookmarkFile).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /bookmarks', () => {
+    const list = [
+      { id: 'a1', url: 'https://a.com', title: 'Rust async book', tags: ['rust'], content_type: 'article', read_status: 'read', timestamp: '2025-01-10T00:00:00Z', modified_timestamp: '2025-03-01T00:00:00Z' },
+      { id: 'b2', url: 'https://b.com', title: 'Go talk', tags: ['go', 'talks'], content_type: 'video', is_favorite: true, timestamp: '2025-02-10T00:00:00Z' },
+      { id: 'c3', url: 'https://c.com', title: 'Secret rust plans', tags: ['rust'], is_private: true, timestamp: '2025-02-20T00:00:00Z' },
+      { id: 'd4', url: 'https://d.com', title: 'Archived rust post', tags: ['rust', 'old'], is_archived: true, timestamp: '2024-12-01T00:00:00Z' },
+      { id: 'e5', url: 'https://e.com', title: 'Deleted rust thing', tags: ['rust'], deleted_at: '2025-02-01T00:00:00Z', timestamp: '2025-01-20T00:00:00Z' },
+    ];
+    const ids = async response => (await response.json()).bookmarks.map(b => b.id);
+
+    beforeEach(() => {
+      github.getBookmarkFile.mockResolvedValue({ bookmarks: list, sha: 'abc' });
+    });
+
+    it('should list public bookmarks newest first to anonymous callers', async () => {
+      const response = await request('GET', '/bookmarks', undefined, null);
+
+      expect(response.status).toBe(200);
+      const body = await response.json();
+      expect(body.bookmarks.map(b => b.id)).toEqual(['b2', 'a1', 'd4']);
+      expect(body).toMatchObject({ total: 3, next_cursor: null });
+    });
+
+    it('should include private bookmarks for the token holder', async () => {
+      expect(await ids(await request('GET', '/bookmarks'))).toEqual(['c3', 'b2', 'a1', 'd4']);
+    });
+
+    it('should refuse a wrong token instead of treating it as anonymous', async () => {
+      expect((await request('GET', '/bookmarks', undefined, 'wrong')).status).toBe(401);
+    });
+
+    it('should filter by tag, type, status, flags and date range', async () => {
+      expect(await ids(await request('GET', '/bookmarks?tag=rust&tag=OLD'))).toEqual(['d4']);
+      expect(await ids(await request('GET', '/bookmarks?tag=go,talks'))).toEqual(['b2']);
+      expect(await ids(await request('GET', '/bookmarks?type=video'))).toEqual(['b2']);
+      expect(await ids(await request('GET', '/bookmarks?type=other'))).toEqual(['c3', 'd4']);
+      expect(await ids(await request('GET', '/bookmarks?read_status=unread'))).toEqual(['c3', 'b2', 'd4']);
+      expect(await ids(await request('GET', '/bookmarks?favorite=true'))).toEqual(['b2']);
+      expect(await ids(await request('GET', '/bookmarks?archived=false&private=false'))).toEqual(['b2', 'a1']);
+      expect(await ids(await request('GET', '/bookmarks?since=2025-01-01&until=2025-02-20'))).toEqual(['b2', 'a1']);
+    });
+
+    it('should search with q, best matches first then newest, never returning the trash', async () => {
+      expect(await ids(await request('GET', '/bookmarks?q=rust'))).toEqual(['c3', 'a1', 'd4']);
+      expect(await ids(await request('GET', '/bookmarks?q=rust&sort=oldest&archived=false'))).toEqual(['a1', 'c3']);
+      expect(await ids(await request('GET', '/bookmarks?q=rust', undefined, null))).toEqual(['a1', 'd4']);
+    });
+
+    it('should sort by update time and title', async () => {
+      expect(await ids(await request('GET', '/bookmarks?sort=updated'))).toEqual(['a1', 'c3', 'b2', 'd4']);
+      expect(await ids(await request('GET', '/bookmarks?sort=title'))).toEqual(['d4', 'b2', 'a1', 'c3']);
+    });
+
+    it('should page with a cursor', async () => {
+      const first = await (await request('GET', '/bookmarks?limit=3')).json();
+      expect(first.bookmarks.map(b => b.id)).toEqual(['c3', 'b2', 'a1']);
+      expect(first.total).toBe(4);
+
+      // A bookmark saved in between does not shift the next page
+      github.getBookmarkFile.mockResolvedValue({
+        bookmarks: [...list, { id: 'f6', url: 'https://f.com', timestamp: '2025-03-05T00:00:00Z' }],
+        sha: 'def',
+      });
+      const second = await (await request('GET', `/bookmarks?limit=3&cursor=${first.next_cursor}`)).json();
+      expect(second.bookmarks.map(b => b.id)).toEqual(['d4']);
+      expect(second.next_cursor).toBeNull();
+    });
+
+    it('should reject invalid parameters and unknown cursors', async () => {
+      const response = await request('GET', '/bookmarks?type=book&favorite=yes&since=soon&sort=relevance&limit=500');
+      expect(response.status).toBe(400);
+      expect((await response.json()).details).toEqual([
+        'favorite must be true or false',
+        'since must be an ISO 8601 date',
+        'type must be one of: article, video, image, pdf, code, tweet, other',
+        'sort=relevance needs a q',
+        'limit must be a whole number from 1 to 200',
+      ]);
+
+      const expired = await request('GET', `/bookmarks?cursor=${btoa('e5')}`);
+      expect((await expired.json()).details).toEqual(['cursor is invalid or has expired']);
+    });
+  });
+
+  describe('GET /bookmarks/:id', () => {
+    beforeEach(() => {
+      github.getBookmarkFile.mockResolvedValue({
+        bookmarks: [
+          { id: 'abc12345', url: 'https://a.com', title: 'Public' },
+          { id: 'def67890', url: 'https://b.com', title: 'Private', is_private: true },
+          { id: 'fed00000', url: 'https://c.com', title: 'Trashed', deleted_at: '2025-02-01T00:00:00Z' },
+        ],
+        sha: 'abc',
+      });
+    });
+
+    it('should return a bookmark by ID prefix', async () => {
+      const response = await request('GET', '/bookmarks/abc1', undefined, null);
+
+      expect(response.status).toBe(200);
+      expect((await response.json()).bookmark.title).toBe('Public');
+    });
+
+    it('should hide private and trashed bookmarks from anonymous callers', async () => {
+      expect((await request('GET', '/bookmarks/def67890', undefined, null)).status).toBe(404);
+      expect((await request('GET', '/bookmarks/fed00000', undefined, null)).status).toBe(404);
+      // Not ambiguous either: the hidden bookmarks are not candidates
+      expect((await request('GET', '/bookmarks/f', undefined, null)).status).toBe(404);
+
+      expect((await (await request('GET', '/bookmarks/def67890')).json()).bookmark.title).toBe('Private');
+      expect((await (await request('GET', '/bookmarks/fed')).json()).bookmark.deleted_at).toBeDefined();
+    });
+  });
+
+  describe('webhooks', () => {
+    let store;
+
+    beforeEach(() => {
+      store = new Map();
+      env.RETRY_QUEUE = {
+        get: vi.fn(async (key) => store.get(key) ?? null),
+        put: vi.fn(async (key, value) => { store.set(key, value); }),
+      };
+    });
+
+    it('should register a webhook and show its secret once', async () => {
+      const response = await request('POST', '/webhooks', {
+        url: 'https://chat.example.com/hook',
+        events: ['bookmark.created'],
+      });
+
+      expect(response.status).toBe(201);
+      const { webhook } = await response.json();
+      expect(webhook).toMatchObject({
+        id: 'test-uuid-1234',
+        url: 'https://chat.example.com/hook',
+        events: ['bookmark.created'],
+        include_private: false,
+        secret: 'testuuid1234',
+      });
+
+      const listed = await (await request('GET', '/webhooks')).json();
+      expect(listed.webhooks).toHaveLength(1);
+      expect(listed.webhooks[0]).not.toHaveProperty('secret');
+    });
+
+    it('should subscribe to every event by default', async () => {
+      const { webhook } = await (await request('POST', '/webhooks', {
+        url: 'https://notes.example.com/in',
+        include_private: true,
+      })).json();
+
+      expect(webhook.events).toEqual(['bookmark.created', 'bookmark.updated', 'bookmark.deleted']);
+      expect(webhook.include_private).toBe(true);
+    });
+
+    it('should reject bad URLs, events and flags', async () => {
+      const response = await request('POST', '/webhooks', {
+        url: 'ftp://example.com',
+        events: ['bookmark.read'],
+        include_private: 'yes',
+      });
+
+      expect(response.status).toBe(400);
+      const { details } = await response.json();
+      expect(details).toHaveLength(3);
+      expect(store.size).toBe(0);
+    });
+
+    it('should remove a webhook, and answer 404 for unknown ones', async () => {
+      await request('POST', '/webhooks', { url: 'https://chat.example.com/hook' });
+
+      expect((await request('DELETE', '/webhooks/test-uuid-1234')).status).toBe(200);
+      expect((await (await request('GET', '/webhooks')).json()).webhooks).toEqual([]);
+
+      const missing = await request('DELETE', '/webhooks/test-uuid-1234');
+      expect(missing.status).toBe(404);
+      expect(await missing.json()).toEqual({ error: 'Webhook not found', id: 'test-uuid-1234' });
+    });
+
+    it('should need the token even to list webhooks', async () => {
+      expect((await request('GET', '/webhooks', undefined, null)).status).toBe(401);
+      expect((await request('GET', '/webhooks/x', undefined, null)).status).toBe(401);
+      expect(env.RETRY_QUEUE.get).not.toHaveBeenCalled();
+    });
+  });
+
+  it('should serve the OpenAPI document without a token', async () => {
+    const response = await api.request('https://worker.test/openapi.json', {}, env);
+
+    expect(response.status).toBe(200);
+    const document = await response.json();
+    expect(document.openapi).toBe('3.1.0');
+    expect(document.servers).toEqual([{ url: 'https://worker.test/api' }]);
+    expect(document.paths).toHaveProperty('/bookmarks');
+  });
+
+  it('should answer unknown routes with a JSON 404', async () => {
+    const response = await request('GET', '/nothing-here');
+
+    expect(response.status).toBe(404);
+    expect(await response.json()).toEqual({ error: 'Not found' });
+  });
+});
@@ -0,0 +1,204 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { bookmarklet, bookmarkletCode } from '../src/bookmarklet.js';
+
+vi.mock('../src/metadata.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  fetchMetadata: vi.fn(),
+}));
+
+vi.mock('../src/github.js', () => ({
+  GitHubAdapter: vi.fn(),
+}));
+
+vi.stubGlobal('crypto', {
+  randomUUID: vi.fn(() => 'test-uuid-1234'),
+});
+
+import { fetchMetadata } from '../src/metadata.js';
+import { GitHubAdapter } from '../src/github.js';
+
+const ORIGIN = 'https://worker.test';
+
+describe('bookmarkletCode', () => {
+  it('should open /save on this worker with the page URL, title and selection', () => {
+    const code = bookmarkletCode(ORIGIN);
+
+    expect(code).toMatch(/^javascript:/);
+    expect(code).toContain("window.open('https://worker.test/save?url='+encodeURIComponent(location.href)");
+    expect(code).toContain('encodeURIComponent(document.title)');
+    expect(code).toContain('getSelection()');
+  });
+});
+
+describe('bookmarklet', () => {
+  let github;
+  let mockKV;
+  let env;
+
+  const get = (query, cookie) => bookmarklet.request(`${ORIGIN}/?${new URLSearchParams(query)}`, {
+    headers: cookie ? { Cookie: cookie } : {},
+  }, env);
+  const post = (fields, headers = {}) => bookmarklet.request(`${ORIGIN}/`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      Cookie: 'hv_token=s3cret',
+      Origin: ORIGIN,
+      ...headers,
+    },
+    body: new URLSearchParams(fields).toString(),
+  }, env);
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    github = {
+      getBookmarkFile: vi.fn().mockResolvedValue({ bookmarks: [], sha: 'abc' }),
+      saveBookmark: vi.fn(),
+    };
+    GitHubAdapter.mockImplementation(() => github);
+    fetchMetadata.mockResolvedValue({
+      url: 'https://example.com/post',
+      title: 'Fetched title',
+      description: 'About the post',
+    });
+    mockKV = { put: vi.fn() };
+    env = { API_TOKEN: 's3cret', RETRY_QUEUE: mockKV };
+  });
+
+  describe('GET /save', () => {
+    it('should ask for the token, keeping the page fields', async () => {
+      const response = await get({ url: 'https://example.com/post', title: 'Post' });
+      const page = await response.text();
+
+      expect(response.status).toBe(401);
+      expect(page).toContain('name="token"');
+      expect(page).toContain('name="url" value="https://example.com/post"');
+      expect(page).toContain('name="title" value="Post"');
+    });
+
+    it('should remember a valid token in a cookie and drop it from the URL', async () => {
+      const response = await get({ url: 'https://example.com/post', token: 's3cret' });
+
+      expect(response.status).toBe(302);
+      expect(response.headers.get('Location')).toBe('/save?url=https%3A%2F%2Fexample.com%2Fpost');
+      const cookie = response.headers.get('Set-Cookie');
+      expect(cookie).toContain('hv_token=s3cret');
+      expect(cookie).toContain('HttpOnly');
+      expect(cookie).toContain('Secure');
+      expect(cookie).toContain('SameSite=Lax');
+      expect(cookie).toContain('Path=/save');
+    });
+
+    it('should refuse a wrong token', async () => {
+      const response = await get({ url: 'https://example.com/post', token: 'guess' });
+
+      expect(response.status).toBe(401);
+      expect(response.headers.get('Set-Cookie')).toBeNull();
+      expect(await response.text()).toContain('That token is not right');
+    });
+
+    it('should show the confirmation form with editable title, tags and notes', async () => {
+      const response = await get({
+        url: 'https://example.com/post',
+        title: 'Tom & Jerry <3',
+        selection: 'A quote worth keeping',
+      }, 'hv_token=s3cret');
+      const page = await response.text();
+
+      expect(response.status).toBe(200);
+      expect(page).toContain('<form method="post" action="/save">');
+      expect(page).toContain('name="title" value="Tom &amp; Jerry &lt;3"');
+      expect(page).toContain('name="tags"');
+      expect(page).toContain('>A quote worth keeping</textarea>');
+      expect(github.saveBookmark).not.toHaveBeenCalled();
+    });
+
+    it('should show the bookmarklet to drag when there is no URL', async () => {
+      const page = await (await get({}, 'hv_token=s3cret')).text();
+
+      expect(page).toContain('href="javascript:');
+      expect(page).toContain('https://worker.test/save?url=');
+    });
+
+    it('should refuse pages that are not http(s)', async () => {
+      const response = await get({ url: 'chrome://settings' }, 'hv_token=s3cret');
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('POST /save', () => {
+    it('should save the bookmark like the bot does, with source bookmarklet', async () => {
+      const response = await post({
+        url: 'https://example.com/post',
+        title: 'Page title',
+        tags: '#Rust, to-read rust',
+        notes: 'A quote worth keeping',
+      });
+
+      expect(response.status).toBe(201);
+      expect(await response.text()).toContain('Saved');
+      expect(fetchMetadata).toHaveBeenCalledWith('https://example.com/post');
+      expect(github.saveBookmark).toHaveBeenCalledWith(expect.objectContaining({
+        id: 'test-uuid-1234',
+        url: 'https://example.com/post',
+        url_hash: expect.any(String),
+        title: 'Page title',
+        description: 'About the post',
+        tags: ['rust', 'to-read'],
+        notes: 'A quote worth keeping',
+        source: 'bookmarklet',
+      }));
+    });
+
+    it('should keep the fetched title when the title is cleared', async () => {
+      await post({ url: 'https://example.com/post', title: '  ' });
+
+      const [bookmark] = github.saveBookmark.mock.calls[0];
+      expect(bookmark.title).toBe('Fetched title');
+      expect(bookmark.tags).toEqual([]);
+      expect(bookmark).not.toHaveProperty('notes');
+    });
+
+    it('should offer to save a duplicate anyway', async () => {
+      github.getBookmarkFile.mockResolvedValue({
+        bookmarks: [{ id: 'old-id', url: 'https://example.com/post', title: 'Saved before' }],
+        sha: 'abc',
+      });
+
+      const response = await post({ url: 'https://example.com/post', tags: 'rust' });
+      const page = await response.text();
+
+      expect(response.status).toBe(409);
+      expect(page).toContain('Saved before');
+      expect(page).toContain('name="allow_duplicate"');
+      expect(page).toContain('name="tags" value="rust"');
+      expect(github.saveBookmark).not.toHaveBeenCalled();
+
+      await post({ url: 'https://example.com/post', tags: 'rust', allow_duplicate: '1' });
+      expect(github.saveBookmark).toHaveBeenCalledTimes(1);
+    });
+
+    it('should queue the bookmark for retry when GitHub fails', async () => {
+      github.saveBookmark.mockRejectedValue(new Error('GitHub down'));
+
+      const response = await post({ url: 'https://example.com/post' });
+
+      expect(response.status).toBe(202);
+      expect(await response.text()).toContain('Queued');
+      expect(mockKV.put).toHaveBeenCalledWith(
+        'retry:test-uuid-1234',
+        expect.stringContaining('"source":"bookmarklet"'),
+        expect.anything()
+      );
+    });
+
+    it('should refuse posts without the cookie or from other sites', async () => {
+      expect((await post({ url: 'https://example.com/post' }, { Cookie: '' })).status).toBe(403);
+      expect((await post({ url: 'https://example.com/post' }, { Origin: 'https://evil.test' })).status).toBe(403);
+      expect(github.saveBookmark).not.toHaveBeenCalled();
+    });
+  });
+});
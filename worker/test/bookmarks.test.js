@@ -0,0 +1,210 @@
+import { describe, it, expect } from 'vitest';
+import {
+  isUnread,
+  isTrashed,
+  sortNewest,
+  paginate,
+  parseSearchQuery,
+  searchBookmarks,
+  findBookmark,
+  findDuplicate,
+  normalizeTags,
+  parseShareText,
+  BookmarkNotFoundError,
+  AmbiguousIdError,
+} from '../src/bookmarks.js';
+import { hashUrl } from '../src/url.js';
+
+describe('isUnread', () => {
+  it('should treat missing read_status as unread', () => {
+    expect(isUnread({})).toBe(true);
+    expect(isUnread({ read_status: 'unread' })).toBe(true);
+    expect(isUnread({ read_status: 'read' })).toBe(false);
+    expect(isUnread({ read_status: 'reading' })).toBe(false);
+  });
+});
+
+describe('isTrashed', () => {
+  it('should check for deleted_at', () => {
+    expect(isTrashed({})).toBe(false);
+    expect(isTrashed({ deleted_at: '2026-01-01T00:00:00Z' })).toBe(true);
+  });
+});
+
+describe('sortNewest', () => {
+  it('should sort by timestamp descending without mutating input', () => {
+    const input = [
+      { id: 'old', timestamp: '2025-01-01T00:00:00Z' },
+      { id: 'new', timestamp: '2026-01-01T00:00:00Z' },
+    ];
+    const sorted = sortNewest(input);
+
+    expect(sorted.map(b => b.id)).toEqual(['new', 'old']);
+    expect(input[0].id).toBe('old');
+  });
+});
+
+describe('paginate', () => {
+  const items = Array.from({ length: 25 }, (_, i) => i);
+
+  it('should return the requested page', () => {
+    const result = paginate(items, 2, 10);
+    expect(result.items).toEqual([10, 11, 12, 13, 14, 15, 16, 17, 18, 19]);
+    expect(result.page).toBe(2);
+    expect(result.totalPages).toBe(3);
+    expect(result.total).toBe(25);
+  });
+
+  it('should clamp out-of-range pages', () => {
+    expect(paginate(items, 99, 10).page).toBe(3);
+    expect(paginate(items, 0, 10).page).toBe(1);
+  });
+
+  it('should report one page for empty lists', () => {
+    const result = paginate([], 1, 10);
+    expect(result.items).toEqual([]);
+    expect(result.totalPages).toBe(1);
+  });
+});
+
+describe('parseSearchQuery', () => {
+  it('should separate terms from filters', () => {
+    expect(parseSearchQuery('React hooks type:video is:unread is:fav')).toEqual({
+      terms: ['react', 'hooks'],
+      filters: { type: 'video', unread: true, favorite: true },
+    });
+  });
+
+  it('should keep unknown filters as plain terms', () => {
+    expect(parseSearchQuery('type:podcast site:x.com')).toEqual({
+      terms: ['type:podcast', 'site:x.com'],
+      filters: {},
+    });
+  });
+
+  it('should handle empty queries', () => {
+    expect(parseSearchQuery('')).toEqual({ terms: [], filters: {} });
+    expect(parseSearchQuery(undefined)).toEqual({ terms: [], filters: {} });
+  });
+});
+
+describe('searchBookmarks', () => {
+  const bookmarks = [
+    { id: 'desc', title: 'Something else', description: 'all about rust', timestamp: '2026-01-03T00:00:00Z' },
+    { id: 'title', title: 'Rust async book', timestamp: '2026-01-01T00:00:00Z', read_status: 'read' },
+    { id: 'tag', title: 'Systems', tags: ['rust'], timestamp: '2026-01-02T00:00:00Z', content_type: 'video', is_favorite: true },
+    { id: 'notes', title: 'Other', notes: 'compare with Go', site_name: 'go.dev', timestamp: '2026-01-04T00:00:00Z' },
+  ];
+
+  it('should rank title and exact tag matches above description matches', () => {
+    const results = searchBookmarks(bookmarks, parseSearchQuery('rust'));
+    expect(results.map(b => b.id)).toEqual(['tag', 'title', 'desc']);
+  });
+
+  it('should require every term to match', () => {
+    const results = searchBookmarks(bookmarks, parseSearchQuery('rust async'));
+    expect(results.map(b => b.id)).toEqual(['title']);
+  });
+
+  it('should search notes and site_name', () => {
+    expect(searchBookmarks(bookmarks, parseSearchQuery('go.dev')).map(b => b.id)).toEqual(['notes']);
+    expect(searchBookmarks(bookmarks, parseSearchQuery('compare')).map(b => b.id)).toEqual(['notes']);
+  });
+
+  it('should apply type, unread and favorite filters', () => {
+    expect(searchBookmarks(bookmarks, parseSearchQuery('rust type:video')).map(b => b.id)).toEqual(['tag']);
+    expect(searchBookmarks(bookmarks, parseSearchQuery('rust is:unread')).map(b => b.id)).toEqual(['tag', 'desc']);
+    expect(searchBookmarks(bookmarks, parseSearchQuery('is:favorite')).map(b => b.id)).toEqual(['tag']);
+  });
+
+  it('should never return trashed bookmarks', () => {
+    const withTrash = [...bookmarks, { id: 'gone', title: 'Rust trash', deleted_at: '2026-01-05T00:00:00Z' }];
+    expect(searchBookmarks(withTrash, parseSearchQuery('rust')).map(b => b.id)).not.toContain('gone');
+  });
+
+  it('should return filter-only results newest first', () => {
+    const results = searchBookmarks(bookmarks, parseSearchQuery('is:unread'));
+    expect(results.map(b => b.id)).toEqual(['notes', 'desc', 'tag']);
+  });
+});
+
+describe('findBookmark', () => {
+  const bookmarks = [
+    { id: 'abc12345-0000-4000-8000-000000000001' },
+    { id: 'abc12399-0000-4000-8000-000000000002' },
+    { id: 'def45678-0000-4000-8000-000000000003' },
+  ];
+
+  it('should find by full ID', () => {
+    expect(findBookmark(bookmarks, 'def45678-0000-4000-8000-000000000003')).toBe(bookmarks[2]);
+  });
+
+  it('should resolve a unique prefix, ignoring case', () => {
+    expect(findBookmark(bookmarks, 'ABC12345')).toBe(bookmarks[0]);
+    expect(findBookmark(bookmarks, 'def')).toBe(bookmarks[2]);
+  });
+
+  it('should throw AmbiguousIdError when a prefix matches several bookmarks', () => {
+    expect(() => findBookmark(bookmarks, 'abc123')).toThrow(AmbiguousIdError);
+  });
+
+  it('should throw BookmarkNotFoundError when nothing matches', () => {
+    expect(() => findBookmark(bookmarks, 'zzz')).toThrow(BookmarkNotFoundError);
+    expect(() => findBookmark(bookmarks, '')).toThrow(BookmarkNotFoundError);
+  });
+});
+
+describe('normalizeTags', () => {
+  it('should lowercase, strip # and dedupe', () => {
+    expect(normalizeTags(['#Rust', 'rust', ' Tutorial ', '', '##x'])).toEqual(['rust', 'tutorial', 'x']);
+  });
+});
+
+describe('findDuplicate', () => {
+  const bookmarks = [
+    { id: 'a', url: 'https://example.com/post/' },
+    { id: 'c', url: 'https://gone.com/', deleted_at: '2025-01-01T00:00:00Z' },
+  ];
+
+  it('should match URLs that only differ by tracking params, case or trailing slash', () => {
+    expect(findDuplicate(bookmarks, 'https://EXAMPLE.com/post?utm_source=rss#top').id).toBe('a');
+  });
+
+  it('should match on a stored url_hash', () => {
+    const hashed = { id: 'h', url: 'https://mirror.example/y', url_hash: hashUrl('https://example.com/y') };
+    expect(findDuplicate([hashed], 'https://example.com/y').id).toBe('h');
+  });
+
+  it('should skip trashed bookmarks and unrelated URLs', () => {
+    expect(findDuplicate(bookmarks, 'https://gone.com')).toBeUndefined();
+    expect(findDuplicate(bookmarks, 'https://example.com/other')).toBeUndefined();
+  });
+});
+
+describe('parseShareText', () => {
+  it('should split hashtags, flags and notes', () => {
+    expect(parseShareText(' #Rust #tutorial read this before the migration !fav !PRIVATE ')).toEqual({
+      tags: ['rust', 'tutorial'],
+      notes: 'read this before the migration',
+      is_favorite: true,
+      is_private: true,
+    });
+  });
+
+  it('should keep line breaks in notes and tags like c++', () => {
+    expect(parseShareText('first line #c++\n\nsecond line !read')).toEqual({
+      tags: ['c++'],
+      notes: 'first line\nsecond line',
+      read_status: 'read',
+    });
+  });
+
+  it('should ignore leftover punctuation and empty text', () => {
+    expect(parseShareText(' #rust. - ')).toEqual({ tags: ['rust'] });
+    expect(parseShareText('')).toEqual({});
+  });
+
+  it('should not treat # inside words as a tag', () => {
+    expect(parseShareText('issue#42 is fixed')).toEqual({ notes: 'issue#42 is fixed' });
+  });
+});
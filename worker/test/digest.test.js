@@ -0,0 +1,92 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  isDigestDue,
+  pickDigestItems,
+  getSnoozed,
+  snoozeBookmark,
+  DEFAULT_DIGEST,
+} from '../src/digest.js';
+
+describe('isDigestDue', () => {
+  const at = (iso) => new Date(iso);
+  const daily = { ...DEFAULT_DIGEST, frequency: 'daily', hour: 8 };
+
+  it('should never be due when the digest is off', () => {
+    expect(isDigestDue(DEFAULT_DIGEST, at('2025-01-10T08:00:00Z'))).toBe(false);
+  });
+
+  it('should only be due in the configured hour', () => {
+    expect(isDigestDue(daily, at('2025-01-10T08:02:00Z'))).toBe(true);
+    expect(isDigestDue(daily, at('2025-01-10T09:02:00Z'))).toBe(false);
+  });
+
+  it('should wait a full period since the last digest, allowing for cron drift', () => {
+    expect(isDigestDue({ ...daily, last_sent: '2025-01-09T08:03:00Z' }, at('2025-01-10T08:01:00Z'))).toBe(true);
+    expect(isDigestDue({ ...daily, last_sent: '2025-01-10T08:00:00Z' }, at('2025-01-10T08:30:00Z'))).toBe(false);
+
+    const weekly = { ...daily, frequency: 'weekly', last_sent: '2025-01-06T08:00:00Z' };
+    expect(isDigestDue(weekly, at('2025-01-10T08:00:00Z'))).toBe(false);
+    expect(isDigestDue(weekly, at('2025-01-13T08:00:00Z'))).toBe(true);
+  });
+});
+
+describe('pickDigestItems', () => {
+  const now = new Date('2025-02-01T00:00:00Z');
+  const bookmarks = [
+    { id: 'new', timestamp: '2025-01-20T00:00:00Z' },
+    { id: 'old', timestamp: '2025-01-01T00:00:00Z' },
+    { id: 'read', timestamp: '2024-12-01T00:00:00Z', read_status: 'read' },
+    { id: 'trashed', timestamp: '2024-12-02T00:00:00Z', deleted_at: '2025-01-01T00:00:00Z' },
+    { id: 'snoozed', timestamp: '2024-12-03T00:00:00Z' },
+    { id: 'mid', timestamp: '2025-01-10T00:00:00Z' },
+    { id: 'arch1', timestamp: '2024-01-01T00:00:00Z', is_archived: true },
+    { id: 'arch2', timestamp: '2024-02-01T00:00:00Z', is_archived: true, read_status: 'read' },
+    { id: 'arch3', timestamp: '2024-03-01T00:00:00Z', is_archived: true },
+  ];
+  const snoozed = { snoozed: '2025-02-05T00:00:00Z', mid: '2025-01-15T00:00:00Z' };
+
+  it('should pick the oldest unread, skipping trashed, archived and snoozed ones', () => {
+    const items = pickDigestItems(bookmarks, { ...DEFAULT_DIGEST, size: 2 }, snoozed, now);
+    expect(items.map(b => b.id)).toEqual(['old', 'mid']);
+  });
+
+  it('should pick random archived bookmarks in rediscover mode', () => {
+    const digest = { ...DEFAULT_DIGEST, mode: 'rediscover', size: 2 };
+
+    const items = pickDigestItems(bookmarks, digest, {}, now, () => 0.99);
+
+    expect(items).toHaveLength(2);
+    expect(items.every(b => b.is_archived)).toBe(true);
+    expect(items.map(b => b.id)).toEqual(['arch3', 'arch1']);
+  });
+
+  it('should return fewer items when not enough are available', () => {
+    const digest = { ...DEFAULT_DIGEST, mode: 'rediscover', size: 10 };
+    expect(pickDigestItems(bookmarks, digest, {}, now)).toHaveLength(3);
+  });
+});
+
+describe('snoozeBookmark', () => {
+  let store;
+  let env;
+
+  beforeEach(() => {
+    store = new Map();
+    env = {
+      RETRY_QUEUE: {
+        get: vi.fn(async (key) => store.get(key) ?? null),
+        put: vi.fn(async (key, value) => { store.set(key, value); }),
+      },
+    };
+  });
+
+  it('should snooze for a week and drop expired snoozes', async () => {
+    const now = new Date('2025-02-01T00:00:00Z');
+    store.set('snoozed:123', JSON.stringify({ expired: '2025-01-31T00:00:00Z', active: '2025-02-03T00:00:00Z' }));
+
+    const until = await snoozeBookmark(env, 123, 'abc', now);
+
+    expect(until).toBe('2025-02-08T00:00:00.000Z');
+    expect(await getSnoozed(env, 123)).toEqual({ active: '2025-02-03T00:00:00Z', abc: until });
+  });
+});
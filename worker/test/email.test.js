@@ -0,0 +1,298 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { handleEmail, parseEmail, extractLinks, isAllowedSender } from '../src/email.js';
+
+vi.mock('../src/metadata.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  fetchMetadata: vi.fn(),
+}));
+
+vi.mock('../src/github.js', () => ({
+  GitHubAdapter: vi.fn(),
+}));
+
+vi.stubGlobal('crypto', {
+  randomUUID: vi.fn(() => 'test-uuid-1234'),
+});
+
+import { fetchMetadata } from '../src/metadata.js';
+import { GitHubAdapter } from '../src/github.js';
+
+function fixture(name) {
+  return readFileSync(new URL(`./fixtures/email/${name}.eml`, import.meta.url));
+}
+
+function message(name, { from = 'ana@example.com', to = 'save@hipervinculos.dev' } = {}) {
+  return {
+    from,
+    to,
+    raw: new Response(fixture(name)).body,
+    setReject: vi.fn(),
+  };
+}
+
+describe('isAllowedSender', () => {
+  const env = { EMAIL_ALLOWED_SENDERS: 'Ana@Example.com, @team.example.org' };
+
+  it('should allow listed addresses, ignoring case', () => {
+    expect(isAllowedSender(env, 'ana@example.com')).toBe(true);
+    expect(isAllowedSender(env, 'ANA@EXAMPLE.COM')).toBe(true);
+  });
+
+  it('should allow a whole domain listed as @domain', () => {
+    expect(isAllowedSender(env, 'bob@team.example.org')).toBe(true);
+    expect(isAllowedSender(env, 'bob@evil-team.example.org')).toBe(false);
+  });
+
+  it('should reject everyone else', () => {
+    expect(isAllowedSender(env, 'mallory@example.com')).toBe(false);
+    expect(isAllowedSender(env, '')).toBe(false);
+  });
+
+  it('should reject everyone when the list is empty', () => {
+    expect(isAllowedSender({}, 'ana@example.com')).toBe(false);
+    expect(isAllowedSender({ EMAIL_ALLOWED_SENDERS: '' }, 'ana@example.com')).toBe(false);
+  });
+});
+
+describe('parseEmail', () => {
+  it('should read a plain-text message', () => {
+    const email = parseEmail(fixture('read-later'));
+
+    expect(email.subject).toBe('Fwd: Async Rust in depth');
+    expect(email.from).toEqual({ name: 'Ana Pérez', address: 'ana@example.com' });
+    expect(email.text).toContain('Worth reading on the train https://blog.example.com/async-rust');
+    expect(email.html).toBe('');
+  });
+
+  it('should decode encoded-word subjects and quoted-printable parts in their charset', () => {
+    const email = parseEmail(fixture('newsletter'));
+
+    expect(email.subject).toBe('Café weekly: the best links');
+    expect(email.from).toEqual({ name: 'Weekly Digest', address: 'digest@news.example.org' });
+    expect(email.html).toContain('<a href="https://news.example.org/view?id=7">View in your browser</a>');
+    expect(email.html).toContain('Café culture');
+  });
+
+  it('should find base64 parts in nested multiparts and skip attachments', () => {
+    const email = parseEmail(fixture('forwarded'));
+
+    expect(email.text).toContain('Las diapositivas están aquí.');
+    expect(email.text).not.toContain('attachment.example.com');
+    expect(email.html).toContain('https://slides.example.com/deck');
+  });
+
+  it('should read forwarded messages attached as message/rfc822', () => {
+    const email = parseEmail([
+      'From: ana@example.com',
+      'Subject: Fwd: Look',
+      'Content-Type: multipart/mixed; boundary=x',
+      '',
+      '--x',
+      'Content-Type: message/rfc822',
+      '',
+      'From: bob@example.com',
+      'Subject: Look',
+      'Content-Type: text/plain',
+      '',
+      'https://inner.example.com/page',
+      '--x--',
+    ].join('\r\n'));
+
+    expect(email.subject).toBe('Fwd: Look');
+    expect(email.text).toContain('https://inner.example.com/page');
+  });
+
+  it('should treat a message without Content-Type as plain text', () => {
+    const email = parseEmail('Subject: Hi\n\nhttps://example.com');
+
+    expect(email.text).toBe('https://example.com');
+  });
+});
+
+describe('extractLinks', () => {
+  it('should prefer links in the plain-text part, in order', () => {
+    const links = extractLinks(parseEmail(fixture('read-later')));
+
+    expect(links[0]).toBe('https://blog.example.com/async-rust');
+    expect(links).toContain('https://blog.example.com/async-rust-2');
+  });
+
+  it('should fall back to anchors in HTML, without noise or repeats', () => {
+    const links = extractLinks(parseEmail(fixture('newsletter')));
+
+    expect(links).toEqual([
+      'https://one.example.com/story',
+      'https://two.example.com/post?utm_source=newsletter',
+    ]);
+  });
+
+  it('should leave a closing parenthesis after a link out of it', () => {
+    const links = extractLinks({ text: 'Worth a read (https://blog.example.com/async-rust).', html: '' });
+
+    expect(links).toEqual(['https://blog.example.com/async-rust']);
+  });
+
+  it('should return nothing for a message without links', () => {
+    expect(extractLinks(parseEmail(fixture('no-links')))).toEqual([]);
+  });
+});
+
+describe('handleEmail', () => {
+  let github;
+  let mockKV;
+  let env;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    github = {
+      getBookmarkFile: vi.fn().mockResolvedValue({ bookmarks: [], sha: 'abc' }),
+      saveBookmarks: vi.fn(),
+    };
+    GitHubAdapter.mockImplementation(() => github);
+    fetchMetadata.mockImplementation(async (url) => ({ url, title: `Page at ${url}` }));
+    mockKV = { put: vi.fn() };
+    env = { EMAIL_ALLOWED_SENDERS: 'ana@example.com, @news.example.org', RETRY_QUEUE: mockKV };
+  });
+
+  it('should save the main link with the subject as title and the body as notes', async () => {
+    const email = message('read-later');
+
+    await handleEmail(email, env);
+
+    expect(email.setReject).not.toHaveBeenCalled();
+    expect(github.saveBookmarks).toHaveBeenCalledTimes(1);
+    const [bookmarks] = github.saveBookmarks.mock.calls[0];
+    expect(bookmarks).toHaveLength(1);
+    expect(bookmarks[0]).toMatchObject({
+      url: 'https://blog.example.com/async-rust',
+      title: 'Async Rust in depth',
+      tags: ['rust'],
+      is_favorite: true,
+      source: 'email',
+    });
+    expect(bookmarks[0].added_by).toEqual({ name: 'Ana Pérez' });
+    expect(bookmarks[0].notes).toContain('Worth reading on the train');
+    expect(bookmarks[0].notes).toContain('The follow-up is');
+  });
+
+  it('should leave links, quoted replies and the signature out of the notes', async () => {
+    await handleEmail(message('read-later'), env);
+
+    const { notes } = github.saveBookmarks.mock.calls[0][0][0];
+    expect(notes).not.toContain('https://');
+    expect(notes).not.toContain('Bob wrote');
+    expect(notes).not.toContain('ana.example.com');
+  });
+
+  it('should save every link for the +all address, titled by the page', async () => {
+    const email = message('newsletter', { from: 'digest@news.example.org', to: 'save+all@hipervinculos.dev' });
+
+    await handleEmail(email, env);
+
+    const [bookmarks] = github.saveBookmarks.mock.calls[0];
+    expect(bookmarks.map(b => b.url)).toEqual([
+      'https://one.example.com/story',
+      'https://two.example.com/post?utm_source=newsletter',
+    ]);
+    expect(bookmarks[0]).toMatchObject({
+      title: 'Page at https://one.example.com/story',
+      notes: 'Café weekly: the best links',
+      source: 'email',
+    });
+    expect(bookmarks[0].added_by).toEqual({ name: 'Weekly Digest' });
+  });
+
+  it('should save only the main link of a newsletter sent to the plain address', async () => {
+    await handleEmail(message('newsletter', { from: 'digest@news.example.org' }), env);
+
+    const [bookmarks] = github.saveBookmarks.mock.calls[0];
+    expect(bookmarks).toHaveLength(1);
+    expect(bookmarks[0]).toMatchObject({
+      url: 'https://one.example.com/story',
+      title: 'Café weekly: the best links',
+    });
+  });
+
+  it('should strip every forward and reply prefix from the title', async () => {
+    await handleEmail(message('forwarded'), env);
+
+    const [bookmark] = github.saveBookmarks.mock.calls[0][0];
+    expect(bookmark).toMatchObject({
+      url: 'https://slides.example.com/deck',
+      title: 'Slides',
+      tags: ['talks'],
+    });
+    expect(bookmark.notes).toContain('Las diapositivas están aquí.');
+  });
+
+  it('should record no part of the address of a sender without a display name', async () => {
+    await handleEmail(message('forwarded'), env);
+
+    const [bookmark] = github.saveBookmarks.mock.calls[0][0];
+    expect(bookmark.added_by).toEqual({ name: 'email' });
+    expect(JSON.stringify(bookmark)).not.toContain('ana');
+    expect(JSON.stringify(console.log.mock.calls)).not.toContain('ana');
+  });
+
+  it('should reject senders that are not on the allowlist', async () => {
+    const email = message('read-later', { from: 'mallory@example.com' });
+
+    await handleEmail(email, env);
+
+    expect(email.setReject).toHaveBeenCalledWith(expect.any(String));
+    expect(fetchMetadata).not.toHaveBeenCalled();
+    expect(github.saveBookmarks).not.toHaveBeenCalled();
+    expect(JSON.stringify(console.warn.mock.calls)).not.toContain('mallory');
+  });
+
+  it('should reject mail without links', async () => {
+    const email = message('no-links');
+
+    await handleEmail(email, env);
+
+    expect(email.setReject).toHaveBeenCalledWith('No links found in the message');
+    expect(github.saveBookmarks).not.toHaveBeenCalled();
+  });
+
+  it('should skip links that are already bookmarked', async () => {
+    github.getBookmarkFile.mockResolvedValue({
+      bookmarks: [{ id: 'existing-1', url: 'https://one.example.com/story' }],
+      sha: 'abc',
+    });
+
+    await handleEmail(message('newsletter', { from: 'digest@news.example.org', to: 'save+all@hipervinculos.dev' }), env);
+
+    const [bookmarks] = github.saveBookmarks.mock.calls[0];
+    expect(bookmarks.map(b => b.url)).toEqual(['https://two.example.com/post?utm_source=newsletter']);
+  });
+
+  it('should not commit when every link is already bookmarked', async () => {
+    github.getBookmarkFile.mockResolvedValue({
+      bookmarks: [{ id: 'existing-1', url: 'https://blog.example.com/async-rust' }],
+      sha: 'abc',
+    });
+    const email = message('read-later');
+
+    await handleEmail(email, env);
+
+    expect(github.saveBookmarks).not.toHaveBeenCalled();
+    expect(email.setReject).not.toHaveBeenCalled();
+  });
+
+  it('should queue the bookmarks for retry when GitHub fails', async () => {
+    github.saveBookmarks.mockRejectedValue(new Error('GitHub down'));
+
+    await handleEmail(message('read-later'), env);
+
+    expect(mockKV.put).toHaveBeenCalledWith(
+      'retry:test-uuid-1234',
+      expect.stringContaining('GitHub down'),
+      { metadata: { createdAt: expect.any(String) } },
+    );
+  });
+});
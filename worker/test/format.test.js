@@ -0,0 +1,357 @@
+import { describe, it, expect } from 'vitest';
+import {
+  shortId,
+  getDomain,
+  formatRelativeDate,
+  formatBookmarkLine,
+  formatBookmarkList,
+  formatBookmarkSummary,
+  bookmarkKeyboard,
+  pagingKeyboard,
+  formatPreview,
+  previewKeyboard,
+  formatStats,
+  formatTopTags,
+  inlineResult,
+  formatDigestItem,
+  digestKeyboard,
+  formatDigestSettings,
+  formatRemindAt,
+  remindKeyboard,
+} from '../src/format.js';
+
+describe('shortId', () => {
+  it('should return the first 8 characters of the ID', () => {
+    expect(shortId('e90d26a6-342f-4f04-a70c-fd9ce804bf30')).toBe('e90d26a6');
+  });
+
+  it('should handle missing IDs', () => {
+    expect(shortId(undefined)).toBe('');
+  });
+});
+
+describe('getDomain', () => {
+  it('should strip www. from the hostname', () => {
+    expect(getDomain('https://www.example.com/page')).toBe('example.com');
+  });
+
+  it('should return empty string for invalid URLs', () => {
+    expect(getDomain('not a url')).toBe('');
+  });
+});
+
+describe('formatRelativeDate', () => {
+  const now = new Date('2026-01-20T12:00:00Z');
+
+  it('should format minutes, hours and days', () => {
+    expect(formatRelativeDate('2026-01-20T11:55:00Z', now)).toBe('5m ago');
+    expect(formatRelativeDate('2026-01-20T09:00:00Z', now)).toBe('3h ago');
+    expect(formatRelativeDate('2026-01-18T12:00:00Z', now)).toBe('2d ago');
+  });
+
+  it('should return "Just now" for very recent dates', () => {
+    expect(formatRelativeDate('2026-01-20T11:59:30Z', now)).toBe('Just now');
+  });
+
+  it('should fall back to the date after a month', () => {
+    expect(formatRelativeDate('2025-11-01T12:00:00Z', now)).toBe('2025-11-01');
+  });
+
+  it('should return empty string for invalid dates', () => {
+    expect(formatRelativeDate('garbage', now)).toBe('');
+  });
+});
+
+describe('formatBookmarkLine', () => {
+  const now = new Date('2026-01-20T12:00:00Z');
+
+  it('should include icon, title, flags, domain, date and short ID', () => {
+    const line = formatBookmarkLine({
+      id: 'abcdef12-0000-4000-8000-000000000000',
+      url: 'https://youtube.com/watch?v=1',
+      title: 'A Video',
+      content_type: 'video',
+      timestamp: '2026-01-19T12:00:00Z',
+      is_favorite: true,
+      is_private: true,
+    }, 3, now);
+
+    expect(line).toBe('3. 📹 A Video ⭐🔒\n   youtube.com · 1d ago · 🆔 abcdef12');
+  });
+
+  it('should fall back to the URL when the title is missing', () => {
+    const line = formatBookmarkLine({
+      id: 'abcdef12',
+      url: 'https://example.com/x',
+      timestamp: '2026-01-19T12:00:00Z',
+    }, 1, now);
+
+    expect(line).toContain('1. 📄 https://example.com/x');
+  });
+});
+
+describe('formatBookmarkList', () => {
+  const items = [{ id: 'a', url: 'https://a.com', title: 'A', timestamp: new Date().toISOString() }];
+
+  it('should omit the page footer for single-page lists', () => {
+    const text = formatBookmarkList('Heading', { items, page: 1, totalPages: 1, total: 1, pageSize: 10 });
+    expect(text).toMatch(/^Heading\n\n1\. 📄 A/);
+    expect(text).not.toContain('Page');
+  });
+
+  it('should number items continuously across pages', () => {
+    const text = formatBookmarkList('Heading', { items, page: 2, totalPages: 3, total: 21, pageSize: 10 });
+    expect(text).toContain('11. 📄 A');
+    expect(text).toContain('Page 2/3');
+  });
+});
+
+describe('formatBookmarkSummary', () => {
+  it('should show title, short ID, tags, status and notes', () => {
+    const text = formatBookmarkSummary({
+      id: 'abcdef12-0000-4000-8000-000000000000',
+      url: 'https://example.com',
+      title: 'Title',
+      tags: ['rust', 'async'],
+      read_status: 'read',
+      is_favorite: true,
+      notes: 'Read before the migration',
+    });
+
+    expect(text).toBe([
+      '📄 Title',
+      '🆔 abcdef12',
+      '🏷️ #rust #async',
+      '✅ Read · ⭐ Favorite',
+      '📝 Read before the migration',
+    ].join('\n'));
+  });
+
+  it('should mention missing tags', () => {
+    expect(formatBookmarkSummary({ id: 'a', url: 'https://example.com' })).toContain('🏷️ No tags yet');
+  });
+
+  it('should show who saved the bookmark', () => {
+    const text = formatBookmarkSummary({ id: 'a', url: 'https://example.com', added_by: { id: 1, name: 'Ana' } });
+    expect(text.split('\n').at(-1)).toBe('👤 Saved by Ana');
+  });
+
+  it('should show a pending reminder', () => {
+    const text = formatBookmarkSummary({ id: 'a', url: 'https://example.com', remind_at: '2025-03-01T08:00:00.000Z' });
+    expect(text).toContain('⏰ Remind 2025-03-01 08:00 UTC');
+  });
+});
+
+describe('bookmarkKeyboard', () => {
+  it('should offer tag, favorite, private, read and remind actions', () => {
+    const keyboard = bookmarkKeyboard({ id: 'id-1' });
+    const buttons = keyboard.inline_keyboard.flat();
+
+    expect(buttons.map(b => b.callback_data)).toEqual([
+      'bm:tags:id-1', 'bm:favorite:id-1', 'bm:private:id-1', 'bm:read:id-1', 'bm:remind:id-1',
+    ]);
+    expect(buttons.map(b => b.text)).toEqual(['🏷️ Add Tags', '⭐ Favorite', '🔒 Private', '✅ Mark read', '⏰ Remind me']);
+  });
+
+  it('should flip labels to reflect the current state', () => {
+    const keyboard = bookmarkKeyboard({ id: 'id-1', is_favorite: true, is_private: true, read_status: 'read' });
+    const labels = keyboard.inline_keyboard.flat().map(b => b.text);
+
+    expect(labels).toEqual(['🏷️ Add Tags', '☆ Unfavorite', '🔓 Make Public', '📬 Mark unread', '⏰ Remind me']);
+  });
+});
+
+describe('pagingKeyboard', () => {
+  it('should return null for a single page', () => {
+    expect(pagingKeyboard('list:unread', { page: 1, totalPages: 1 })).toBeNull();
+  });
+
+  it('should add previous and next buttons as needed', () => {
+    expect(pagingKeyboard('list:unread', { page: 2, totalPages: 3 }).inline_keyboard[0]).toEqual([
+      { text: '◀️ Previous', callback_data: 'list:unread:1' },
+      { text: 'Next page ▶️', callback_data: 'list:unread:3' },
+    ]);
+  });
+});
+
+describe('formatPreview', () => {
+  const bookmark = {
+    url: 'https://www.youtube.com/watch?v=1',
+    title: 'A Talk',
+    description: 'x'.repeat(400),
+    site_name: 'YouTube',
+    content_type: 'video',
+    tags: ['talks'],
+    notes: 'Watch before the meetup',
+  };
+
+  it('should show type, site, title, tags, notes and link', () => {
+    const text = formatPreview(bookmark);
+    expect(text.split('\n')[0]).toBe('👀 Preview');
+    expect(text).toContain('📹 video · YouTube');
+    expect(text).toContain('📄 A Talk');
+    expect(text).toContain('🏷️ #talks');
+    expect(text).toContain('📝 Watch before the meetup');
+    expect(text).toContain('🔗 https://www.youtube.com/watch?v=1');
+  });
+
+  it('should shorten long descriptions and fall back to the domain', () => {
+    const text = formatPreview({ ...bookmark, site_name: undefined, tags: [] });
+    expect(text).toContain(`${'x'.repeat(299)}…`);
+    expect(text).not.toContain('x'.repeat(300));
+    expect(text).toContain('· youtube.com');
+    expect(text).toContain('No tags yet');
+  });
+});
+
+describe('previewKeyboard', () => {
+  it('should offer save, edit and discard', () => {
+    expect(previewKeyboard('abc12345').inline_keyboard.flat().map(b => b.callback_data)).toEqual([
+      'preview:save:abc12345',
+      'preview:edit:abc12345',
+      'preview:discard:abc12345',
+    ]);
+  });
+
+  it('should offer title and tags while editing', () => {
+    expect(previewKeyboard('abc12345', true).inline_keyboard.flat().map(b => b.callback_data)).toEqual([
+      'preview:title:abc12345',
+      'preview:tags:abc12345',
+      'preview:back:abc12345',
+    ]);
+  });
+});
+
+describe('formatStats', () => {
+  const stats = {
+    total_bookmarks: 12,
+    statistics: {
+      by_type: { article: 7, video: 0, image: 0, pdf: 1, code: 4, tweet: 0, other: 0 },
+      by_read_status: { unread: 9, reading: 1, read: 2 },
+      favorites_count: 3,
+      private_count: 1,
+      archived_count: 5,
+    },
+    tags_usage: { rust: 4, go: 1 },
+    last_updated: '2025-01-10T00:00:00Z',
+    computed: false,
+  };
+
+  it('should show totals, statuses and non-empty types by count', () => {
+    const text = formatStats(stats, new Date('2025-01-12T00:00:00Z'));
+
+    expect(text).toContain('📚 Total: 12');
+    expect(text).toContain('📬 Unread: 9 · 📖 Reading: 1 · ✅ Read: 2');
+    expect(text).toContain('⭐ Favorites: 3 · 🔒 Private: 1 · 🗄️ Archived: 5');
+    expect(text).toContain('By type:\n📄 article: 7\n💻 code: 4\n📕 pdf: 1');
+    expect(text).not.toContain('video');
+    expect(text).toContain('🏷️ 2 tags');
+    expect(text).toContain('🕒 Updated 2d ago');
+  });
+
+  it('should say when the numbers were computed from bookmarks.jsonl', () => {
+    expect(formatStats({ ...stats, computed: true })).toContain('Counted from bookmarks.jsonl');
+  });
+});
+
+describe('formatTopTags', () => {
+  it('should list tags by count, then name', () => {
+    expect(formatTopTags({ go: 1, rust: 4, ai: 1 }, 10)).toBe('🏷️ 3 tags\n\n#rust · 4\n#ai · 1\n#go · 1');
+  });
+
+  it('should mention how many tags were left out', () => {
+    expect(formatTopTags({ go: 1, rust: 4, ai: 1 }, 2).split('\n')[0]).toBe('🏷️ Top 2 of 3 tags');
+  });
+
+  it('should handle a collection without tags', () => {
+    expect(formatTopTags({}, 10)).toBe('🏷️ No tags yet.');
+  });
+});
+
+describe('inlineResult', () => {
+  it('should post the title and link', () => {
+    const result = inlineResult({
+      id: 'abc',
+      url: 'https://www.example.com/post',
+      title: 'Async Rust',
+      image: 'https://example.com/og.png',
+      tags: ['rust', 'async'],
+    });
+
+    expect(result).toEqual({
+      type: 'article',
+      id: 'abc',
+      title: 'Async Rust',
+      description: 'example.com · #rust · #async',
+      url: 'https://www.example.com/post',
+      thumbnail_url: 'https://example.com/og.png',
+      input_message_content: { message_text: 'Async Rust\nhttps://www.example.com/post' },
+    });
+  });
+
+  it('should fall back to the URL without a title', () => {
+    const result = inlineResult({ id: 'abc', url: 'https://example.com' });
+    expect(result.title).toBe('https://example.com');
+    expect(result).not.toHaveProperty('thumbnail_url');
+  });
+
+  it('should leave out an image that is not an absolute URL', () => {
+    const result = inlineResult({
+      id: 'abc',
+      url: 'https://arxiv.org/abs/2401.00001',
+      image: '/static/browse/0.3.4/images/arxiv-logo-fb.png',
+    });
+    expect(result).not.toHaveProperty('thumbnail_url');
+  });
+});
+
+describe('formatDigestItem', () => {
+  it('should show title, link, short ID, age and tags', () => {
+    const text = formatDigestItem({
+      id: 'abcdef12-0000',
+      url: 'https://github.com/x/y',
+      title: 'A Repo',
+      content_type: 'code',
+      tags: ['rust'],
+      timestamp: '2025-01-01T00:00:00Z',
+    }, new Date('2025-01-04T00:00:00Z'));
+
+    expect(text).toBe('💻 A Repo\n🔗 https://github.com/x/y\n🆔 abcdef12 · saved 3d ago · #rust');
+  });
+});
+
+describe('digestKeyboard', () => {
+  it('should offer mark read and snooze', () => {
+    expect(digestKeyboard('abc').inline_keyboard[0].map(b => b.callback_data))
+      .toEqual(['digest:read:abc', 'digest:snooze:abc']);
+  });
+});
+
+describe('formatDigestSettings', () => {
+  it('should describe the schedule, size and mode', () => {
+    expect(formatDigestSettings({ frequency: 'daily', hour: 8, size: 5, mode: 'unread' }))
+      .toBe('📰 Daily at 08:00 UTC: the 5 oldest unread bookmarks.');
+    expect(formatDigestSettings({ frequency: 'weekly', hour: 18, size: 1, mode: 'rediscover' }))
+      .toBe('📰 Weekly at 18:00 UTC: 1 random pick from the archive.');
+    expect(formatDigestSettings({ frequency: 'off', hour: 8, size: 5, mode: 'unread' }))
+      .toBe('📰 The digest is off.');
+  });
+});
+
+describe('formatRemindAt', () => {
+  it('should show the date and time in UTC', () => {
+    expect(formatRemindAt('2025-03-01T08:05:00.000Z')).toBe('2025-03-01 08:05 UTC');
+  });
+});
+
+describe('remindKeyboard', () => {
+  it('should lay presets out two per row with a cancel button', () => {
+    const keyboard = remindKeyboard('id-1', ['1d', '3d', '1w']);
+
+    expect(keyboard.inline_keyboard.map(row => row.map(b => b.callback_data))).toEqual([
+      ['remind:1d:id-1', 'remind:3d:id-1'],
+      ['remind:1w:id-1'],
+      ['remind:cancel:id-1'],
+    ]);
+  });
+});
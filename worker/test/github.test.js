@@ -1,9 +1,16 @@
 import { describe, it, expect, vi, beforeEach } from 'vitest';
 import { GitHubAdapter } from '../src/github.js';
+import { BookmarkNotFoundError } from '../src/bookmarks.js';
+import { notifyWebhooks } from '../src/webhooks.js';
+
+vi.mock('../src/webhooks.js', () => ({
+  notifyWebhooks: vi.fn(),
+}));
 
 // Mock Octokit
 const mockGetContent = vi.fn();
 const mockCreateOrUpdate = vi.fn();
+const mockListCommits = vi.fn();
 
 vi.mock('@octokit/rest', () => {
   return {
@@ -13,6 +20,7 @@ vi.mock('@octokit/rest', () => {
         this.repos = {
           getContent: mockGetContent,
           createOrUpdateFileContents: mockCreateOrUpdate,
+          listCommits: mockListCommits,
         };
       }
     },
@@ -64,6 +72,83 @@ describe('GitHubAdapter', () => {
     });
   });
 
+  describe('getMetadataFile', () => {
+    it('should fetch and parse metadata.json', async () => {
+      mockGetContent.mockResolvedValue({
+        data: { content: Buffer.from('{"total_bookmarks":3}').toString('base64'), sha: 'sha-m' },
+      });
+
+      expect(await adapter.getMetadataFile()).toEqual({ total_bookmarks: 3 });
+      expect(mockGetContent).toHaveBeenCalledWith(expect.objectContaining({ path: 'data/metadata.json' }));
+    });
+
+    it('should return null if the file does not exist (404)', async () => {
+      mockGetContent.mockRejectedValue({ status: 404 });
+
+      expect(await adapter.getMetadataFile()).toBeNull();
+    });
+  });
+
+  describe('getLastCommit', () => {
+    it('should describe the latest commit to bookmarks.jsonl', async () => {
+      mockListCommits.mockResolvedValue({
+        data: [{ sha: 'abc123', commit: { message: 'Add: Example', committer: { date: '2025-01-10T12:00:00Z' } } }],
+      });
+
+      expect(await adapter.getLastCommit()).toEqual({
+        sha: 'abc123',
+        date: '2025-01-10T12:00:00Z',
+        message: 'Add: Example',
+      });
+    });
+
+    it('should return null when the file has no commits', async () => {
+      mockListCommits.mockResolvedValue({ data: [] });
+
+      expect(await adapter.getLastCommit()).toBeNull();
+    });
+  });
+
+  describe('getLastCommitDate', () => {
+    it('should return the date of the latest commit to bookmarks.jsonl', async () => {
+      mockListCommits.mockResolvedValue({
+        data: [{ commit: { committer: { date: '2025-01-10T12:00:00Z' } } }],
+      });
+
+      expect(await adapter.getLastCommitDate()).toBe('2025-01-10T12:00:00Z');
+      expect(mockListCommits).toHaveBeenCalledWith(expect.objectContaining({
+        path: 'data/bookmarks.jsonl',
+        per_page: 1,
+      }));
+    });
+
+    it('should return null when the file has no commits', async () => {
+      mockListCommits.mockResolvedValue({ data: [] });
+
+      expect(await adapter.getLastCommitDate('data/other.json')).toBeNull();
+    });
+  });
+
+  describe('saveFile', () => {
+    it('should commit the file under data/files/ and return its GitHub URL', async () => {
+      mockCreateOrUpdate.mockResolvedValue({
+        data: { content: { html_url: 'https://github.com/user/repo/blob/main/data/files/abc-report.pdf' } },
+      });
+
+      const stored = await adapter.saveFile('abc-report.pdf', new Uint8Array([37, 80, 68, 70]), 'Add file: report.pdf');
+
+      expect(stored).toEqual({
+        path: 'data/files/abc-report.pdf',
+        url: 'https://github.com/user/repo/blob/main/data/files/abc-report.pdf',
+      });
+      expect(mockCreateOrUpdate).toHaveBeenCalledWith(expect.objectContaining({
+        path: 'data/files/abc-report.pdf',
+        message: 'Add file: report.pdf',
+        content: Buffer.from('%PDF').toString('base64'),
+      }));
+    });
+  });
+
   describe('saveBookmark', () => {
     it('should append bookmark and commit', async () => {
       // Mock existing file
@@ -94,6 +179,22 @@ describe('GitHubAdapter', () => {
       const decoded = Buffer.from(callArgs.content, 'base64').toString('utf8');
       expect(decoded).toContain('{"id":"1"}');
       expect(decoded).toContain('{"id":"2","title":"New"}');
+      expect(notifyWebhooks).toHaveBeenCalledWith(mockEnv, 'bookmark.created', [newBookmark]);
+    });
+
+    it('should hand webhook deliveries to waitUntil instead of waiting for them', async () => {
+      mockGetContent.mockResolvedValue({
+        data: { content: Buffer.from('{"id":"1"}').toString('base64'), sha: 'sha-1' },
+      });
+      mockCreateOrUpdate.mockResolvedValue({ status: 200 });
+      // A subscriber that never answers
+      const delivery = new Promise(() => {});
+      notifyWebhooks.mockReturnValueOnce(delivery);
+      const env = { ...mockEnv, waitUntil: vi.fn() };
+
+      await new GitHubAdapter(env).saveBookmark({ id: '2', title: 'New' });
+
+      expect(env.waitUntil).toHaveBeenCalledWith(delivery);
     });
 
     it('should retry on 409 Conflict', async () => {
@@ -121,4 +222,182 @@ describe('GitHubAdapter', () => {
       expect(mockCreateOrUpdate.mock.calls[1][0].sha).toBe('sha-2');
     });
   });
+
+  describe('saveBookmarks', () => {
+    beforeEach(() => {
+      mockGetContent.mockResolvedValue({
+        data: { content: Buffer.from('{"id":"1"}').toString('base64'), sha: 'sha-1' },
+      });
+      mockCreateOrUpdate.mockResolvedValue({ status: 200 });
+    });
+
+    it('should append all bookmarks in one commit', async () => {
+      await adapter.saveBookmarks([{ id: '2', title: 'A' }, { id: '3', title: 'B' }]);
+
+      expect(mockCreateOrUpdate).toHaveBeenCalledTimes(1);
+      const { message, content } = mockCreateOrUpdate.mock.calls[0][0];
+      expect(message).toBe('Add 2 bookmarks');
+      expect(Buffer.from(content, 'base64').toString('utf8').trim().split('\n')).toHaveLength(3);
+    });
+
+    it('should send one webhook event for all of them', async () => {
+      const bookmarks = [{ id: '2', title: 'A' }, { id: '3', title: 'B' }];
+
+      await adapter.saveBookmarks(bookmarks);
+
+      expect(notifyWebhooks).toHaveBeenCalledTimes(1);
+      expect(notifyWebhooks).toHaveBeenCalledWith(mockEnv, 'bookmark.created', bookmarks);
+    });
+
+    it('should use the single-bookmark message for one bookmark', async () => {
+      await adapter.saveBookmarks([{ id: '2', title: 'A' }]);
+
+      expect(mockCreateOrUpdate.mock.calls[0][0].message).toBe('Add: A');
+    });
+  });
+
+  describe('updateBookmark', () => {
+    const existing = [
+      { id: 'aaaa1111-0000-4000-8000-000000000000', title: 'First', tags: ['a'] },
+      { id: 'bbbb2222-0000-4000-8000-000000000000', title: 'Second', tags: [] },
+    ];
+    const fileContent = () => Buffer.from(existing.map(b => JSON.stringify(b)).join('\n')).toString('base64');
+    const decodeCommitted = (call) => Buffer.from(call[0].content, 'base64')
+      .toString('utf8').trim().split('\n').map(l => JSON.parse(l));
+
+    it('should update one bookmark by short ID prefix and commit', async () => {
+      mockGetContent.mockResolvedValue({ data: { content: fileContent(), sha: 'sha-1' } });
+      mockCreateOrUpdate.mockResolvedValue({ status: 200 });
+
+      const updated = await adapter.updateBookmark('bbbb2222', { read_status: 'read' });
+
+      expect(updated.id).toBe('bbbb2222-0000-4000-8000-000000000000');
+      expect(updated.read_status).toBe('read');
+      expect(updated.modified_timestamp).toBeDefined();
+      expect(mockCreateOrUpdate).toHaveBeenCalledWith(expect.objectContaining({
+        message: 'Update: Second',
+        sha: 'sha-1',
+      }));
+
+      const committed = decodeCommitted(mockCreateOrUpdate.mock.calls[0]);
+      expect(committed).toHaveLength(2);
+      expect(committed[0]).toEqual(existing[0]);
+      expect(committed[1].read_status).toBe('read');
+      expect(notifyWebhooks).toHaveBeenCalledWith(mockEnv, 'bookmark.updated', [updated]);
+    });
+
+    it('should pass the current bookmark to an updater function', async () => {
+      mockGetContent.mockResolvedValue({ data: { content: fileContent(), sha: 'sha-1' } });
+      mockCreateOrUpdate.mockResolvedValue({ status: 200 });
+
+      const updated = await adapter.updateBookmark('aaaa1111', b => ({ tags: [...b.tags, 'b'] }));
+
+      expect(updated.tags).toEqual(['a', 'b']);
+    });
+
+    it('should re-read and re-apply changes on 409 Conflict', async () => {
+      mockGetContent
+        .mockResolvedValueOnce({ data: { content: fileContent(), sha: 'sha-1' } })
+        .mockResolvedValueOnce({ data: { content: fileContent(), sha: 'sha-2' } });
+      mockCreateOrUpdate
+        .mockRejectedValueOnce({ status: 409 })
+        .mockResolvedValueOnce({ status: 200 });
+
+      await adapter.updateBookmark('aaaa1111', { is_favorite: true });
+
+      expect(mockCreateOrUpdate).toHaveBeenCalledTimes(2);
+      expect(mockCreateOrUpdate.mock.calls[1][0].sha).toBe('sha-2');
+      expect(decodeCommitted(mockCreateOrUpdate.mock.calls[1])[0].is_favorite).toBe(true);
+    });
+
+    it('should throw BookmarkNotFoundError without committing', async () => {
+      mockGetContent.mockResolvedValue({ data: { content: fileContent(), sha: 'sha-1' } });
+
+      await expect(adapter.updateBookmark('ffff', { read_status: 'read' }))
+        .rejects.toBeInstanceOf(BookmarkNotFoundError);
+      expect(mockCreateOrUpdate).not.toHaveBeenCalled();
+      expect(notifyWebhooks).not.toHaveBeenCalled();
+    });
+
+    it('should not send webhook events when the commit fails', async () => {
+      mockGetContent.mockResolvedValue({ data: { content: fileContent(), sha: 'sha-1' } });
+      mockCreateOrUpdate.mockRejectedValue({ status: 500 });
+
+      await expect(adapter.updateBookmark('aaaa1111', { is_favorite: true })).rejects.toEqual({ status: 500 });
+      expect(notifyWebhooks).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('trashBookmark / restoreBookmark', () => {
+    const stored = { id: 'aaaa1111-0000-4000-8000-000000000000', title: 'First' };
+    const decodeCommitted = () => JSON.parse(
+      Buffer.from(mockCreateOrUpdate.mock.calls[0][0].content, 'base64').toString('utf8')
+    );
+
+    beforeEach(() => {
+      mockCreateOrUpdate.mockResolvedValue({ status: 200 });
+    });
+
+    it('should set deleted_at instead of removing the bookmark', async () => {
+      mockGetContent.mockResolvedValue({
+        data: { content: Buffer.from(JSON.stringify(stored)).toString('base64'), sha: 'sha-1' },
+      });
+
+      const trashed = await adapter.trashBookmark('aaaa');
+
+      expect(trashed.deleted_at).toBeDefined();
+      expect(mockCreateOrUpdate.mock.calls[0][0].message).toBe('Delete: First');
+      expect(decodeCommitted().deleted_at).toBe(trashed.deleted_at);
+      expect(notifyWebhooks).toHaveBeenCalledWith(mockEnv, 'bookmark.deleted', [trashed]);
+    });
+
+    it('should clear deleted_at on restore', async () => {
+      const inTrash = { ...stored, deleted_at: '2026-01-01T00:00:00.000Z' };
+      mockGetContent.mockResolvedValue({
+        data: { content: Buffer.from(JSON.stringify(inTrash)).toString('base64'), sha: 'sha-1' },
+      });
+
+      const restored = await adapter.restoreBookmark('aaaa');
+
+      expect(mockCreateOrUpdate.mock.calls[0][0].message).toBe('Restore: First');
+      expect(decodeCommitted()).not.toHaveProperty('deleted_at');
+      expect(notifyWebhooks).toHaveBeenCalledWith(mockEnv, 'bookmark.updated', [restored]);
+    });
+  });
+
+  describe('clearReminders', () => {
+    it('should clear remind_at on the given bookmarks in one commit', async () => {
+      const lines = [
+        { id: 'aaaa', title: 'A', remind_at: '2026-01-01T08:00:00.000Z', remind_chat_id: 1 },
+        { id: 'bbbb', title: 'B', remind_at: '2026-01-02T08:00:00.000Z', remind_chat_id: 1 },
+        { id: 'cccc', title: 'C', remind_at: '2026-06-01T08:00:00.000Z', remind_chat_id: 1 },
+      ].map(b => JSON.stringify(b)).join('\n');
+      mockGetContent.mockResolvedValue({
+        data: { content: Buffer.from(lines).toString('base64'), sha: 'sha-1' },
+      });
+      mockCreateOrUpdate.mockResolvedValue({ status: 200 });
+
+      await adapter.clearReminders(['aaaa', 'bbbb']);
+
+      expect(mockCreateOrUpdate).toHaveBeenCalledTimes(1);
+      const { message, content } = mockCreateOrUpdate.mock.calls[0][0];
+      const committed = Buffer.from(content, 'base64').toString('utf8').trim().split('\n').map(l => JSON.parse(l));
+      expect(message).toBe('Remind: 2 bookmarks');
+      expect(committed.map(b => b.remind_at)).toEqual([undefined, undefined, '2026-06-01T08:00:00.000Z']);
+      expect(committed[0]).not.toHaveProperty('remind_chat_id');
+    });
+
+    it('should tell the webhooks about the cleared bookmarks', async () => {
+      mockGetContent.mockResolvedValue({
+        data: { content: Buffer.from(JSON.stringify({ id: 'aaaa', title: 'A', remind_at: '2026-01-01T08:00:00.000Z' })).toString('base64'), sha: 'sha-1' },
+      });
+      mockCreateOrUpdate.mockResolvedValue({ status: 200 });
+
+      await adapter.clearReminders(['aaaa']);
+
+      expect(notifyWebhooks).toHaveBeenCalledWith(mockEnv, 'bookmark.updated', [
+        expect.objectContaining({ id: 'aaaa', remind_at: undefined }),
+      ]);
+    });
+  });
 });
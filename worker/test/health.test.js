@@ -0,0 +1,168 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { checkHealth, getHealth, recordCronRun } from '../src/health.js';
+
+vi.mock('../src/github.js', () => ({
+  GitHubAdapter: vi.fn(),
+}));
+
+import { GitHubAdapter } from '../src/github.js';
+
+describe('checkHealth', () => {
+  const now = new Date('2025-03-01T12:00:00Z');
+  const lastCommit = { sha: 'abc123', date: '2025-03-01T11:30:00Z', message: 'Add: Example' };
+  let store;
+  let retryKeys;
+  let env;
+  let github;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    store = new Map();
+    retryKeys = [];
+    env = {
+      RETRY_QUEUE: {
+        get: vi.fn(async (key) => store.get(key) ?? null),
+        put: vi.fn(async (key, value) => { store.set(key, value); }),
+        list: vi.fn(async () => ({ keys: retryKeys })),
+      },
+      CF_VERSION_METADATA: { id: 'version-1', tag: 'v1.4.0', timestamp: '2025-02-28T09:00:00Z' },
+    };
+    github = { getLastCommit: vi.fn().mockResolvedValue(lastCommit) };
+    GitHubAdapter.mockImplementation(() => github);
+  });
+
+  it('should report every dependency when all is well', async () => {
+    await recordCronRun(env, new Date('2025-03-01T11:00:00Z'), new Date('2025-03-01T11:00:05Z'));
+
+    const { healthy, report } = await checkHealth(env, now);
+
+    expect(healthy).toBe(true);
+    expect(report).toEqual({
+      status: 'ok',
+      timestamp: '2025-03-01T12:00:00.000Z',
+      version: { id: 'version-1', tag: 'v1.4.0', timestamp: '2025-02-28T09:00:00Z' },
+      github: { ok: true, last_data_commit: lastCommit },
+      retry_queue: { ok: true, depth: 0, oldest_age_seconds: null, stale: false },
+      cron: { ok: true, last_run: '2025-03-01T11:00:05.000Z', stale: false },
+      rate_limit: { ok: true, perMinute: 20, perDay: 300, rejected_today: 0 },
+    });
+  });
+
+  it('should age the retry queue from key metadata, reading older entries', async () => {
+    retryKeys = [
+      { name: 'retry:a', metadata: { createdAt: '2025-03-01T11:00:00Z' } },
+      { name: 'retry:b' },
+    ];
+    store.set('retry:b', JSON.stringify({ bookmark: {}, createdAt: '2025-03-01T10:30:00Z' }));
+
+    const { healthy, report } = await checkHealth(env, now);
+
+    expect(healthy).toBe(true);
+    expect(report.retry_queue).toEqual({ ok: true, depth: 2, oldest_age_seconds: 5400, stale: false });
+    expect(env.RETRY_QUEUE.get).not.toHaveBeenCalledWith('retry:a');
+  });
+
+  it('should be degraded when saves have been stuck in the queue for hours', async () => {
+    retryKeys = [{ name: 'retry:a', metadata: { createdAt: '2025-03-01T07:00:00Z' } }];
+
+    const { healthy, report } = await checkHealth(env, now);
+
+    expect(healthy).toBe(false);
+    expect(report.status).toBe('degraded');
+    expect(report.retry_queue.stale).toBe(true);
+  });
+
+  it('should be degraded when the cron job has stopped running', async () => {
+    await recordCronRun(env, new Date('2025-03-01T08:00:00Z'), new Date('2025-03-01T08:00:05Z'));
+
+    const { healthy, report } = await checkHealth(env, now);
+
+    expect(healthy).toBe(false);
+    expect(report.cron.stale).toBe(true);
+  });
+
+  it('should not count a cron job that has never run against a new deployment', async () => {
+    const { healthy, report } = await checkHealth(env, now);
+
+    expect(healthy).toBe(true);
+    expect(report.cron).toEqual({ ok: true, last_run: null, stale: false });
+  });
+
+  it('should be degraded when GitHub or KV fails, and still report the rest', async () => {
+    github.getLastCommit.mockRejectedValue(new Error('Bad credentials'));
+    env.RETRY_QUEUE.list.mockRejectedValue(new Error('KV unavailable'));
+
+    const { healthy, report } = await checkHealth(env, now);
+
+    expect(healthy).toBe(false);
+    expect(report.github).toEqual({ ok: false, error: 'Bad credentials' });
+    expect(report.retry_queue).toEqual({ ok: false, error: 'KV unavailable' });
+    expect(report.cron.ok).toBe(true);
+  });
+
+  it('should give up on GitHub after a timeout', async () => {
+    vi.useFakeTimers();
+    github.getLastCommit.mockReturnValue(new Promise(() => {}));
+
+    const result = checkHealth(env, now);
+    await vi.advanceTimersByTimeAsync(5000);
+    const { report } = await result;
+    vi.useRealTimers();
+
+    expect(report.github).toEqual({ ok: false, error: 'Timed out after 5000 ms' });
+  });
+
+  it('should leave the version out without the version metadata binding', async () => {
+    delete env.CF_VERSION_METADATA;
+
+    const { report } = await checkHealth(env, now);
+
+    expect(report.version).toBeNull();
+  });
+});
+
+describe('getHealth', () => {
+  const now = new Date('2025-03-01T12:00:00Z');
+  let store;
+  let env;
+  let github;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    store = new Map();
+    env = {
+      RETRY_QUEUE: {
+        get: vi.fn(async (key) => store.get(key) ?? null),
+        put: vi.fn(async (key, value) => { store.set(key, value); }),
+        list: vi.fn(async () => ({ keys: [] })),
+      },
+    };
+    github = { getLastCommit: vi.fn().mockResolvedValue({ sha: 'abc123' }) };
+    GitHubAdapter.mockImplementation(() => github);
+  });
+
+  it('should check once and reuse the report for a minute', async () => {
+    const first = await getHealth(env, now);
+    const second = await getHealth(env, new Date('2025-03-01T12:00:30Z'));
+
+    expect(second).toEqual(first);
+    expect(second.report.timestamp).toBe('2025-03-01T12:00:00.000Z');
+    expect(github.getLastCommit).toHaveBeenCalledTimes(1);
+    expect(env.RETRY_QUEUE.put).toHaveBeenCalledWith('health:report', JSON.stringify(first), { expirationTtl: 60 });
+  });
+
+  it('should still check when the report cannot be cached', async () => {
+    env.RETRY_QUEUE.get.mockRejectedValue(new Error('KV unavailable'));
+    env.RETRY_QUEUE.put.mockRejectedValue(new Error('KV unavailable'));
+
+    const { healthy, report } = await getHealth(env, now);
+
+    expect(healthy).toBe(false);
+    expect(report.github.ok).toBe(true);
+    expect(report.cron).toEqual({ ok: false, error: 'KV unavailable' });
+  });
+});
@@ -0,0 +1,50 @@
+import { describe, it, expect } from 'vitest';
+import { pickLanguage, translator, LANGUAGES, DEFAULT_LANGUAGE } from '../src/i18n.js';
+import en from '../src/locales/en.js';
+import es from '../src/locales/es.js';
+
+describe('pickLanguage', () => {
+  it('should prefer the /lang override', () => {
+    expect(pickLanguage('en', 'es')).toBe('en');
+  });
+
+  it('should match the base of the Telegram language code', () => {
+    expect(pickLanguage(undefined, 'es-AR')).toBe('es');
+    expect(pickLanguage(undefined, 'EN')).toBe('en');
+  });
+
+  it('should fall back to the default for unknown or missing languages', () => {
+    expect(pickLanguage('xx', 'fr')).toBe(DEFAULT_LANGUAGE);
+    expect(pickLanguage(undefined, undefined)).toBe(DEFAULT_LANGUAGE);
+  });
+});
+
+describe('translator', () => {
+  it('should return plain strings and fill in parameters', () => {
+    const t = translator('es');
+
+    expect(t('save.saved')).toBe('✅ ¡Guardado!');
+    expect(t('search.found', { total: 1, query: 'rust' })).toBe('🔍 1 resultado para "rust"');
+  });
+
+  it('should default to English and return unknown keys as-is', () => {
+    const t = translator();
+
+    expect(t('save.saved')).toBe('✅ Saved!');
+    expect(t('no.such.key')).toBe('no.such.key');
+  });
+
+  it('should use English for an unknown language', () => {
+    expect(translator('xx')('save.saved')).toBe('✅ Saved!');
+  });
+});
+
+describe('catalogs', () => {
+  it('should offer English and Spanish', () => {
+    expect(LANGUAGES).toEqual(['en', 'es']);
+  });
+
+  it('should translate every English message into Spanish', () => {
+    expect(Object.keys(es).sort()).toEqual(Object.keys(en).sort());
+  });
+});
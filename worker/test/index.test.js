@@ -0,0 +1,171 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('../src/telegram.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  handleUpdate: vi.fn(),
+}));
+
+vi.mock('../src/github.js', () => ({
+  GitHubAdapter: vi.fn(),
+}));
+
+import worker from '../src/index.js';
+import { handleUpdate } from '../src/telegram.js';
+import { GitHubAdapter } from '../src/github.js';
+
+const mockFetch = vi.fn();
+vi.stubGlobal('fetch', mockFetch);
+
+describe('worker', () => {
+  let store;
+  let env;
+
+  const post = (update) => worker.fetch(new Request('https://worker.test/webhook', {
+    method: 'POST',
+    headers: { 'X-Telegram-Bot-Api-Secret-Token': 'secret', 'Content-Type': 'application/json' },
+    body: JSON.stringify(update),
+  }), env);
+  const message = (text) => ({ message: { chat: { id: 123 }, from: { id: 7 }, text } });
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockFetch.mockResolvedValue({ ok: true });
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    store = new Map();
+    env = {
+      WEBHOOK_SECRET: 'secret',
+      TELEGRAM_BOT_TOKEN: 'test-token',
+      RATE_LIMIT_PER_MINUTE: '2',
+      ALLOWED_USERS: '7',
+      RETRY_QUEUE: {
+        get: vi.fn(async (key) => store.get(key) ?? null),
+        put: vi.fn(async (key, value) => { store.set(key, value); }),
+        list: vi.fn(async () => ({ keys: [] })),
+      },
+    };
+    GitHubAdapter.mockImplementation(() => ({
+      getLastCommit: vi.fn().mockResolvedValue({ sha: 'abc123', date: '2025-03-01T10:00:00Z', message: 'Add: Example' }),
+    }));
+  });
+
+  describe('POST /webhook', () => {
+    it('should reject requests without the webhook secret', async () => {
+      const response = await worker.fetch(new Request('https://worker.test/webhook', { method: 'POST', body: '{}' }), env);
+
+      expect(response.status).toBe(401);
+      expect(handleUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should stop handling a chat\'s updates once it is over the limit', async () => {
+      await post(message('one'));
+      await post(message('two'));
+      const response = await post(message('three'));
+      await post(message('four'));
+
+      expect(response.status).toBe(200);
+      expect(await response.json()).toEqual({ ok: true, rate_limited: true });
+      expect(handleUpdate).toHaveBeenCalledTimes(2);
+
+      // One friendly reply, not one per rejected message
+      const replies = mockFetch.mock.calls.map(c => JSON.parse(c[1].body));
+      expect(replies).toHaveLength(1);
+      expect(replies[0].chat_id).toBe(123);
+      expect(replies[0].text).toContain('I can take 2 messages a minute from this chat');
+    });
+
+    it('should answer rate-limited button taps with a toast', async () => {
+      await post(message('one'));
+      await post(message('two'));
+      await post({ callback_query: { id: 'cb', from: { id: 7 }, data: 'bm:read:x', message: { message_id: 1, chat: { id: 123 } } } });
+
+      const [url, { body }] = mockFetch.mock.calls[0];
+      expect(url).toContain('/answerCallbackQuery');
+      expect(JSON.parse(body).text).toContain('Too many requests');
+    });
+
+    it('should handle updates whose count cannot be written, without replying to each', async () => {
+      env.RETRY_QUEUE.put.mockRejectedValue(new Error('KV PUT failed: 429 Too Many Requests'));
+
+      const responses = [await post(message('one')), await post(message('two'))];
+
+      for (const response of responses) {
+        expect(await response.json()).toEqual({ ok: true });
+      }
+      expect(handleUpdate).toHaveBeenCalledTimes(2);
+      expect(mockFetch).not.toHaveBeenCalled();
+    });
+
+    it('should not count updates from senders off the allowlist', async () => {
+      await post({ message: { chat: { id: 666 }, from: { id: 666 }, text: 'spam' } });
+
+      expect(env.RETRY_QUEUE.get).not.toHaveBeenCalled();
+      expect(env.RETRY_QUEUE.put).not.toHaveBeenCalled();
+      // handleUpdate refuses them
+      expect(handleUpdate).toHaveBeenCalledTimes(1);
+    });
+
+    it('should handle updates as usual when KV is unavailable', async () => {
+      env.RETRY_QUEUE.get.mockRejectedValue(new Error('KV down'));
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+
+      await post(message('one'));
+
+      expect(handleUpdate).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('GET /health', () => {
+    it('should report the limits and how many updates were rejected today', async () => {
+      store.set(`ratelimit:rejected:${new Date().toISOString().slice(0, 10)}`, '4');
+
+      const response = await worker.fetch(new Request('https://worker.test/health'), env);
+      const body = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(body.status).toBe('ok');
+      expect(body.rate_limit).toEqual({ ok: true, perMinute: 2, perDay: 300, rejected_today: 4 });
+    });
+
+    it('should not reach GitHub again within a minute', async () => {
+      await worker.fetch(new Request('https://worker.test/health'), env);
+      const response = await worker.fetch(new Request('https://worker.test/health'), env);
+
+      expect(response.status).toBe(200);
+      expect(GitHubAdapter).toHaveBeenCalledTimes(1);
+    });
+
+    it('should answer 503 when GitHub is unreachable', async () => {
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+      GitHubAdapter.mockImplementation(() => ({
+        getLastCommit: vi.fn().mockRejectedValue(new Error('Bad credentials')),
+      }));
+
+      const response = await worker.fetch(new Request('https://worker.test/health'), env);
+
+      expect(response.status).toBe(503);
+      expect(await response.json()).toMatchObject({
+        status: 'degraded',
+        github: { ok: false, error: 'Bad credentials' },
+      });
+    });
+  });
+
+  describe('/api', () => {
+    it('should be mounted behind the API token', async () => {
+      const response = await worker.fetch(new Request('https://worker.test/api/bookmarks', { method: 'POST', body: '{}' }), env);
+
+      expect(response.status).toBe(401);
+      expect(await response.json()).toEqual({ error: 'Unauthorized' });
+    });
+  });
+
+  describe('/save', () => {
+    it('should serve the bookmarklet page', async () => {
+      const response = await worker.fetch(new Request('https://worker.test/save?url=https%3A%2F%2Fexample.com'), env);
+
+      expect(response.status).toBe(401);
+      expect(response.headers.get('Content-Type')).toContain('text/html');
+    });
+  });
+});
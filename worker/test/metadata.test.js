@@ -18,6 +18,7 @@ describe('fetchMetadata', () => {
         <meta property="og:title" content="Test Title">
         <meta property="og:description" content="Test Description">
         <meta property="og:image" content="https://example.com/image.jpg">
+        <meta property="og:site_name" content="Example Blog">
       </head>
       <body></body>
       </html>
@@ -33,6 +34,7 @@ describe('fetchMetadata', () => {
     expect(result.title).toBe('Test Title');
     expect(result.description).toBe('Test Description');
     expect(result.image).toBe('https://example.com/image.jpg');
+    expect(result.site_name).toBe('Example Blog');
     expect(result.url).toBe('https://example.com/page');
     expect(result.partial).toBeUndefined();
   });
@@ -0,0 +1,68 @@
+import { describe, it, expect, vi } from 'vitest';
+import { openApiDocument } from '../src/openapi.js';
+import { api } from '../src/api.js';
+import { bookmarkSchema, WRITABLE_FIELDS } from '../src/schema.js';
+import { SORTS } from '../src/bookmarks.js';
+
+vi.mock('../src/github.js', async () => {
+  const { BookmarkNotFoundError } = await import('../src/bookmarks.js');
+  const missing = () => Promise.reject(new BookmarkNotFoundError('missing'));
+  return {
+    GitHubAdapter: vi.fn(() => ({
+      getBookmarkFile: vi.fn().mockResolvedValue({ bookmarks: [], sha: 'abc' }),
+      trashBookmark: vi.fn(missing),
+    })),
+  };
+});
+
+describe('openApiDocument', () => {
+  const document = openApiDocument('https://worker.test');
+
+  it('should point at this worker', () => {
+    expect(document.openapi).toBe('3.1.0');
+    expect(document.servers).toEqual([{ url: 'https://worker.test/api' }]);
+  });
+
+  it('should use the shared bookmark schema', () => {
+    const { Bookmark, NewBookmark, BookmarkChanges } = document.components.schemas;
+
+    expect(Bookmark.properties).toEqual(bookmarkSchema.properties);
+    expect(Bookmark.required).toEqual(bookmarkSchema.required);
+    expect(Bookmark).not.toHaveProperty('$schema');
+    expect(Object.keys(NewBookmark.properties)).toEqual(['url', ...WRITABLE_FIELDS]);
+    expect(BookmarkChanges.properties.title.type).toEqual(['string', 'null']);
+    expect(BookmarkChanges.properties.read_status).toEqual(bookmarkSchema.properties.read_status);
+  });
+
+  it('should list the sort orders the API accepts', () => {
+    const sort = document.paths['/bookmarks'].get.parameters.find(p => p.name === 'sort');
+
+    expect(sort.schema.enum).toEqual(Object.keys(SORTS));
+  });
+
+  it('should only reference schemas and responses it defines', () => {
+    const refs = JSON.stringify(document).match(/"\$ref":"[^"]+"/g);
+
+    for (const match of refs) {
+      const [, , section, name] = match.slice(8, -1).split('/');
+      expect(document.components[section], match).toHaveProperty(name);
+    }
+  });
+
+  it('should only list routes the API answers', async () => {
+    const env = { API_TOKEN: 's3cret', RETRY_QUEUE: { get: vi.fn(), put: vi.fn() } };
+
+    for (const [path, operations] of Object.entries(document.paths)) {
+      for (const method of Object.keys(operations).filter(key => key !== 'parameters')) {
+        // No body: each route answers 400 or 404 with its own error, not the catch-all
+        const response = await api.request(path.replace('{id}', 'missing'), {
+          method: method.toUpperCase(),
+          headers: { Authorization: 'Bearer s3cret' },
+        }, env);
+        const body = await response.json();
+
+        expect(body, `${method} ${path}`).not.toEqual({ error: 'Not found' });
+      }
+    }
+  });
+});
@@ -0,0 +1,97 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { getRateLimits, checkRateLimit, recordRejected, getRejectedCount } from '../src/ratelimit.js';
+
+describe('getRateLimits', () => {
+  it('should use the configured limits, allowing 0 to turn one off', () => {
+    expect(getRateLimits({ RATE_LIMIT_PER_MINUTE: '5', RATE_LIMIT_PER_DAY: '0' })).toEqual({ perMinute: 5, perDay: 0 });
+  });
+
+  it('should fall back to the defaults for missing or invalid values', () => {
+    expect(getRateLimits({ RATE_LIMIT_PER_MINUTE: 'lots' })).toEqual({ perMinute: 20, perDay: 300 });
+  });
+});
+
+describe('checkRateLimit', () => {
+  let store;
+  let env;
+  const now = new Date('2025-03-01T10:00:15Z');
+
+  beforeEach(() => {
+    store = new Map();
+    env = {
+      RATE_LIMIT_PER_MINUTE: '2',
+      RATE_LIMIT_PER_DAY: '3',
+      RETRY_QUEUE: {
+        get: async (key) => store.get(key) ?? null,
+        put: async (key, value) => { store.set(key, value); },
+      },
+    };
+  });
+
+  it('should count updates per chat per minute and per day', async () => {
+    expect(await checkRateLimit(env, 123, now)).toEqual({ allowed: true });
+
+    const minute = Math.floor(now.getTime() / 60000);
+    expect(store.get(`ratelimit:123:${minute}`)).toBe('1');
+    expect(store.get('ratelimit:123:2025-03-01')).toBe('1');
+  });
+
+  it('should reject updates over the per-minute limit and flag only the first', async () => {
+    await checkRateLimit(env, 123, now);
+    await checkRateLimit(env, 123, now);
+
+    expect(await checkRateLimit(env, 123, now)).toEqual({
+      allowed: false, window: 'minute', limit: 2, retryAfter: 45, firstRejection: true,
+    });
+    expect((await checkRateLimit(env, 123, now)).firstRejection).toBe(false);
+    // Rejected updates do not use up the daily allowance
+    expect(store.get('ratelimit:123:2025-03-01')).toBe('2');
+  });
+
+  it('should reject updates over the per-day limit until midnight UTC', async () => {
+    for (const minute of [0, 1, 2]) {
+      await checkRateLimit(env, 123, new Date(now.getTime() + minute * 60000));
+    }
+
+    const result = await checkRateLimit(env, 123, new Date('2025-03-01T23:00:00Z'));
+    expect(result).toMatchObject({ allowed: false, window: 'day', limit: 3, retryAfter: 3600 });
+  });
+
+  it('should allow an update whose count cannot be written', async () => {
+    env.RETRY_QUEUE.put = async () => { throw new Error('KV PUT failed: 429 Too Many Requests'); };
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    expect(await checkRateLimit(env, 123, now)).toEqual({ allowed: true });
+    expect(await checkRateLimit(env, 123, now)).toEqual({ allowed: true });
+    expect(warn).toHaveBeenCalledWith('Rate limit counter for 123 not written:', 'KV PUT failed: 429 Too Many Requests');
+  });
+
+  it('should skip limits set to 0', async () => {
+    env.RATE_LIMIT_PER_MINUTE = '0';
+    env.RATE_LIMIT_PER_DAY = '0';
+
+    for (let i = 0; i < 5; i++) {
+      expect((await checkRateLimit(env, 123, now)).allowed).toBe(true);
+    }
+    expect(store.size).toBe(0);
+  });
+});
+
+describe('recordRejected / getRejectedCount', () => {
+  it('should count rejected updates per day', async () => {
+    const store = new Map();
+    const env = {
+      RETRY_QUEUE: {
+        get: async (key) => store.get(key) ?? null,
+        put: async (key, value) => { store.set(key, value); },
+      },
+    };
+    const now = new Date('2025-03-01T10:00:00Z');
+
+    await recordRejected(env, now);
+    await recordRejected(env, now);
+
+    expect(await getRejectedCount(env, now)).toBe(2);
+    expect(await getRejectedCount(env, new Date('2025-03-02T10:00:00Z'))).toBe(0);
+  });
+});
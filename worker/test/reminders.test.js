@@ -0,0 +1,44 @@
+import { describe, it, expect } from 'vitest';
+import { parseRemindAt, dueReminders, REMIND_PRESETS } from '../src/reminders.js';
+
+const now = new Date('2025-03-01T10:00:00.000Z');
+
+describe('parseRemindAt', () => {
+  it('should add hours, days and weeks to now', () => {
+    expect(parseRemindAt('12h', now).toISOString()).toBe('2025-03-01T22:00:00.000Z');
+    expect(parseRemindAt('3d', now).toISOString()).toBe('2025-03-04T10:00:00.000Z');
+    expect(parseRemindAt('2W', now).toISOString()).toBe('2025-03-15T10:00:00.000Z');
+  });
+
+  it('should schedule dates for 08:00 UTC', () => {
+    expect(parseRemindAt('2025-03-10', now).toISOString()).toBe('2025-03-10T08:00:00.000Z');
+  });
+
+  it('should reject past dates, zero durations and unknown input', () => {
+    expect(parseRemindAt('2025-03-01', now)).toBeNull();
+    expect(parseRemindAt('0d', now)).toBeNull();
+    expect(parseRemindAt('2025-13-40', now)).toBeNull();
+    expect(parseRemindAt('soon', now)).toBeNull();
+    expect(parseRemindAt(undefined, now)).toBeNull();
+  });
+
+  it('should understand every preset', () => {
+    for (const value of REMIND_PRESETS) {
+      expect(parseRemindAt(value, now)).toBeInstanceOf(Date);
+    }
+  });
+});
+
+describe('dueReminders', () => {
+  it('should return due, non-trashed reminders oldest first', () => {
+    const bookmarks = [
+      { id: 'later', remind_at: '2025-03-02T08:00:00.000Z' },
+      { id: 'due2', remind_at: '2025-03-01T09:00:00.000Z' },
+      { id: 'none' },
+      { id: 'trashed', remind_at: '2025-02-01T08:00:00.000Z', deleted_at: '2025-02-02T00:00:00.000Z' },
+      { id: 'due1', remind_at: '2025-02-28T08:00:00.000Z' },
+    ];
+
+    expect(dueReminders(bookmarks, now).map(b => b.id)).toEqual(['due1', 'due2']);
+  });
+});
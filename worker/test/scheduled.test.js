@@ -1,5 +1,5 @@
 import { describe, it, expect, vi, beforeEach } from 'vitest';
-import { handleScheduled } from '../src/scheduled.js';
+import { handleScheduled, sendDigests, sendReminders } from '../src/scheduled.js';
 
 // Mock GitHubAdapter
 vi.mock('../src/github.js', () => ({
@@ -8,7 +8,16 @@ vi.mock('../src/github.js', () => ({
   })),
 }));
 
+vi.mock('../src/webhooks.js', () => ({
+  retryDelivery: vi.fn(),
+}));
+
 import { GitHubAdapter } from '../src/github.js';
+import { retryDelivery } from '../src/webhooks.js';
+
+// Digests are sent through the Telegram API
+const mockFetch = vi.fn();
+vi.stubGlobal('fetch', mockFetch);
 
 describe('handleScheduled', () => {
   let mockEnv;
@@ -27,6 +36,7 @@ describe('handleScheduled', () => {
 
     mockGitHubAdapter = {
       saveBookmark: vi.fn(),
+      getBookmarkFile: vi.fn().mockResolvedValue({ bookmarks: [], sha: null }),
     };
     GitHubAdapter.mockImplementation(() => mockGitHubAdapter);
 
@@ -98,11 +108,13 @@ describe('handleScheduled', () => {
 
     expect(mockKV.put).toHaveBeenCalledWith(
       'retry:fail-id',
-      expect.stringContaining('"attempts":2')
+      expect.stringContaining('"attempts":2'),
+      expect.anything()
     );
     expect(mockKV.put).toHaveBeenCalledWith(
       'retry:fail-id',
-      expect.stringContaining('GitHub down')
+      expect.stringContaining('GitHub down'),
+      expect.anything()
     );
   });
 
@@ -123,7 +135,7 @@ describe('handleScheduled', () => {
 
     // Should delete, not update with attempt 4
     expect(mockKV.delete).toHaveBeenCalledWith('retry:maxed-id');
-    expect(mockKV.put).not.toHaveBeenCalled();
+    expect(mockKV.put).not.toHaveBeenCalledWith('retry:maxed-id', expect.anything(), expect.anything());
   });
 
   it('should handle empty KV (no retries pending)', async () => {
@@ -135,6 +147,19 @@ describe('handleScheduled', () => {
     expect(mockGitHubAdapter.saveBookmark).not.toHaveBeenCalled();
   });
 
+  it('should record when the run finished for /health', async () => {
+    mockKV.list.mockResolvedValue({ keys: [] });
+
+    await handleScheduled(mockEnv);
+
+    const [key, value] = mockKV.put.mock.calls.find(([name]) => name === 'cron:last_run');
+    expect(key).toBe('cron:last_run');
+    expect(JSON.parse(value)).toEqual({
+      started_at: expect.any(String),
+      finished_at: expect.any(String),
+    });
+  });
+
   it('should process multiple retry keys', async () => {
     const retryData1 = {
       bookmark: { id: 'id-1', url: 'https://one.com' },
@@ -184,4 +209,244 @@ describe('handleScheduled', () => {
     // Second one should still succeed and be deleted
     expect(mockKV.delete).toHaveBeenCalledWith('retry:success-id');
   });
+
+  it('should resend queued webhook deliveries instead of saving them', async () => {
+    const retryData = {
+      webhookId: 'hook-1',
+      delivery: { id: 'delivery-1', event: 'bookmark.created', bookmarks: [] },
+      attempts: 1,
+      createdAt: '2025-01-01T00:00:00Z',
+    };
+    mockKV.list.mockResolvedValue({ keys: [{ name: 'retry:webhook:delivery-1' }] });
+    mockKV.get.mockResolvedValue(JSON.stringify(retryData));
+
+    await handleScheduled(mockEnv);
+
+    expect(retryDelivery).toHaveBeenCalledWith(mockEnv, retryData);
+    expect(mockGitHubAdapter.saveBookmark).not.toHaveBeenCalled();
+    expect(mockKV.delete).toHaveBeenCalledWith('retry:webhook:delivery-1');
+  });
+
+  it('should count a failed webhook redelivery as another attempt', async () => {
+    const retryData = {
+      webhookId: 'hook-1',
+      delivery: { id: 'delivery-1', event: 'bookmark.created', bookmarks: [] },
+      attempts: 1,
+      createdAt: '2025-01-01T00:00:00Z',
+    };
+    mockKV.list.mockResolvedValue({ keys: [{ name: 'retry:webhook:delivery-1' }] });
+    mockKV.get.mockResolvedValue(JSON.stringify(retryData));
+    retryDelivery.mockRejectedValueOnce(new Error('Answered 503'));
+
+    await handleScheduled(mockEnv);
+
+    const [, value, options] = mockKV.put.mock.calls.find(([key]) => key === 'retry:webhook:delivery-1');
+    expect(JSON.parse(value)).toMatchObject({ attempts: 2, lastError: 'Answered 503', delivery: retryData.delivery });
+    expect(options).toEqual({ metadata: { createdAt: '2025-01-01T00:00:00Z' } });
+    expect(mockKV.delete).not.toHaveBeenCalled();
+  });
+});
+
+describe('sendDigests', () => {
+  let store;
+  let mockEnv;
+  let mockGitHubAdapter;
+  const now = new Date('2025-02-01T08:00:00Z');
+
+  const sent = () => mockFetch.mock.calls.map(c => JSON.parse(c[1].body));
+  const digestSettings = (digest) => JSON.stringify({ digest: { hour: 8, size: 2, mode: 'unread', ...digest } });
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockFetch.mockResolvedValue({ ok: true });
+
+    store = new Map();
+    mockEnv = {
+      TELEGRAM_BOT_TOKEN: 'test-token',
+      ALLOWED_USERS: '123',
+      RETRY_QUEUE: {
+        list: vi.fn(async ({ prefix }) => ({
+          keys: [...store.keys()].filter(k => k.startsWith(prefix)).map(name => ({ name })),
+        })),
+        get: vi.fn(async (key) => store.get(key) ?? null),
+        put: vi.fn(async (key, value) => { store.set(key, value); }),
+        delete: vi.fn(),
+      },
+    };
+
+    mockGitHubAdapter = {
+      getBookmarkFile: vi.fn().mockResolvedValue({
+        bookmarks: [
+          { id: 'aaa11111', url: 'https://example.com/a', title: 'Oldest', timestamp: '2024-01-01T00:00:00Z' },
+          { id: 'bbb22222', url: 'https://example.com/b', title: 'Older', timestamp: '2024-06-01T00:00:00Z' },
+          { id: 'ccc33333', url: 'https://example.com/c', title: 'Newest', timestamp: '2025-01-01T00:00:00Z' },
+        ],
+        sha: 'sha',
+      }),
+    };
+    GitHubAdapter.mockImplementation(() => mockGitHubAdapter);
+  });
+
+  it('should send the oldest unread bookmarks with buttons to chats that are due', async () => {
+    store.set('settings:123', digestSettings({ frequency: 'daily' }));
+
+    await sendDigests(mockEnv, now);
+
+    const [heading, first, second] = sent();
+    expect(heading.chat_id).toBe(123);
+    expect(heading.text).toBe('📬 Your daily digest: 2 oldest unread');
+    expect(first.text).toContain('Oldest');
+    expect(first.reply_markup.inline_keyboard[0].map(b => b.callback_data)).toEqual([
+      'digest:read:aaa11111',
+      'digest:snooze:aaa11111',
+    ]);
+    expect(second.text).toContain('Older');
+    expect(JSON.parse(store.get('settings:123')).digest.last_sent).toBe(now.toISOString());
+  });
+
+  it('should send the digest in the chat\'s /lang language', async () => {
+    store.set('settings:123', JSON.stringify({ lang: 'es', digest: { frequency: 'weekly', hour: 8, size: 1, mode: 'unread' } }));
+
+    await sendDigests(mockEnv, new Date('2025-02-03T08:00:00Z'));
+
+    const [heading, item] = sent();
+    expect(heading.text).toBe('📬 Tu resumen semanal: 1 sin leer de los más antiguos');
+    expect(item.reply_markup.inline_keyboard[0][1].text).toBe('💤 Posponer');
+  });
+
+  it('should skip chats that are off, not due or not allowed', async () => {
+    store.set('settings:1', digestSettings({ frequency: 'off' }));
+    store.set('settings:2', digestSettings({ frequency: 'daily', hour: 9 }));
+    store.set('settings:3', digestSettings({ frequency: 'daily', last_sent: '2025-01-31T20:00:00Z' }));
+    store.set('settings:4', digestSettings({ frequency: 'daily' }));
+    mockEnv.ALLOWED_USERS = '5';
+
+    await sendDigests(mockEnv, now);
+
+    expect(mockFetch).not.toHaveBeenCalled();
+    expect(mockGitHubAdapter.getBookmarkFile).not.toHaveBeenCalled();
+  });
+
+  it('should send to a group chat whose digest an allowed user set up', async () => {
+    store.set('settings:-100', digestSettings({ frequency: 'daily', user_id: 123 }));
+    store.set('settings:-200', digestSettings({ frequency: 'daily', user_id: 5 }));
+
+    await sendDigests(mockEnv, now);
+
+    expect(sent().map(m => m.chat_id)).toEqual([-100, -100, -100]);
+  });
+
+  it('should leave out snoozed bookmarks', async () => {
+    store.set('settings:123', digestSettings({ frequency: 'weekly', size: 1 }));
+    store.set('snoozed:123', JSON.stringify({ aaa11111: '2025-02-05T00:00:00Z' }));
+
+    await sendDigests(mockEnv, now);
+
+    expect(sent()[0].text).toBe('📬 Your weekly digest: 1 oldest unread');
+    expect(sent()[1].text).toContain('Older');
+  });
+
+  it('should be run by handleScheduled after the retry queue', async () => {
+    vi.useFakeTimers();
+    vi.setSystemTime(now);
+    store.set('settings:123', digestSettings({ frequency: 'daily' }));
+
+    await handleScheduled(mockEnv);
+    vi.useRealTimers();
+
+    expect(mockEnv.RETRY_QUEUE.list).toHaveBeenCalledWith({ prefix: 'retry:' });
+    expect(sent()).toHaveLength(3);
+  });
+});
+
+describe('sendReminders', () => {
+  let mockEnv;
+  let mockGitHubAdapter;
+  const now = new Date('2025-02-01T08:00:00Z');
+
+  const sent = () => mockFetch.mock.calls.map(c => JSON.parse(c[1].body));
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockFetch.mockResolvedValue({ ok: true });
+
+    mockEnv = {
+      TELEGRAM_BOT_TOKEN: 'test-token',
+      ALLOWED_USERS: '123',
+      RETRY_QUEUE: { get: vi.fn().mockResolvedValue(null), put: vi.fn() },
+    };
+
+    mockGitHubAdapter = {
+      getBookmarkFile: vi.fn().mockResolvedValue({
+        bookmarks: [
+          { id: 'aaa11111', url: 'https://example.com/a', title: 'Due', chat_id: 1, remind_at: '2025-02-01T07:00:00Z', remind_chat_id: 123 },
+          { id: 'bbb22222', url: 'https://example.com/b', title: 'Not yet', remind_at: '2025-02-02T08:00:00Z', remind_chat_id: 123 },
+          { id: 'ccc33333', url: 'https://example.com/c', title: 'Never' },
+        ],
+        sha: 'sha',
+      }),
+      clearReminders: vi.fn().mockResolvedValue(),
+    };
+    GitHubAdapter.mockImplementation(() => mockGitHubAdapter);
+  });
+
+  it('should send due bookmarks back to the chat that asked and clear them', async () => {
+    await sendReminders(mockEnv, now);
+
+    const [message] = sent();
+    expect(sent()).toHaveLength(1);
+    expect(message.chat_id).toBe(123);
+    expect(message.text).toContain('⏰ Reminder');
+    expect(message.text).toContain('https://example.com/a');
+    expect(message.reply_markup.inline_keyboard.flat().map(b => b.callback_data)).toContain('bm:read:aaa11111');
+    expect(mockGitHubAdapter.clearReminders).toHaveBeenCalledWith(['aaa11111']);
+  });
+
+  it('should not commit when nothing is due', async () => {
+    await sendReminders(mockEnv, new Date('2025-01-01T00:00:00Z'));
+
+    expect(mockFetch).not.toHaveBeenCalled();
+    expect(mockGitHubAdapter.clearReminders).not.toHaveBeenCalled();
+  });
+
+  it('should keep a reminder that could not be sent', async () => {
+    mockFetch.mockRejectedValue(new Error('network down'));
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    await sendReminders(mockEnv, now);
+
+    expect(mockGitHubAdapter.clearReminders).not.toHaveBeenCalled();
+  });
+
+  it('should keep a reminder that Telegram refused', async () => {
+    mockFetch.mockResolvedValue({ ok: false, status: 403 });
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    await sendReminders(mockEnv, now);
+
+    expect(mockGitHubAdapter.clearReminders).not.toHaveBeenCalled();
+  });
+
+  it('should keep reminders for chats that are no longer allowed without sending them', async () => {
+    mockEnv.ALLOWED_USERS = '5';
+
+    await sendReminders(mockEnv, now);
+
+    expect(mockFetch).not.toHaveBeenCalled();
+    expect(mockGitHubAdapter.clearReminders).not.toHaveBeenCalled();
+  });
+
+  it('should send a reminder to a group chat when the user who set it is allowed', async () => {
+    mockGitHubAdapter.getBookmarkFile.mockResolvedValue({
+      bookmarks: [
+        { id: 'aaa11111', url: 'https://example.com/a', remind_at: '2025-02-01T07:00:00Z', remind_chat_id: -100, remind_user_id: 123 },
+      ],
+      sha: 'sha',
+    });
+
+    await sendReminders(mockEnv, now);
+
+    expect(sent()[0].chat_id).toBe(-100);
+    expect(mockGitHubAdapter.clearReminders).toHaveBeenCalledWith(['aaa11111']);
+  });
 });
@@ -0,0 +1,148 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  bookmarkSchema,
+  createBookmark,
+  validateFields,
+  validateUrl,
+  WRITABLE_FIELDS,
+  IMPORT_FIELDS,
+} from '../src/schema.js';
+import { validateBookmark } from '../../shared/bookmark.js';
+
+vi.stubGlobal('crypto', {
+  randomUUID: vi.fn(() => 'test-uuid-1234'),
+});
+
+describe('bookmarkSchema', () => {
+  it('should describe every field callers may set', () => {
+    for (const name of IMPORT_FIELDS) {
+      expect(bookmarkSchema.properties).toHaveProperty(name);
+    }
+  });
+
+  it('should keep the limits of spec section 2.1', () => {
+    expect(bookmarkSchema.properties.title.maxLength).toBe(200);
+    expect(bookmarkSchema.properties.description.maxLength).toBe(500);
+    expect(bookmarkSchema.properties.content_type.enum)
+      .toEqual(['article', 'video', 'image', 'pdf', 'code', 'tweet', 'other']);
+  });
+});
+
+describe('createBookmark', () => {
+  it('should fill in the derived fields', () => {
+    const bookmark = createBookmark('https://www.YouTube.com/watch?v=abc&utm_source=x', { source: 'api' });
+
+    expect(bookmark).toEqual({
+      id: 'test-uuid-1234',
+      url: 'https://www.YouTube.com/watch?v=abc&utm_source=x',
+      url_normalized: 'https://www.youtube.com/watch?v=abc',
+      url_hash: expect.stringMatching(/^[0-9a-f]{16}$/),
+      site_name: 'youtube.com',
+      content_type: 'video',
+      tags: [],
+      timestamp: expect.any(String),
+      source: 'api',
+    });
+  });
+
+  it('should let fields win over the defaults, leaving out undefined ones', () => {
+    const bookmark = createBookmark('https://example.com/a.pdf', {
+      source: 'import',
+      content_type: 'article',
+      timestamp: '2020-01-01T00:00:00.000Z',
+      title: undefined,
+      site_name: undefined,
+    });
+
+    expect(bookmark.content_type).toBe('article');
+    expect(bookmark.timestamp).toBe('2020-01-01T00:00:00.000Z');
+    expect(bookmark.site_name).toBe('example.com');
+    expect(bookmark).not.toHaveProperty('title');
+  });
+});
+
+describe('validateFields', () => {
+  it('should accept valid fields', () => {
+    expect(validateFields({
+      title: 'Title',
+      tags: ['a', 'b'],
+      content_type: 'video',
+      read_status: 'read',
+      is_favorite: true,
+    }, WRITABLE_FIELDS)).toEqual([]);
+  });
+
+  it('should check each field against the schema', () => {
+    expect(validateFields({
+      title: 'x'.repeat(201),
+      notes: 42,
+      tags: 'rust',
+      content_type: 'podcast',
+      is_private: 'yes',
+    }, WRITABLE_FIELDS)).toEqual([
+      'title must be at most 200 characters',
+      'notes must be a string',
+      'tags must be an array of strings',
+      'content_type must be one of: article, video, image, pdf, code, tweet, other',
+      'is_private must be true or false',
+    ]);
+    expect(validateFields({ tags: Array.from({ length: 51 }, (_, i) => `t${i}`) }, WRITABLE_FIELDS))
+      .toEqual(['tags may have at most 50 entries']);
+  });
+
+  it('should reject fields the caller may not set', () => {
+    expect(validateFields({ id: 'x', colour: 'red' }, WRITABLE_FIELDS))
+      .toEqual(['Unknown field: id', 'Unknown field: colour']);
+    expect(validateFields({ image: 'https://example.com/i.png' }, WRITABLE_FIELDS))
+      .toEqual(['Unknown field: image']);
+  });
+
+  it('should check URLs and dates of imported fields', () => {
+    expect(validateFields({
+      image: 'ftp://example.com/i.png',
+      timestamp: 'yesterday',
+      site_name: 'example.com',
+    }, IMPORT_FIELDS)).toEqual([
+      'image must be an http(s) URL',
+      'timestamp must be an ISO 8601 date',
+    ]);
+  });
+
+  it('should allow null for free text fields only when nullable', () => {
+    expect(validateFields({ title: null, notes: null }, WRITABLE_FIELDS, { nullable: true })).toEqual([]);
+    expect(validateFields({ title: null }, WRITABLE_FIELDS)).toEqual(['title must be a string']);
+    expect(validateFields({ read_status: null }, WRITABLE_FIELDS, { nullable: true }))
+      .toEqual(['read_status must be one of: unread, reading, read']);
+  });
+});
+
+describe('validateUrl', () => {
+  it('should require an http(s) URL', () => {
+    expect(validateUrl('https://example.com')).toEqual([]);
+    expect(validateUrl(undefined)).toEqual(['url is required']);
+    expect(validateUrl('javascript:alert(1)')).toEqual(['url must be an http(s) URL']);
+    expect(validateUrl('nope', 'image')).toEqual(['image must be an http(s) URL']);
+  });
+});
+
+describe('validateBookmark', () => {
+  const stored = {
+    id: '0b6f5c3e-3b1a-4c55-9d43-1f0e8c6a2b7d',
+    url: 'https://example.com',
+    timestamp: '2025-01-01T00:00:00.000Z',
+    tags: [],
+  };
+
+  it('should check stored bookmarks with the rules used for new input', () => {
+    expect(validateBookmark(stored)).toEqual({ errors: [], warnings: [] });
+    expect(validateBookmark({ ...stored, tags: undefined, is_private: 'yes' }).errors)
+      .toEqual(['tags is required', 'is_private must be true or false']);
+  });
+
+  it('should only warn about limits and formats that older imports did not check', () => {
+    expect(validateBookmark({ ...stored, image: '/og.png', title: 'x'.repeat(201), colour: 'red' })).toEqual({
+      errors: [],
+      warnings: ['image must be an http(s) URL', 'title must be at most 200 characters', 'Unknown field: colour'],
+    });
+  });
+});
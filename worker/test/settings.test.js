@@ -0,0 +1,41 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { getChatSettings, updateChatSettings } from '../src/settings.js';
+import { DEFAULT_DIGEST } from '../src/digest.js';
+
+describe('chat settings', () => {
+  let store;
+  let env;
+
+  beforeEach(() => {
+    store = new Map();
+    env = {
+      RETRY_QUEUE: {
+        get: vi.fn(async (key) => store.get(key) ?? null),
+        put: vi.fn(async (key, value) => { store.set(key, value); }),
+      },
+    };
+  });
+
+  it('should return defaults for a chat without settings', async () => {
+    expect(await getChatSettings(env, 123)).toEqual({ preview: false, digest: DEFAULT_DIGEST });
+    expect(env.RETRY_QUEUE.get).toHaveBeenCalledWith('settings:123');
+  });
+
+  it('should merge updates into the stored settings', async () => {
+    store.set('settings:123', JSON.stringify({ other: 'kept' }));
+
+    const updated = await updateChatSettings(env, 123, { preview: true });
+
+    expect(updated).toEqual({ preview: true, digest: DEFAULT_DIGEST, other: 'kept' });
+    expect(JSON.parse(store.get('settings:123'))).toEqual(updated);
+    expect(env.RETRY_QUEUE.put.mock.calls[0][2]).toBeUndefined();
+  });
+
+  it('should fill in digest fields missing from stored settings', async () => {
+    store.set('settings:123', JSON.stringify({ digest: { frequency: 'weekly' } }));
+
+    const { digest } = await getChatSettings(env, 123);
+
+    expect(digest).toEqual({ ...DEFAULT_DIGEST, frequency: 'weekly' });
+  });
+});
@@ -0,0 +1,76 @@
+import { describe, it, expect, vi } from 'vitest';
+import { computeStatistics, isMetadataStale, loadStatistics } from '../src/stats.js';
+
+const bookmarks = [
+  { id: '1', timestamp: '2025-01-01T00:00:00Z', content_type: 'video', tags: ['rust', 'talks'], is_favorite: true },
+  { id: '2', timestamp: '2025-01-03T00:00:00Z', read_status: 'read', tags: ['rust'], is_archived: true },
+  { id: '3', timestamp: '2025-01-02T00:00:00Z', content_type: 'code', read_status: 'reading', is_private: true },
+  { id: '4', timestamp: '2025-01-04T00:00:00Z', tags: ['gone'], deleted_at: '2025-01-05T00:00:00Z' },
+];
+
+describe('computeStatistics', () => {
+  it('should count like scripts/update-metadata.js, leaving out the trash', () => {
+    expect(computeStatistics(bookmarks)).toEqual({
+      total_bookmarks: 3,
+      last_bookmark_id: '2',
+      statistics: {
+        by_type: { article: 0, video: 1, image: 0, pdf: 0, code: 1, tweet: 0, other: 1 },
+        by_read_status: { unread: 1, reading: 1, read: 1 },
+        favorites_count: 1,
+        private_count: 1,
+        archived_count: 1,
+      },
+      tags_usage: { rust: 2, talks: 1 },
+    });
+  });
+});
+
+describe('isMetadataStale', () => {
+  const metadata = { statistics: {}, last_updated: '2025-01-10T00:00:00Z' };
+
+  it('should be fresh when metadata was written after the last data commit', () => {
+    expect(isMetadataStale(metadata, '2025-01-09T23:00:00Z')).toBe(false);
+    expect(isMetadataStale(metadata, null)).toBe(false);
+  });
+
+  it('should be stale when bookmarks changed afterwards or metadata is missing', () => {
+    expect(isMetadataStale(metadata, '2025-01-10T01:00:00Z')).toBe(true);
+    expect(isMetadataStale(null, null)).toBe(true);
+    expect(isMetadataStale({ last_updated: '2025-01-10T00:00:00Z' }, null)).toBe(true);
+  });
+});
+
+describe('loadStatistics', () => {
+  const metadata = {
+    total_bookmarks: 1318,
+    last_updated: '2025-01-10T00:00:00Z',
+    statistics: computeStatistics([]).statistics,
+    tags_usage: { design: 289 },
+  };
+
+  const adapter = (lastCommit) => ({
+    getMetadataFile: vi.fn().mockResolvedValue(metadata),
+    getLastCommitDate: vi.fn().mockResolvedValue(lastCommit),
+    getBookmarkFile: vi.fn().mockResolvedValue({ bookmarks, sha: 'sha' }),
+  });
+
+  it('should use metadata.json when it is up to date', async () => {
+    const github = adapter('2025-01-09T00:00:00Z');
+
+    const stats = await loadStatistics(github);
+
+    expect(stats.total_bookmarks).toBe(1318);
+    expect(stats.computed).toBe(false);
+    expect(github.getBookmarkFile).not.toHaveBeenCalled();
+  });
+
+  it('should compute from bookmarks.jsonl when metadata.json is stale', async () => {
+    const github = adapter('2025-01-11T00:00:00Z');
+
+    const stats = await loadStatistics(github);
+
+    expect(stats.total_bookmarks).toBe(3);
+    expect(stats.tags_usage).toEqual({ rust: 2, talks: 1 });
+    expect(stats.computed).toBe(true);
+  });
+});
@@ -1,13 +1,14 @@
-import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import {
   verifyWebhookSignature,
   handleUpdate,
-  extractUrl,
   sendMessage,
+  editMessageText,
 } from '../src/telegram.js';
 
 // Mock dependencies
-vi.mock('../src/metadata.js', () => ({
+vi.mock('../src/metadata.js', async (importOriginal) => ({
+  ...(await importOriginal()),
   fetchMetadata: vi.fn(),
 }));
 
@@ -25,9 +26,9 @@ vi.stubGlobal('fetch', mockFetch);
 vi.stubGlobal('crypto', {
   randomUUID: vi.fn(() => 'test-uuid-1234'),
 });
-
-import { fetchMetadata } from '../src/metadata.js';
+import { fetchMetadata, InvalidUrlError } from '../src/metadata.js';
 import { GitHubAdapter } from '../src/github.js';
+import { BookmarkNotFoundError, AmbiguousIdError } from '../src/bookmarks.js';
 
 describe('verifyWebhookSignature', () => {
   it('should return true for valid signature', () => {
@@ -58,39 +59,6 @@ describe('verifyWebhookSignature', () => {
   });
 });
 
-describe('extractUrl', () => {
-  it('should extract URL from text', () => {
-    const text = 'Check out https://example.com/page please';
-    expect(extractUrl(text)).toBe('https://example.com/page');
-  });
-
-  it('should extract first URL when multiple present', () => {
-    const text = 'First https://first.com and second https://second.com';
-    expect(extractUrl(text)).toBe('https://first.com');
-  });
-
-  it('should extract http URLs', () => {
-    const text = 'Link: http://example.com/path';
-    expect(extractUrl(text)).toBe('http://example.com/path');
-  });
-
-  it('should return null for text without URL', () => {
-    const text = 'No links here, just text';
-    expect(extractUrl(text)).toBeNull();
-  });
-
-  it('should return null for empty text', () => {
-    expect(extractUrl('')).toBeNull();
-    expect(extractUrl(null)).toBeNull();
-    expect(extractUrl(undefined)).toBeNull();
-  });
-
-  it('should handle URLs with query strings and fragments', () => {
-    const text = 'Link: https://example.com/path?foo=bar&baz=qux#section';
-    expect(extractUrl(text)).toBe('https://example.com/path?foo=bar&baz=qux#section');
-  });
-});
-
 describe('sendMessage', () => {
   beforeEach(() => {
     vi.clearAllMocks();
@@ -116,6 +84,32 @@ describe('sendMessage', () => {
   });
 });
 
+describe('editMessageText', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('should call editMessageText with message ID and reply markup', async () => {
+    mockFetch.mockResolvedValue({ ok: true });
+    const env = { TELEGRAM_BOT_TOKEN: 'bot-token-123' };
+    const markup = { inline_keyboard: [[{ text: 'A', callback_data: 'a' }]] };
+
+    await editMessageText(12345, 7, 'Edited', env, { reply_markup: markup });
+
+    expect(mockFetch).toHaveBeenCalledWith(
+      'https://api.telegram.org/botbot-token-123/editMessageText',
+      expect.objectContaining({
+        body: JSON.stringify({
+          chat_id: 12345,
+          message_id: 7,
+          text: 'Edited',
+          reply_markup: markup,
+        }),
+      })
+    );
+  });
+});
+
 describe('handleUpdate', () => {
   let mockEnv;
   let mockKV;
@@ -133,7 +127,16 @@ describe('handleUpdate', () => {
 
     mockGitHubAdapter = {
       saveBookmark: vi.fn(),
+      saveBookmarks: vi.fn(),
+      getBookmarkFile: vi.fn(),
+      getMetadataFile: vi.fn(),
+      getLastCommitDate: vi.fn(),
+      saveFile: vi.fn(),
+      updateBookmark: vi.fn(),
+      trashBookmark: vi.fn(),
+      restoreBookmark: vi.fn(),
     };
+    mockGitHubAdapter.getBookmarkFile.mockResolvedValue({ bookmarks: [], sha: null });
     GitHubAdapter.mockImplementation(() => mockGitHubAdapter);
 
     mockEnv = {
@@ -142,6 +145,7 @@ describe('handleUpdate', () => {
       GITHUB_OWNER: 'owner',
       GITHUB_REPO: 'repo',
       RETRY_QUEUE: mockKV,
+      ALLOWED_USERS: '123, 456, 42, -100',
     };
   });
 
@@ -202,6 +206,24 @@ describe('handleUpdate', () => {
     );
   });
 
+  it('should offer quick action buttons after saving', async () => {
+    fetchMetadata.mockResolvedValue({ title: 'Test Page', url: 'https://example.com/page' });
+    mockGitHubAdapter.saveBookmark.mockResolvedValue();
+
+    await handleUpdate({ message: { chat: { id: 123 }, text: 'https://example.com/page' } }, mockEnv);
+
+    const body = JSON.parse(mockFetch.mock.calls.at(-1)[1].body);
+    expect(body.text).toContain('✅ Saved!');
+    expect(body.text).toContain('🆔 test-uui');
+    expect(body.reply_markup.inline_keyboard.flat().map(b => b.callback_data)).toEqual([
+      'bm:tags:test-uuid-1234',
+      'bm:favorite:test-uuid-1234',
+      'bm:private:test-uuid-1234',
+      'bm:read:test-uuid-1234',
+      'bm:remind:test-uuid-1234',
+    ]);
+  });
+
   it('should extract URL from photo caption', async () => {
     fetchMetadata.mockResolvedValue({
       title: 'Captioned Page',
@@ -275,7 +297,8 @@ describe('handleUpdate', () => {
     // Should queue to KV
     expect(mockKV.put).toHaveBeenCalledWith(
       expect.stringMatching(/^retry:/),
-      expect.any(String)
+      expect.any(String),
+      { metadata: { createdAt: expect.any(String) } }
     );
     // Should reply with queued message
     expect(mockFetch).toHaveBeenCalledWith(
@@ -285,4 +308,1511 @@ describe('handleUpdate', () => {
       })
     );
   });
+
+  it('should reply instead of failing when the URL cannot be saved', async () => {
+    fetchMetadata.mockRejectedValue(new InvalidUrlError('Invalid URL: http://localhost:99999/x'));
+
+    await handleUpdate({ message: { chat: { id: 123 }, text: 'http://localhost:99999/x' } }, mockEnv);
+
+    expect(mockGitHubAdapter.saveBookmark).not.toHaveBeenCalled();
+    expect(mockFetch).toHaveBeenCalledWith(
+      expect.stringContaining('/sendMessage'),
+      expect.objectContaining({
+        body: expect.stringContaining("❌ That isn't a link I can save: http://localhost:99999/x"),
+      })
+    );
+  });
+
+  describe('listing commands', () => {
+    const daysAgo = (n) => new Date(Date.now() - n * 24 * 60 * 60 * 1000).toISOString();
+
+    const bookmarks = [
+      {
+        id: 'aaaaaaaa-0000-4000-8000-000000000001',
+        url: 'https://www.example.com/old',
+        title: 'Old Read Article',
+        timestamp: daysAgo(10),
+        read_status: 'read',
+      },
+      {
+        id: 'bbbbbbbb-0000-4000-8000-000000000002',
+        url: 'https://github.com/some/repo',
+        title: 'Favorite Repo',
+        content_type: 'code',
+        timestamp: daysAgo(3),
+        read_status: 'unread',
+        is_favorite: true,
+      },
+      {
+        id: 'cccccccc-0000-4000-8000-000000000003',
+        url: 'https://blog.example.org/new',
+        title: 'Newest Post',
+        timestamp: daysAgo(1),
+      },
+    ];
+
+    const sentText = () => JSON.parse(mockFetch.mock.calls.at(-1)[1].body).text;
+
+    beforeEach(() => {
+      mockGitHubAdapter.getBookmarkFile.mockResolvedValue({ bookmarks, sha: 'sha-1' });
+    });
+
+    it('/recent should list newest bookmarks first with domain, date and short ID', async () => {
+      await handleUpdate({ message: { chat: { id: 123 }, text: '/recent 2' } }, mockEnv);
+
+      const text = sentText();
+      expect(text).toContain('Recent bookmarks (3)');
+      expect(text.indexOf('Newest Post')).toBeLessThan(text.indexOf('Favorite Repo'));
+      expect(text).not.toContain('Old Read Article');
+      expect(text).toContain('blog.example.org · 1d ago · 🆔 cccccccc');
+      expect(text).toContain('💻 Favorite Repo ⭐');
+    });
+
+    it('/unread should only list unread bookmarks', async () => {
+      await handleUpdate({ message: { chat: { id: 123 }, text: '/unread' } }, mockEnv);
+
+      const text = sentText();
+      expect(text).toContain('Unread bookmarks (2)');
+      expect(text).toContain('Newest Post');
+      expect(text).toContain('Favorite Repo');
+      expect(text).not.toContain('Old Read Article');
+    });
+
+    it('/favorites should only list favorite bookmarks', async () => {
+      await handleUpdate({ message: { chat: { id: 123 }, text: '/favorites' } }, mockEnv);
+
+      const text = sentText();
+      expect(text).toContain('Favorite bookmarks (1)');
+      expect(text).toContain('Favorite Repo');
+      expect(text).not.toContain('Newest Post');
+    });
+
+    it('should page long lists with next/previous buttons', async () => {
+      const many = Array.from({ length: 25 }, (_, i) => ({
+        id: `${String(i).padStart(8, '0')}-0000-4000-8000-000000000000`,
+        url: `https://example.com/${i}`,
+        title: `Item ${i}`,
+        timestamp: daysAgo(i + 1),
+      }));
+      mockGitHubAdapter.getBookmarkFile.mockResolvedValue({ bookmarks: many, sha: 'sha-1' });
+
+      await handleUpdate({ message: { chat: { id: 123 }, text: '/unread 2' } }, mockEnv);
+
+      const body = JSON.parse(mockFetch.mock.calls.at(-1)[1].body);
+      expect(body.text).toContain('11. 📄 Item 10');
+      expect(body.text).not.toContain('Item 9\n');
+      expect(body.text).toContain('Page 2/3');
+      expect(body.reply_markup.inline_keyboard[0].map(b => b.callback_data)).toEqual([
+        'list:unread:1',
+        'list:unread:3',
+      ]);
+    });
+
+    it('should edit the list in place when a page button is tapped', async () => {
+      await handleUpdate({
+        callback_query: {
+          id: 'cb-1',
+          data: 'list:favorites:1',
+          message: { message_id: 77, chat: { id: 123 } },
+        },
+      }, mockEnv);
+
+      const editCall = mockFetch.mock.calls.find(c => c[0].endsWith('/editMessageText'));
+      const body = JSON.parse(editCall[1].body);
+      expect(body.message_id).toBe(77);
+      expect(body.text).toContain('Favorite bookmarks (1)');
+      expect(mockFetch.mock.calls.at(-1)[0]).toContain('/answerCallbackQuery');
+    });
+
+    it('should reply with an empty state when nothing matches', async () => {
+      mockGitHubAdapter.getBookmarkFile.mockResolvedValue({ bookmarks: [], sha: null });
+
+      await handleUpdate({ message: { chat: { id: 123 }, text: '/favorites' } }, mockEnv);
+
+      expect(sentText()).toContain('No favorite bookmarks yet');
+    });
+
+    it('should strip the bot name from group commands', async () => {
+      const env = { ...mockEnv, BOT_USERNAME: 'HipervinculosBot' };
+      await handleUpdate({ message: { chat: { id: -100 }, text: '/recent@hipervinculosbot' } }, env);
+
+      expect(sentText()).toContain('Recent bookmarks');
+    });
+
+    it('should ignore commands addressed to another bot', async () => {
+      const env = { ...mockEnv, BOT_USERNAME: 'HipervinculosBot' };
+      await handleUpdate({ message: { chat: { id: -100 }, text: '/recent@OtherBot' } }, env);
+
+      expect(mockGitHubAdapter.getBookmarkFile).not.toHaveBeenCalled();
+      expect(mockFetch).not.toHaveBeenCalled();
+    });
+
+    it('should ask Telegram for the bot name once when it is not configured', async () => {
+      const env = { ...mockEnv, TELEGRAM_BOT_TOKEN: 'getme-token' };
+      mockFetch.mockImplementation(async (url) => ({
+        ok: true,
+        json: async () => (url.endsWith('/getMe') ? { ok: true, result: { username: 'HipervinculosBot' } } : { ok: true }),
+      }));
+
+      await handleUpdate({ message: { chat: { id: -100 }, text: '/recent@HipervinculosBot' } }, env);
+      await handleUpdate({ message: { chat: { id: -100 }, text: '/recent@OtherBot' } }, env);
+
+      expect(mockFetch.mock.calls.filter(([url]) => url.endsWith('/getMe'))).toHaveLength(1);
+      expect(sentText()).toContain('Recent bookmarks');
+      expect(mockFetch.mock.calls.filter(([url]) => url.endsWith('/sendMessage'))).toHaveLength(1);
+    });
+
+    it('should reply with an error when bookmarks cannot be loaded', async () => {
+      mockGitHubAdapter.getBookmarkFile.mockRejectedValue(new Error('GitHub down'));
+
+      await handleUpdate({ message: { chat: { id: 123 }, text: '/recent' } }, mockEnv);
+
+      expect(sentText()).toContain('❌');
+    });
+  });
+
+  describe('/search', () => {
+    const bookmarks = Array.from({ length: 7 }, (_, i) => ({
+      id: `${String(i).padStart(8, '0')}-0000-4000-8000-000000000000`,
+      url: `https://example.com/${i}`,
+      title: `Rust post ${i}`,
+      timestamp: new Date(Date.now() - (i + 1) * 3600000).toISOString(),
+      content_type: i === 0 ? 'video' : 'article',
+    }));
+
+    const lastCall = () => mockFetch.mock.calls.at(-1);
+    const bodyOf = (call) => JSON.parse(call[1].body);
+
+    beforeEach(() => {
+      mockGitHubAdapter.getBookmarkFile.mockResolvedValue({ bookmarks, sha: 'sha-1' });
+    });
+
+    it('should reply with ranked results and a next page button', async () => {
+      await handleUpdate({ message: { chat: { id: 123 }, text: '/search rust' } }, mockEnv);
+
+      expect(mockKV.put).toHaveBeenCalledWith(
+        'search:123:test-uui',
+        'rust',
+        { expirationTtl: 86400 }
+      );
+
+      const body = bodyOf(lastCall());
+      expect(body.text).toContain('🔍 Found 7 results for "rust"');
+      expect(body.text).toContain('1. 📹 Rust post 0');
+      expect(body.text).not.toContain('Rust post 5');
+      expect(body.reply_markup.inline_keyboard[0]).toEqual([
+        { text: 'Next page ▶️', callback_data: 'search:test-uui:2' },
+      ]);
+    });
+
+    it('should apply filters from the query', async () => {
+      await handleUpdate({ message: { chat: { id: 123 }, text: '/search rust type:video' } }, mockEnv);
+
+      const body = bodyOf(lastCall());
+      expect(body.text).toContain('Found 1 result for');
+      expect(body.reply_markup).toBeUndefined();
+    });
+
+    it('should reply with usage when the query is empty', async () => {
+      await handleUpdate({ message: { chat: { id: 123 }, text: '/search' } }, mockEnv);
+
+      expect(bodyOf(lastCall()).text).toContain('Usage: /search');
+      expect(mockGitHubAdapter.getBookmarkFile).not.toHaveBeenCalled();
+    });
+
+    it('should reply when nothing matches', async () => {
+      await handleUpdate({ message: { chat: { id: 123 }, text: '/search haskell' } }, mockEnv);
+
+      expect(bodyOf(lastCall()).text).toContain('No results for "haskell"');
+    });
+
+    it('should edit the message in place when a page button is tapped', async () => {
+      mockKV.get.mockImplementation(async (key) => (key.startsWith('search:') ? 'rust' : null));
+
+      await handleUpdate({
+        callback_query: {
+          id: 'cb-1',
+          data: 'search:abcd1234:2',
+          message: { message_id: 55, chat: { id: 123 } },
+        },
+      }, mockEnv);
+
+      expect(mockKV.get).toHaveBeenCalledWith('search:123:abcd1234');
+
+      const editCall = mockFetch.mock.calls.find(c => c[0].endsWith('/editMessageText'));
+      const body = bodyOf(editCall);
+      expect(body.message_id).toBe(55);
+      expect(body.text).toContain('6. 📄 Rust post 5');
+      expect(body.reply_markup.inline_keyboard[0]).toEqual([
+        { text: '◀️ Previous', callback_data: 'search:abcd1234:1' },
+      ]);
+      expect(lastCall()[0]).toContain('/answerCallbackQuery');
+    });
+
+    it('should tell the user when a paged search expired', async () => {
+      mockKV.get.mockResolvedValue(null);
+
+      await handleUpdate({
+        callback_query: {
+          id: 'cb-2',
+          data: 'search:gone0000:2',
+          message: { message_id: 55, chat: { id: 123 } },
+        },
+      }, mockEnv);
+
+      expect(mockFetch).toHaveBeenCalledTimes(1);
+      expect(lastCall()[0]).toContain('/answerCallbackQuery');
+      expect(bodyOf(lastCall()).text).toContain('expired');
+    });
+
+    it('should acknowledge unknown button taps', async () => {
+      await handleUpdate({
+        callback_query: { id: 'cb-3', data: 'bogus', message: { message_id: 1, chat: { id: 123 } } },
+      }, mockEnv);
+
+      expect(mockFetch).toHaveBeenCalledTimes(1);
+      expect(lastCall()[0]).toContain('/answerCallbackQuery');
+    });
+  });
+
+  describe('editing commands', () => {
+    const stored = {
+      id: 'abc12345-0000-4000-8000-000000000001',
+      url: 'https://example.com/a',
+      title: 'Stored',
+      tags: ['rust'],
+      read_status: 'unread',
+      is_favorite: false,
+      is_private: false,
+    };
+
+    const sentText = () => JSON.parse(mockFetch.mock.calls.at(-1)[1].body).text;
+    const send = (text) => handleUpdate({ message: { chat: { id: 123 }, text } }, mockEnv);
+
+    // Run the updater passed to updateBookmark against the stored bookmark
+    const appliedChanges = () => {
+      const [, changes] = mockGitHubAdapter.updateBookmark.mock.calls[0];
+      return typeof changes === 'function' ? changes(stored) : changes;
+    };
+
+    beforeEach(() => {
+      mockGitHubAdapter.updateBookmark.mockImplementation(async (id, changes) => ({
+        ...stored,
+        ...(typeof changes === 'function' ? changes(stored) : changes),
+      }));
+    });
+
+    it('/tag should add normalized tags', async () => {
+      await send('/tag abc12345 #Async rust tokio');
+
+      expect(mockGitHubAdapter.updateBookmark.mock.calls[0][0]).toBe('abc12345');
+      expect(appliedChanges()).toEqual({ tags: ['rust', 'async', 'tokio'] });
+      expect(sentText()).toContain('✅ Updated!');
+      expect(sentText()).toContain('#rust #async #tokio');
+    });
+
+    it('/untag should remove tags', async () => {
+      await send('/untag abc12345 Rust');
+
+      expect(appliedChanges()).toEqual({ tags: [] });
+      expect(sentText()).toContain('No tags yet');
+    });
+
+    it('/note should keep the full note text', async () => {
+      await send('/note abc12345 Great intro,  read  before\nthe migration');
+
+      expect(appliedChanges()).toEqual({ notes: 'Great intro,  read  before\nthe migration' });
+      expect(sentText()).toContain('📝 Great intro');
+    });
+
+    it('/read should mark as read', async () => {
+      await send('/read abc12345');
+
+      expect(appliedChanges()).toEqual({ read_status: 'read' });
+      expect(sentText()).toContain('✅ Read');
+    });
+
+    it('/favorite and /private should toggle their flags', async () => {
+      await send('/favorite abc12345');
+      expect(appliedChanges()).toEqual({ is_favorite: true });
+      expect(sentText()).toContain('⭐ Favorite');
+
+      mockGitHubAdapter.updateBookmark.mockClear();
+      await send('/private abc12345');
+      expect(appliedChanges()).toEqual({ is_private: true });
+      expect(sentText()).toContain('🔒 Private');
+    });
+
+    it('/edit should set title, description or tags', async () => {
+      await send('/edit abc12345 title A Better Title');
+      expect(appliedChanges()).toEqual({ title: 'A Better Title' });
+
+      mockGitHubAdapter.updateBookmark.mockClear();
+      await send('/edit abc12345 tags one, Two');
+      expect(appliedChanges()).toEqual({ tags: ['one', 'two'] });
+    });
+
+    it('/edit should reply with usage for unknown fields', async () => {
+      await send('/edit abc12345 url https://evil.example');
+
+      expect(mockGitHubAdapter.updateBookmark).not.toHaveBeenCalled();
+      expect(sentText()).toContain('Usage: /edit');
+    });
+
+    it('should reply with usage when arguments are missing', async () => {
+      for (const command of ['/tag abc12345', '/untag', '/note abc12345', '/read', '/favorite', '/private']) {
+        await send(command);
+        expect(sentText()).toContain('Usage:');
+      }
+      expect(mockGitHubAdapter.updateBookmark).not.toHaveBeenCalled();
+    });
+
+    it('should report unknown IDs', async () => {
+      mockGitHubAdapter.updateBookmark.mockRejectedValue(new BookmarkNotFoundError('zzz'));
+
+      await send('/read zzz');
+
+      expect(sentText()).toContain('❌ Bookmark not found');
+      expect(sentText()).toContain('ID: zzz');
+    });
+
+    it('should report ambiguous short IDs', async () => {
+      mockGitHubAdapter.updateBookmark.mockRejectedValue(new AmbiguousIdError('ab', 3));
+
+      await send('/read ab');
+
+      expect(sentText()).toContain('matches 3 bookmarks');
+    });
+
+    it('should report GitHub failures', async () => {
+      mockGitHubAdapter.updateBookmark.mockRejectedValue(new Error('GitHub down'));
+
+      await send('/read abc12345');
+
+      expect(sentText()).toContain('Try again later');
+    });
+  });
+
+  describe('delete and trash', () => {
+    const live = {
+      id: 'abc12345-0000-4000-8000-000000000001',
+      url: 'https://www.example.com/article',
+      title: 'Live One',
+      timestamp: '2026-01-10T10:00:00.000Z',
+    };
+    const trashed = {
+      id: 'def45678-0000-4000-8000-000000000002',
+      url: 'https://example.com/old',
+      title: 'Trashed One',
+      timestamp: '2026-01-09T10:00:00.000Z',
+      deleted_at: '2026-01-12T10:00:00.000Z',
+    };
+
+    const lastBody = () => JSON.parse(mockFetch.mock.calls.at(-1)[1].body);
+    const send = (text) => handleUpdate({ message: { chat: { id: 123 }, text } }, mockEnv);
+    const tap = (data) => handleUpdate({
+      callback_query: { id: 'cb', data, message: { message_id: 9, chat: { id: 123 } } },
+    }, mockEnv);
+
+    beforeEach(() => {
+      mockGitHubAdapter.getBookmarkFile.mockResolvedValue({ bookmarks: [live, trashed], sha: 'sha-1' });
+    });
+
+    it('/delete should ask for confirmation with Yes/No buttons', async () => {
+      await send('/delete abc12345');
+
+      const body = lastBody();
+      expect(body.text).toContain('🗑️ Delete Bookmark?');
+      expect(body.text).toContain('📄 Live One');
+      expect(body.text).toContain('🔗 example.com');
+      expect(body.text).toContain('📅 Saved 2026-01-10');
+      expect(body.reply_markup.inline_keyboard[0]).toEqual([
+        { text: '🗑️ Confirm Delete', callback_data: `delete:confirm:${live.id}` },
+        { text: '❌ Cancel', callback_data: `delete:cancel:${live.id}` },
+      ]);
+      expect(mockGitHubAdapter.trashBookmark).not.toHaveBeenCalled();
+    });
+
+    it('/delete should report unknown IDs', async () => {
+      await send('/delete zzz');
+      expect(lastBody().text).toContain('❌ Bookmark not found');
+    });
+
+    it('/delete should point trashed bookmarks to /restore', async () => {
+      await send('/delete def45678');
+      expect(lastBody().text).toContain('/restore def45678');
+    });
+
+    it('confirming should trash the bookmark and edit the prompt', async () => {
+      mockGitHubAdapter.trashBookmark.mockResolvedValue({ ...live, deleted_at: '2026-01-13T00:00:00Z' });
+
+      await tap(`delete:confirm:${live.id}`);
+
+      expect(mockGitHubAdapter.trashBookmark).toHaveBeenCalledWith(live.id);
+      const editCall = mockFetch.mock.calls.find(c => c[0].endsWith('/editMessageText'));
+      const body = JSON.parse(editCall[1].body);
+      expect(body.message_id).toBe(9);
+      expect(body.text).toContain('Moved to trash: Live One');
+      expect(body.text).toContain('/restore abc12345');
+    });
+
+    it('cancelling should leave the bookmark alone', async () => {
+      await tap(`delete:cancel:${live.id}`);
+
+      expect(mockGitHubAdapter.trashBookmark).not.toHaveBeenCalled();
+      const editCall = mockFetch.mock.calls.find(c => c[0].endsWith('/editMessageText'));
+      expect(JSON.parse(editCall[1].body).text).toContain('cancelled');
+    });
+
+    it('/trash should list only trashed bookmarks', async () => {
+      await send('/trash');
+
+      const text = lastBody().text;
+      expect(text).toContain('🗑️ Trash (1)');
+      expect(text).toContain('Trashed One');
+      expect(text).not.toContain('Live One');
+    });
+
+    it('listings and search should hide trashed bookmarks', async () => {
+      await send('/recent');
+      expect(lastBody().text).not.toContain('Trashed One');
+
+      await send('/search one');
+      expect(lastBody().text).toContain('Found 1 result');
+      expect(lastBody().text).not.toContain('Trashed One');
+    });
+
+    it('/restore should take the bookmark out of the trash', async () => {
+      mockGitHubAdapter.restoreBookmark.mockResolvedValue({ ...trashed, deleted_at: undefined });
+
+      await send('/restore def45678');
+
+      expect(mockGitHubAdapter.restoreBookmark).toHaveBeenCalledWith('def45678');
+      expect(lastBody().text).toContain('♻️ Restored!');
+      expect(lastBody().text).toContain('Trashed One');
+    });
+  });
+
+  describe('inline buttons', () => {
+    const stored = {
+      id: 'abc12345-0000-4000-8000-000000000001',
+      url: 'https://example.com/a',
+      title: 'Stored',
+      tags: ['rust'],
+      read_status: 'unread',
+    };
+
+    const tap = (data, text = '✅ Saved!\n\n📄 Stored') => handleUpdate({
+      callback_query: { id: 'cb', data, from: { id: 123 }, message: { message_id: 42, chat: { id: 123 }, text } },
+    }, mockEnv);
+    const calls = (method) => mockFetch.mock.calls
+      .filter(c => c[0].endsWith(`/${method}`))
+      .map(c => JSON.parse(c[1].body));
+
+    beforeEach(() => {
+      mockGitHubAdapter.updateBookmark.mockImplementation(async (id, changes) => ({
+        ...stored,
+        ...(typeof changes === 'function' ? changes(stored) : changes),
+      }));
+    });
+
+    it('should toggle favorite and edit the original message in place', async () => {
+      await tap(`bm:favorite:${stored.id}`);
+
+      expect(mockGitHubAdapter.updateBookmark).toHaveBeenCalledWith(stored.id, expect.any(Function));
+      const [edit] = calls('editMessageText');
+      expect(edit.message_id).toBe(42);
+      expect(edit.text).toMatch(/^✅ Saved!\n\n📄 Stored/);
+      expect(edit.text).toContain('⭐ Favorite');
+      expect(edit.reply_markup.inline_keyboard[0][1].text).toBe('☆ Unfavorite');
+      expect(calls('answerCallbackQuery')).toHaveLength(1);
+      expect(calls('sendMessage')).toHaveLength(0);
+    });
+
+    it('should toggle read status and private flag', async () => {
+      await tap(`bm:read:${stored.id}`);
+      await tap(`bm:private:${stored.id}`);
+
+      const [read, priv] = calls('editMessageText');
+      expect(read.text).toContain('✅ Read');
+      expect(priv.text).toContain('🔒 Private');
+    });
+
+    it('should answer with an error toast when the update fails', async () => {
+      mockGitHubAdapter.updateBookmark.mockRejectedValue(new BookmarkNotFoundError(stored.id));
+
+      await tap(`bm:favorite:${stored.id}`);
+
+      expect(calls('editMessageText')).toHaveLength(0);
+      expect(calls('answerCallbackQuery')[0].text).toContain('Bookmark not found');
+    });
+
+    it('"Add Tags" should prompt for a reply and apply it to the bookmark', async () => {
+      await tap(`bm:tags:${stored.id}`);
+
+      expect(mockKV.put).toHaveBeenCalledWith(
+        'pending:123:123',
+        JSON.stringify({ action: 'addtags', id: stored.id }),
+        { expirationTtl: 600 }
+      );
+      const [prompt] = calls('sendMessage');
+      expect(prompt.text).toContain('Send the tags');
+      expect(prompt.reply_markup.force_reply).toBe(true);
+
+      mockKV.get.mockResolvedValue(JSON.stringify({ action: 'addtags', id: stored.id }));
+      await handleUpdate({ message: { chat: { id: 123 }, from: { id: 123 }, text: '#Async tokio' } }, mockEnv);
+
+      expect(mockKV.delete).toHaveBeenCalledWith('pending:123:123');
+      const [, changes] = mockGitHubAdapter.updateBookmark.mock.calls[0];
+      expect(changes(stored)).toEqual({ tags: ['rust', 'async', 'tokio'] });
+      expect(calls('sendMessage').at(-1).text).toContain('✅ Updated!');
+      expect(fetchMetadata).not.toHaveBeenCalled();
+    });
+
+    it('should still save a shared URL while a prompt is pending', async () => {
+      mockKV.get.mockResolvedValue(JSON.stringify({ action: 'addtags', id: stored.id }));
+      fetchMetadata.mockResolvedValue({ title: 'New', url: 'https://example.com/new' });
+      mockGitHubAdapter.saveBookmark.mockResolvedValue();
+
+      await handleUpdate({ message: { chat: { id: 123 }, from: { id: 123 }, text: 'https://example.com/new' } }, mockEnv);
+
+      expect(mockGitHubAdapter.updateBookmark).not.toHaveBeenCalled();
+      expect(mockGitHubAdapter.saveBookmark).toHaveBeenCalled();
+    });
+
+    it('should keep prompts apart per user and in groups only take a reply to the prompt', async () => {
+      const group = { id: -100, type: 'supergroup' };
+      mockFetch.mockResolvedValue({ ok: true, json: async () => ({ ok: true, result: { message_id: 77 } }) });
+      await handleUpdate({
+        callback_query: { id: 'cb', data: `bm:tags:${stored.id}`, from: { id: 42 }, message: { message_id: 42, chat: group } },
+      }, mockEnv);
+
+      const pending = JSON.stringify({ action: 'addtags', id: stored.id, prompt: 77 });
+      expect(mockKV.put).toHaveBeenCalledWith('pending:-100:42', pending, { expirationTtl: 600 });
+
+      mockKV.get.mockImplementation(async (key) => (key === 'pending:-100:42' ? pending : null));
+      const say = (from, extra = {}) => handleUpdate({ message: { chat: group, from: { id: from }, text: 'chatter', ...extra } }, mockEnv);
+      await say(42);
+      await say(456, { reply_to_message: { message_id: 77 } });
+      expect(mockGitHubAdapter.updateBookmark).not.toHaveBeenCalled();
+      expect(mockKV.delete).not.toHaveBeenCalled();
+
+      await say(42, { reply_to_message: { message_id: 77 } });
+      expect(mockKV.delete).toHaveBeenCalledWith('pending:-100:42');
+      const [, changes] = mockGitHubAdapter.updateBookmark.mock.calls[0];
+      expect(changes(stored).tags).toContain('chatter');
+    });
+
+    it('/edit without a field should show the edit menu', async () => {
+      mockGitHubAdapter.getBookmarkFile.mockResolvedValue({ bookmarks: [stored], sha: 'sha-1' });
+
+      await handleUpdate({ message: { chat: { id: 123 }, text: '/edit abc12345' } }, mockEnv);
+
+      const [menu] = calls('sendMessage');
+      expect(menu.text).toContain('✏️ Edit Bookmark');
+      expect(menu.text).toContain('Stored');
+      expect(menu.reply_markup.inline_keyboard.flat().map(b => b.callback_data)).toEqual([
+        `edit:title:${stored.id}`,
+        `edit:description:${stored.id}`,
+        `edit:tags:${stored.id}`,
+        `edit:note:${stored.id}`,
+        `edit:cancel:${stored.id}`,
+      ]);
+    });
+
+    it('"Edit Title" should prompt and then set the title from the reply', async () => {
+      await tap(`edit:title:${stored.id}`, '✏️ Edit Bookmark');
+
+      expect(calls('sendMessage')[0].text).toContain('Send the new title');
+
+      mockKV.get.mockResolvedValue(JSON.stringify({ action: 'title', id: stored.id }));
+      await handleUpdate({
+        message: { chat: { id: 123 }, from: { id: 123 }, text: 'Complete Guide', reply_to_message: { message_id: 43 } },
+      }, mockEnv);
+
+      const [, changes] = mockGitHubAdapter.updateBookmark.mock.calls[0];
+      expect(changes(stored)).toEqual({ title: 'Complete Guide' });
+    });
+
+    it('"Cancel" in the edit menu should edit the menu message', async () => {
+      await tap(`edit:cancel:${stored.id}`, '✏️ Edit Bookmark');
+
+      expect(calls('editMessageText')[0].text).toContain('Edit cancelled');
+      expect(mockKV.put).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('duplicate detection', () => {
+    const existing = {
+      id: 'abc12345-0000-4000-8000-000000000001',
+      url: 'https://example.com/article/',
+      title: 'Existing Article',
+      tags: [],
+      timestamp: '2025-01-10T08:00:00Z',
+    };
+
+    const calls = (method) => mockFetch.mock.calls
+      .filter(c => c[0].endsWith(`/${method}`))
+      .map(c => JSON.parse(c[1].body));
+    const send = (text) => handleUpdate({ message: { chat: { id: 123 }, text } }, mockEnv);
+    const tap = (data, text = '⚠️ Already bookmarked\n\n📄 Existing Article\n\nSave anyway? This will create a duplicate.') =>
+      handleUpdate({
+        callback_query: { id: 'cb', data, from: { id: 123 }, message: { message_id: 42, chat: { id: 123 }, text } },
+      }, mockEnv);
+
+    beforeEach(() => {
+      mockGitHubAdapter.getBookmarkFile.mockResolvedValue({ bookmarks: [existing], sha: 'sha-1' });
+    });
+
+    it('should warn instead of saving a URL that is already bookmarked', async () => {
+      await send('https://Example.com/article?utm_source=twitter#intro');
+
+      expect(fetchMetadata).not.toHaveBeenCalled();
+      expect(mockGitHubAdapter.saveBookmark).not.toHaveBeenCalled();
+
+      const [reply] = calls('sendMessage');
+      expect(reply.text).toContain('⚠️ Already bookmarked');
+      expect(reply.text).toContain('Saved on 2025-01-10');
+      expect(reply.text).toContain('🆔 abc12345');
+      expect(reply.reply_markup.inline_keyboard[0].map(b => b.callback_data)).toEqual([
+        'dup:save:test-uui',
+        `dup:view:${existing.id}`,
+      ]);
+      expect(mockKV.put).toHaveBeenCalledWith(
+        'duplicate:123:test-uui',
+        JSON.stringify({ url: 'https://Example.com/article?utm_source=twitter#intro', duplicate_of: existing.id, extra: {} }),
+        { expirationTtl: 86400 }
+      );
+    });
+
+    it('should warn when the URL redirects to an existing bookmark', async () => {
+      fetchMetadata.mockResolvedValue({ title: 'Existing Article', url: 'https://example.com/article' });
+
+      await send('https://short.link/xyz');
+
+      expect(mockGitHubAdapter.saveBookmark).not.toHaveBeenCalled();
+      expect(calls('sendMessage')[0].text).toContain('⚠️ Already bookmarked');
+    });
+
+    it('should ignore trashed bookmarks', async () => {
+      mockGitHubAdapter.getBookmarkFile.mockResolvedValue({
+        bookmarks: [{ ...existing, deleted_at: '2025-02-01T00:00:00Z' }],
+        sha: 'sha-1',
+      });
+      fetchMetadata.mockResolvedValue({ title: 'Existing Article', url: 'https://example.com/article' });
+
+      await send('https://example.com/article');
+
+      expect(mockGitHubAdapter.saveBookmark).toHaveBeenCalled();
+    });
+
+    it('should still save when the duplicate check cannot reach GitHub', async () => {
+      mockGitHubAdapter.getBookmarkFile.mockRejectedValue(new Error('GitHub down'));
+      fetchMetadata.mockResolvedValue({ title: 'New', url: 'https://example.com/new' });
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+
+      await send('https://example.com/new');
+
+      expect(mockGitHubAdapter.saveBookmark).toHaveBeenCalled();
+    });
+
+    it('should store the normalized URL and its hash on new bookmarks', async () => {
+      fetchMetadata.mockResolvedValue({ title: 'New', url: 'https://Example.com/new/?utm_medium=x' });
+
+      await send('https://example.com/new');
+
+      const [saved] = mockGitHubAdapter.saveBookmark.mock.calls[0];
+      expect(saved.url_normalized).toBe('https://example.com/new');
+      expect(saved.url_hash).toMatch(/^[0-9a-f]{16}$/);
+    });
+
+    it('"Save Anyway" should save the URL marked as a duplicate', async () => {
+      mockKV.get.mockResolvedValue(JSON.stringify({ url: 'https://example.com/article', duplicate_of: existing.id }));
+      fetchMetadata.mockResolvedValue({ title: 'Existing Article', url: 'https://example.com/article' });
+
+      await tap('dup:save:test-uui');
+
+      expect(mockKV.get).toHaveBeenCalledWith('duplicate:123:test-uui');
+      expect(mockKV.delete).toHaveBeenCalledWith('duplicate:123:test-uui');
+      expect(mockGitHubAdapter.saveBookmark).toHaveBeenCalledWith(
+        expect.objectContaining({ url: 'https://example.com/article', duplicate_of: existing.id })
+      );
+      const [edited] = calls('editMessageText');
+      expect(edited.text).not.toContain('Save anyway?');
+      expect(edited.reply_markup).toBeUndefined();
+      expect(calls('sendMessage').at(-1).text).toContain('✅ Saved!');
+    });
+
+    it('"Save Anyway" should explain when the prompt has expired', async () => {
+      mockKV.get.mockResolvedValue(null);
+
+      await tap('dup:save:gone1234');
+
+      expect(mockGitHubAdapter.saveBookmark).not.toHaveBeenCalled();
+      expect(calls('answerCallbackQuery')[0].text).toContain('expired');
+    });
+
+    it('"View Existing" should show the original bookmark with its buttons', async () => {
+      await tap(`dup:view:${existing.id}`);
+
+      const [reply] = calls('sendMessage');
+      expect(reply.text).toContain('🔗 https://example.com/article/');
+      expect(reply.text).toContain('📄 Existing Article');
+      expect(reply.reply_markup.inline_keyboard.flat()[0].callback_data).toBe(`bm:tags:${existing.id}`);
+    });
+  });
+
+  describe('preview mode', () => {
+    let store;
+    const pending = {
+      id: 'test-uuid-1234',
+      url: 'https://example.com/post',
+      title: 'Post',
+      image: 'https://example.com/og.png',
+      content_type: 'article',
+      tags: [],
+    };
+
+    const calls = (method) => mockFetch.mock.calls
+      .filter(c => c[0].endsWith(`/${method}`))
+      .map(c => JSON.parse(c[1].body));
+    const send = (text, extra = {}) => handleUpdate({
+      message: { chat: { id: 123 }, from: { id: 123 }, text, ...extra },
+    }, mockEnv);
+    const tap = (data) => handleUpdate({
+      callback_query: {
+        id: 'cb', data, from: { id: 123 }, message: { message_id: 42, chat: { id: 123 }, caption: '👀 Preview' },
+      },
+    }, mockEnv);
+
+    beforeEach(() => {
+      store = new Map([['settings:123', JSON.stringify({ preview: true })]]);
+      mockKV.get.mockImplementation(async (key) => store.get(key) ?? null);
+      mockKV.put.mockImplementation(async (key, value) => { store.set(key, value); });
+      mockKV.delete.mockImplementation(async (key) => { store.delete(key); });
+    });
+
+    it('/preview should toggle the mode for the chat', async () => {
+      await send('/preview off');
+      expect(JSON.parse(store.get('settings:123')).preview).toBe(false);
+      expect(calls('sendMessage')[0].text).toContain('Preview mode is off');
+
+      await send('/preview');
+      expect(JSON.parse(store.get('settings:123')).preview).toBe(true);
+      expect(calls('sendMessage')[1].text).toContain('Preview mode is on');
+    });
+
+    it('should send a photo preview instead of saving', async () => {
+      fetchMetadata.mockResolvedValue({
+        title: 'Post',
+        image: 'https://example.com/og.png',
+        site_name: 'Example',
+        url: 'https://example.com/post',
+      });
+
+      await send('https://example.com/post');
+
+      expect(mockGitHubAdapter.saveBookmark).not.toHaveBeenCalled();
+      const [photo] = calls('sendPhoto');
+      expect(photo.photo).toBe('https://example.com/og.png');
+      expect(photo.caption).toContain('📄 article · Example');
+      expect(photo.reply_markup.inline_keyboard[0][0].callback_data).toBe('preview:save:test-uui');
+      expect(mockKV.put).toHaveBeenCalledWith(
+        'preview:123:test-uui',
+        expect.stringContaining('"title":"Post"'),
+        { expirationTtl: 86400 }
+      );
+    });
+
+    it('should fall back to a text preview when Telegram rejects the image', async () => {
+      fetchMetadata.mockResolvedValue({ title: 'Post', image: 'https://example.com/og.png', url: 'https://example.com/post' });
+      mockFetch.mockImplementation(async (url) => ({ ok: !url.endsWith('/sendPhoto') }));
+
+      await send('https://example.com/post');
+
+      expect(calls('sendMessage')[0].text).toContain('👀 Preview');
+    });
+
+    it('"Save" should commit the pending bookmark and remove the buttons', async () => {
+      store.set('preview:123:test-uui', JSON.stringify(pending));
+      mockGitHubAdapter.saveBookmark.mockResolvedValue();
+
+      await tap('preview:save:test-uui');
+
+      expect(mockGitHubAdapter.saveBookmark).toHaveBeenCalledWith(pending);
+      expect(store.has('preview:123:test-uui')).toBe(false);
+      expect(calls('editMessageReplyMarkup')[0].reply_markup).toBeUndefined();
+      expect(calls('sendMessage')[0].text).toContain('✅ Saved!');
+    });
+
+    it('"Discard" should drop the pending bookmark', async () => {
+      store.set('preview:123:test-uui', JSON.stringify(pending));
+
+      await tap('preview:discard:test-uui');
+
+      expect(mockGitHubAdapter.saveBookmark).not.toHaveBeenCalled();
+      expect(store.has('preview:123:test-uui')).toBe(false);
+      expect(calls('answerCallbackQuery')[0].text).toContain('Discarded');
+    });
+
+    it('should explain when a preview has expired', async () => {
+      await tap('preview:save:test-uui');
+
+      expect(mockGitHubAdapter.saveBookmark).not.toHaveBeenCalled();
+      expect(calls('answerCallbackQuery')[0].text).toContain('expired');
+    });
+
+    it('"Edit before save" should let the user change the title before saving', async () => {
+      store.set('preview:123:test-uui', JSON.stringify(pending));
+
+      await tap('preview:edit:test-uui');
+      expect(calls('editMessageReplyMarkup')[0].reply_markup.inline_keyboard[0][0].callback_data)
+        .toBe('preview:title:test-uui');
+
+      await tap('preview:title:test-uui');
+      expect(JSON.parse(store.get('pending:123:123'))).toEqual({ action: 'title', id: 'test-uui', preview: true });
+
+      mockFetch.mockClear();
+      await send('Better Title', { reply_to_message: { message_id: 43 } });
+
+      expect(mockGitHubAdapter.updateBookmark).not.toHaveBeenCalled();
+      expect(JSON.parse(store.get('preview:123:test-uui')).title).toBe('Better Title');
+      expect(calls('sendPhoto')[0].caption).toContain('📄 Better Title');
+    });
+  });
+
+  describe('allowlist', () => {
+    const calls = (method) => mockFetch.mock.calls
+      .filter(c => c[0].endsWith(`/${method}`))
+      .map(c => JSON.parse(c[1].body));
+
+    beforeEach(() => {
+      mockEnv.ALLOWED_USERS = '42';
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    it('should politely reject messages from users not on the list', async () => {
+      await handleUpdate({
+        message: { chat: { id: 7 }, from: { id: 7, first_name: 'Eve' }, text: 'https://example.com' },
+      }, mockEnv);
+
+      expect(fetchMetadata).not.toHaveBeenCalled();
+      expect(mockGitHubAdapter.saveBookmark).not.toHaveBeenCalled();
+      const [reply] = calls('sendMessage');
+      expect(reply.chat_id).toBe(7);
+      expect(reply.text).toContain('private bookmark bot');
+      expect(reply.text).toContain('7');
+    });
+
+    it('should reject everyone, telling them their ID, until ALLOWED_USERS is set', async () => {
+      mockEnv.ALLOWED_USERS = '';
+
+      await handleUpdate({
+        message: { chat: { id: 42 }, from: { id: 42, first_name: 'Owner' }, text: 'https://example.com' },
+      }, mockEnv);
+
+      expect(mockGitHubAdapter.saveBookmark).not.toHaveBeenCalled();
+      const [reply] = calls('sendMessage');
+      expect(reply.chat_id).toBe(42);
+      expect(reply.text).toContain('42');
+    });
+
+    it('should not reply to strangers in a group chat', async () => {
+      await handleUpdate({
+        message: { chat: { id: -200, type: 'group' }, from: { id: 7, first_name: 'Eve' }, text: 'https://example.com' },
+      }, mockEnv);
+
+      expect(fetchMetadata).not.toHaveBeenCalled();
+      expect(calls('sendMessage')).toHaveLength(0);
+    });
+
+    it('should reject button taps from users not on the list', async () => {
+      await handleUpdate({
+        callback_query: { id: 'cb', from: { id: 7 }, data: 'bm:favorite:abc', message: { message_id: 1, chat: { id: 7 } } },
+      }, mockEnv);
+
+      expect(mockGitHubAdapter.updateBookmark).not.toHaveBeenCalled();
+      expect(calls('answerCallbackQuery')[0].text).toContain('can\'t use this bot');
+    });
+
+    it('should record which allowed user saved a bookmark', async () => {
+      fetchMetadata.mockResolvedValue({ title: 'Team Link', url: 'https://example.com/team' });
+      mockGitHubAdapter.saveBookmark.mockResolvedValue();
+
+      await handleUpdate({
+        message: {
+          chat: { id: -100 },
+          from: { id: 42, first_name: 'Ana', username: 'ana' },
+          text: 'https://example.com/team',
+        },
+      }, mockEnv);
+
+      expect(mockGitHubAdapter.saveBookmark).toHaveBeenCalledWith(expect.objectContaining({
+        added_by: { id: 42, name: 'Ana', username: 'ana' },
+      }));
+      expect(calls('sendMessage')[0].text).toContain('👤 Saved by Ana');
+    });
+  });
+
+  describe('messages with several URLs', () => {
+    const calls = (method) => mockFetch.mock.calls
+      .filter(c => c[0].endsWith(`/${method}`))
+      .map(c => JSON.parse(c[1].body));
+    const send = (text) => handleUpdate({ message: { chat: { id: 123 }, text } }, mockEnv);
+
+    beforeEach(() => {
+      mockGitHubAdapter.saveBookmarks.mockResolvedValue();
+      mockGitHubAdapter.getBookmarkFile.mockResolvedValue({
+        bookmarks: [{ id: 'old12345-0000', url: 'https://b.com/y', title: 'Old B' }],
+        sha: 'sha-1',
+      });
+      fetchMetadata.mockImplementation(async (url) => ({ title: `Title of ${url}`, url }));
+    });
+
+    it('should save all new URLs in one commit and skip duplicates', async () => {
+      await send('Links: https://a.com/x, https://b.com/y and https://c.com/z.');
+
+      expect(mockGitHubAdapter.saveBookmark).not.toHaveBeenCalled();
+      expect(mockGitHubAdapter.saveBookmarks).toHaveBeenCalledTimes(1);
+      const [saved] = mockGitHubAdapter.saveBookmarks.mock.calls[0];
+      expect(saved.map(b => b.url)).toEqual(['https://a.com/x', 'https://c.com/z']);
+
+      const [reply] = calls('sendMessage');
+      expect(reply.text).toContain('✅ Saved 2 of 3 links');
+      expect(reply.text).toContain('1. ✅ Title of https://a.com/x');
+      expect(reply.text).toContain('2. ⚠️ Already bookmarked: Old B (🆔 old12345)');
+      expect(reply.text).toContain('3. ✅ Title of https://c.com/z');
+    });
+
+    it('should skip URLs that redirect to one saved earlier in the same message', async () => {
+      fetchMetadata.mockImplementation(async (url) => ({ title: 'Same', url: 'https://a.com/x' }));
+
+      await send('https://a.com/x https://short.link/1');
+
+      const [saved] = mockGitHubAdapter.saveBookmarks.mock.calls[0];
+      expect(saved).toHaveLength(1);
+      expect(calls('sendMessage')[0].text).toContain('2. ⚠️ Already bookmarked: Same');
+    });
+
+    it('should report invalid URLs on their own line and still save the others', async () => {
+      fetchMetadata.mockImplementation(async (url) => {
+        if (url.includes('localhost')) throw new InvalidUrlError(`Invalid URL: ${url}`);
+        return { title: `Title of ${url}`, url };
+      });
+
+      await send('two links https://a.com/x and http://localhost:99999/x');
+
+      const [saved] = mockGitHubAdapter.saveBookmarks.mock.calls[0];
+      expect(saved.map(b => b.url)).toEqual(['https://a.com/x']);
+      const [reply] = calls('sendMessage');
+      expect(reply.text).toContain('✅ Saved 1 of 2 links');
+      expect(reply.text).toContain('1. ✅ Title of https://a.com/x');
+      expect(reply.text).toContain('2. ❌ Not a link I can save: http://localhost:99999/x');
+    });
+
+    it('should queue every bookmark for retry when the commit fails', async () => {
+      mockGitHubAdapter.saveBookmarks.mockRejectedValue(new Error('GitHub down'));
+
+      await send('https://a.com/x https://c.com/z');
+
+      expect(mockKV.put).toHaveBeenCalledTimes(2);
+      expect(mockKV.put.mock.calls[0][0]).toMatch(/^retry:/);
+      const [reply] = calls('sendMessage');
+      expect(reply.text).toContain('⏳ Queued 2 of 2 links for retry');
+      expect(reply.text).toContain('⏳ Queued for retry: Title of https://a.com/x');
+    });
+  });
+
+  describe('text shared with a link', () => {
+    const send = (text) => handleUpdate({ message: { chat: { id: 123 }, text } }, mockEnv);
+
+    beforeEach(() => {
+      fetchMetadata.mockResolvedValue({ title: 'Guide', url: 'https://example.com/guide' });
+      mockGitHubAdapter.saveBookmark.mockResolvedValue();
+    });
+
+    it('should turn hashtags into tags, flags into fields and the rest into notes', async () => {
+      await send('#Rust #tutorial read this before the migration https://example.com/guide !fav');
+
+      const [saved] = mockGitHubAdapter.saveBookmark.mock.calls[0];
+      expect(saved.tags).toEqual(['rust', 'tutorial']);
+      expect(saved.notes).toBe('read this before the migration');
+      expect(saved.is_favorite).toBe(true);
+      expect(saved.is_private).toBeUndefined();
+    });
+
+    it('should leave tags empty and notes unset for a bare link', async () => {
+      await send('https://example.com/guide');
+
+      const [saved] = mockGitHubAdapter.saveBookmark.mock.calls[0];
+      expect(saved.tags).toEqual([]);
+      expect(saved).not.toHaveProperty('notes');
+    });
+
+    it('should apply the same tags to every link in the message', async () => {
+      mockGitHubAdapter.saveBookmarks.mockResolvedValue();
+      fetchMetadata.mockImplementation(async (url) => ({ title: url, url }));
+
+      await send('https://a.com https://b.com #reading !private');
+
+      const [saved] = mockGitHubAdapter.saveBookmarks.mock.calls[0];
+      expect(saved.map(b => [b.tags, b.is_private])).toEqual([[['reading'], true], [['reading'], true]]);
+    });
+
+    it('should keep the tags when a duplicate is saved anyway', async () => {
+      mockGitHubAdapter.getBookmarkFile.mockResolvedValue({
+        bookmarks: [{ id: 'old12345', url: 'https://example.com/guide' }],
+        sha: 'sha-1',
+      });
+
+      await send('https://example.com/guide #again');
+
+      const stored = JSON.parse(mockKV.put.mock.calls[0][1]);
+      expect(stored.extra.tags).toEqual(['again']);
+    });
+  });
+
+  describe('/stats and /tags', () => {
+    const sentText = () => JSON.parse(mockFetch.mock.calls.at(-1)[1].body).text;
+    const send = (text) => handleUpdate({ message: { chat: { id: 123 }, text } }, mockEnv);
+
+    beforeEach(() => {
+      mockGitHubAdapter.getMetadataFile.mockResolvedValue({
+        total_bookmarks: 1318,
+        last_updated: '2026-01-27T03:57:52.824Z',
+        statistics: {
+          by_type: { article: 1036, video: 45, image: 0, pdf: 13, code: 205, tweet: 10, other: 9 },
+          by_read_status: { unread: 1318, reading: 0, read: 0 },
+          favorites_count: 0,
+          private_count: 0,
+          archived_count: 607,
+        },
+        tags_usage: { tutorial: 362, design: 289, github: 254, go: 1 },
+      });
+      mockGitHubAdapter.getLastCommitDate.mockResolvedValue('2026-01-27T03:50:00Z');
+    });
+
+    it('/stats should report the numbers from metadata.json', async () => {
+      await send('/stats');
+
+      expect(mockGitHubAdapter.getBookmarkFile).not.toHaveBeenCalled();
+      expect(sentText()).toContain('📚 Total: 1318');
+      expect(sentText()).toContain('🗄️ Archived: 607');
+      expect(sentText()).toContain('💻 code: 205');
+    });
+
+    it('/stats should count bookmarks.jsonl when metadata.json is stale', async () => {
+      mockGitHubAdapter.getLastCommitDate.mockResolvedValue('2026-02-01T00:00:00Z');
+      mockGitHubAdapter.getBookmarkFile.mockResolvedValue({
+        bookmarks: [{ id: '1', timestamp: '2026-02-01T00:00:00Z', tags: ['new'] }],
+        sha: 'sha',
+      });
+
+      await send('/stats');
+
+      expect(sentText()).toContain('📚 Total: 1');
+      expect(sentText()).toContain('Counted from bookmarks.jsonl');
+    });
+
+    it('/tags should list the most used tags', async () => {
+      await send('/tags 2');
+
+      expect(sentText()).toBe('🏷️ Top 2 of 4 tags\n\n#tutorial · 362\n#design · 289');
+    });
+
+    it('/stats should apologize when GitHub is unreachable', async () => {
+      mockGitHubAdapter.getMetadataFile.mockRejectedValue(new Error('GitHub down'));
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+
+      await send('/stats');
+
+      expect(sentText()).toContain('Couldn\'t load your statistics');
+    });
+  });
+
+  describe('inline mode', () => {
+    const bookmarks = Array.from({ length: 25 }, (_, i) => ({
+      id: `id-${i}`,
+      url: `https://example.com/${i}`,
+      title: i % 2 ? `Rust async ${i}` : `Other ${i}`,
+      timestamp: new Date(Date.UTC(2025, 0, 1 + i)).toISOString(),
+    }));
+    const inlineAnswer = () => JSON.parse(
+      mockFetch.mock.calls.find(c => c[0].endsWith('/answerInlineQuery'))[1].body
+    );
+    const ask = (query, offset = '') => handleUpdate({
+      inline_query: { id: 'iq', from: { id: 42 }, query, offset },
+    }, mockEnv);
+
+    beforeEach(() => {
+      mockGitHubAdapter.getBookmarkFile.mockResolvedValue({
+        bookmarks: [
+          ...bookmarks,
+          { id: 'secret', url: 'https://example.com/s', title: 'Rust async secret', is_private: true },
+          { id: 'trashed', url: 'https://example.com/t', title: 'Rust async gone', deleted_at: '2025-02-01T00:00:00Z' },
+        ],
+        sha: 'sha',
+      });
+    });
+
+    it('should answer with matching bookmarks, leaving out private and trashed ones', async () => {
+      await ask('rust async');
+
+      const answer = inlineAnswer();
+      expect(answer.inline_query_id).toBe('iq');
+      expect(answer.is_personal).toBe(true);
+      expect(answer.results).toHaveLength(12);
+      expect(answer.results.map(r => r.id)).not.toContain('secret');
+      expect(answer.results.map(r => r.id)).not.toContain('trashed');
+      expect(answer.results[0].input_message_content.message_text).toBe('Rust async 23\nhttps://example.com/23');
+      expect(answer.next_offset).toBe('');
+    });
+
+    it('should list the newest bookmarks for an empty query, page by page', async () => {
+      await ask('');
+
+      let answer = inlineAnswer();
+      expect(answer.results).toHaveLength(20);
+      expect(answer.results[0].id).toBe('id-24');
+      expect(answer.next_offset).toBe('20');
+
+      mockFetch.mockClear();
+      await ask('', '20');
+
+      answer = inlineAnswer();
+      expect(answer.results.map(r => r.id)).toEqual(['id-4', 'id-3', 'id-2', 'id-1', 'id-0']);
+      expect(answer.next_offset).toBe('');
+    });
+
+    it('should answer with no results for users not on the allowlist', async () => {
+      mockEnv.ALLOWED_USERS = '7';
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+      await ask('rust');
+
+      expect(mockGitHubAdapter.getBookmarkFile).not.toHaveBeenCalled();
+      expect(inlineAnswer().results).toEqual([]);
+    });
+  });
+
+  describe('files', () => {
+    const sent = (method) => mockFetch.mock.calls
+      .filter(c => c[0].endsWith(`/${method}`))
+      .map(c => JSON.parse(c[1].body));
+    const fileUrl = 'https://github.com/owner/repo/blob/main/data/files/test-uui-report.pdf';
+
+    beforeEach(() => {
+      mockFetch.mockImplementation(async (url) => {
+        if (url.endsWith('/getFile')) {
+          return { ok: true, json: async () => ({ ok: true, result: { file_path: 'documents/file_1.pdf' } }) };
+        }
+        if (url.includes('/file/bot')) {
+          return { ok: true, arrayBuffer: async () => new ArrayBuffer(4) };
+        }
+        return { ok: true };
+      });
+      mockGitHubAdapter.saveFile.mockResolvedValue({ path: 'data/files/test-uui-report.pdf', url: fileUrl });
+      mockGitHubAdapter.saveBookmark.mockResolvedValue();
+    });
+
+    const sendDocument = (document, caption) => handleUpdate({
+      message: { chat: { id: 123 }, from: { id: 1, first_name: 'Ana' }, document, caption },
+    }, mockEnv);
+
+    it('should store a PDF and bookmark it with the filename as title', async () => {
+      await sendDocument({ file_id: 'doc1', file_name: 'Report Q1.pdf', mime_type: 'application/pdf', file_size: 1234 });
+
+      expect(mockFetch).toHaveBeenCalledWith(
+        'https://api.telegram.org/file/bottest-token/documents/file_1.pdf'
+      );
+      expect(mockGitHubAdapter.saveFile).toHaveBeenCalledWith(
+        'test-uui-report-q1.pdf',
+        expect.any(ArrayBuffer),
+        'Add file: Report Q1.pdf'
+      );
+      expect(mockGitHubAdapter.saveBookmark).toHaveBeenCalledWith(expect.objectContaining({
+        url: fileUrl,
+        title: 'Report Q1.pdf',
+        content_type: 'pdf',
+        file: {
+          path: 'data/files/test-uui-report.pdf',
+          name: 'Report Q1.pdf',
+          mime_type: 'application/pdf',
+          size: 1234,
+        },
+        added_by: { id: 1, name: 'Ana' },
+      }));
+      expect(fetchMetadata).not.toHaveBeenCalled();
+      expect(sent('sendMessage').at(-1).text).toContain('✅ Saved!');
+    });
+
+    it('should take the title, tags and notes from the caption', async () => {
+      await sendDocument(
+        { file_id: 'doc1', file_name: 'scan.pdf', mime_type: 'application/pdf' },
+        'Lease agreement #home\nsigned copy !private'
+      );
+
+      const [saved] = mockGitHubAdapter.saveBookmark.mock.calls[0];
+      expect(saved.title).toBe('Lease agreement');
+      expect(saved.notes).toBe('signed copy');
+      expect(saved.tags).toEqual(['home']);
+      expect(saved.is_private).toBe(true);
+    });
+
+    it('should store the largest size of a photo as an image', async () => {
+      await handleUpdate({
+        message: {
+          chat: { id: 123 },
+          photo: [{ file_id: 'small', file_size: 10 }, { file_id: 'large', file_size: 100 }],
+        },
+      }, mockEnv);
+
+      expect(sent('getFile')[0].file_id).toBe('large');
+      const [saved] = mockGitHubAdapter.saveBookmark.mock.calls[0];
+      expect(saved.content_type).toBe('image');
+      expect(saved.title).toBe('photo.jpg');
+    });
+
+    it('should refuse other file types and oversized files', async () => {
+      await sendDocument({ file_id: 'z', file_name: 'a.zip', mime_type: 'application/zip' });
+      await sendDocument({ file_id: 'p', file_name: 'big.pdf', mime_type: 'application/pdf', file_size: 30 * 1024 * 1024 });
+
+      expect(mockGitHubAdapter.saveFile).not.toHaveBeenCalled();
+      const [unsupported, tooBig] = sent('sendMessage');
+      expect(unsupported.text).toContain('only save PDFs and images');
+      expect(tooBig.text).toContain('too big');
+    });
+
+    it('should report when the file cannot be stored', async () => {
+      mockGitHubAdapter.saveFile.mockRejectedValue(new Error('GitHub down'));
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+
+      await sendDocument({ file_id: 'doc1', file_name: 'scan.pdf', mime_type: 'application/pdf' });
+
+      expect(mockGitHubAdapter.saveBookmark).not.toHaveBeenCalled();
+      expect(sent('sendMessage')[0].text).toContain('Couldn\'t store the file');
+    });
+  });
+
+  describe('digest', () => {
+    let store;
+    const calls = (method) => mockFetch.mock.calls
+      .filter(c => c[0].endsWith(`/${method}`))
+      .map(c => JSON.parse(c[1].body));
+    const send = (text) => handleUpdate({ message: { chat: { id: 123 }, from: { id: 42 }, text } }, mockEnv);
+    const tap = (data) => handleUpdate({
+      callback_query: {
+        id: 'cb',
+        data,
+        message: { message_id: 42, chat: { id: 123 }, text: '📄 Old Post\n🔗 https://example.com/old' },
+      },
+    }, mockEnv);
+    const digest = () => JSON.parse(store.get('settings:123')).digest;
+
+    beforeEach(() => {
+      store = new Map();
+      mockKV.get.mockImplementation(async (key) => store.get(key) ?? null);
+      mockKV.put.mockImplementation(async (key, value) => { store.set(key, value); });
+    });
+
+    it('/digest without arguments should show the settings and usage', async () => {
+      await send('/digest');
+
+      const [reply] = calls('sendMessage');
+      expect(reply.text).toContain('The digest is off');
+      expect(reply.text).toContain('/digest size');
+    });
+
+    it('/digest should change frequency, hour, size and mode', async () => {
+      await send('/digest weekly 18');
+      expect(digest()).toMatchObject({ frequency: 'weekly', hour: 18, user_id: 42 });
+      expect(calls('sendMessage')[0].text).toContain('Weekly at 18:00 UTC');
+
+      await send('/digest size 3');
+      await send('/digest rediscover');
+      await send('/digest hour 7');
+      expect(digest()).toMatchObject({ frequency: 'weekly', hour: 7, size: 3, mode: 'rediscover' });
+    });
+
+    it('/digest should reject invalid values', async () => {
+      await send('/digest size 50');
+      await send('/digest daily 25');
+
+      expect(store.has('settings:123')).toBe(false);
+      expect(calls('sendMessage').every(m => m.text.startsWith('Usage:'))).toBe(true);
+    });
+
+    it('"Mark read" should update the bookmark and drop the buttons', async () => {
+      mockGitHubAdapter.updateBookmark.mockResolvedValue({});
+
+      await tap('digest:read:abc12345');
+
+      expect(mockGitHubAdapter.updateBookmark).toHaveBeenCalledWith('abc12345', { read_status: 'read' });
+      const [edited] = calls('editMessageText');
+      expect(edited.text).toBe('✅ Marked as read\n\n📄 Old Post\n🔗 https://example.com/old');
+      expect(edited.reply_markup).toBeUndefined();
+    });
+
+    it('"Snooze" should keep the bookmark out of digests for a week', async () => {
+      await tap('digest:snooze:abc12345');
+
+      expect(Object.keys(JSON.parse(store.get('snoozed:123')))).toEqual(['abc12345']);
+      expect(calls('editMessageText')[0].text).toContain('💤 Snoozed for 7 days');
+      expect(mockGitHubAdapter.updateBookmark).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('reminders', () => {
+    const calls = (method) => mockFetch.mock.calls
+      .filter(c => c[0].endsWith(`/${method}`))
+      .map(c => JSON.parse(c[1].body));
+    const send = (text) => handleUpdate({ message: { chat: { id: 123 }, from: { id: 42 }, text } }, mockEnv);
+    const tap = (data) => handleUpdate({
+      callback_query: { id: 'cb', data, from: { id: 42 }, message: { message_id: 42, chat: { id: 123 } } },
+    }, mockEnv);
+
+    beforeEach(() => {
+      vi.useFakeTimers();
+      vi.setSystemTime(new Date('2025-03-01T10:00:00.000Z'));
+      mockGitHubAdapter.updateBookmark.mockImplementation(async (id, changes) => ({
+        id: 'abc12345-full', url: 'https://example.com', title: 'Later Read', ...changes,
+      }));
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    it('/remind should store when and where to send the bookmark back', async () => {
+      await send('/remind abc12345 3d');
+
+      expect(mockGitHubAdapter.updateBookmark).toHaveBeenCalledWith(
+        'abc12345',
+        { remind_at: '2025-03-04T10:00:00.000Z', remind_chat_id: 123, remind_user_id: 42 },
+        'Remind'
+      );
+      expect(calls('sendMessage')[0].text).toBe('⏰ I\'ll remind you about "Later Read" on 2025-03-04 10:00 UTC.');
+    });
+
+    it('/remind off should clear the reminder', async () => {
+      await send('/remind abc12345 off');
+
+      expect(mockGitHubAdapter.updateBookmark).toHaveBeenCalledWith(
+        'abc12345',
+        { remind_at: undefined, remind_chat_id: undefined, remind_user_id: undefined }
+      );
+      expect(calls('sendMessage')[0].text).toContain('🔕 Reminder cancelled');
+    });
+
+    it('/remind should explain usage and reject times it does not understand', async () => {
+      await send('/remind abc12345');
+      await send('/remind abc12345 someday');
+
+      const [usage, invalid] = calls('sendMessage');
+      expect(usage.text).toContain('Usage: /remind id 3d');
+      expect(invalid.text).toContain('"someday" isn\'t a time I understand');
+      expect(mockGitHubAdapter.updateBookmark).not.toHaveBeenCalled();
+    });
+
+    it('⏰ Remind me should offer presets and set the chosen one', async () => {
+      await tap('bm:remind:abc12345-full');
+
+      const [menu] = calls('sendMessage');
+      expect(menu.reply_markup.inline_keyboard.flat().map(b => b.callback_data)).toContain('remind:1w:abc12345-full');
+
+      await tap('remind:1w:abc12345-full');
+
+      expect(mockGitHubAdapter.updateBookmark).toHaveBeenCalledWith(
+        'abc12345-full',
+        { remind_at: '2025-03-08T10:00:00.000Z', remind_chat_id: 123, remind_user_id: 42 },
+        'Remind'
+      );
+      const [edited] = calls('editMessageText');
+      expect(edited.message_id).toBe(42);
+      expect(edited.text).toContain('2025-03-08 10:00 UTC');
+    });
+
+    it('cancel should leave the bookmark alone', async () => {
+      await tap('remind:cancel:abc12345-full');
+
+      expect(mockGitHubAdapter.updateBookmark).not.toHaveBeenCalled();
+      expect(calls('editMessageText')[0].text).toBe('❌ No reminder set.');
+    });
+  });
+
+  describe('languages', () => {
+    let store;
+    const calls = (method) => mockFetch.mock.calls
+      .filter(c => c[0].endsWith(`/${method}`))
+      .map(c => JSON.parse(c[1].body));
+    const send = (text, from = { id: 7, language_code: 'es-ES' }) =>
+      handleUpdate({ message: { chat: { id: 123 }, from, text } }, mockEnv);
+
+    beforeEach(() => {
+      store = new Map();
+      mockKV.get.mockImplementation(async (key) => store.get(key) ?? null);
+      mockKV.put.mockImplementation(async (key, value) => { store.set(key, value); });
+    });
+
+    it('should reply in the sender\'s Telegram language', async () => {
+      await send('/start');
+
+      expect(calls('sendMessage')[0].text).toContain('¡Bienvenido a Hipervínculos!');
+    });
+
+    it('should fall back to English for languages without a catalog', async () => {
+      await send('/start', { id: 7, language_code: 'fr' });
+
+      expect(calls('sendMessage')[0].text).toContain('Welcome to Hipervínculos!');
+    });
+
+    it('should translate saved replies and their buttons', async () => {
+      fetchMetadata.mockResolvedValue({ title: 'Página', url: 'https://example.com/es' });
+      mockGitHubAdapter.saveBookmark.mockResolvedValue();
+
+      await send('https://example.com/es');
+
+      const [reply] = calls('sendMessage');
+      expect(reply.text).toContain('✅ ¡Guardado!');
+      expect(reply.text).toContain('📬 Sin leer');
+      expect(reply.reply_markup.inline_keyboard[0][0].text).toBe('🏷️ Añadir etiquetas');
+    });
+
+    it('/lang should pin a language for the chat over the Telegram one', async () => {
+      await send('/lang en');
+      expect(JSON.parse(store.get('settings:123')).lang).toBe('en');
+      expect(calls('sendMessage')[0].text).toBe('✅ From now on I\'ll reply in English.');
+
+      await send('/start');
+      expect(calls('sendMessage')[1].text).toContain('Welcome to Hipervínculos!');
+    });
+
+    it('/lang auto should go back to the Telegram language', async () => {
+      store.set('settings:123', JSON.stringify({ lang: 'en' }));
+
+      await send('/lang auto');
+      await send('/start');
+
+      expect(JSON.parse(store.get('settings:123'))).not.toHaveProperty('lang');
+      expect(calls('sendMessage')[1].text).toContain('¡Bienvenido');
+    });
+
+    it('/lang without a valid choice should show the current language and usage', async () => {
+      await send('/lang klingon');
+
+      const [reply] = calls('sendMessage');
+      expect(reply.text).toContain('Te respondo en Español, según el idioma de tu Telegram.');
+      expect(reply.text).toContain('Uso: /lang en|es|auto');
+      expect(store.has('settings:123')).toBe(false);
+    });
+
+    it('should answer strangers in their language without reading settings', async () => {
+      mockEnv.ALLOWED_USERS = '1';
+
+      await send('hola', { id: 99, language_code: 'es' });
+
+      expect(calls('sendMessage')[0].text).toContain('no estás en su lista de usuarios');
+      expect(mockKV.get).not.toHaveBeenCalled();
+    });
+  });
 });
@@ -0,0 +1,112 @@
+import { describe, it, expect } from 'vitest';
+import { normalizeUrl, hashUrl, detectContentType, extractUrl, extractUrls } from '../src/url.js';
+
+describe('normalizeUrl', () => {
+  it('should lowercase the host and drop the fragment and trailing slash', () => {
+    expect(normalizeUrl('https://Example.COM/Path/#section')).toBe('https://example.com/Path');
+  });
+
+  it('should remove tracking parameters and sort the rest', () => {
+    expect(normalizeUrl('https://example.com/a?utm_source=x&b=2&fbclid=y&a=1'))
+      .toBe('https://example.com/a?a=1&b=2');
+  });
+
+  it('should decode percent-encoded characters', () => {
+    expect(normalizeUrl('https://example.com/caf%C3%A9')).toBe('https://example.com/café');
+  });
+
+  it('should return unparseable input unchanged', () => {
+    expect(normalizeUrl('not a url')).toBe('not a url');
+  });
+});
+
+describe('hashUrl', () => {
+  it('should return the first 16 hex characters of the SHA-256', () => {
+    // Same value scripts/add-bookmark.js stores for this URL
+    expect(hashUrl('https://example.com')).toBe('100680ad546ce6a5');
+  });
+});
+
+describe('detectContentType', () => {
+  it('should recognise known platforms', () => {
+    expect(detectContentType('https://www.youtube.com/watch?v=1')).toBe('video');
+    expect(detectContentType('https://github.com/owner/repo')).toBe('code');
+    expect(detectContentType('https://bsky.app/profile/x/post/1')).toBe('tweet');
+    expect(detectContentType('https://imgur.com/a/xyz')).toBe('image');
+  });
+
+  it('should detect PDFs by extension, ignoring the query string', () => {
+    expect(detectContentType('https://example.com/paper.PDF?download=1')).toBe('pdf');
+  });
+
+  it('should default to article', () => {
+    expect(detectContentType('https://example.com/post')).toBe('article');
+  });
+});
+
+describe('extractUrl', () => {
+  it('should extract URL from text', () => {
+    const text = 'Check out https://example.com/page please';
+    expect(extractUrl(text)).toBe('https://example.com/page');
+  });
+
+  it('should extract first URL when multiple present', () => {
+    const text = 'First https://first.com and second https://second.com';
+    expect(extractUrl(text)).toBe('https://first.com');
+  });
+
+  it('should extract http URLs', () => {
+    const text = 'Link: http://example.com/path';
+    expect(extractUrl(text)).toBe('http://example.com/path');
+  });
+
+  it('should return null for text without URL', () => {
+    const text = 'No links here, just text';
+    expect(extractUrl(text)).toBeNull();
+  });
+
+  it('should return null for empty text', () => {
+    expect(extractUrl('')).toBeNull();
+    expect(extractUrl(null)).toBeNull();
+    expect(extractUrl(undefined)).toBeNull();
+  });
+
+  it('should handle URLs with query strings and fragments', () => {
+    const text = 'Link: https://example.com/path?foo=bar&baz=qux#section';
+    expect(extractUrl(text)).toBe('https://example.com/path?foo=bar&baz=qux#section');
+  });
+
+  it('should drop trailing punctuation', () => {
+    expect(extractUrl('Read this: https://example.com/post.')).toBe('https://example.com/post');
+  });
+});
+
+describe('extractUrls', () => {
+  it('should extract every URL without trailing punctuation', () => {
+    const text = 'See https://a.com/x, https://b.com/y; and (maybe) https://c.com/z?!';
+    expect(extractUrls(text)).toEqual(['https://a.com/x', 'https://b.com/y', 'https://c.com/z']);
+  });
+
+  it('should drop repeated URLs', () => {
+    expect(extractUrls('https://a.com https://a.com.')).toEqual(['https://a.com']);
+  });
+
+  it('should drop closing parentheses that are not part of the URL', () => {
+    expect(extractUrls('mira (https://example.com/a) y https://b.com/x)')).toEqual([
+      'https://example.com/a',
+      'https://b.com/x',
+    ]);
+    expect(extractUrls('(see https://c.com/z).')).toEqual(['https://c.com/z']);
+  });
+
+  it('should keep parentheses that are balanced inside the URL', () => {
+    expect(extractUrls('(https://en.wikipedia.org/wiki/Rust_(lenguaje)).')).toEqual([
+      'https://en.wikipedia.org/wiki/Rust_(lenguaje)',
+    ]);
+  });
+
+  it('should return an empty list without URLs', () => {
+    expect(extractUrls('no links')).toEqual([]);
+    expect(extractUrls(undefined)).toEqual([]);
+  });
+});
@@ -0,0 +1,233 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { createHmac } from 'node:crypto';
+import {
+  getWebhooks,
+  addWebhook,
+  removeWebhook,
+  describeWebhook,
+  notifyWebhooks,
+  retryDelivery,
+  signPayload,
+} from '../src/webhooks.js';
+
+const mockFetch = vi.fn();
+vi.stubGlobal('fetch', mockFetch);
+
+describe('webhooks', () => {
+  let store;
+  let env;
+
+  const hook = (fields) => ({
+    id: 'hook-1',
+    url: 'https://chat.example.com/hook',
+    events: ['bookmark.created', 'bookmark.updated', 'bookmark.deleted'],
+    include_private: false,
+    secret: 'shh',
+    created_at: '2025-01-01T00:00:00.000Z',
+    ...fields,
+  });
+  const register = (...webhooks) => store.set('webhooks', JSON.stringify(webhooks));
+  const sent = () => mockFetch.mock.calls.map(([url, init]) => ({ url, ...init, body: JSON.parse(init.body) }));
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    store = new Map();
+    env = {
+      RETRY_QUEUE: {
+        get: vi.fn(async (key) => store.get(key) ?? null),
+        put: vi.fn(async (key, value) => { store.set(key, value); }),
+      },
+    };
+    mockFetch.mockResolvedValue({ ok: true, status: 200 });
+  });
+
+  describe('addWebhook / removeWebhook', () => {
+    it('should store webhooks under one key with a generated secret', async () => {
+      const webhook = await addWebhook(env, { url: 'https://chat.example.com/hook' });
+
+      expect(webhook).toMatchObject({
+        url: 'https://chat.example.com/hook',
+        events: ['bookmark.created', 'bookmark.updated', 'bookmark.deleted'],
+        include_private: false,
+      });
+      expect(webhook.secret).toMatch(/^[0-9a-f]{32}$/);
+      expect(await getWebhooks(env)).toEqual([webhook]);
+    });
+
+    it('should keep the chosen events and private setting', async () => {
+      await addWebhook(env, { url: 'https://a.example.com', events: ['bookmark.created'] });
+      const second = await addWebhook(env, { url: 'https://b.example.com', include_private: true });
+
+      const webhooks = await getWebhooks(env);
+      expect(webhooks).toHaveLength(2);
+      expect(webhooks[0].events).toEqual(['bookmark.created']);
+      expect(webhooks[1]).toEqual(second);
+      expect(second.include_private).toBe(true);
+    });
+
+    it('should remove a webhook by ID', async () => {
+      register(hook(), hook({ id: 'hook-2' }));
+
+      expect(await removeWebhook(env, 'hook-1')).toBe(true);
+      expect((await getWebhooks(env)).map(w => w.id)).toEqual(['hook-2']);
+    });
+
+    it('should report unknown IDs without writing', async () => {
+      register(hook());
+
+      expect(await removeWebhook(env, 'nope')).toBe(false);
+      expect(env.RETRY_QUEUE.put).not.toHaveBeenCalled();
+    });
+
+    it('should leave the secret out when describing a webhook', () => {
+      expect(describeWebhook(hook())).not.toHaveProperty('secret');
+      expect(describeWebhook(hook())).toHaveProperty('url', 'https://chat.example.com/hook');
+    });
+  });
+
+  describe('signPayload', () => {
+    it('should be the hex HMAC-SHA256 of the body', async () => {
+      const body = '{"event":"bookmark.created"}';
+      const expected = createHmac('sha256', 'shh').update(body).digest('hex');
+
+      expect(await signPayload('shh', body)).toBe(expected);
+    });
+  });
+
+  describe('notifyWebhooks', () => {
+    const bookmark = { id: 'b1', url: 'https://example.com/post', title: 'Post' };
+
+    it('should do nothing without webhooks', async () => {
+      await notifyWebhooks(env, 'bookmark.created', [bookmark]);
+
+      expect(mockFetch).not.toHaveBeenCalled();
+    });
+
+    it('should POST a signed JSON payload', async () => {
+      register(hook());
+
+      await notifyWebhooks(env, 'bookmark.created', [bookmark]);
+
+      const [request] = sent();
+      expect(request.url).toBe('https://chat.example.com/hook');
+      expect(request.method).toBe('POST');
+      expect(request.body).toEqual({
+        id: expect.any(String),
+        event: 'bookmark.created',
+        timestamp: expect.any(String),
+        bookmarks: [bookmark],
+      });
+      expect(request.headers).toMatchObject({
+        'Content-Type': 'application/json',
+        'X-Hipervinculos-Event': 'bookmark.created',
+        'X-Hipervinculos-Delivery': request.body.id,
+      });
+      const raw = mockFetch.mock.calls[0][1].body;
+      expect(request.headers['X-Hipervinculos-Signature-256'])
+        .toBe(`sha256=${createHmac('sha256', 'shh').update(raw).digest('hex')}`);
+    });
+
+    it('should only call webhooks subscribed to the event', async () => {
+      register(
+        hook({ id: 'created-only', url: 'https://a.example.com', events: ['bookmark.created'] }),
+        hook({ id: 'deleted-only', url: 'https://b.example.com', events: ['bookmark.deleted'] }),
+      );
+
+      await notifyWebhooks(env, 'bookmark.deleted', [bookmark]);
+
+      expect(sent().map(r => r.url)).toEqual(['https://b.example.com']);
+    });
+
+    it('should only send private bookmarks to webhooks that include them', async () => {
+      register(
+        hook({ id: 'team', url: 'https://team.example.com' }),
+        hook({ id: 'notes', url: 'https://notes.example.com', include_private: true }),
+      );
+      const secret = { id: 'b2', url: 'https://example.com/secret', is_private: true };
+
+      await notifyWebhooks(env, 'bookmark.created', [bookmark, secret]);
+
+      const requests = sent();
+      expect(requests.find(r => r.url === 'https://team.example.com').body.bookmarks).toEqual([bookmark]);
+      expect(requests.find(r => r.url === 'https://notes.example.com').body.bookmarks).toEqual([bookmark, secret]);
+    });
+
+    it('should skip a webhook when every bookmark is private to it', async () => {
+      register(hook());
+
+      await notifyWebhooks(env, 'bookmark.updated', [{ ...bookmark, is_private: true }]);
+
+      expect(mockFetch).not.toHaveBeenCalled();
+    });
+
+    it('should queue failed deliveries on the retry queue', async () => {
+      register(hook());
+      mockFetch.mockResolvedValue({ ok: false, status: 500 });
+
+      await notifyWebhooks(env, 'bookmark.created', [bookmark]);
+
+      const [key, value, options] = env.RETRY_QUEUE.put.mock.calls.find(([name]) => name.startsWith('retry:'));
+      const { delivery } = JSON.parse(value);
+      expect(key).toBe(`retry:webhook:${delivery.id}`);
+      expect(JSON.parse(value)).toMatchObject({
+        webhookId: 'hook-1',
+        delivery: { event: 'bookmark.created', bookmarks: [bookmark] },
+        attempts: 1,
+        lastError: 'Answered 500',
+      });
+      expect(options).toEqual({ metadata: { createdAt: expect.any(String) } });
+    });
+
+    it('should queue deliveries that cannot connect, and still reach the others', async () => {
+      register(hook({ id: 'down', url: 'https://down.example.com' }), hook({ id: 'up', url: 'https://up.example.com' }));
+      mockFetch.mockImplementation(async (url) => {
+        if (url === 'https://down.example.com') throw new Error('Connection refused');
+        return { ok: true, status: 200 };
+      });
+
+      await notifyWebhooks(env, 'bookmark.created', [bookmark]);
+
+      expect(mockFetch).toHaveBeenCalledTimes(2);
+      const queued = [...store.keys()].filter(key => key.startsWith('retry:webhook:'));
+      expect(queued).toHaveLength(1);
+      expect(JSON.parse(store.get(queued[0])).webhookId).toBe('down');
+    });
+
+    it('should not throw when the webhooks cannot be loaded', async () => {
+      env.RETRY_QUEUE.get.mockRejectedValue(new Error('KV down'));
+
+      await expect(notifyWebhooks(env, 'bookmark.created', [bookmark])).resolves.toBeUndefined();
+    });
+  });
+
+  describe('retryDelivery', () => {
+    const delivery = { id: 'delivery-1', event: 'bookmark.created', timestamp: '2025-01-01T00:00:00.000Z', bookmarks: [] };
+
+    it('should resend the same delivery', async () => {
+      register(hook());
+
+      await retryDelivery(env, { webhookId: 'hook-1', delivery });
+
+      const [request] = sent();
+      expect(request.body).toEqual(delivery);
+      expect(request.headers['X-Hipervinculos-Delivery']).toBe('delivery-1');
+    });
+
+    it('should throw when the webhook still fails', async () => {
+      register(hook());
+      mockFetch.mockResolvedValue({ ok: false, status: 502 });
+
+      await expect(retryDelivery(env, { webhookId: 'hook-1', delivery })).rejects.toThrow('Answered 502');
+    });
+
+    it('should drop deliveries of removed webhooks', async () => {
+      register();
+
+      await expect(retryDelivery(env, { webhookId: 'hook-1', delivery })).resolves.toBeUndefined();
+      expect(mockFetch).not.toHaveBeenCalled();
+    });
+  });
+});